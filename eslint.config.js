@@ -66,4 +66,15 @@ export default [
       'prefer-template': 'error',
     },
   },
+  {
+    files: ['scripts/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+    rules: {
+      'no-console': 'off',
+    },
+  },
 ];
\ No newline at end of file
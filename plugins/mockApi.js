@@ -0,0 +1,924 @@
+/**
+ * Mock API Vite Plugin
+ *
+ * Serves local stand-ins for backend form endpoints from the Vite dev server so
+ * submission flows can be exercised end to end without a deployed backend.
+ * Enabled only for `vite serve` when VITE_MOCK_API=true.
+ *
+ * Endpoints:
+ * - POST /api/volunteer-applications
+ *   Validates required fields and returns 422 with `{errors: {field: message}}`
+ *   for invalid input, otherwise 201 with the application ID the form sent (or
+ *   a new one). Use an email at `@reject.test` to force a server-side field
+ *   error on a valid-looking form.
+ * - POST /api/volunteer-applications/status
+ *   Looks up an application above by `{applicationId, email}`; 404 unless both
+ *   match. Applications move one stage along every minute so the whole
+ *   timeline can be seen. Applications are kept in memory until the server
+ *   restarts.
+ * - POST /api/newsletter
+ *   Starts a double opt-in signup. Returns 422 for a missing email or consent,
+ *   otherwise 202 and logs the confirmation and unsubscribe links that a real
+ *   backend would email.
+ * - POST /api/newsletter/confirm, POST /api/newsletter/unsubscribe
+ *   Verify a token from those links; 404 for unknown tokens.
+ * - POST /api/data-requests
+ *   Accepts an NDPR/GDPR data subject request. Returns 422 with
+ *   `{errors: {field: message}}` for missing fields, otherwise 201 with a
+ *   request ID and logs the request.
+ * - POST /api/payments/fundraisers
+ *   Creates a peer-to-peer fundraiser page. Returns 422 with
+ *   `{errors: {field: message}}` for missing fields, otherwise 201 with the
+ *   fundraiser. Fundraisers are kept in memory until the server restarts.
+ * - GET /api/payments/fundraisers/:id
+ *   Returns a fundraiser created above, or 404.
+ * - POST /api/payments/stripe/payment-intents
+ *   Returns 422 unless `amount` is a positive whole number of minor units and
+ *   a currency is given, otherwise a fake `pi_mock_..._secret_...` client
+ *   secret, echoing the `frequency` a real backend would start a subscription
+ *   for. Confirming it needs Stripe test mode, as Stripe.js talks to Stripe.
+ * - POST /api/payments/paystack/verify, POST /api/payments/flutterwave/verify
+ *   Reports any transaction with a reference as verified. Use an amount
+ *   ending in 13 (minor units) to get an unverified transaction.
+ * - POST /api/payments/subscriptions/magic-link
+ *   Logs the magic link a real backend would email; the donor gets a sample
+ *   monthly donation on first sign-in.
+ * - POST /api/payments/subscriptions/session
+ *   Exchanges a magic link token for a session token, once; 410 otherwise.
+ * - GET /api/payments/subscriptions, GET /api/payments/subscriptions/donations?year=
+ *   The session's recurring donations, and the charges they made that year.
+ *   401 without a valid `Authorization: Bearer` session token.
+ * - PATCH /api/payments/subscriptions/:id,
+ *   POST /api/payments/subscriptions/:id/(pause|resume|cancel)
+ *   Change one of the session's recurring donations; 404 for other IDs.
+ * - POST /api/payments/receipts/number
+ *   Issues sequential receipt numbers, the same one for a repeated
+ *   `{type, reference, year}`.
+ * - POST /api/volunteer-shifts/availability
+ *   Returns places taken on a role's upcoming shifts, keyed by shift ID, with
+ *   the sign-ups of the volunteer whose `feedToken` is sent.
+ * - POST /api/volunteer-shifts/signups
+ *   Signs `{shiftId, name, email}` up for a shift, or onto its waitlist once
+ *   the role's shift capacity is reached. Returns 422 for missing fields, 404
+ *   for unknown shifts and 409 when the waitlist is full, otherwise 201 with
+ *   the sign-up and the volunteer's feed token.
+ * - POST /api/volunteer-shifts/cancellations
+ *   Cancels `{shiftId, feedToken}`'s sign-up and moves the first volunteer on
+ *   the waitlist up; 404 if there is no such sign-up.
+ * - GET /api/volunteer-shifts/feeds/:token.ics
+ *   The volunteer's upcoming shifts as an iCalendar feed, or 404. Sign-ups are
+ *   kept in memory until the server restarts.
+ *
+ * Usage:
+ *   VITE_MOCK_API=true VITE_VOLUNTEER_APPLICATION_ENDPOINT=/api/volunteer-applications npm run dev
+ *
+ * @module plugins/mockApi
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { Buffer } from 'node:buffer';
+import { SHIFT_SCHEDULE, getApplicationStages } from '../src/data/volunteerContent.js';
+import { RECEIPT_CONFIG } from '../src/data/donationContent.js';
+import { findUpcomingShift, getUpcomingShifts, toCalendarEvent } from '../src/utils/shiftSchedule.js';
+import { createCalendar } from '../src/utils/icalendar.js';
+
+/**
+ * Required volunteer application fields and their error messages
+ */
+const REQUIRED_APPLICATION_FIELDS = Object.freeze({
+  firstName: 'First name is required',
+  lastName: 'Last name is required',
+  email: 'Email address is required',
+  phone: 'Phone number is required',
+  motivation: 'Please tell us why you want to volunteer',
+});
+
+/**
+ * Required data subject request fields and their error messages
+ */
+const REQUIRED_DATA_REQUEST_FIELDS = Object.freeze({
+  fullName: 'Full name is required',
+  email: 'Email address is required',
+  requestType: 'Please choose a request type',
+  regulation: 'Please choose a law',
+  identityConfirmation: 'Please confirm you are entitled to make this request',
+});
+
+/**
+ * Required fundraiser fields and their error messages
+ */
+const REQUIRED_FUNDRAISER_FIELDS = Object.freeze({
+  campaignId: 'Please choose a campaign',
+  name: 'Please tell supporters who is fundraising',
+  email: 'Email address is required',
+  title: 'Please give your page a title',
+  story: 'Please tell supporters why you are fundraising',
+  goal: 'Please set a goal',
+});
+
+/**
+ * Send a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Parse a multipart, urlencoded or JSON request body into entries
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {Promise<Map<string, string[]>>} Field values keyed by name
+ */
+async function readFields(req) {
+  const request = new Request(`http://localhost${req.url}`, {
+    method: req.method,
+    headers: req.headers,
+    body: Readable.toWeb(req),
+    duplex: 'half',
+  });
+
+  const fields = new Map();
+  const add = (key, value) => fields.set(key, [...(fields.get(key) || []), String(value)]);
+
+  if ((req.headers['content-type'] || '').includes('application/json')) {
+    Object.entries(await request.json()).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((item) => add(key, item));
+    });
+  } else {
+    (await request.formData()).forEach((value, key) => add(key, value));
+  }
+
+  return fields;
+}
+
+/**
+ * Volunteer applications keyed by application ID
+ */
+const volunteerApplications = new Map();
+
+/**
+ * How long a mock application stays at each stage, in milliseconds
+ */
+const APPLICATION_STAGE_DURATION = 60 * 1000;
+
+/**
+ * Handle a mock volunteer application submission
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleVolunteerApplication(req, res) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const errors = {};
+
+  Object.entries(REQUIRED_APPLICATION_FIELDS).forEach(([field, message]) => {
+    if (!value(field)) {
+      errors[field] = message;
+    }
+  });
+
+  if (value('email').endsWith('@reject.test')) {
+    errors.email = 'An application with this email address is already being reviewed';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const applicationId = value('applicationId') || `VA-${Date.now().toString(36).toUpperCase()}`;
+  volunteerApplications.set(applicationId, {
+    applicationId,
+    email: value('email').toLowerCase(),
+    roles: fields.get('roles') || [],
+    submittedAt: new Date().toISOString(),
+  });
+
+  sendJson(res, 201, {
+    ok: true,
+    applicationId,
+    message: 'Thank you! Your application has been received.',
+  });
+}
+
+/**
+ * Handle a mock volunteer application status lookup
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleVolunteerApplicationStatus(req, res) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const application = volunteerApplications.get(value('applicationId').toUpperCase());
+
+  if (!application || application.email !== value('email').toLowerCase()) {
+    sendJson(res, 404, { error: 'Application not found' });
+    return;
+  }
+
+  const stages = getApplicationStages(application.roles);
+  const elapsed = Date.now() - Date.parse(application.submittedAt);
+  const stageIndex = Math.min(stages.length - 1, Math.floor(elapsed / APPLICATION_STAGE_DURATION));
+  const updatedAt = new Date(Date.parse(application.submittedAt) + stageIndex * APPLICATION_STAGE_DURATION).toISOString();
+
+  sendJson(res, 200, {
+    application: {
+      applicationId: application.applicationId,
+      status: stages[stageIndex].id,
+      roles: application.roles,
+      submittedAt: application.submittedAt,
+      updatedAt,
+    },
+  });
+}
+
+/**
+ * Newsletter subscribers keyed by email, and link tokens pointing at them
+ */
+const newsletterSubscribers = new Map();
+const newsletterTokens = new Map();
+
+/**
+ * Handle a mock newsletter signup
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleNewsletterSignup(req, res, server) {
+  const body = await new Request('http://localhost', {
+    method: 'POST',
+    body: Readable.toWeb(req),
+    duplex: 'half',
+  }).json();
+  const email = String(body.email || '').trim().toLowerCase();
+
+  if (!email || !body.consent) {
+    sendJson(res, 422, { error: 'An email address and marketing consent are required' });
+    return;
+  }
+
+  const existing = newsletterSubscribers.get(email);
+  if (existing && existing.status === 'subscribed') {
+    sendJson(res, 200, { status: 'subscribed' });
+    return;
+  }
+
+  const confirmToken = randomUUID();
+  const unsubscribeToken = randomUUID();
+  newsletterSubscribers.set(email, { email, status: 'pending', consent: body.consent });
+  newsletterTokens.set(confirmToken, { email, action: 'confirm' });
+  newsletterTokens.set(unsubscribeToken, { email, action: 'unsubscribe' });
+
+  const link = (template, token) => String(template || '').replace('{token}', token);
+  server.config.logger.info(`[mock-api] Confirmation email for ${email}: ${link(body.confirmUrl, confirmToken)}`);
+  server.config.logger.info(`[mock-api] Unsubscribe link for ${email}: ${link(body.unsubscribeUrl, unsubscribeToken)}`);
+
+  sendJson(res, 202, { status: 'pending' });
+}
+
+/**
+ * Create a handler that verifies a newsletter link token
+ * @param {string} action - Token action ('confirm' or 'unsubscribe')
+ * @param {string} status - Subscriber status after verification
+ * @returns {Function} Route handler
+ */
+function createNewsletterTokenHandler(action, status) {
+  return async (req, res) => {
+    const fields = await readFields(req);
+    const token = (fields.get('token') || [''])[0];
+    const entry = newsletterTokens.get(token);
+
+    if (!entry || entry.action !== action) {
+      sendJson(res, 404, { error: 'Invalid or expired token' });
+      return;
+    }
+
+    if (action === 'confirm') {
+      newsletterTokens.delete(token);
+    }
+
+    newsletterSubscribers.get(entry.email).status = status;
+    sendJson(res, 200, { email: entry.email, status });
+  };
+}
+
+/**
+ * Handle a mock data subject request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleDataRequest(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const errors = {};
+
+  Object.entries(REQUIRED_DATA_REQUEST_FIELDS).forEach(([field, message]) => {
+    if (!value(field)) {
+      errors[field] = message;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const requestId = `DSR-${Date.now().toString(36).toUpperCase()}`;
+  server.config.logger.info(`[mock-api] ${value('regulation').toUpperCase()} ${value('requestType')} request ${requestId} from ${value('email')}`);
+
+  sendJson(res, 201, {
+    ok: true,
+    requestId,
+    message: 'Thank you. We have received your request and will respond within one month.',
+  });
+}
+
+/**
+ * Fundraisers keyed by ID
+ */
+const fundraisers = new Map();
+
+/**
+ * Handle a mock fundraiser creation
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleCreateFundraiser(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const errors = {};
+
+  Object.entries(REQUIRED_FUNDRAISER_FIELDS).forEach(([field, message]) => {
+    if (!value(field)) {
+      errors[field] = message;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const fundraiser = {
+    id: randomUUID().slice(0, 8),
+    campaignId: value('campaignId'),
+    name: value('name'),
+    title: value('title'),
+    occasion: value('occasion') || 'other',
+    story: value('story'),
+    goal: Number(value('goal')),
+    currency: value('currency') || 'NGN',
+    raised: 0,
+    donorCount: 0,
+    createdAt: new Date().toISOString(),
+  };
+  fundraisers.set(fundraiser.id, fundraiser);
+
+  server.config.logger.info(`[mock-api] Fundraiser ${fundraiser.id} created for ${fundraiser.campaignId} by ${value('email')}`);
+  sendJson(res, 201, { fundraiser });
+}
+
+/**
+ * Handle a mock fundraiser lookup
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ * @param {string[]} params - Path parameters: [id]
+ */
+function handleGetFundraiser(req, res, server, [id]) {
+  const fundraiser = fundraisers.get(decodeURIComponent(id));
+
+  if (!fundraiser) {
+    sendJson(res, 404, { error: 'Fundraiser not found' });
+    return;
+  }
+
+  sendJson(res, 200, { fundraiser });
+}
+
+/**
+ * Handle a mock Stripe PaymentIntent creation
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleStripePaymentIntent(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const amount = Number(value('amount'));
+
+  if (!Number.isInteger(amount) || amount <= 0 || !value('currency')) {
+    sendJson(res, 422, { error: 'A positive amount in minor units and a currency are required' });
+    return;
+  }
+
+  const paymentIntentId = `pi_mock_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+  const frequency = value('frequency') || 'one_time';
+  server.config.logger.info(`[mock-api] PaymentIntent ${paymentIntentId} for ${amount} ${value('currency').toUpperCase()} (${frequency})`);
+  sendJson(res, 200, {
+    paymentIntentId,
+    frequency,
+    clientSecret: `${paymentIntentId}_secret_${randomUUID().replace(/-/g, '')}`,
+  });
+}
+
+/**
+ * Handle a mock Paystack or Flutterwave transaction verification
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleVerifyTransaction(req, res) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+
+  if (!value('reference')) {
+    sendJson(res, 422, { error: 'A transaction reference is required' });
+    return;
+  }
+
+  if (value('amount').endsWith('13')) {
+    sendJson(res, 200, { verified: false, status: 'failed', message: 'Transaction was not successful' });
+    return;
+  }
+
+  sendJson(res, 200, {
+    verified: true,
+    status: 'success',
+    reference: value('reference'),
+    channel: 'card',
+  });
+}
+
+/**
+ * Magic link tokens and session tokens, each pointing at a donor email
+ */
+const donorLinkTokens = new Map();
+const donorSessions = new Map();
+
+/**
+ * Recurring donations keyed by donor email
+ */
+const donorSubscriptions = new Map();
+
+/**
+ * Get the donor email for a request's session token
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {string|undefined} Email, or undefined without a valid session
+ */
+function getDonorEmail(req) {
+  const [, token] = (req.headers.authorization || '').match(/^Bearer (.+)$/) || [];
+  return donorSessions.get(token);
+}
+
+/**
+ * Handle a mock magic link request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleSubscriptionMagicLink(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const email = value('email').toLowerCase();
+
+  if (!email) {
+    sendJson(res, 422, { error: 'Email address is required' });
+    return;
+  }
+
+  // Same shape as a real token, `<base64url payload>.<signature>`, but the signature is random
+  const payload = Buffer.from(JSON.stringify({ email, exp: Math.floor(Date.now() / 1000) + 15 * 60 })).toString('base64url');
+  const token = `${payload}.${randomUUID().replace(/-/g, '')}`;
+  donorLinkTokens.set(token, email);
+
+  const link = new URL(value('returnUrl') || 'http://localhost/');
+  link.searchParams.set('donor_token', token);
+  server.config.logger.info(`[mock-api] Magic link for ${email}: ${link.href}`);
+  sendJson(res, 202, { ok: true });
+}
+
+/**
+ * Handle a mock magic link token exchange
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleSubscriptionSession(req, res) {
+  const fields = await readFields(req);
+  const token = (fields.get('token') || [''])[0];
+  const email = donorLinkTokens.get(token);
+
+  if (!email) {
+    sendJson(res, 410, { error: 'Invalid or already used link' });
+    return;
+  }
+
+  donorLinkTokens.delete(token);
+  if (!donorSubscriptions.has(email)) {
+    const createdAt = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    donorSubscriptions.set(email, [{
+      id: `sub_mock_${randomUUID().slice(0, 8)}`,
+      provider: 'stripe',
+      amount: 25,
+      currency: 'USD',
+      frequency: 'monthly',
+      status: 'active',
+      nextChargeDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: createdAt.toISOString(),
+    }]);
+  }
+
+  const sessionToken = randomUUID();
+  donorSessions.set(sessionToken, email);
+  sendJson(res, 200, { sessionToken, email });
+}
+
+/**
+ * Handle a mock recurring donation listing
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+function handleListSubscriptions(req, res) {
+  const email = getDonorEmail(req);
+
+  if (!email) {
+    sendJson(res, 401, { error: 'Session required' });
+    return;
+  }
+
+  sendJson(res, 200, { subscriptions: donorSubscriptions.get(email) || [] });
+}
+
+/**
+ * Handle a mock donation history request: one charge per month since each
+ * recurring donation started, within the requested year
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+function handleDonationHistory(req, res) {
+  const email = getDonorEmail(req);
+
+  if (!email) {
+    sendJson(res, 401, { error: 'Session required' });
+    return;
+  }
+
+  const year = Number(new URL(req.url, 'http://localhost').searchParams.get('year'));
+  const donations = (donorSubscriptions.get(email) || []).flatMap((subscription) => {
+    const charges = [];
+    for (let date = new Date(subscription.createdAt); date <= new Date(); date.setUTCMonth(date.getUTCMonth() + 1)) {
+      if (date.getUTCFullYear() === year) {
+        charges.push({
+          transactionId: `${subscription.id}_${date.toISOString().slice(0, 7)}`,
+          amount: subscription.amount,
+          currency: subscription.currency,
+          date: date.toISOString(),
+        });
+      }
+    }
+    return charges;
+  });
+
+  sendJson(res, 200, { donorName: null, donorEmail: email, country: null, donations });
+}
+
+/**
+ * Recurring donation statuses after each action
+ */
+const SUBSCRIPTION_ACTION_STATUS = Object.freeze({
+  pause: 'paused',
+  resume: 'active',
+  cancel: 'cancelled',
+});
+
+/**
+ * Handle a mock recurring donation change
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ * @param {string[]} params - Path parameters: [id, action]; no action for PATCH
+ */
+async function handleUpdateSubscription(req, res, server, [id, action]) {
+  const email = getDonorEmail(req);
+
+  if (!email) {
+    sendJson(res, 401, { error: 'Session required' });
+    return;
+  }
+
+  const subscription = (donorSubscriptions.get(email) || []).find((item) => item.id === decodeURIComponent(id));
+  if (!subscription) {
+    sendJson(res, 404, { error: 'Subscription not found' });
+    return;
+  }
+
+  if (action) {
+    subscription.status = SUBSCRIPTION_ACTION_STATUS[action];
+  } else {
+    const fields = await readFields(req);
+    const value = (key) => (fields.get(key) || [''])[0].trim();
+    if (value('amount')) {
+      subscription.amount = Number(value('amount'));
+    }
+    if (value('frequency')) {
+      subscription.frequency = value('frequency');
+    }
+  }
+
+  server.config.logger.info(`[mock-api] Subscription ${subscription.id} ${action || 'updated'} for ${email}`);
+  sendJson(res, 200, { subscription });
+}
+
+/**
+ * Receipt numbers keyed by "type:year:reference", and the last number issued per year
+ */
+const receiptNumbers = new Map();
+const receiptSequences = new Map();
+
+/**
+ * Handle a mock receipt number request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleReceiptNumber(req, res) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+
+  if (!value('type') || !value('reference') || !/^\d{4}$/.test(value('year'))) {
+    sendJson(res, 422, { error: 'A type, reference and year are required' });
+    return;
+  }
+
+  const key = `${value('type')}:${value('year')}:${value('reference')}`;
+  if (!receiptNumbers.has(key)) {
+    const sequence = (receiptSequences.get(value('year')) || 0) + 1;
+    receiptSequences.set(value('year'), sequence);
+    receiptNumbers.set(key, `${RECEIPT_CONFIG.receiptPrefix}-${value('year')}-${String(sequence).padStart(6, '0')}`);
+  }
+
+  sendJson(res, 200, { receiptNumber: receiptNumbers.get(key) });
+}
+
+/**
+ * Shift sign-ups keyed by shift ID, each with the emails of confirmed and waitlisted volunteers
+ */
+const shiftSignups = new Map();
+
+/**
+ * Volunteers who have signed up for shifts, keyed by feed token
+ */
+const shiftVolunteers = new Map();
+
+/**
+ * Get the sign-ups for a shift
+ * @param {string} shiftId - Shift ID
+ * @returns {{confirmed: string[], waitlisted: string[]}} Emails in sign-up order
+ */
+function getShiftSignups(shiftId) {
+  if (!shiftSignups.has(shiftId)) {
+    shiftSignups.set(shiftId, { confirmed: [], waitlisted: [] });
+  }
+  return shiftSignups.get(shiftId);
+}
+
+/**
+ * Describe places taken on a shift and, optionally, one volunteer's sign-up
+ * @param {string} shiftId - Shift ID
+ * @param {string} [email] - Volunteer's email
+ * @returns {{confirmed: number, waitlisted: number, signup: Object|null}} Availability
+ */
+function describeShift(shiftId, email) {
+  const { confirmed, waitlisted } = getShiftSignups(shiftId);
+  let signup = null;
+
+  if (email && confirmed.includes(email)) {
+    signup = { status: 'confirmed', position: 0 };
+  } else if (email && waitlisted.includes(email)) {
+    signup = { status: 'waitlisted', position: waitlisted.indexOf(email) + 1 };
+  }
+
+  return { confirmed: confirmed.length, waitlisted: waitlisted.length, signup };
+}
+
+/**
+ * Handle a mock shift availability request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleShiftAvailability(req, res) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const email = shiftVolunteers.get(value('feedToken'))?.email;
+  const shifts = Object.fromEntries(getUpcomingShifts(value('roleId')).map(({ id }) => [id, describeShift(id, email)]));
+
+  sendJson(res, 200, { shifts });
+}
+
+/**
+ * Handle a mock shift sign-up
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleShiftSignup(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const errors = {};
+
+  if (!value('name')) {
+    errors.name = 'Please enter your name';
+  }
+  if (!value('email')) {
+    errors.email = 'Email address is required';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const shift = findUpcomingShift(value('shiftId'));
+  if (!shift) {
+    sendJson(res, 404, { error: 'Shift not found' });
+    return;
+  }
+
+  const email = value('email').toLowerCase();
+  const signups = getShiftSignups(shift.id);
+
+  if (!signups.confirmed.includes(email) && !signups.waitlisted.includes(email)) {
+    if (signups.confirmed.length < shift.capacity) {
+      signups.confirmed.push(email);
+    } else if (signups.waitlisted.length < SHIFT_SCHEDULE.waitlistLimit) {
+      signups.waitlisted.push(email);
+    } else {
+      sendJson(res, 409, { error: 'Shift and waitlist are full' });
+      return;
+    }
+  }
+
+  // A real backend would email the feed link rather than hand it to anyone who knows the address
+  let feedToken = [...shiftVolunteers].find(([, volunteer]) => volunteer.email === email)?.[0];
+  if (!feedToken) {
+    feedToken = randomUUID().replace(/-/g, '');
+  }
+  shiftVolunteers.set(feedToken, { name: value('name'), email });
+
+  const { signup, ...places } = describeShift(shift.id, email);
+  server.config.logger.info(`[mock-api] ${email} ${signup.status} for shift ${shift.id}`);
+  sendJson(res, 201, { signup, shift: places, feedToken });
+}
+
+/**
+ * Handle a mock shift cancellation
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ */
+async function handleShiftCancellation(req, res, server) {
+  const fields = await readFields(req);
+  const value = (key) => (fields.get(key) || [''])[0].trim();
+  const email = shiftVolunteers.get(value('feedToken'))?.email;
+  const signups = shiftSignups.get(value('shiftId'));
+  const list = signups && [signups.confirmed, signups.waitlisted].find((emails) => emails.includes(email));
+
+  if (!list) {
+    sendJson(res, 404, { error: 'Sign-up not found' });
+    return;
+  }
+
+  list.splice(list.indexOf(email), 1);
+  if (list === signups.confirmed && signups.waitlisted.length > 0) {
+    const promoted = signups.waitlisted.shift();
+    signups.confirmed.push(promoted);
+    server.config.logger.info(`[mock-api] ${promoted} moved off the waitlist for shift ${value('shiftId')}`);
+  }
+
+  const { confirmed, waitlisted } = describeShift(value('shiftId'));
+  sendJson(res, 200, { shift: { confirmed, waitlisted } });
+}
+
+/**
+ * Handle a mock volunteer calendar feed request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {import('vite').ViteDevServer} server - Dev server
+ * @param {string[]} params - Path parameters: [token]
+ */
+function handleShiftFeed(req, res, server, [token]) {
+  const volunteer = shiftVolunteers.get(decodeURIComponent(token));
+
+  if (!volunteer) {
+    sendJson(res, 404, { error: 'Feed not found' });
+    return;
+  }
+
+  const events = [...shiftSignups].flatMap(([shiftId, { confirmed, waitlisted }]) => {
+    const shift = (confirmed.includes(volunteer.email) || waitlisted.includes(volunteer.email)) && findUpcomingShift(shiftId);
+    return shift ? [toCalendarEvent(shift, { waitlisted: waitlisted.includes(volunteer.email) })] : [];
+  });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.end(createCalendar({ name: 'Makoko volunteer shifts', events, refreshHours: 1 }));
+}
+
+/**
+ * Mock API routes keyed by "METHOD path"
+ */
+const ROUTES = {
+  'POST /api/volunteer-applications': handleVolunteerApplication,
+  'POST /api/volunteer-applications/status': handleVolunteerApplicationStatus,
+  'POST /api/newsletter': handleNewsletterSignup,
+  'POST /api/newsletter/confirm': createNewsletterTokenHandler('confirm', 'subscribed'),
+  'POST /api/newsletter/unsubscribe': createNewsletterTokenHandler('unsubscribe', 'unsubscribed'),
+  'POST /api/data-requests': handleDataRequest,
+  'POST /api/payments/fundraisers': handleCreateFundraiser,
+  'POST /api/payments/stripe/payment-intents': handleStripePaymentIntent,
+  'POST /api/payments/paystack/verify': handleVerifyTransaction,
+  'POST /api/payments/flutterwave/verify': handleVerifyTransaction,
+  'POST /api/payments/subscriptions/magic-link': handleSubscriptionMagicLink,
+  'POST /api/payments/subscriptions/session': handleSubscriptionSession,
+  'GET /api/payments/subscriptions': handleListSubscriptions,
+  'GET /api/payments/subscriptions/donations': handleDonationHistory,
+  'POST /api/payments/receipts/number': handleReceiptNumber,
+  'POST /api/volunteer-shifts/availability': handleShiftAvailability,
+  'POST /api/volunteer-shifts/signups': handleShiftSignup,
+  'POST /api/volunteer-shifts/cancellations': handleShiftCancellation,
+};
+
+/**
+ * Mock API routes with path parameters; captured groups are passed to the handler
+ */
+const PATTERN_ROUTES = Object.freeze([
+  { method: 'GET', pattern: /^\/api\/payments\/fundraisers\/([^/]+)$/, handler: handleGetFundraiser },
+  { method: 'PATCH', pattern: /^\/api\/payments\/subscriptions\/([^/]+)$/, handler: handleUpdateSubscription },
+  { method: 'POST', pattern: /^\/api\/payments\/subscriptions\/([^/]+)\/(pause|resume|cancel)$/, handler: handleUpdateSubscription },
+  { method: 'GET', pattern: /^\/api\/volunteer-shifts\/feeds\/([^/]+)\.ics$/, handler: handleShiftFeed },
+]);
+
+/**
+ * Find the handler for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ * @returns {Function|undefined} Handler taking (req, res, server)
+ */
+function findHandler(method, path) {
+  const handler = ROUTES[`${method} ${path}`];
+  if (handler) {
+    return handler;
+  }
+
+  for (const route of PATTERN_ROUTES) {
+    const match = route.method === method && path.match(route.pattern);
+    if (match) {
+      return (req, res, server) => route.handler(req, res, server, match.slice(1));
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Create the mock API plugin
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export function mockApiPlugin() {
+  return {
+    name: 'mck-mock-api',
+    apply: 'serve',
+
+    configureServer(server) {
+      if (server.config.env.VITE_MOCK_API !== 'true') {
+        return;
+      }
+
+      server.middlewares.use(async (req, res, next) => {
+        const [path] = req.url.split('?');
+        const handler = findHandler(req.method, path);
+
+        if (!handler) {
+          next();
+          return;
+        }
+
+        try {
+          await handler(req, res, server);
+        } catch (error) {
+          server.config.logger.error(`[mock-api] ${req.method} ${path} failed: ${error.message}`);
+          sendJson(res, 500, { error: 'Mock API error' });
+        }
+      });
+
+      server.config.logger.info('[mock-api] Mock endpoints enabled');
+    },
+  };
+}
+
+export default mockApiPlugin;
@@ -0,0 +1,234 @@
+/**
+ * Prerender Vite Plugin
+ *
+ * Renders the landing page sections into index.html at build time so crawlers
+ * and slow devices get real content before any JavaScript runs:
+ * - Loads src/prerender.js through a Vite SSR loader and runs the component
+ *   render functions in a happy-dom window holding the built index.html
+ * - Writes the rendered #app and footer markup into the page, marked with
+ *   `data-prerendered="<locale>"` so the client hydrates it (see
+ *   src/utils/hydration.js) instead of rendering again
+ * - Copies styles the components add to <head> and adds the JSON-LD returned
+ *   by the entry (organization and program schemas)
+ *
+ * Only runs for `vite build`; the dev server keeps rendering client-side.
+ *
+ * @module plugins/prerender
+ */
+
+import { Window } from 'happy-dom';
+import { createServer } from 'vite';
+
+/**
+ * Module run in the emulated page
+ */
+const PRERENDER_ENTRY = '/src/prerender.js';
+
+/**
+ * Containers whose rendered markup is copied into index.html
+ */
+const PRERENDER_TARGETS = Object.freeze([
+  { selector: '#app', pattern: /<div id="app"><\/div>/ },
+  { selector: '[data-footer]', pattern: /<div data-footer><\/div>/ },
+]);
+
+/**
+ * Window properties installed even though Node already has a global of the
+ * same name: components must see the page's navigator and construct events
+ * happy-dom will dispatch
+ */
+const DOM_OVERRIDES = new Set([
+  'window',
+  'self',
+  'navigator',
+  'Event',
+  'EventTarget',
+  'CustomEvent',
+]);
+
+/**
+ * Expose a happy-dom window as the global browser environment
+ * Only DOM globals are added: anything Node already defines (Array, Promise,
+ * Uint8Array, fetch, URL...) is left alone apart from DOM_OVERRIDES, since
+ * swapping the JS built-ins for the window's copies breaks the rest of the
+ * build (esbuild's service among others).
+ *
+ * @param {Window} window - happy-dom window
+ * @returns {Function} Restores the previous globals and clears pending timers
+ */
+function installGlobals(window) {
+  const previous = new Map();
+  const timers = new Set();
+
+  const define = (key, value) => {
+    if (!previous.has(key)) {
+      previous.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+    }
+    Object.defineProperty(globalThis, key, {
+      value,
+      configurable: true,
+      writable: true,
+    });
+  };
+
+  const restore = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    previous.forEach((descriptor, key) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, key, descriptor);
+      } else {
+        delete globalThis[key];
+      }
+    });
+  };
+
+  try {
+    Object.getOwnPropertyNames(window)
+      .filter((key) => !(key in globalThis) || DOM_OVERRIDES.has(key))
+      .forEach((key) => define(key, window[key]));
+
+    define('window', window);
+    define('self', window);
+
+    // Track timers so carousels and other intervals don't keep the build alive
+    const { setTimeout: nodeSetTimeout, setInterval: nodeSetInterval } = globalThis;
+    define('setTimeout', (...args) => {
+      const timer = nodeSetTimeout(...args);
+      timers.add(timer);
+      return timer;
+    });
+    define('setInterval', (...args) => {
+      const timer = nodeSetInterval(...args);
+      timers.add(timer);
+      return timer;
+    });
+  } catch (error) {
+    restore();
+    throw error;
+  }
+
+  return restore;
+}
+
+/**
+ * Escape JSON for embedding in a <script> element
+ * @param {Object} data - Structured data
+ * @returns {string} JSON safe inside <script>
+ */
+function serializeJsonLd(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render the page in an emulated browser
+ * @param {string} html - Built index.html
+ * @param {Object} options - Render options
+ * @param {import('vite').ResolvedConfig} options.config - Resolved build config
+ * @param {string} options.url - Page URL the components see
+ * @returns {Promise<{targets: Object, headElements: string[], structuredData: Object, locale: string}>}
+ */
+async function renderPage(html, { config, url }) {
+  const server = await createServer({
+    configFile: false,
+    root: config.root,
+    mode: config.mode,
+    envDir: config.envDir,
+    resolve: { alias: config.resolve.alias },
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, watch: null },
+  });
+
+  const window = new Window({
+    url,
+    settings: {
+      disableJavaScriptFileLoading: true,
+      disableJavaScriptEvaluation: true,
+      disableCSSFileLoading: true,
+      navigation: { disableMainFrameNavigation: true },
+    },
+  });
+  window.document.write(html);
+
+  const { head } = window.document;
+  const initialHeadElements = new Set(head.children);
+  let restoreGlobals = null;
+
+  try {
+    restoreGlobals = installGlobals(window);
+    const { prerender } = await server.ssrLoadModule(PRERENDER_ENTRY);
+    const { structuredData = {}, locale } = await prerender();
+
+    const targets = {};
+    PRERENDER_TARGETS.forEach(({ selector }) => {
+      const element = window.document.querySelector(selector);
+      targets[selector] = element ? element.innerHTML.trim() : '';
+    });
+
+    // Styles the components injected, e.g. the hero animation keyframes
+    const headElements = [...head.children]
+      .filter((element) => !initialHeadElements.has(element) && element.tagName === 'STYLE')
+      .map((element) => element.outerHTML);
+
+    return { targets, headElements, structuredData, locale };
+  } finally {
+    if (restoreGlobals) {
+      restoreGlobals();
+    }
+    await window.happyDOM.abort();
+    window.close();
+    await server.close();
+  }
+}
+
+/**
+ * Create the prerender plugin
+ * @param {Object} [options] - Plugin options
+ * @param {string} [options.url='https://makokokids.org/'] - Page URL during rendering
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export function prerenderPlugin(options = {}) {
+  const { url = 'https://makokokids.org/' } = options;
+  let config = null;
+
+  return {
+    name: 'mck-prerender',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    transformIndexHtml: {
+      order: 'post',
+      async handler(html) {
+        const { targets, headElements, structuredData, locale } = await renderPage(html, { config, url });
+        let output = html;
+
+        PRERENDER_TARGETS.forEach(({ selector, pattern }) => {
+          const markup = targets[selector];
+          if (!markup) {
+            config.logger.warn(`[prerender] Nothing rendered into ${selector}`);
+            return;
+          }
+
+          output = output.replace(pattern, (tag) => (
+            `${tag.slice(0, -'></div>'.length)} data-prerendered="${locale}">${markup}</div>`
+          ));
+        });
+
+        // Same IDs as injectStructuredData in utils/seo.js, so the client updates them in place
+        const jsonLd = Object.entries(structuredData).map(([key, data]) => (
+          `<script type="application/ld+json" id="structured-data-${key}">${serializeJsonLd(data)}</script>`
+        ));
+
+        output = output.replace('</head>', `${[...headElements, ...jsonLd].join('\n')}\n</head>`);
+
+        config.logger.info(`[prerender] Rendered ${PRERENDER_TARGETS.length} containers (${locale})`);
+        return output;
+      },
+    },
+  };
+}
+
+export default prerenderPlugin;
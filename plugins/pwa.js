@@ -0,0 +1,278 @@
+/**
+ * PWA Vite Plugin
+ *
+ * Build-time half of the offline mode implemented by public/sw.js:
+ * - Emits the web app manifest (manifest.webmanifest) from seoContent.js
+ * - Emits an offline fallback page (offline.html) rendered from contactContent.js
+ *   so visitors can still reach the team without a connection
+ * - Injects the precache manifest into the copied sw.js: every emitted chunk and
+ *   asset (the app shell, which bundles the src/data/* content modules), the
+ *   manifest, offline page and icons, plus the critical hero images
+ *
+ * During `vite serve` the manifest and offline page are served from memory and
+ * sw.js runs with an empty precache, so VITE_ENABLE_SW=true can be used to try
+ * runtime caching and the offline page locally.
+ *
+ * @module plugins/pwa
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+import { contactInfo, contentSections } from '../src/data/contactContent.js';
+import { heroContent } from '../src/data/heroContent.js';
+import { DEFAULT_SEO, HOME_SEO } from '../src/data/seoContent.js';
+import { ROUTE_NAMES, getRouteByName } from '../src/data/routes.js';
+import { escapeHtml } from '../src/utils/html.js';
+
+/**
+ * Placeholder in public/sw.js replaced with the precache manifest
+ */
+const PRECACHE_PLACEHOLDER = 'self.__MCK_PRECACHE__';
+
+/**
+ * Generated file names
+ */
+const MANIFEST_FILE = 'manifest.webmanifest';
+const OFFLINE_FILE = 'offline.html';
+const SERVICE_WORKER_FILE = 'sw.js';
+
+/**
+ * Static files from public/ that belong in the precache
+ */
+const PUBLIC_PRECACHE = Object.freeze([
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png',
+]);
+
+/**
+ * Largest hero srcset width precached by default; wider variants are cached on first view
+ */
+const HERO_PRECACHE_MAX_WIDTH = 1280;
+
+/**
+ * Brand colours shared by the manifest and offline page
+ */
+const THEME = Object.freeze({
+  primary: '#0284c7',
+  primaryDark: '#0c4a6e',
+  background: '#ffffff',
+});
+
+/**
+ * Build the web app manifest
+ * @returns {Object} Manifest JSON
+ */
+export function createWebManifest() {
+  return {
+    name: DEFAULT_SEO.siteName,
+    short_name: 'Makoko Kids',
+    description: HOME_SEO.description,
+    id: '/',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    orientation: 'portrait-primary',
+    lang: 'en',
+    dir: 'ltr',
+    background_color: THEME.background,
+    theme_color: THEME.primary,
+    categories: ['education', 'kids', 'social'],
+    icons: [
+      { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png', purpose: 'any' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'any' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+    ],
+    shortcuts: [
+      { name: 'Donate', url: getRouteByName(ROUTE_NAMES.DONATE).path },
+      { name: 'Volunteer', url: getRouteByName(ROUTE_NAMES.VOLUNTEER).path },
+      { name: 'Contact us', url: getRouteByName(ROUTE_NAMES.CONTACT).path },
+    ],
+  };
+}
+
+/**
+ * Render the offline fallback page
+ * Self-contained (inline styles, no scripts) so it renders from the cache alone.
+ *
+ * @returns {string} HTML document
+ */
+export function renderOfflinePage() {
+  const { organization, address, phone, email, hours } = contactInfo;
+  const emails = [
+    ['General enquiries', email.general],
+    ['Donations', email.donations],
+    ['Volunteering', email.volunteer],
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en" dir="ltr">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="robots" content="noindex" />
+    <meta name="theme-color" content="${THEME.primary}" />
+    <title>You're offline | ${escapeHtml(organization.name)}</title>
+    <link rel="manifest" href="/${MANIFEST_FILE}" />
+    <link rel="icon" type="image/png" href="/icons/icon-192.png" />
+    <style>
+      *, *::before, *::after { box-sizing: border-box; }
+      body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1f2937; background: #f0f9ff; line-height: 1.5; }
+      main { max-width: 40rem; margin: 0 auto; padding: 3rem 1.5rem; }
+      header img { width: 4rem; height: 4rem; border-radius: 1rem; }
+      h1 { font-size: 1.875rem; margin: 1.5rem 0 0.5rem; color: ${THEME.primaryDark}; }
+      h2 { font-size: 1.125rem; margin: 0 0 1rem; color: ${THEME.primaryDark}; }
+      p { margin: 0 0 1rem; }
+      a { color: ${THEME.primary}; font-weight: 600; }
+      .card { background: #fff; border-radius: 1rem; padding: 1.5rem; margin: 1.5rem 0; box-shadow: 0 1px 3px rgb(0 0 0 / 0.1); }
+      dl { margin: 0; display: grid; grid-template-columns: max-content 1fr; gap: 0.5rem 1rem; }
+      dt { color: #6b7280; }
+      dd { margin: 0; }
+      .button { display: inline-block; background: ${THEME.primary}; color: #fff; text-decoration: none; padding: 0.75rem 1.5rem; border-radius: 0.5rem; }
+      .note { font-size: 0.875rem; color: #4b5563; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <header>
+        <img src="/icons/icon-192.png" alt="" />
+        <h1>You're offline</h1>
+        <p>This page isn't available without a connection. ${escapeHtml(organization.name)} is still here &mdash; you can reach us using the details below.</p>
+        <a class="button" href="/">Try again</a>
+      </header>
+
+      <section class="card" aria-labelledby="offline-contact-heading">
+        <h2 id="offline-contact-heading">Contact us</h2>
+        <dl>
+          <dt>Phone</dt>
+          <dd><a href="tel:${escapeHtml(phone.international)}">${escapeHtml(phone.formatted)}</a></dd>
+          ${emails.map(([label, value]) => `<dt>${escapeHtml(label)}</dt>
+          <dd><a href="mailto:${escapeHtml(value)}">${escapeHtml(value)}</a></dd>`).join('\n          ')}
+          <dt>Address</dt>
+          <dd>${escapeHtml(address.formatted)}</dd>
+        </dl>
+      </section>
+
+      <section class="card" aria-labelledby="offline-hours-heading">
+        <h2 id="offline-hours-heading">Office hours</h2>
+        <p>${escapeHtml(hours.weekdays.formatted)}<br />${escapeHtml(hours.saturday.formatted)}<br />${escapeHtml(hours.sunday.formatted)}</p>
+        <p class="note">${escapeHtml(contentSections.emergency.message)} <a href="tel:${escapeHtml(phone.international)}">${escapeHtml(contentSections.emergency.phone)}</a>.</p>
+      </section>
+
+      <p class="note">Forms you submitted while offline are saved on this device and will be sent automatically when you reconnect.</p>
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Default critical hero images: the srcset variants up to HERO_PRECACHE_MAX_WIDTH,
+ * which cover phones, tablets and most laptops
+ * @returns {string[]} Image URLs
+ */
+function getHeroImageUrls() {
+  return heroContent.backgroundImage.srcset
+    .filter((source) => source.width <= HERO_PRECACHE_MAX_WIDTH)
+    .map((source) => source.url);
+}
+
+/**
+ * Create the PWA plugin
+ * @param {Object} [options] - Plugin options
+ * @param {string[]} [options.criticalImages] - Cross-origin images to precache
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export function pwaPlugin(options = {}) {
+  const { criticalImages = getHeroImageUrls() } = options;
+  let config = null;
+  let precache = null;
+
+  return {
+    name: 'mck-pwa',
+    // Run after the HTML and CSS plugins so every output file is in the bundle
+    enforce: 'post',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const [path] = req.url.split('?');
+
+        if (path === `/${MANIFEST_FILE}`) {
+          res.setHeader('Content-Type', 'application/manifest+json');
+          res.end(JSON.stringify(createWebManifest(), null, 2));
+          return;
+        }
+
+        if (path === `/${OFFLINE_FILE}`) {
+          res.setHeader('Content-Type', 'text/html; charset=utf-8');
+          res.end(renderOfflinePage());
+          return;
+        }
+
+        next();
+      });
+    },
+
+    generateBundle(_outputOptions, bundle) {
+      this.emitFile({
+        type: 'asset',
+        fileName: MANIFEST_FILE,
+        source: JSON.stringify(createWebManifest(), null, 2),
+      });
+      this.emitFile({
+        type: 'asset',
+        fileName: OFFLINE_FILE,
+        source: renderOfflinePage(),
+      });
+
+      const hash = createHash('sha256');
+      const urls = [];
+
+      Object.values(bundle)
+        .filter((file) => !file.fileName.endsWith('.map'))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+        .forEach((file) => {
+          hash.update(file.fileName);
+          hash.update(file.type === 'chunk' ? file.code : file.source);
+          urls.push(file.fileName === 'index.html' ? config.base : `${config.base}${file.fileName}`);
+        });
+
+      PUBLIC_PRECACHE.forEach((url) => hash.update(url));
+      criticalImages.forEach((url) => hash.update(url));
+
+      precache = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: [...urls, ...PUBLIC_PRECACHE],
+        images: criticalImages,
+      };
+    },
+
+    async writeBundle(outputOptions) {
+      const swPath = resolve(outputOptions.dir || config.build.outDir, SERVICE_WORKER_FILE);
+      let source;
+
+      try {
+        source = await readFile(swPath, 'utf8');
+      } catch {
+        this.warn(`${SERVICE_WORKER_FILE} not found in the build output; offline mode is disabled`);
+        return;
+      }
+
+      if (!source.includes(PRECACHE_PLACEHOLDER)) {
+        this.warn(`${SERVICE_WORKER_FILE} has no ${PRECACHE_PLACEHOLDER} placeholder; precache not injected`);
+        return;
+      }
+
+      await writeFile(swPath, source.replace(PRECACHE_PLACEHOLDER, JSON.stringify(precache)));
+      config.logger.info(`[pwa] Precached ${precache.urls.length} files and ${precache.images.length} images (version ${precache.version})`);
+    },
+  };
+}
+
+export default pwaPlugin;
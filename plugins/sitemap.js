@@ -0,0 +1,204 @@
+/**
+ * Sitemap Vite Plugin
+ *
+ * Generates sitemap.xml and robots.txt during `vite build` from the SEO modules:
+ * - Pages come from SITEMAP_PAGES in seoContent.js plus the program and
+ *   volunteer role pages listed by utils/sitemap.js
+ * - Each page's lastmod is the newest `lastUpdated` date of the content it
+ *   shows; pages without dated content are listed without lastmod
+ * - robots.txt is generated from ROBOTS_CONFIG
+ *
+ * The build fails if a `lastUpdated` date is malformed, a page is listed twice
+ * or either file fails validation. During `vite serve` both files are served
+ * from memory.
+ *
+ * @module plugins/sitemap
+ */
+
+import { ABOUT_CONTENT } from '../src/data/aboutContent.js';
+import { contactInfo } from '../src/data/contactContent.js';
+import { heroContent } from '../src/data/heroContent.js';
+import { IMPACT_STATISTICS } from '../src/data/impactContent.js';
+import { allPrograms } from '../src/data/programsContent.js';
+import { DEFAULT_SEO, SITEMAP_PAGES, ROBOTS_CONFIG } from '../src/data/seoContent.js';
+import { VOLUNTEER_ROLES } from '../src/data/volunteerContent.js';
+import { generateRobotsTxt } from '../src/utils/seo.js';
+import { generateCustomSitemap, getContentPages, validateSitemapXml } from '../src/utils/sitemap.js';
+
+/**
+ * Generated file names
+ */
+const SITEMAP_FILE = 'sitemap.xml';
+const ROBOTS_FILE = 'robots.txt';
+
+/**
+ * Content shown on each SITEMAP_PAGES path, whose `lastUpdated` dates set lastmod
+ */
+const PAGE_CONTENT = Object.freeze({
+  '/': [heroContent, ABOUT_CONTENT, ...allPrograms, ...IMPACT_STATISTICS],
+  '/about': [ABOUT_CONTENT],
+  '/programs': allPrograms,
+  '/impact': IMPACT_STATISTICS,
+  '/volunteer': VOLUNTEER_ROLES,
+  '/contact': [contactInfo],
+});
+
+/**
+ * `lastUpdated` format (YYYY-MM-DD)
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a `lastUpdated` date
+ * @param {string} date - Date from content
+ * @param {string} path - Page the date belongs to, for the error message
+ * @returns {string} The date
+ * @throws {Error} If the date is not a real YYYY-MM-DD date
+ */
+function assertDate(date, path) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new Error(`Invalid lastUpdated "${date}" for ${path}; expected YYYY-MM-DD`);
+  }
+
+  return date;
+}
+
+/**
+ * Get the newest `lastUpdated` date of a page's content
+ * @param {Object[]} items - Content items
+ * @param {string} path - Page path
+ * @returns {string|undefined} Newest date, or undefined if no item is dated
+ */
+function getNewestDate(items, path) {
+  return items
+    .filter((item) => item.lastUpdated !== undefined)
+    .map((item) => assertDate(item.lastUpdated, path))
+    .sort()
+    .pop();
+}
+
+/**
+ * Build the sitemap URL entries
+ * @returns {Array<Object>} Entries for generateCustomSitemap
+ * @throws {Error} If a date is invalid or a page is listed twice
+ */
+export function getSitemapEntries() {
+  const pages = [
+    ...SITEMAP_PAGES.map((page) => ({
+      ...page,
+      lastmod: getNewestDate(PAGE_CONTENT[page.path] || [], page.path),
+    })),
+    ...getContentPages().map((page) => ({
+      ...page,
+      lastmod: page.lastmod === undefined ? undefined : assertDate(page.lastmod, page.path),
+    })),
+  ];
+
+  const seen = new Set();
+
+  return pages.map(({ path, lastmod, changefreq, priority }) => {
+    if (seen.has(path)) {
+      throw new Error(`Page ${path} is listed twice`);
+    }
+    seen.add(path);
+
+    return lastmod ? { loc: path, lastmod, changefreq, priority } : { loc: path, changefreq, priority };
+  });
+}
+
+/**
+ * Generate and validate sitemap.xml
+ * @returns {string} Sitemap XML
+ * @throws {Error} If the sitemap is invalid
+ */
+export function createSitemap() {
+  const entries = getSitemapEntries();
+  const xml = generateCustomSitemap(DEFAULT_SEO.siteUrl, entries, { prettyPrint: true });
+
+  if (!validateSitemapXml(xml)) {
+    throw new Error(`Generated ${SITEMAP_FILE} failed validation`);
+  }
+
+  const urlCount = (xml.match(/<url>/g) || []).length;
+  if (urlCount !== entries.length) {
+    throw new Error(`Generated ${SITEMAP_FILE} has ${urlCount} URLs, expected ${entries.length}`);
+  }
+
+  return `${xml}\n`;
+}
+
+/**
+ * Generate and validate robots.txt
+ * @returns {string} robots.txt content
+ * @throws {Error} If the file is invalid
+ */
+export function createRobotsTxt() {
+  const robots = generateRobotsTxt(ROBOTS_CONFIG);
+  const sitemapLine = robots.split('\n').find((line) => line.startsWith('Sitemap: '));
+
+  if (!robots.startsWith('User-agent: ')) {
+    throw new Error(`Generated ${ROBOTS_FILE} must start with a User-agent group`);
+  }
+
+  if (!sitemapLine || !sitemapLine.endsWith(`/${SITEMAP_FILE}`) || !URL.canParse(sitemapLine.slice('Sitemap: '.length))) {
+    throw new Error(`Generated ${ROBOTS_FILE} must point to an absolute ${SITEMAP_FILE} URL`);
+  }
+
+  return `${robots}\n`;
+}
+
+/**
+ * Create the sitemap plugin
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export function sitemapPlugin() {
+  let config = null;
+
+  return {
+    name: 'mck-sitemap',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const [path] = req.url.split('?');
+
+        if (path === `/${SITEMAP_FILE}`) {
+          res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+          res.end(createSitemap());
+          return;
+        }
+
+        if (path === `/${ROBOTS_FILE}`) {
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          res.end(createRobotsTxt());
+          return;
+        }
+
+        next();
+      });
+    },
+
+    generateBundle() {
+      let sitemap;
+      let robots;
+
+      try {
+        sitemap = createSitemap();
+        robots = createRobotsTxt();
+      } catch (error) {
+        this.error(`[sitemap] ${error.message}`);
+      }
+
+      this.emitFile({ type: 'asset', fileName: SITEMAP_FILE, source: sitemap });
+      this.emitFile({ type: 'asset', fileName: ROBOTS_FILE, source: robots });
+
+      const urlCount = (sitemap.match(/<url>/g) || []).length;
+      config.logger.info(`[sitemap] Generated ${SITEMAP_FILE} with ${urlCount} URLs and ${ROBOTS_FILE}`);
+    },
+  };
+}
+
+export default sitemapPlugin;
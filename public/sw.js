@@ -0,0 +1,365 @@
+/**
+ * Service Worker
+ *
+ * - Precaches the app shell, content and critical hero images so the landing
+ *   page works offline. The precache list is injected at build time by
+ *   plugins/pwa.js; during development it is empty.
+ * - Caches Unsplash images (see generateUnsplashUrl) at runtime, cache-first.
+ * - Answers navigations to router paths (e.g. /programs/edu-001) with the
+ *   cached app shell, and serves offline.html when even that is missing.
+ * - Delivers queued form submissions through Background Sync so they are sent
+ *   once connectivity returns, even if the visitor has closed the tab.
+ *
+ * The outbox layout and retry rules mirror src/utils/submissionQueue.js;
+ * keep the two in step.
+ */
+
+const PRECACHE = self.__MCK_PRECACHE__ || { version: 'dev', urls: [], images: [] };
+
+const CACHE_CONFIG = {
+  prefix: 'mck-',
+  precacheName: `mck-precache-${PRECACHE.version}`,
+  imageCacheName: 'mck-images-v1',
+  imageOrigin: 'https://images.unsplash.com',
+  maxImageEntries: 80,
+  offlineUrl: '/offline.html',
+  appShellUrl: '/',
+};
+
+const PRECACHED_PATHS = new Set([...PRECACHE.urls, CACHE_CONFIG.offlineUrl]);
+
+const IMAGE_PLACEHOLDER = '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">'
+  + '<rect width="400" height="300" fill="#e0f2fe"/></svg>';
+
+const OUTBOX_CONFIG = {
+  dbName: 'mck-outbox',
+  dbVersion: 1,
+  storeName: 'submissions',
+  syncTag: 'mck-outbox-sync',
+  baseRetryDelay: 5000,
+  maxRetryDelay: 15 * 60 * 1000,
+  maxAttempts: 12,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+  claimDuration: 60000,
+  requestTimeout: 30000,
+};
+
+/**
+ * Fill the precache
+ * Files are added individually so one missing file doesn't stop the worker from
+ * installing; the outbox must keep working even if offline mode is incomplete.
+ *
+ * @returns {Promise<void>}
+ */
+async function precache() {
+  const cache = await caches.open(CACHE_CONFIG.precacheName);
+  const imageCache = await caches.open(CACHE_CONFIG.imageCacheName);
+
+  const results = await Promise.allSettled([
+    ...[...PRECACHED_PATHS].map((url) => cache.add(new Request(url, { cache: 'reload' }))),
+    ...PRECACHE.images.map(async (url) => {
+      const response = await fetch(url, { mode: 'no-cors' });
+      await imageCache.put(url, response);
+    }),
+  ]);
+
+  const failed = results.filter((result) => result.status === 'rejected');
+  if (failed.length > 0) {
+    console.warn(`[ServiceWorker] ${failed.length} files could not be precached`);
+  }
+}
+
+/**
+ * Delete precaches left behind by previous builds
+ * @returns {Promise<void>}
+ */
+async function deleteStaleCaches() {
+  const keep = [CACHE_CONFIG.precacheName, CACHE_CONFIG.imageCacheName];
+  const names = await caches.keys();
+
+  await Promise.all(names
+    .filter((name) => name.startsWith(CACHE_CONFIG.prefix) && !keep.includes(name))
+    .map((name) => caches.delete(name)));
+}
+
+/**
+ * Keep the image cache under its entry limit, dropping the oldest entries first
+ * @param {Cache} cache - Image cache
+ * @returns {Promise<void>}
+ */
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - CACHE_CONFIG.maxImageEntries;
+
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+  }
+}
+
+/**
+ * Network-first for page loads, falling back to the cached shell or offline page
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(event) {
+  const { request } = event;
+  const { pathname } = new URL(request.url);
+  const cache = await caches.open(CACHE_CONFIG.precacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && PRECACHED_PATHS.has(pathname)) {
+      event.waitUntil(cache.put(pathname, response.clone()));
+    }
+    return response;
+  } catch {
+    // Router paths are all served by index.html, cached as the app shell
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || await cache.match(CACHE_CONFIG.appShellUrl)
+      || await cache.match(CACHE_CONFIG.offlineUrl);
+
+    return cached || new Response('You are offline.', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+}
+
+/**
+ * Cache-first for Unsplash images; a placeholder is shown when offline and uncached
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function handleImage(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_CONFIG.imageCacheName);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      event.waitUntil(cache.put(request, response.clone()).then(() => trimImageCache(cache)));
+    }
+    return response;
+  } catch {
+    return new Response(IMAGE_PLACEHOLDER, {
+      headers: { 'Content-Type': 'image/svg+xml' },
+    });
+  }
+}
+
+/**
+ * Cache-first for precached same-origin files
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function handlePrecached(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_CONFIG.precacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    event.waitUntil(cache.put(new URL(request.url).pathname, response.clone()));
+  }
+  return response;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(deleteStaleCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (url.origin === CACHE_CONFIG.imageOrigin) {
+    event.respondWith(handleImage(event));
+  } else if (url.origin === self.location.origin && PRECACHED_PATHS.has(url.pathname)) {
+    event.respondWith(handlePrecached(event));
+  }
+});
+
+/**
+ * Open the outbox database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+        request.result.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a callback inside an outbox transaction
+ * @param {IDBDatabase} db - Database
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest|void} callback - Store operation
+ * @returns {Promise<*>} Request result
+ */
+function withStore(db, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_CONFIG.storeName, mode);
+    const request = callback(transaction.objectStore(OUTBOX_CONFIG.storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Claim a record so the page doesn't send it at the same time
+ * @param {IDBDatabase} db - Database
+ * @param {string} id - Record ID
+ * @returns {Promise<Object|null>} Claimed record, or null if owned elsewhere
+ */
+async function claimRecord(db, id) {
+  let claimed = null;
+
+  await withStore(db, 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const record = request.result;
+      const now = Date.now();
+
+      if (record && record.claimedUntil <= now) {
+        record.claimedUntil = now + OUTBOX_CONFIG.claimDuration;
+        store.put(record);
+        claimed = record;
+      }
+    };
+    return request;
+  });
+
+  return claimed;
+}
+
+/**
+ * Post an outbox event to every open page
+ * @param {string} event - Event name without the `outbox:` prefix
+ * @param {Object} detail - Event detail
+ */
+async function notifyClients(event, detail) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage({ type: 'outbox', event, detail }));
+}
+
+/**
+ * Attempt delivery of one record
+ * @param {IDBDatabase} db - Database
+ * @param {Object} record - Claimed record
+ * @returns {Promise<boolean>} True if the record should be retried later
+ */
+async function deliver(db, record) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), OUTBOX_CONFIG.requestTimeout);
+  let body = JSON.stringify(record.body);
+
+  if (record.bodyType === 'form') {
+    body = new FormData();
+    record.body.forEach(([key, value]) => body.append(key, value));
+  }
+
+  let status = 0;
+  let data = {};
+
+  try {
+    const response = await fetch(record.endpoint, {
+      method: 'POST',
+      headers: { Accept: 'application/json', ...record.headers },
+      body,
+      signal: controller.signal,
+    });
+    ({ status } = response);
+    data = await response.json().catch(() => ({}));
+  } catch (error) {
+    data = { error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (status >= 200 && status < 300) {
+    await withStore(db, 'readwrite', (store) => store.delete(record.id));
+    await notifyClients('sent', { id: record.id, kind: record.kind, data });
+    return false;
+  }
+
+  const now = Date.now();
+  const attempts = record.attempts + 1;
+  const retryable = status === 0 || status >= 500 || status === 408 || status === 429;
+  const expired = attempts >= OUTBOX_CONFIG.maxAttempts || now - record.createdAt > OUTBOX_CONFIG.maxAge;
+
+  if (!retryable || expired) {
+    await withStore(db, 'readwrite', (store) => store.delete(record.id));
+    await notifyClients('failed', { id: record.id, kind: record.kind, status, data });
+    return false;
+  }
+
+  const delay = Math.min(OUTBOX_CONFIG.baseRetryDelay * 2 ** attempts, OUTBOX_CONFIG.maxRetryDelay);
+  await withStore(db, 'readwrite', (store) => store.put({
+    ...record,
+    attempts,
+    nextAttemptAt: now + Math.round(delay * (0.5 + Math.random() * 0.5)),
+    claimedUntil: 0,
+    lastError: data.error || `HTTP ${status}`,
+  }));
+  return true;
+}
+
+/**
+ * Deliver every queued submission
+ * Rejects if any submission still needs a retry, so the browser reschedules the sync
+ * with its own backoff.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+  const db = await openOutbox();
+  const records = await withStore(db, 'readonly', (store) => store.getAll());
+  let retryNeeded = false;
+
+  for (const record of records) {
+    const claimed = await claimRecord(db, record.id);
+    if (claimed && (await deliver(db, claimed))) {
+      retryNeeded = true;
+    }
+  }
+
+  if (retryNeeded) {
+    throw new Error('Some queued submissions could not be delivered yet');
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_CONFIG.syncTag) {
+    event.waitUntil(flushOutbox());
+  }
+});
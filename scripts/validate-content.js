@@ -0,0 +1,92 @@
+/**
+ * Content Validation CLI
+ *
+ * Loads every module in src/data and checks each export against its schema in
+ * utils/contentSchemas.js. All errors are printed with their file and record
+ * path; the exit code is 1 if any were found, so it can gate CI.
+ *
+ * Usage: npm run validate-content
+ *
+ * @module scripts/validate-content
+ */
+
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { join, relative, sep } from 'node:path';
+import { validateContentModules } from '../src/utils/contentSchemas.js';
+
+/**
+ * Content directory
+ */
+const DATA_DIR = fileURLToPath(new URL('../src/data/', import.meta.url));
+
+/**
+ * List the JavaScript modules under a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function listModules(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map((entry) => {
+    const path = join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      return listModules(path);
+    }
+
+    return entry.name.endsWith('.js') ? [path] : [];
+  }));
+
+  return files.flat().sort();
+}
+
+/**
+ * Import every content module
+ * @returns {Promise<Object<string, Object>>} Module namespaces keyed by path relative to src/data
+ */
+async function loadModules() {
+  const files = await listModules(DATA_DIR);
+  const modules = {};
+
+  for (const file of files) {
+    modules[relative(DATA_DIR, file).split(sep).join('/')] = await import(pathToFileURL(file).href);
+  }
+
+  return modules;
+}
+
+/**
+ * Run the validation and print the report
+ */
+async function main() {
+  // Data modules log their own checks on load; keep the report readable
+  const { info } = console;
+  console.info = () => {};
+  const modules = await loadModules();
+  console.info = info;
+
+  const { valid, errors, checked } = validateContentModules(modules);
+  const fileCount = Object.keys(modules).length;
+
+  if (valid) {
+    console.log(`Content is valid: ${checked} exports in ${fileCount} files checked.`);
+    return;
+  }
+
+  const byFile = new Map();
+  errors.forEach((error) => {
+    byFile.set(error.file, [...(byFile.get(error.file) || []), error]);
+  });
+  byFile.forEach((fileErrors, file) => {
+    console.error(`\nsrc/data/${file}`);
+    fileErrors.forEach(({ path, message }) => console.error(`  ${path ? `${path}: ` : ''}${message}`));
+  });
+
+  console.error(`\n${errors.length} error${errors.length === 1 ? '' : 's'} in ${byFile.size} of ${fileCount} files.`);
+  process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('Content validation failed to run:', error);
+  process.exitCode = 1;
+});
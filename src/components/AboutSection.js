@@ -17,6 +17,9 @@
  */
 
 import { createOptimizedImage } from '../utils/imageOptimization.js';
+import { getHydratableElement } from '../utils/hydration.js';
+import { getLocale, t } from '../utils/i18n.js';
+import { getLocaleOverrides, mergeLocalizedContent } from '../data/locales/index.js';
 
 /**
  * About section content configuration
@@ -171,11 +174,22 @@ const ABOUT_IMAGES = {
   makoko: '1578632767196-37a6b1c7e2a3', // Waterfront community
 };
 
+/**
+ * Get the About content in the active locale
+ * Translations live in data/locales/<code>.js under `about`; anything they
+ * leave out stays in English.
+ * @returns {Object} About section content
+ */
+function getAboutContent() {
+  return mergeLocalizedContent(ABOUT_CONTENT, getLocaleOverrides(getLocale(), 'about'));
+}
+
 /**
  * Creates the mission and vision section
  * @returns {HTMLElement} Mission and vision container
  */
 function createMissionVisionSection() {
+  const content = getAboutContent();
   const section = document.createElement('div');
   section.className = 'grid md:grid-cols-2 gap-8 mb-16';
 
@@ -183,18 +197,18 @@ function createMissionVisionSection() {
   missionCard.className =
     'bg-gradient-to-br from-primary-50 to-primary-100 rounded-2xl p-8 border border-primary-200 shadow-soft hover:shadow-medium transition-all duration-300';
   missionCard.innerHTML = `
-    <div class="text-5xl mb-4">${ABOUT_CONTENT.mission.icon}</div>
-    <h3 class="text-2xl font-bold text-primary-900 mb-4">${ABOUT_CONTENT.mission.title}</h3>
-    <p class="text-lg text-gray-700 leading-relaxed">${ABOUT_CONTENT.mission.statement}</p>
+    <div class="text-5xl mb-4">${content.mission.icon}</div>
+    <h3 class="text-2xl font-bold text-primary-900 mb-4">${content.mission.title}</h3>
+    <p class="text-lg text-gray-700 leading-relaxed">${content.mission.statement}</p>
   `;
 
   const visionCard = document.createElement('div');
   visionCard.className =
     'bg-gradient-to-br from-secondary-50 to-secondary-100 rounded-2xl p-8 border border-secondary-200 shadow-soft hover:shadow-medium transition-all duration-300';
   visionCard.innerHTML = `
-    <div class="text-5xl mb-4">${ABOUT_CONTENT.vision.icon}</div>
-    <h3 class="text-2xl font-bold text-secondary-900 mb-4">${ABOUT_CONTENT.vision.title}</h3>
-    <p class="text-lg text-gray-700 leading-relaxed">${ABOUT_CONTENT.vision.statement}</p>
+    <div class="text-5xl mb-4">${content.vision.icon}</div>
+    <h3 class="text-2xl font-bold text-secondary-900 mb-4">${content.vision.title}</h3>
+    <p class="text-lg text-gray-700 leading-relaxed">${content.vision.statement}</p>
   `;
 
   section.appendChild(missionCard);
@@ -208,13 +222,14 @@ function createMissionVisionSection() {
  * @returns {HTMLElement} Story timeline container
  */
 function createStorySection() {
+  const content = getAboutContent();
   const section = document.createElement('div');
   section.className = 'mb-16';
 
   const header = document.createElement('div');
   header.className = 'text-center mb-12';
   header.innerHTML = `
-    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${ABOUT_CONTENT.story.title}</h3>
+    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${content.story.title}</h3>
     <div class="w-24 h-1 bg-gradient-to-r from-primary-600 to-secondary-600 mx-auto rounded-full"></div>
   `;
 
@@ -226,7 +241,7 @@ function createStorySection() {
     'absolute left-8 md:left-1/2 top-0 bottom-0 w-0.5 bg-gradient-to-b from-primary-600 to-secondary-600 transform md:-translate-x-1/2';
   timeline.appendChild(timelineLine);
 
-  ABOUT_CONTENT.story.content.forEach((milestone, index) => {
+  content.story.content.forEach((milestone, index) => {
     const isEven = index % 2 === 0;
     const item = document.createElement('div');
     item.className = `relative mb-12 ${isEven ? 'md:pr-1/2' : 'md:pl-1/2 md:text-right'}`;
@@ -257,20 +272,21 @@ function createStorySection() {
  * @returns {HTMLElement} Values grid container
  */
 function createValuesSection() {
+  const content = getAboutContent();
   const section = document.createElement('div');
   section.className = 'mb-16';
 
   const header = document.createElement('div');
   header.className = 'text-center mb-12';
   header.innerHTML = `
-    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${ABOUT_CONTENT.values.title}</h3>
+    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${content.values.title}</h3>
     <div class="w-24 h-1 bg-gradient-to-r from-primary-600 to-secondary-600 mx-auto rounded-full"></div>
   `;
 
   const grid = document.createElement('div');
   grid.className = 'grid md:grid-cols-2 lg:grid-cols-3 gap-6';
 
-  ABOUT_CONTENT.values.items.forEach((value) => {
+  content.values.items.forEach((value) => {
     const card = document.createElement('div');
     card.className =
       'bg-white rounded-xl p-6 shadow-soft hover:shadow-medium transition-all duration-300 border border-gray-100 hover:border-primary-200';
@@ -293,21 +309,22 @@ function createValuesSection() {
  * @returns {HTMLElement} Approach section container
  */
 function createApproachSection() {
+  const content = getAboutContent();
   const section = document.createElement('div');
   section.className = 'mb-16';
 
   const header = document.createElement('div');
   header.className = 'text-center mb-12';
   header.innerHTML = `
-    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${ABOUT_CONTENT.approach.title}</h3>
-    <p class="text-xl text-gray-600 mb-4">${ABOUT_CONTENT.approach.subtitle}</p>
+    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${content.approach.title}</h3>
+    <p class="text-xl text-gray-600 mb-4">${content.approach.subtitle}</p>
     <div class="w-24 h-1 bg-gradient-to-r from-primary-600 to-secondary-600 mx-auto rounded-full"></div>
   `;
 
   const grid = document.createElement('div');
   grid.className = 'grid md:grid-cols-2 gap-8';
 
-  ABOUT_CONTENT.approach.methods.forEach((method) => {
+  content.approach.methods.forEach((method) => {
     const card = document.createElement('div');
     card.className =
       'bg-gradient-to-br from-gray-50 to-white rounded-xl p-8 shadow-soft hover:shadow-medium transition-all duration-300 border border-gray-100';
@@ -336,14 +353,15 @@ function createApproachSection() {
  * @returns {Promise<HTMLElement>} Makoko section container
  */
 async function createMakokoSection() {
+  const about = getAboutContent();
   const section = document.createElement('div');
   section.className = 'mb-16';
 
   const header = document.createElement('div');
   header.className = 'text-center mb-12';
   header.innerHTML = `
-    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${ABOUT_CONTENT.makoko.title}</h3>
-    <p class="text-xl text-gray-600 mb-4">${ABOUT_CONTENT.makoko.subtitle}</p>
+    <h3 class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${about.makoko.title}</h3>
+    <p class="text-xl text-gray-600 mb-4">${about.makoko.subtitle}</p>
     <div class="w-24 h-1 bg-gradient-to-r from-primary-600 to-secondary-600 mx-auto rounded-full"></div>
   `;
 
@@ -356,7 +374,7 @@ async function createMakokoSection() {
   try {
     const makokoImage = await createOptimizedImage({
       photoId: ABOUT_IMAGES.makoko,
-      alt: 'Makoko waterfront community in Lagos',
+      alt: t('about.makokoImageAlt'),
       width: 800,
       height: 600,
       className: 'w-full h-full object-cover',
@@ -367,22 +385,22 @@ async function createMakokoSection() {
     console.error('[AboutSection] Failed to load Makoko image:', error);
     imageContainer.innerHTML = `
       <div class="w-full h-96 bg-gradient-to-br from-primary-100 to-secondary-100 flex items-center justify-center">
-        <span class="text-gray-500">Image unavailable</span>
+        <span class="text-gray-500">${t('about.imageUnavailable')}</span>
       </div>
     `;
   }
 
   const textContent = document.createElement('div');
   textContent.innerHTML = `
-    <p class="text-lg text-gray-700 leading-relaxed mb-8">${ABOUT_CONTENT.makoko.description}</p>
+    <p class="text-lg text-gray-700 leading-relaxed mb-8">${about.makoko.description}</p>
     
     <div class="mb-8">
       <h4 class="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
         <span class="text-2xl">⚠️</span>
-        Challenges We Address
+        ${t('about.challengesTitle')}
       </h4>
       <ul class="space-y-2">
-        ${ABOUT_CONTENT.makoko.challenges
+        ${about.makoko.challenges
           .map(
             (challenge) => `
           <li class="flex items-start gap-3">
@@ -398,10 +416,10 @@ async function createMakokoSection() {
     <div>
       <h4 class="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
         <span class="text-2xl">💪</span>
-        Community Strengths
+        ${t('about.strengthsTitle')}
       </h4>
       <ul class="space-y-2">
-        ${ABOUT_CONTENT.makoko.strengths
+        ${about.makoko.strengths
           .map(
             (strength) => `
           <li class="flex items-start gap-3">
@@ -442,10 +460,10 @@ async function createAboutSection() {
     mainHeading.className = 'text-center mb-16';
     mainHeading.innerHTML = `
       <h2 id="about-heading" class="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
-        About Our <span class="text-gradient">Mission</span>
+        ${t('about.heading', { highlight: `<span class="text-gradient">${t('about.headingHighlight')}</span>` })}
       </h2>
       <p class="text-xl text-gray-600 max-w-3xl mx-auto leading-relaxed">
-        Dedicated to transforming lives and creating opportunities for children in the Makoko community through education, healthcare, and sustainable development.
+        ${t('about.intro')}
       </p>
     `;
 
@@ -462,17 +480,17 @@ async function createAboutSection() {
     ctaContainer.className = 'text-center mt-16 pt-12 border-t border-gray-200';
     ctaContainer.innerHTML = `
       <h3 class="text-2xl md:text-3xl font-bold text-gray-900 mb-6">
-        Join Us in Making a Difference
+        ${t('about.ctaTitle')}
       </h3>
       <p class="text-lg text-gray-600 mb-8 max-w-2xl mx-auto">
-        Your support can help us expand our programs and reach more children in need. Together, we can create lasting change in the Makoko community.
+        ${t('about.ctaText')}
       </p>
       <div class="flex flex-col sm:flex-row gap-4 justify-center items-center">
         <a href="#donate" class="btn btn-primary text-lg px-8 py-4">
-          Support Our Work
+          ${t('about.supportOurWork')}
         </a>
         <a href="#contact" class="btn btn-outline text-lg px-8 py-4">
-          Get Involved
+          ${t('about.getInvolved')}
         </a>
       </div>
     `;
@@ -491,10 +509,10 @@ async function createAboutSection() {
     errorSection.className = 'section-container bg-gray-50';
     errorSection.innerHTML = `
       <div class="text-center py-16">
-        <h2 class="text-3xl font-bold text-gray-900 mb-4">About Our Mission</h2>
-        <p class="text-gray-600 mb-8">We're experiencing technical difficulties. Please try again later.</p>
+        <h2 class="text-3xl font-bold text-gray-900 mb-4">${t('about.heading', { highlight: t('about.headingHighlight') })}</h2>
+        <p class="text-gray-600 mb-8">${t('about.errorText')}</p>
         <button onclick="location.reload()" class="btn btn-primary">
-          Reload Page
+          ${t('about.reloadPage')}
         </button>
       </div>
     `;
@@ -516,6 +534,12 @@ async function initializeAboutSection(containerId = 'app') {
       throw new Error(`Container element with ID "${containerId}" not found`);
     }
 
+    // Static content: prerendered markup needs no hydration
+    if (getHydratableElement('about-section')) {
+      console.info('[AboutSection] Using prerendered markup');
+      return;
+    }
+
     const aboutSection = await createAboutSection();
     container.appendChild(aboutSection);
 
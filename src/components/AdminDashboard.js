@@ -0,0 +1,792 @@
+/**
+ * AdminDashboard Component
+ *
+ * Content editor at /admin for the impact section's statistics, metrics,
+ * testimonials and success stories. Its forms are generated from the
+ * collections' schemas in contentSchemas.js, every edit is checked against
+ * the same schemas, and a preview renders the edited content with the real
+ * ImpactSection and TestimonialsCarousel.
+ *
+ * Nothing is saved to a server: "Export" downloads the content as an
+ * impact.json envelope for the content loader, which staff publish at
+ * /content/v1/impact.json (or upload to the CMS) to put it live.
+ *
+ * @module components/AdminDashboard
+ * @dependencies: ["adminAuth", "contentLoader", "contentSchemas", "schemaValidator", "ImpactSection", "TestimonialsCarousel"]
+ */
+
+import {
+  isAdminConfigured,
+  isAdminSignedIn,
+  signInAdmin,
+  signOutAdmin,
+} from '../utils/adminAuth.js';
+import { CONTENT_SCHEMA_VERSION, getContent } from '../utils/contentLoader.js';
+import { CONTENT_SCHEMAS, CONTENT_REFERENCES } from '../utils/contentSchemas.js';
+import { SchemaType, StringFormat, validateSchema } from '../utils/schemaValidator.js';
+import { downloadBlob } from '../utils/download.js';
+import { formatNumber } from '../utils/i18n.js';
+import { createImpactSection } from './ImpactSection.js';
+import { TestimonialsCarousel } from './TestimonialsCarousel.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Collections the dashboard edits, as keys of the impact content bundle
+ */
+const EDITABLE_COLLECTIONS = Object.freeze([
+  { key: 'statistics', exportName: 'IMPACT_STATISTICS', label: 'Statistics', titleField: 'label' },
+  { key: 'metrics', exportName: 'IMPACT_METRICS', label: 'Metrics' },
+  { key: 'testimonials', exportName: 'TESTIMONIALS', label: 'Testimonials', titleField: 'name' },
+  { key: 'stories', exportName: 'SUCCESS_STORIES', label: 'Success stories', titleField: 'title' },
+]);
+
+/**
+ * Where the collections' schemas live in CONTENT_SCHEMAS
+ */
+const SCHEMA_FILE = 'impactContent.js';
+
+/**
+ * File name of the exported bundle
+ */
+const EXPORT_FILENAME = 'impact.json';
+
+/**
+ * Delay before the preview catches up with typing, in milliseconds
+ */
+const PREVIEW_DELAY = 400;
+
+/**
+ * Text fields edited in a textarea rather than a single-line input
+ */
+const LONG_TEXT_FIELDS = new Set([
+  'description',
+  'quote',
+  'summary',
+  'beforeDescription',
+  'afterDescription',
+  'testimonial',
+]);
+
+/**
+ * Container ID for the testimonials preview carousel
+ */
+const TESTIMONIALS_PREVIEW_ID = 'admin-testimonials-preview';
+
+/**
+ * Shared input styling
+ */
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-white focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200';
+
+/**
+ * Turn a property name into a field label, e.g. beforeDescription -> "Before description"
+ * @param {string} key - Property name
+ * @returns {string} Label
+ */
+function humanize(key) {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Get a collection's schema
+ * @param {Object} collection - Entry from EDITABLE_COLLECTIONS
+ * @returns {Object} Schema
+ */
+function getCollectionSchema(collection) {
+  return CONTENT_SCHEMAS[SCHEMA_FILE][collection.exportName];
+}
+
+/**
+ * Get a collection by its bundle key
+ * @param {string} key - Bundle key
+ * @returns {Object} Entry from EDITABLE_COLLECTIONS
+ */
+function getCollection(key) {
+  return EDITABLE_COLLECTIONS.find((collection) => collection.key === key);
+}
+
+/**
+ * Build the path validateSchema reports for a value, e.g. TESTIMONIALS[0].quote
+ * @param {Array<string|number>} path - Bundle key followed by property names and indexes
+ * @returns {string} Schema path
+ */
+function toSchemaPath([key, ...rest]) {
+  return rest.reduce((path, segment) => {
+    if (typeof segment === 'number') {
+      return `${path}[${segment}]`;
+    }
+
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${path}.${segment}` : `${path}[${JSON.stringify(segment)}]`;
+  }, getCollection(key).exportName);
+}
+
+/**
+ * Build a form control ID from a value path
+ * @param {Array<string|number>} path - Value path
+ * @returns {string} Element ID
+ */
+function toFieldId(path) {
+  return `admin-field-${path.join('-').replace(/[^\w-]/g, '_')}`;
+}
+
+/**
+ * Resolve a string schema's allowed values
+ * @param {Object} schema - String schema
+ * @returns {Array|null} Allowed values, or null if any value is allowed
+ */
+function getAllowedValues(schema) {
+  if (!schema.oneOf) {
+    return null;
+  }
+
+  return Array.isArray(schema.oneOf) ? schema.oneOf : CONTENT_REFERENCES[schema.oneOf.ref] || [];
+}
+
+/**
+ * Create an empty value for a schema, used when adding a record
+ * @param {Object} schema - Schema
+ * @returns {*} Value
+ */
+function createBlankValue(schema) {
+  if (schema.optional) {
+    return undefined;
+  }
+
+  if (schema.nullable) {
+    return null;
+  }
+
+  switch (schema.type) {
+    case SchemaType.STRING:
+      if (schema.format === StringFormat.DATE) {
+        return new Date().toISOString().slice(0, 10);
+      }
+      return getAllowedValues(schema)?.[0] ?? '';
+    case SchemaType.NUMBER:
+      return schema.min ?? 0;
+    case SchemaType.BOOLEAN:
+      return false;
+    case SchemaType.ARRAY:
+      return Array.from({ length: schema.minItems || 0 }, () => createBlankValue(schema.items));
+    case SchemaType.OBJECT:
+      return Object.fromEntries(
+        Object.entries(schema.properties)
+          .map(([key, property]) => [key, createBlankValue(property)])
+          .filter(([, value]) => value !== undefined)
+      );
+    case SchemaType.RECORD:
+      return {};
+    default:
+      return null;
+  }
+}
+
+/**
+ * Set a value in the content, removing the property if the value is undefined
+ * @param {Object} target - Content being edited
+ * @param {Array<string|number>} path - Value path
+ * @param {*} value - New value
+ */
+function setValueAtPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], target);
+  const key = path[path.length - 1];
+
+  if (value === undefined) {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+}
+
+/**
+ * Render the attributes tying a control to its value
+ * @param {Array<string|number>} path - Value path
+ * @param {string} kind - How the control's value is read: string, number, boolean or json
+ * @param {Object} schema - Value schema
+ * @returns {string} HTML attributes
+ */
+function renderControlAttributes(path, kind, schema) {
+  const id = toFieldId(path);
+  let empty = '';
+  if (schema.nullable) {
+    empty = ' data-empty="null"';
+  } else if (schema.optional) {
+    empty = ' data-empty="omit"';
+  }
+
+  return `id="${id}" data-path="${escapeHtml(JSON.stringify(path))}" data-schema-path="${escapeHtml(toSchemaPath(path))}" data-kind="${kind}"${empty} aria-describedby="${id}-error"`;
+}
+
+/**
+ * Render a labelled control with its error slot
+ * @param {Array<string|number>} path - Value path
+ * @param {string} label - Field label
+ * @param {Object} schema - Value schema
+ * @param {string} control - Control HTML
+ * @returns {string} HTML
+ */
+function renderLabelledControl(path, label, schema, control) {
+  const id = toFieldId(path);
+  const hint = schema.optional || schema.nullable ? ' <span class="font-normal text-gray-500">(optional)</span>' : '';
+
+  return `
+    <div class="mb-4">
+      <label for="${id}" class="block font-semibold text-gray-900 mb-2">${escapeHtml(label)}${hint}</label>
+      ${control}
+      <p id="${id}-error" class="mt-1 text-sm text-red-600" data-field-error hidden></p>
+    </div>
+  `;
+}
+
+/**
+ * Render a JSON textarea for values without a form of their own (lists, free-form records)
+ * @param {Object} schema - Value schema
+ * @param {*} value - Current value
+ * @param {Array<string|number>} path - Value path
+ * @param {string} label - Field label
+ * @returns {string} HTML
+ */
+function renderJsonField(schema, value, path, label) {
+  const json = value === undefined ? '' : JSON.stringify(value, null, 2);
+
+  return renderLabelledControl(path, `${label} (JSON)`, schema, `
+    <textarea ${renderControlAttributes(path, 'json', schema)} rows="${Math.min(12, json.split('\n').length + 1)}" class="${INPUT_CLASS} font-mono text-sm" spellcheck="false">${escapeHtml(json)}</textarea>
+  `);
+}
+
+/**
+ * Render the control for a scalar value
+ * @param {Object} schema - String, number or boolean schema
+ * @param {*} value - Current value
+ * @param {Array<string|number>} path - Value path
+ * @param {string} label - Field label
+ * @returns {string} HTML
+ */
+function renderScalarField(schema, value, path, label) {
+  if (schema.type === SchemaType.BOOLEAN) {
+    const id = toFieldId(path);
+    return `
+      <div class="mb-4">
+        <label for="${id}" class="inline-flex items-center gap-3 font-semibold text-gray-900">
+          <input type="checkbox" ${renderControlAttributes(path, 'boolean', schema)} class="w-5 h-5 rounded border-gray-300 text-primary-600 focus:ring-primary-500" ${value ? 'checked' : ''}>
+          ${escapeHtml(label)}
+        </label>
+        <p id="${id}-error" class="mt-1 text-sm text-red-600" data-field-error hidden></p>
+      </div>
+    `;
+  }
+
+  const current = value === null || value === undefined ? '' : String(value);
+
+  if (schema.type === SchemaType.NUMBER) {
+    const min = schema.min === undefined ? '' : ` min="${schema.min}"`;
+    const max = schema.max === undefined ? '' : ` max="${schema.max}"`;
+    return renderLabelledControl(path, label, schema, `
+      <input type="number" ${renderControlAttributes(path, 'number', schema)} value="${escapeHtml(current)}" step="${schema.integer ? 1 : 'any'}"${min}${max} class="${INPUT_CLASS}">
+    `);
+  }
+
+  const allowed = getAllowedValues(schema);
+  if (allowed) {
+    const values = allowed.includes(current) || current === '' ? allowed : [current, ...allowed];
+    const blank = schema.optional || schema.nullable ? '<option value="">None</option>' : '';
+    return renderLabelledControl(path, label, schema, `
+      <select ${renderControlAttributes(path, 'string', schema)} class="${INPUT_CLASS}">
+        ${blank}
+        ${values.map((option) => `<option value="${escapeHtml(option)}" ${option === current ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+      </select>
+    `);
+  }
+
+  if (schema.format === StringFormat.DATE) {
+    return renderLabelledControl(path, label, schema, `
+      <input type="date" ${renderControlAttributes(path, 'string', schema)} value="${escapeHtml(current)}" class="${INPUT_CLASS}">
+    `);
+  }
+
+  if (LONG_TEXT_FIELDS.has(path[path.length - 1])) {
+    return renderLabelledControl(path, label, schema, `
+      <textarea ${renderControlAttributes(path, 'string', schema)} rows="3" class="${INPUT_CLASS}">${escapeHtml(current)}</textarea>
+    `);
+  }
+
+  return renderLabelledControl(path, label, schema, `
+    <input type="text" ${renderControlAttributes(path, 'string', schema)} value="${escapeHtml(current)}" class="${INPUT_CLASS}">
+  `);
+}
+
+/**
+ * Render the form for a value from its schema
+ * @param {Object} schema - Value schema
+ * @param {*} value - Current value
+ * @param {Array<string|number>} path - Value path
+ * @param {string} label - Field label
+ * @returns {string} HTML
+ */
+function renderField(schema, value, path, label) {
+  switch (schema.type) {
+    case SchemaType.OBJECT:
+      return `
+        <fieldset class="border border-gray-200 rounded-xl p-4 mb-4">
+          <legend class="px-2 font-semibold text-gray-900">${escapeHtml(label)}</legend>
+          ${Object.entries(schema.properties).map(([key, property]) => renderField(property, value?.[key], [...path, key], humanize(key))).join('')}
+        </fieldset>
+      `;
+    case SchemaType.RECORD:
+      if (schema.values.type === SchemaType.ANY) {
+        return renderJsonField(schema, value, path, label);
+      }
+      return `
+        <fieldset class="border border-gray-200 rounded-xl p-4 mb-4">
+          <legend class="px-2 font-semibold text-gray-900">${escapeHtml(label)}</legend>
+          ${Object.entries(value || {}).map(([key, entry]) => renderField(schema.values, entry, [...path, key], humanize(key))).join('')}
+        </fieldset>
+      `;
+    case SchemaType.STRING:
+    case SchemaType.NUMBER:
+    case SchemaType.BOOLEAN:
+      return renderScalarField(schema, value, path, label);
+    default:
+      return renderJsonField(schema, value, path, label);
+  }
+}
+
+/**
+ * Render a collection's panel: a list of records, or the form for a record collection
+ * @param {Object} collection - Entry from EDITABLE_COLLECTIONS
+ * @param {*} value - Collection content
+ * @returns {string} HTML
+ */
+function renderCollection(collection, value) {
+  const schema = getCollectionSchema(collection);
+
+  if (schema.type !== SchemaType.ARRAY) {
+    return renderField(schema, value, [collection.key], collection.label);
+  }
+
+  const items = value.map((item, index) => `
+    <details class="bg-white rounded-xl border border-gray-200 mb-3" data-admin-item="${index}">
+      <summary class="cursor-pointer px-4 py-3 font-semibold text-gray-900">
+        ${escapeHtml(item?.[collection.titleField] || `Untitled ${index + 1}`)}
+      </summary>
+      <div class="px-4 pb-4">
+        ${renderField(schema.items, item, [collection.key, index], 'Details')}
+        <button type="button" class="btn btn-outline" data-admin-remove="${index}">Remove</button>
+      </div>
+    </details>
+  `).join('');
+
+  return `
+    ${items}
+    <button type="button" class="btn btn-primary mt-2" data-admin-add>Add to ${escapeHtml(collection.label.toLowerCase())}</button>
+  `;
+}
+
+/**
+ * Render the editor
+ * @returns {string} HTML
+ */
+function renderEditor() {
+  const tabs = EDITABLE_COLLECTIONS.map(({ key, label }, index) => `
+    <button
+      type="button"
+      id="admin-tab-${key}"
+      role="tab"
+      aria-selected="${index === 0}"
+      aria-controls="admin-panel-${key}"
+      tabindex="${index === 0 ? 0 : -1}"
+      class="px-4 py-2 rounded-full font-semibold border-2 border-primary-600 aria-selected:bg-primary-600 aria-selected:text-white text-primary-700"
+      data-admin-tab="${key}"
+    >${escapeHtml(label)}</button>
+  `).join('');
+
+  const panels = EDITABLE_COLLECTIONS.map(({ key }, index) => `
+    <div id="admin-panel-${key}" role="tabpanel" aria-labelledby="admin-tab-${key}" data-admin-panel="${key}" ${index === 0 ? '' : 'hidden'}></div>
+  `).join('');
+
+  return `
+    <div class="max-w-5xl mx-auto">
+      <div class="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div>
+          <h1 id="admin-dashboard-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-2" tabindex="-1">Impact content</h1>
+          <p class="text-gray-600">
+            Edit and preview, then export ${EXPORT_FILENAME} and publish it at
+            <code>/content/v${CONTENT_SCHEMA_VERSION}/${EXPORT_FILENAME}</code> or upload it to the CMS.
+          </p>
+        </div>
+        <div class="flex flex-wrap gap-3">
+          <button type="button" class="btn btn-primary" data-admin-export>Export ${EXPORT_FILENAME}</button>
+          <button type="button" class="btn btn-outline" data-admin-reset>Discard changes</button>
+          <button type="button" class="btn btn-outline" data-admin-sign-out>Sign out</button>
+        </div>
+      </div>
+
+      <div class="mb-6">
+        <p class="font-semibold" role="status" data-admin-status></p>
+        <ul class="mt-2 text-sm text-red-600 list-disc pl-5 space-y-1" data-admin-errors></ul>
+      </div>
+
+      <div role="tablist" aria-label="Content collections" class="flex flex-wrap gap-2 mb-6">
+        ${tabs}
+      </div>
+      <form novalidate data-admin-form>
+        ${panels}
+      </form>
+    </div>
+
+    <div class="mt-16 border-t-4 border-dashed border-gray-200 pt-8" role="region" aria-labelledby="admin-preview-heading">
+      <h2 id="admin-preview-heading" class="max-w-5xl mx-auto text-2xl font-bold text-gray-900 mb-4">Preview</h2>
+      <div data-admin-impact-preview></div>
+      <div class="max-w-5xl mx-auto">
+        <h3 class="text-xl font-bold text-gray-900 mb-4">Testimonials</h3>
+        <div id="${TESTIMONIALS_PREVIEW_ID}"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the sign-in form, or setup instructions if no password is configured
+ * @returns {string} HTML
+ */
+function renderSignIn() {
+  if (!isAdminConfigured()) {
+    return `
+      <div class="max-w-md mx-auto bg-white rounded-3xl shadow-xl p-8">
+        <h1 id="admin-dashboard-heading" class="text-3xl font-bold text-gray-900 mb-4">Content admin</h1>
+        <p class="text-gray-700">
+          The editor is turned off. To turn it on, set <code>VITE_ADMIN_PASSWORD_HASH</code>
+          to the SHA-256 hex digest of the admin password and rebuild the site.
+        </p>
+      </div>
+    `;
+  }
+
+  return `
+    <form class="max-w-md mx-auto bg-white rounded-3xl shadow-xl p-8" novalidate data-admin-sign-in>
+      <h1 id="admin-dashboard-heading" class="text-3xl font-bold text-gray-900 mb-6">Content admin</h1>
+      <label for="admin-password" class="block font-semibold text-gray-900 mb-2">Password</label>
+      <input id="admin-password" name="password" type="password" autocomplete="current-password" required aria-describedby="admin-password-error" class="${INPUT_CLASS}">
+      <p id="admin-password-error" class="mt-1 text-sm text-red-600" role="alert" hidden></p>
+      <button type="submit" class="btn btn-primary w-full mt-6">Sign in</button>
+    </form>
+  `;
+}
+
+/**
+ * Keep the dashboard out of search results while it is open
+ * @returns {HTMLMetaElement} The added meta tag
+ */
+function addNoIndexMeta() {
+  const meta = document.createElement('meta');
+  meta.name = 'robots';
+  meta.content = 'noindex, nofollow';
+  document.head.appendChild(meta);
+  return meta;
+}
+
+/**
+ * Create the admin dashboard page
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createAdminDashboard() {
+  const section = document.createElement('section');
+  section.id = 'admin-dashboard';
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', 'admin-dashboard-heading');
+  section.setAttribute('data-route-page', '');
+
+  const robotsMeta = addNoIndexMeta();
+  let content = null;
+  let errors = [];
+  let jsonErrors = new Map();
+  let carousel = null;
+  let previewTimer = null;
+
+  const destroyPreview = () => {
+    clearTimeout(previewTimer);
+    if (carousel) {
+      carousel.destroy();
+      carousel = null;
+    }
+  };
+
+  const renderPreview = () => {
+    destroyPreview();
+    const impactSlot = section.querySelector('[data-admin-impact-preview]');
+    if (!impactSlot) {
+      return;
+    }
+
+    try {
+      const preview = createImpactSection({ statistics: content.statistics });
+      preview.id = 'admin-impact-preview';
+      preview.querySelector('#impact-heading')?.setAttribute('id', 'admin-impact-preview-heading');
+      preview.setAttribute('aria-labelledby', 'admin-impact-preview-heading');
+      // Show the final figures rather than running the count-up animation
+      preview.querySelectorAll('[data-stat-id]').forEach((counter) => {
+        counter.textContent = formatNumber(Number(counter.dataset.target) || 0);
+      });
+      impactSlot.replaceChildren(preview);
+    } catch (error) {
+      console.error('[AdminDashboard] Failed to render the impact preview:', error);
+      impactSlot.innerHTML = '<p class="max-w-5xl mx-auto text-red-600">The statistics can\'t be previewed until their problems are fixed.</p>';
+    }
+
+    try {
+      carousel = new TestimonialsCarousel({
+        containerId: TESTIMONIALS_PREVIEW_ID,
+        testimonials: content.testimonials,
+        autoPlay: false,
+      });
+    } catch (error) {
+      console.error('[AdminDashboard] Failed to render the testimonials preview:', error);
+    }
+  };
+
+  const schedulePreview = () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_DELAY);
+  };
+
+  const showErrors = () => {
+    section.querySelectorAll('[data-path]').forEach((control) => {
+      control.removeAttribute('aria-invalid');
+    });
+    section.querySelectorAll('[data-field-error]').forEach((slot) => {
+      slot.textContent = '';
+      slot.hidden = true;
+    });
+
+    const allErrors = [
+      ...Array.from(jsonErrors, ([path, message]) => ({ path, message })),
+      ...errors,
+    ];
+
+    allErrors.forEach(({ path, message }) => {
+      // Errors inside a JSON field are reported on the field itself
+      const control = Array.from(section.querySelectorAll('[data-schema-path]'))
+        .filter((candidate) => path === candidate.dataset.schemaPath || path.startsWith(`${candidate.dataset.schemaPath}.`) || path.startsWith(`${candidate.dataset.schemaPath}[`))
+        .sort((a, b) => b.dataset.schemaPath.length - a.dataset.schemaPath.length)[0];
+      if (control) {
+        control.setAttribute('aria-invalid', 'true');
+        const slot = section.querySelector(`#${control.id}-error`);
+        slot.textContent = slot.textContent ? `${slot.textContent} ${message}` : message;
+        slot.hidden = false;
+      }
+    });
+
+    section.querySelector('[data-admin-status]').textContent = allErrors.length === 0
+      ? 'All content is valid.'
+      : `${allErrors.length} problem${allErrors.length === 1 ? '' : 's'} to fix before exporting:`;
+    section.querySelector('[data-admin-errors]').innerHTML = allErrors
+      .map(({ path, message }) => `<li><code>${escapeHtml(path)}</code>: ${escapeHtml(message)}</li>`)
+      .join('');
+    section.querySelector('[data-admin-export]').disabled = allErrors.length > 0;
+  };
+
+  const validate = () => {
+    errors = EDITABLE_COLLECTIONS.flatMap((collection) => validateSchema(content[collection.key], getCollectionSchema(collection), {
+      path: collection.exportName,
+      references: CONTENT_REFERENCES,
+    }).errors);
+    showErrors();
+  };
+
+  const renderPanel = (key) => {
+    const panel = section.querySelector(`[data-admin-panel="${key}"]`);
+    const open = new Set(Array.from(panel.querySelectorAll('details[open]'), (details) => details.dataset.adminItem));
+    panel.innerHTML = renderCollection(getCollection(key), content[key]);
+    panel.querySelectorAll('details').forEach((details) => {
+      details.open = open.has(details.dataset.adminItem);
+    });
+  };
+
+  const loadContent = () => {
+    content = structuredClone(getContent('impact'));
+    jsonErrors = new Map();
+    EDITABLE_COLLECTIONS.forEach(({ key }) => renderPanel(key));
+    validate();
+    renderPreview();
+  };
+
+  const selectTab = (key) => {
+    section.querySelectorAll('[data-admin-tab]').forEach((tab) => {
+      const selected = tab.dataset.adminTab === key;
+      tab.setAttribute('aria-selected', String(selected));
+      tab.tabIndex = selected ? 0 : -1;
+    });
+    section.querySelectorAll('[data-admin-panel]').forEach((panel) => {
+      panel.hidden = panel.dataset.adminPanel !== key;
+    });
+  };
+
+  const showEditor = () => {
+    section.innerHTML = renderEditor();
+    loadContent();
+  };
+
+  const showSignIn = () => {
+    destroyPreview();
+    content = null;
+    section.innerHTML = renderSignIn();
+  };
+
+  const handleInput = (event) => {
+    const control = event.target.closest('[data-path]');
+    if (!control) {
+      return;
+    }
+
+    const path = JSON.parse(control.dataset.path);
+    const { kind, empty, schemaPath } = control.dataset;
+    let value;
+
+    if (kind === 'boolean') {
+      value = control.checked;
+    } else if (control.value.trim() === '' && empty) {
+      value = empty === 'null' ? null : undefined;
+    } else if (kind === 'number') {
+      value = control.value === '' ? null : Number(control.value);
+    } else if (kind === 'json') {
+      try {
+        value = JSON.parse(control.value);
+      } catch {
+        jsonErrors.set(schemaPath, 'is not valid JSON');
+        showErrors();
+        return;
+      }
+    } else {
+      ({ value } = control);
+    }
+
+    jsonErrors.delete(schemaPath);
+    setValueAtPath(content, path, value);
+
+    // Keep a record's summary in step with its title field
+    const collection = getCollection(path[0]);
+    if (path.length === 3 && path[2] === collection.titleField) {
+      const summary = control.closest('details')?.querySelector('summary');
+      if (summary) {
+        summary.textContent = value || `Untitled ${path[1] + 1}`;
+      }
+    }
+
+    validate();
+    schedulePreview();
+  };
+
+  const handleClick = (event) => {
+    const tab = event.target.closest('[data-admin-tab]');
+    if (tab) {
+      selectTab(tab.dataset.adminTab);
+      return;
+    }
+
+    const panel = event.target.closest('[data-admin-panel]');
+    const { adminPanel: key } = panel?.dataset || {};
+
+    if (event.target.closest('[data-admin-add]')) {
+      const collection = getCollection(key);
+      content[key].push(createBlankValue(getCollectionSchema(collection).items));
+      renderPanel(key);
+      const added = panel.querySelector(`details[data-admin-item="${content[key].length - 1}"]`);
+      added.open = true;
+      added.querySelector('[data-path]')?.focus();
+      validate();
+      schedulePreview();
+      return;
+    }
+
+    const remove = event.target.closest('[data-admin-remove]');
+    if (remove) {
+      content[key].splice(Number(remove.dataset.adminRemove), 1);
+      // Indexes shift, so JSON errors can no longer be matched to their fields
+      jsonErrors = new Map();
+      renderPanel(key);
+      validate();
+      schedulePreview();
+      return;
+    }
+
+    if (event.target.closest('[data-admin-export]')) {
+      const bundle = {
+        version: CONTENT_SCHEMA_VERSION,
+        updatedAt: new Date().toISOString(),
+        data: content,
+      };
+      downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), EXPORT_FILENAME);
+      console.log('[AdminDashboard] Exported impact content');
+      return;
+    }
+
+    if (event.target.closest('[data-admin-reset]')) {
+      loadContent();
+      return;
+    }
+
+    if (event.target.closest('[data-admin-sign-out]')) {
+      signOutAdmin();
+      showSignIn();
+    }
+  };
+
+  const handleTabKeydown = (event) => {
+    const tab = event.target.closest('[data-admin-tab]');
+    if (!tab || !['ArrowLeft', 'ArrowRight'].includes(event.key)) {
+      return;
+    }
+
+    const index = EDITABLE_COLLECTIONS.findIndex(({ key }) => key === tab.dataset.adminTab);
+    const step = event.key === 'ArrowRight' ? 1 : -1;
+    const { key } = EDITABLE_COLLECTIONS[(index + step + EDITABLE_COLLECTIONS.length) % EDITABLE_COLLECTIONS.length];
+    selectTab(key);
+    section.querySelector(`[data-admin-tab="${key}"]`).focus();
+  };
+
+  const handleSignIn = async (event) => {
+    const form = event.target.closest('[data-admin-sign-in]');
+    if (!form) {
+      return;
+    }
+
+    event.preventDefault();
+    const button = form.querySelector('button[type="submit"]');
+    const error = form.querySelector('#admin-password-error');
+    button.disabled = true;
+
+    const signedIn = await signInAdmin(form.elements.password.value);
+    if (signedIn) {
+      showEditor();
+      section.querySelector('#admin-dashboard-heading').focus();
+      return;
+    }
+
+    button.disabled = false;
+    error.textContent = 'That password isn\'t right.';
+    error.hidden = false;
+    form.elements.password.setAttribute('aria-invalid', 'true');
+    form.elements.password.select();
+  };
+
+  section.addEventListener('input', handleInput);
+  section.addEventListener('click', handleClick);
+  section.addEventListener('keydown', handleTabKeydown);
+  section.addEventListener('submit', handleSignIn);
+
+  if (isAdminSignedIn()) {
+    showEditor();
+  } else {
+    showSignIn();
+  }
+
+  section.destroy = () => {
+    destroyPreview();
+    robotsMeta.remove();
+    section.remove();
+  };
+
+  return section;
+}
+
+export default createAdminDashboard;
@@ -0,0 +1,259 @@
+/**
+ * CampaignBanner Component
+ *
+ * Progress banner for a fundraising campaign from campaignContent.js: a goal
+ * thermometer, raised-to-date and donor count figures animated with
+ * StatisticsCounter, a deadline countdown and the matching-gift offer.
+ *
+ * The donate section shows it above the form. When the visitor arrived through
+ * a campaign link the banner confirms their gift counts toward the campaign;
+ * otherwise it links to /donate?campaign=<id>. Running campaigns also link to
+ * /fundraisers/start so supporters can fundraise for them.
+ *
+ * @module components/CampaignBanner
+ * @dependencies: ["campaignContent", "donationContent", "StatisticsCounter"]
+ */
+
+import {
+  CAMPAIGN_STATUS,
+  getCampaignStatus,
+  getCampaignProgress,
+  getTimeRemaining,
+  isMatchedCampaign,
+} from '../data/campaignContent.js';
+import { formatAmount, getCurrencySymbol } from '../data/donationContent.js';
+import { StatisticsCounter } from './StatisticsCounter.js';
+import { formatDate } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * How often the countdown refreshes; it shows minutes, so once a minute is enough
+ */
+const COUNTDOWN_INTERVAL = 60000;
+
+/**
+ * Counter animation settings, matching the impact statistics
+ */
+const COUNTER_OPTIONS = Object.freeze({
+  duration: 2000,
+  easing: 'easeOutCubic',
+  threshold: 0.3,
+});
+
+/**
+ * Deadlines are shown in Lagos time
+ */
+const DEADLINE_FORMAT = Object.freeze({
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'Africa/Lagos',
+});
+
+/**
+ * Describe the time left before the deadline
+ * @param {Object} campaign - Campaign
+ * @returns {string} Countdown text
+ */
+function formatCountdown(campaign) {
+  const { total, days, hours, minutes } = getTimeRemaining(campaign);
+
+  if (total === 0) {
+    return 'This campaign has ended';
+  }
+
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (days > 0) {
+    return `${plural(days, 'day')} ${plural(hours, 'hour')} left`;
+  }
+
+  return `${plural(hours, 'hour')} ${plural(minutes, 'minute')} left`;
+}
+
+/**
+ * Get the text shown before the deadline date
+ * @param {string} status - CAMPAIGN_STATUS value
+ * @param {boolean} reached - Whether the goal has been met
+ * @returns {string} Label
+ */
+function getDeadlineLabel(status, reached) {
+  if (status === CAMPAIGN_STATUS.ENDED) {
+    return reached ? 'Goal reached, thank you! Closed' : 'Closed';
+  }
+
+  return reached ? 'Goal reached, thank you! Still open until' : 'Closes';
+}
+
+/**
+ * Render the matching-gift offer
+ * @param {Object} campaign - Campaign
+ * @returns {string} HTML
+ */
+function renderMatch(campaign) {
+  if (!isMatchedCampaign(campaign)) {
+    return '';
+  }
+
+  const sponsor = campaign.matchSponsor ? ` by ${escapeHtml(campaign.matchSponsor)}` : '';
+
+  return `
+    <p class="inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold bg-accent-100 text-accent-800 mb-4" data-campaign-match>
+      Every gift matched ${campaign.matchMultiplier}&times;${sponsor}
+    </p>
+  `;
+}
+
+/**
+ * Render the call to action
+ * @param {Object} campaign - Campaign
+ * @param {string} status - CAMPAIGN_STATUS value
+ * @param {boolean} tagged - Whether gifts made now count toward the campaign
+ * @returns {string} HTML
+ */
+function renderAction(campaign, status, tagged) {
+  if (status !== CAMPAIGN_STATUS.ACTIVE) {
+    return '<p class="text-sm text-gray-600">Gifts made now go where they\'re needed most.</p>';
+  }
+
+  const fundraiserLink = `
+    <a href="/fundraisers/start?campaign=${encodeURIComponent(campaign.id)}" class="text-primary-600 hover:text-primary-700 font-medium underline" data-campaign-fundraiser-link>
+      Start your own fundraiser
+    </a>
+  `;
+
+  if (tagged) {
+    return `
+      <div class="flex flex-wrap items-center gap-4">
+        <p class="text-sm font-semibold text-primary-700">Your gift below counts toward ${escapeHtml(campaign.title)}.</p>
+        ${fundraiserLink}
+      </div>
+    `;
+  }
+
+  return `
+    <div class="flex flex-wrap items-center gap-4">
+      <a href="/donate?campaign=${encodeURIComponent(campaign.id)}" class="btn btn-primary" data-campaign-link>
+        Give to ${escapeHtml(campaign.title)}
+      </a>
+      ${fundraiserLink}
+    </div>
+  `;
+}
+
+/**
+ * Render a campaign
+ * @param {Object} campaign - Campaign
+ * @param {boolean} tagged - Whether gifts made now count toward the campaign
+ * @returns {string} HTML
+ */
+function renderCampaign(campaign, tagged) {
+  const { id, title, summary, currency, goal, raised, donorCount, deadline } = campaign;
+  const status = getCampaignStatus(campaign);
+  const { percent, reached } = getCampaignProgress(campaign);
+  const headingId = `campaign-${id}-heading`;
+
+  return `
+    <div class="bg-white rounded-3xl shadow-xl p-6 md:p-8" role="region" aria-labelledby="${headingId}">
+      ${renderMatch(campaign)}
+      <h3 id="${headingId}" class="text-2xl md:text-3xl font-bold text-gray-900 mb-2">
+        ${escapeHtml(title)} &mdash; ${escapeHtml(formatAmount(goal, currency))}
+      </h3>
+      <p class="text-gray-700 mb-6">${escapeHtml(summary)}</p>
+
+      <div
+        class="h-4 rounded-full bg-gray-200 overflow-hidden mb-4"
+        role="progressbar"
+        aria-label="Raised toward the ${escapeHtml(formatAmount(goal, currency))} goal"
+        aria-valuemin="0"
+        aria-valuemax="100"
+        aria-valuenow="${percent}"
+      >
+        <div class="h-full rounded-full bg-primary-600 transition-all duration-1000 ease-out" style="width: 0%" data-campaign-fill></div>
+      </div>
+
+      <dl class="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-6" data-campaign-counters>
+        <div>
+          <dt class="text-sm text-gray-600">Raised</dt>
+          <dd class="text-2xl font-bold text-primary-600" data-counter="${raised}" data-counter-prefix="${escapeHtml(getCurrencySymbol(currency))}">
+            ${escapeHtml(formatAmount(raised, currency))}
+          </dd>
+        </div>
+        <div>
+          <dt class="text-sm text-gray-600">Donors</dt>
+          <dd class="text-2xl font-bold text-gray-900" data-counter="${donorCount}">${donorCount}</dd>
+        </div>
+        <div>
+          <dt class="text-sm text-gray-600">Of goal</dt>
+          <dd class="text-2xl font-bold text-gray-900" data-counter="${percent}" data-counter-suffix="%">${percent}%</dd>
+        </div>
+      </dl>
+
+      <p class="text-sm font-medium text-gray-800 mb-1" aria-live="polite" data-campaign-countdown>
+        ${escapeHtml(formatCountdown(campaign))}
+      </p>
+      <p class="text-sm text-gray-600 mb-6">
+        ${getDeadlineLabel(status, reached)} <time datetime="${escapeHtml(deadline)}">${escapeHtml(formatDate(deadline, DEADLINE_FORMAT))}</time>.
+      </p>
+
+      ${renderAction(campaign, status, tagged)}
+    </div>
+  `;
+}
+
+/**
+ * Create a campaign banner
+ * @param {Object} campaign - Campaign from campaignContent.js
+ * @param {Object} [options] - Banner options
+ * @param {boolean} [options.tagged=false] - Whether the visitor's gift is tagged with this campaign
+ * @returns {HTMLElement} Banner element with a destroy() method
+ */
+export function createCampaignBanner(campaign, options = {}) {
+  const { tagged = false } = options;
+
+  const banner = document.createElement('div');
+  banner.className = 'mb-12 animate-fadeInUp';
+  banner.setAttribute('data-campaign-banner', campaign.id);
+  banner.innerHTML = renderCampaign(campaign, tagged);
+
+  let counters = null;
+  try {
+    counters = new StatisticsCounter(banner.querySelector('[data-campaign-counters]'), COUNTER_OPTIONS);
+  } catch (error) {
+    console.error('[CampaignBanner] Failed to initialize counters:', error);
+  }
+
+  // Fill the thermometer once the banner is on screen so the width transitions
+  const fill = banner.querySelector('[data-campaign-fill]');
+  const frameId = requestAnimationFrame(() => {
+    fill.style.width = `${getCampaignProgress(campaign).percent}%`;
+  });
+
+  const countdown = banner.querySelector('[data-campaign-countdown]');
+  let countdownId = null;
+
+  if (getTimeRemaining(campaign).total > 0) {
+    countdownId = setInterval(() => {
+      countdown.textContent = formatCountdown(campaign);
+      if (getTimeRemaining(campaign).total === 0) {
+        clearInterval(countdownId);
+        countdownId = null;
+      }
+    }, COUNTDOWN_INTERVAL);
+  }
+
+  banner.destroy = () => {
+    cancelAnimationFrame(frameId);
+    if (countdownId !== null) {
+      clearInterval(countdownId);
+    }
+    if (counters) {
+      counters.destroy();
+    }
+    banner.remove();
+  };
+
+  return banner;
+}
+
+export default createCampaignBanner;
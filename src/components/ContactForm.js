@@ -10,19 +10,46 @@
  */
 
 import { validateEmail, validateRequired, createFieldValidator } from '../utils/formValidation.js';
-import { handleFormSubmission } from '../utils/formSubmission.js';
+import { initializeFormSubmission } from '../utils/formSubmission.js';
+import { SubmissionKind } from '../utils/submissionQueue.js';
 
 /**
  * Contact form configuration
  */
 const CONTACT_FORM_CONFIG = {
-  formspreeEndpoint: 'https://formspree.io/f/YOUR_FORM_ID', // Replace with actual Formspree ID
+  formspreeEndpoint: import.meta.env.VITE_CONTACT_FORM_ENDPOINT || 'https://formspree.io/f/YOUR_FORM_ID',
   maxMessageLength: 1000,
   minMessageLength: 10,
   debounceDelay: 300,
   submitTimeout: 30000,
 };
 
+/**
+ * Validation rules applied before submission
+ */
+const CONTACT_VALIDATION_RULES = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+  },
+  email: {
+    required: true,
+    type: 'email',
+  },
+  subject: {
+    required: true,
+  },
+  message: {
+    required: true,
+    minLength: CONTACT_FORM_CONFIG.minMessageLength,
+    maxLength: CONTACT_FORM_CONFIG.maxMessageLength,
+  },
+  consent: {
+    required: true,
+  },
+};
+
 /**
  * Form field validators
  */
@@ -380,11 +407,13 @@ export function initializeContactForm(container) {
   setupFieldValidation(formElement);
 
   // Initialize form submission handler
-  const cleanupSubmission = handleFormSubmission(formElement, {
+  const cleanupSubmission = initializeFormSubmission(formElement, {
     endpoint: CONTACT_FORM_CONFIG.formspreeEndpoint,
     timeout: CONTACT_FORM_CONFIG.submitTimeout,
     validateBeforeSubmit: true,
+    validationRules: CONTACT_VALIDATION_RULES,
     enableSpamProtection: true,
+    queueKind: SubmissionKind.CONTACT,
     onSuccess: handleSubmissionSuccess,
     onError: handleSubmissionError,
   });
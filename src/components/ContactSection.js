@@ -1,4 +1,5 @@
 import { icons } from '../utils/icons.js';
+import { t } from '../utils/i18n.js';
 
 /**
  * ContactSection Component
@@ -28,9 +29,9 @@ export function ContactSection() {
     phone: '+234 803 456 7890',
     email: 'info@makokokids.org',
     hours: {
-      weekdays: 'Monday - Friday: 9:00 AM - 5:00 PM',
-      saturday: 'Saturday: 10:00 AM - 2:00 PM',
-      sunday: 'Sunday: Closed',
+      weekdays: t('contact.hoursWeekdays'),
+      saturday: t('contact.hoursSaturday'),
+      sunday: t('contact.hoursSunday'),
     },
     coordinates: {
       lat: 6.4969,
@@ -77,11 +78,10 @@ export function ContactSection() {
         <!-- Section Header -->
         <header class="text-center mb-16">
           <h2 id="contact-heading" class="text-4xl md:text-5xl font-bold text-gray-900 mb-4">
-            Get in Touch
+            ${t('contact.heading')}
           </h2>
           <p class="text-xl text-gray-600 max-w-3xl mx-auto">
-            We'd love to hear from you. Whether you want to volunteer, donate, or learn more about our work, 
-            we're here to help.
+            ${t('contact.intro')}
           </p>
         </header>
 
@@ -90,7 +90,7 @@ export function ContactSection() {
           <div class="space-y-8">
             <!-- Contact Details Card -->
             <div class="card p-8 space-y-6">
-              <h3 class="text-2xl font-bold text-gray-900 mb-6">Contact Information</h3>
+              <h3 class="text-2xl font-bold text-gray-900 mb-6">${t('contact.contactInformation')}</h3>
               
               <!-- Address -->
               <div class="flex items-start gap-4">
@@ -98,7 +98,7 @@ export function ContactSection() {
                   ${icons.mapPin}
                 </div>
                 <div>
-                  <h4 class="font-semibold text-gray-900 mb-1">Office Address</h4>
+                  <h4 class="font-semibold text-gray-900 mb-1">${t('contact.officeAddress')}</h4>
                   <address class="text-gray-600 not-italic leading-relaxed">
                     ${contactInfo.address.street}<br>
                     ${contactInfo.address.city}, ${contactInfo.address.state}<br>
@@ -113,11 +113,11 @@ export function ContactSection() {
                   ${icons.phone}
                 </div>
                 <div>
-                  <h4 class="font-semibold text-gray-900 mb-1">Phone</h4>
+                  <h4 class="font-semibold text-gray-900 mb-1">${t('contact.phone')}</h4>
                   <a 
                     href="tel:${contactInfo.phone.replace(/\s/g, '')}" 
                     class="text-gray-600 hover:text-primary-600 transition-colors"
-                    aria-label="Call us at ${contactInfo.phone}"
+                    aria-label="${t('contact.callUs', { phone: contactInfo.phone })}"
                   >
                     ${contactInfo.phone}
                   </a>
@@ -130,11 +130,11 @@ export function ContactSection() {
                   ${icons.mail}
                 </div>
                 <div>
-                  <h4 class="font-semibold text-gray-900 mb-1">Email</h4>
+                  <h4 class="font-semibold text-gray-900 mb-1">${t('contact.email')}</h4>
                   <a 
                     href="mailto:${contactInfo.email}" 
                     class="text-gray-600 hover:text-primary-600 transition-colors break-all"
-                    aria-label="Email us at ${contactInfo.email}"
+                    aria-label="${t('contact.emailUs', { email: contactInfo.email })}"
                   >
                     ${contactInfo.email}
                   </a>
@@ -147,7 +147,7 @@ export function ContactSection() {
                   ${icons.clock}
                 </div>
                 <div>
-                  <h4 class="font-semibold text-gray-900 mb-2">Office Hours</h4>
+                  <h4 class="font-semibold text-gray-900 mb-2">${t('contact.officeHours')}</h4>
                   <div class="text-gray-600 space-y-1 text-sm">
                     <p>${contactInfo.hours.weekdays}</p>
                     <p>${contactInfo.hours.saturday}</p>
@@ -168,8 +168,8 @@ export function ContactSection() {
                   allowfullscreen=""
                   loading="lazy"
                   referrerpolicy="no-referrer-when-downgrade"
-                  title="Makoko Community Kids NGO Office Location in Lagos"
-                  aria-label="Google Maps showing our office location in Makoko, Lagos"
+                  title="${t('contact.mapTitle')}"
+                  aria-label="${t('contact.mapAriaLabel')}"
                 ></iframe>
               </div>
               <div class="p-4 bg-gray-50 border-t border-gray-200">
@@ -178,17 +178,17 @@ export function ContactSection() {
                   target="_blank"
                   rel="noopener noreferrer"
                   class="inline-flex items-center gap-2 text-primary-600 hover:text-primary-700 font-semibold transition-colors"
-                  aria-label="Get directions to our office"
+                  aria-label="${t('contact.getDirectionsAriaLabel')}"
                 >
                   ${icons.navigation}
-                  <span>Get Directions</span>
+                  <span>${t('contact.getDirections')}</span>
                 </a>
               </div>
             </div>
 
             <!-- Social Media Links -->
             <div class="card p-8">
-              <h3 class="text-2xl font-bold text-gray-900 mb-6">Connect With Us</h3>
+              <h3 class="text-2xl font-bold text-gray-900 mb-6">${t('contact.connectWithUs')}</h3>
               <div class="grid grid-cols-2 sm:grid-cols-4 gap-4">
                 ${socialMedia
                   .map(
@@ -198,7 +198,7 @@ export function ContactSection() {
                     target="_blank"
                     rel="noopener noreferrer"
                     class="flex flex-col items-center gap-3 p-4 rounded-xl ${social.bgColor} transition-all hover:scale-105 hover:shadow-md"
-                    aria-label="Visit our ${social.name} page"
+                    aria-label="${t('contact.visitSocial', { network: social.name })}"
                   >
                     <div class="w-10 h-10 ${social.color} transition-colors">
                       ${social.icon}
@@ -210,20 +210,20 @@ export function ContactSection() {
                   .join('')}
               </div>
               <p class="text-sm text-gray-600 mt-6 text-center">
-                Follow us on social media to stay updated on our latest programs, events, and success stories.
+                ${t('contact.socialIntro')}
               </p>
             </div>
           </div>
 
           <!-- Contact Form -->
           <div class="card p-8 lg:p-10">
-            <h3 class="text-2xl font-bold text-gray-900 mb-6">Send Us a Message</h3>
+            <h3 class="text-2xl font-bold text-gray-900 mb-6">${t('contact.sendUsMessage')}</h3>
             
             <form id="contact-form" class="space-y-6" novalidate>
               <!-- Name Field -->
               <div>
                 <label for="contact-name" class="block text-sm font-semibold text-gray-700 mb-2">
-                  Full Name <span class="text-red-500" aria-label="required">*</span>
+                  ${t('contact.fullName')} <span class="text-red-500" aria-label="${t('contact.required')}">*</span>
                 </label>
                 <input
                   type="text"
@@ -244,7 +244,7 @@ export function ContactSection() {
               <!-- Email Field -->
               <div>
                 <label for="contact-email" class="block text-sm font-semibold text-gray-700 mb-2">
-                  Email Address <span class="text-red-500" aria-label="required">*</span>
+                  ${t('contact.emailAddress')} <span class="text-red-500" aria-label="${t('contact.required')}">*</span>
                 </label>
                 <input
                   type="email"
@@ -265,7 +265,7 @@ export function ContactSection() {
               <!-- Phone Field -->
               <div>
                 <label for="contact-phone" class="block text-sm font-semibold text-gray-700 mb-2">
-                  Phone Number
+                  ${t('contact.phoneNumber')}
                 </label>
                 <input
                   type="tel"
@@ -284,7 +284,7 @@ export function ContactSection() {
               <!-- Subject Field -->
               <div>
                 <label for="contact-subject" class="block text-sm font-semibold text-gray-700 mb-2">
-                  Subject <span class="text-red-500" aria-label="required">*</span>
+                  ${t('contact.subject')} <span class="text-red-500" aria-label="${t('contact.required')}">*</span>
                 </label>
                 <select
                   id="contact-subject"
@@ -294,13 +294,13 @@ export function ContactSection() {
                   aria-required="true"
                   aria-describedby="contact-subject-error"
                 >
-                  <option value="">Select a subject</option>
-                  <option value="general">General Inquiry</option>
-                  <option value="volunteer">Volunteer Opportunities</option>
-                  <option value="donation">Donation Information</option>
-                  <option value="partnership">Partnership Opportunities</option>
-                  <option value="media">Media Inquiry</option>
-                  <option value="other">Other</option>
+                  <option value="">${t('contact.selectSubject')}</option>
+                  <option value="general">${t('contact.subjectGeneral')}</option>
+                  <option value="volunteer">${t('contact.subjectVolunteer')}</option>
+                  <option value="donation">${t('contact.subjectDonation')}</option>
+                  <option value="partnership">${t('contact.subjectPartnership')}</option>
+                  <option value="media">${t('contact.subjectMedia')}</option>
+                  <option value="other">${t('contact.subjectOther')}</option>
                 </select>
                 <div id="contact-subject-error" class="form-error hidden" role="alert">
                   ${icons.alertCircle}
@@ -311,7 +311,7 @@ export function ContactSection() {
               <!-- Message Field -->
               <div>
                 <label for="contact-message" class="block text-sm font-semibold text-gray-700 mb-2">
-                  Message <span class="text-red-500" aria-label="required">*</span>
+                  ${t('contact.message')} <span class="text-red-500" aria-label="${t('contact.required')}">*</span>
                 </label>
                 <textarea
                   id="contact-message"
@@ -319,7 +319,7 @@ export function ContactSection() {
                   required
                   rows="5"
                   class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all resize-y"
-                  placeholder="Tell us how we can help you..."
+                  placeholder="${t('contact.messagePlaceholder')}"
                   aria-required="true"
                   aria-describedby="contact-message-error"
                 ></textarea>
@@ -348,8 +348,7 @@ export function ContactSection() {
                 </div>
                 <div class="info-content">
                   <p class="text-sm">
-                    Your information is secure and will only be used to respond to your inquiry. 
-                    We respect your privacy and will never share your details with third parties.
+                    ${t('contact.privacyNotice')}
                   </p>
                 </div>
               </div>
@@ -358,11 +357,11 @@ export function ContactSection() {
               <button
                 type="submit"
                 class="w-full btn-primary py-4 text-lg font-semibold rounded-xl shadow-lg hover:shadow-xl transition-all"
-                aria-label="Send message"
+                aria-label="${t('contact.sendMessageAriaLabel')}"
               >
                 <span class="flex items-center justify-center gap-2">
                   ${icons.send}
-                  <span>Send Message</span>
+                  <span>${t('contact.sendMessage')}</span>
                 </span>
               </button>
 
@@ -373,9 +372,9 @@ export function ContactSection() {
                     ${icons.checkCircle}
                   </div>
                   <div>
-                    <h4 class="font-semibold text-green-900 mb-1">Message Sent Successfully!</h4>
+                    <h4 class="font-semibold text-green-900 mb-1">${t('contact.successTitle')}</h4>
                     <p class="text-sm text-green-700">
-                      Thank you for contacting us. We'll get back to you within 24-48 hours.
+                      ${t('contact.successText')}
                     </p>
                   </div>
                 </div>
@@ -388,9 +387,9 @@ export function ContactSection() {
                     ${icons.alertCircle}
                   </div>
                   <div>
-                    <h4 class="font-semibold text-red-900 mb-1">Error Sending Message</h4>
+                    <h4 class="font-semibold text-red-900 mb-1">${t('contact.errorTitle')}</h4>
                     <p class="text-sm text-red-700">
-                      There was a problem sending your message. Please try again or contact us directly via email.
+                      ${t('contact.errorText')}
                     </p>
                   </div>
                 </div>
@@ -406,7 +405,7 @@ export function ContactSection() {
               ${icons.info}
             </div>
             <p class="text-sm text-blue-900">
-              <strong>Emergency Contact:</strong> For urgent matters, please call us directly at 
+              <strong>${t('contact.emergencyLabel')}</strong> ${t('contact.emergencyText')}
               <a href="tel:${contactInfo.phone.replace(/\s/g, '')}" class="font-semibold hover:underline">
                 ${contactInfo.phone}
               </a>
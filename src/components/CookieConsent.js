@@ -0,0 +1,328 @@
+/**
+ * CookieConsent Component
+ *
+ * First-visit consent banner and a reopenable preference center with a toggle
+ * per consent category. The banner reappears when the stored choice has
+ * expired or was made under an older policy version. Every choice is saved
+ * through privacy.js `setConsent`, whose events drive analytics in main.js.
+ *
+ * The preference center can be reopened from any element with
+ * `data-cookie-preferences` (for example the footer's "Cookie settings" link).
+ *
+ * @dependencies: ["privacy"]
+ */
+
+import {
+  ConsentType,
+  ConsentPromptReason,
+  getConsent,
+  setConsent,
+  getConsentPromptReason,
+} from '../utils/privacy.js';
+
+/**
+ * Consent categories shown in the preference center
+ */
+const CONSENT_CATEGORIES = [
+  {
+    type: ConsentType.NECESSARY,
+    label: 'Strictly necessary',
+    description: 'Keep the site secure and working, remember your consent choices and save forms you submit while offline. These are always on.',
+    locked: true,
+  },
+  {
+    type: ConsentType.ANALYTICS,
+    label: 'Analytics',
+    description: 'Help us understand how visitors use the site, such as which pages are read most, so we can improve it. Data is aggregated.',
+  },
+  {
+    type: ConsentType.MARKETING,
+    label: 'Marketing',
+    description: 'Measure our campaigns on social networks and send our newsletter if you subscribe.',
+  },
+  {
+    type: ConsentType.PREFERENCES,
+    label: 'Preferences',
+    description: 'Remember choices you make on the site, such as your language, between visits.',
+  },
+];
+
+/**
+ * Banner messages per prompt reason
+ */
+const PROMPT_MESSAGES = {
+  [ConsentPromptReason.FIRST_VISIT]: 'We use cookies and similar technologies to keep this site working and, with your permission, to understand how it is used and measure our campaigns.',
+  [ConsentPromptReason.POLICY_UPDATED]: 'We have updated our privacy policy. Please review your cookie choices so we can keep respecting your preferences.',
+  [ConsentPromptReason.EXPIRED]: 'It has been a while since you set your cookie choices. Please confirm them so we can keep respecting your preferences.',
+};
+
+/**
+ * Selector for focusable elements inside the preference center
+ */
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled]), a[href]';
+
+/**
+ * Build a consent object with every optional category set to the same value
+ * @param {boolean} value - Consent value
+ * @returns {Object} Consent state
+ */
+function allCategories(value) {
+  return CONSENT_CATEGORIES.reduce((consent, category) => {
+    consent[category.type] = category.locked ? true : value;
+    return consent;
+  }, {});
+}
+
+/**
+ * Render the banner
+ * @param {string} reason - ConsentPromptReason
+ * @returns {string} HTML string
+ */
+function renderBanner(reason) {
+  return `
+    <div class="max-w-5xl mx-auto bg-white rounded-2xl shadow-2xl border border-gray-200 p-6 md:flex md:items-center md:gap-6">
+      <div class="flex-1">
+        <h2 id="cookie-banner-heading" class="text-lg font-semibold text-gray-900 mb-1">
+          ${reason === ConsentPromptReason.FIRST_VISIT ? 'Your privacy choices' : 'Please review your privacy choices'}
+        </h2>
+        <p class="text-sm text-gray-600">
+          ${PROMPT_MESSAGES[reason]}
+          <a href="#privacy" class="text-primary-600 underline hover:text-primary-700">Privacy Policy</a>
+        </p>
+      </div>
+      <div class="flex flex-col sm:flex-row gap-3 mt-4 md:mt-0 md:flex-shrink-0">
+        <button type="button" data-consent-action="manage" class="btn btn-outline text-sm">
+          Manage preferences
+        </button>
+        <button type="button" data-consent-action="reject" class="btn btn-outline text-sm">
+          Reject non-essential
+        </button>
+        <button type="button" data-consent-action="accept" class="btn btn-primary text-sm">
+          Accept all
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the preference center dialog
+ * @param {Object} consent - Current consent state
+ * @returns {string} HTML string
+ */
+function renderPreferenceCenter(consent) {
+  const toggles = CONSENT_CATEGORIES.map((category) => `
+    <li class="py-4 flex items-start justify-between gap-4">
+      <div>
+        <label for="consent-${category.type}" class="font-medium text-gray-900">${category.label}</label>
+        <p id="consent-${category.type}-description" class="text-sm text-gray-600 mt-1">${category.description}</p>
+      </div>
+      <input
+        type="checkbox"
+        role="switch"
+        id="consent-${category.type}"
+        name="${category.type}"
+        class="mt-1 w-5 h-5 flex-shrink-0 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+        aria-describedby="consent-${category.type}-description"
+        ${consent[category.type] || category.locked ? 'checked' : ''}
+        ${category.locked ? 'disabled' : ''}
+      />
+    </li>
+  `).join('');
+
+  return `
+    <div class="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-full overflow-y-auto p-6">
+      <div class="flex items-start justify-between gap-4 mb-2">
+        <h2 id="cookie-preferences-heading" class="text-xl font-semibold text-gray-900">Cookie preferences</h2>
+        <button type="button" data-consent-action="close" class="text-gray-400 hover:text-gray-600" aria-label="Close cookie preferences">
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+      <p class="text-sm text-gray-600">
+        Choose which categories you allow. You can change these choices at any time from the "Cookie settings" link in the footer.
+      </p>
+      <form data-consent-form>
+        <ul class="divide-y divide-gray-200 my-4">${toggles}</ul>
+        <div class="flex flex-col sm:flex-row-reverse gap-3">
+          <button type="submit" class="btn btn-primary text-sm">Save choices</button>
+          <button type="button" data-consent-action="accept" class="btn btn-outline text-sm">Accept all</button>
+          <button type="button" data-consent-action="reject" class="btn btn-outline text-sm">Reject non-essential</button>
+        </div>
+      </form>
+    </div>
+  `;
+}
+
+/**
+ * Create the cookie consent banner and preference center
+ * @returns {HTMLElement} Container element with open() and destroy() methods
+ */
+export function createCookieConsent() {
+  const container = document.createElement('div');
+  container.setAttribute('data-cookie-consent', '');
+
+  const banner = document.createElement('section');
+  banner.className = 'fixed inset-x-0 bottom-0 z-50 p-4 hidden';
+  banner.setAttribute('aria-labelledby', 'cookie-banner-heading');
+
+  const dialog = document.createElement('div');
+  dialog.className = 'fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black bg-opacity-50 hidden';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'cookie-preferences-heading');
+
+  container.append(banner, dialog);
+
+  let returnFocusTo = null;
+
+  const showBanner = (reason) => {
+    banner.innerHTML = renderBanner(reason);
+    banner.classList.remove('hidden');
+  };
+
+  const hideBanner = () => {
+    banner.classList.add('hidden');
+    banner.innerHTML = '';
+  };
+
+  const closePreferences = () => {
+    if (dialog.classList.contains('hidden')) {
+      return;
+    }
+
+    dialog.classList.add('hidden');
+    dialog.innerHTML = '';
+    document.body.style.overflow = '';
+
+    if (returnFocusTo && document.contains(returnFocusTo)) {
+      returnFocusTo.focus();
+    }
+    returnFocusTo = null;
+  };
+
+  const openPreferences = () => {
+    returnFocusTo = document.activeElement;
+    dialog.innerHTML = renderPreferenceCenter(getConsent());
+    dialog.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+
+    const firstToggle = dialog.querySelector('input:not([disabled])');
+    if (firstToggle) {
+      firstToggle.focus();
+    }
+  };
+
+  const saveChoice = (consent) => {
+    if (!setConsent(consent)) {
+      console.error('[CookieConsent] Failed to save consent choice');
+      return;
+    }
+
+    closePreferences();
+    hideBanner();
+  };
+
+  const handleAction = (action) => {
+    switch (action) {
+      case 'accept':
+        saveChoice(allCategories(true));
+        break;
+      case 'reject':
+        saveChoice(allCategories(false));
+        break;
+      case 'manage':
+        openPreferences();
+        break;
+      case 'close':
+        closePreferences();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleClick = (event) => {
+    const actionButton = event.target.closest('[data-consent-action]');
+    if (actionButton && container.contains(actionButton)) {
+      handleAction(actionButton.dataset.consentAction);
+      return;
+    }
+
+    if (event.target === dialog) {
+      closePreferences();
+      return;
+    }
+
+    const opener = event.target.closest('[data-cookie-preferences]');
+    if (opener) {
+      event.preventDefault();
+      openPreferences();
+    }
+  };
+
+  const handleSubmit = (event) => {
+    if (!event.target.matches('[data-consent-form]')) {
+      return;
+    }
+
+    event.preventDefault();
+    const form = event.target;
+    const consent = CONSENT_CATEGORIES.reduce((choice, category) => {
+      choice[category.type] = category.locked ? true : form.elements[category.type].checked;
+      return choice;
+    }, {});
+
+    saveChoice(consent);
+  };
+
+  const handleKeydown = (event) => {
+    if (dialog.classList.contains('hidden')) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      closePreferences();
+      return;
+    }
+
+    // Keep focus inside the dialog
+    if (event.key === 'Tab') {
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  document.addEventListener('click', handleClick);
+  container.addEventListener('submit', handleSubmit);
+  document.addEventListener('keydown', handleKeydown);
+
+  const reason = getConsentPromptReason();
+  if (reason) {
+    showBanner(reason);
+  }
+
+  container.open = openPreferences;
+
+  container.destroy = () => {
+    closePreferences();
+    document.removeEventListener('click', handleClick);
+    container.removeEventListener('submit', handleSubmit);
+    document.removeEventListener('keydown', handleKeydown);
+    container.remove();
+  };
+
+  return container;
+}
+
+export default createCookieConsent;
@@ -7,59 +7,96 @@
  * 
  * @generated-from: task-id:TASK-007 feature:donation_system
  * @modifies: none (new component)
- * @dependencies: ["icons", "animations"]
+ * Donors can designate a gift to a program category or a single program. The
+ * form preselects the designation from the `?program=` query parameter used by
+ * program detail page links, and the designation is passed to analytics, the
+ * payment metadata, the confirmation and the receipt.
+ *
+ * Gifts made through a campaign link (`?campaign=<id>`) while the campaign is
+ * running are tagged with its ID the same way, and default to the campaign's
+ * designation. The section shows a CampaignBanner for that campaign, or for the
+ * next active campaign to close when the visitor didn't come from one.
+ * Personal fundraiser pages add `?fundraiser=<id>` so the gift is also
+ * credited to the supporter running the fundraiser.
+ * 
+ * @dependencies: ["icons", "animations", "paymentProviders", "analytics", "router", "campaignContent", "fundraisers"]
  */
 
 import { createIcon } from '../utils/icons.js';
 import { observeElements } from '../utils/animations.js';
+import {
+  PaymentProvider,
+  DonationFrequency,
+  getRegisteredProviders,
+  getPaymentProvider,
+  createPaymentSession,
+} from '../utils/paymentProviders.js';
+import {
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY,
+  getSuggestedAmounts,
+  getDefaultAmount,
+  getAmountLimits,
+  getCurrencySymbol,
+  formatAmount,
+  validateAmount,
+  getImpactDescription,
+  DESIGNATION_TYPES,
+  GENERAL_DESIGNATION,
+  resolveDesignation,
+  getDesignationGroups,
+} from '../data/donationContent.js';
+import {
+  CAMPAIGN_STATUS,
+  getCampaignById,
+  getCampaignStatus,
+  getActiveCampaigns,
+  isMatchedCampaign,
+} from '../data/campaignContent.js';
+import { FUNDRAISER_QUERY_PARAM, getFundraiser } from '../utils/fundraisers.js';
+import { trackDonation } from '../utils/analytics.js';
+import { RouterEvent } from '../utils/router.js';
+import { createPaymentConfirmation } from './DonationConfirmation.js';
+import { createCampaignBanner } from './CampaignBanner.js';
+import { t } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
 
 /**
- * Donation configuration with suggested amounts and impact descriptions
+ * Donation configuration with fund allocation and payment method icons
  */
 const DONATION_CONFIG = {
-  suggestedAmounts: [
-    {
-      amount: 25,
-      impact: 'Provides school supplies for 2 children',
-      popular: false,
-    },
-    {
-      amount: 50,
-      impact: 'Funds a week of nutritious meals for 5 children',
-      popular: true,
-    },
-    {
-      amount: 100,
-      impact: 'Supports educational programs for a month',
-      popular: false,
-    },
-    {
-      amount: 250,
-      impact: 'Provides healthcare services for 10 families',
-      popular: false,
-    },
-  ],
   fundAllocation: [
     { category: 'Education Programs', percentage: 45, color: 'bg-primary-600' },
     { category: 'Healthcare Services', percentage: 25, color: 'bg-secondary-600' },
     { category: 'Nutrition Support', percentage: 20, color: 'bg-accent-500' },
     { category: 'Administrative Costs', percentage: 10, color: 'bg-gray-400' },
   ],
-  paymentMethods: [
-    { id: 'stripe', name: 'Credit/Debit Card', icon: 'creditCard' },
-    { id: 'paypal', name: 'PayPal', icon: 'paypal' },
-  ],
+  paymentMethodIcons: {
+    [PaymentProvider.STRIPE]: 'creditCard',
+    [PaymentProvider.PAYPAL]: 'paypal',
+  },
 };
 
+/**
+ * DOM container ID where the selected payment provider mounts its UI.
+ * Lives outside the re-rendered form content so mounted provider UI survives updates.
+ */
+const PAYMENT_ELEMENT_ID = 'donate-section-payment-element';
+
+/**
+ * Query parameter holding a designation, e.g. /donate?program=edu-001
+ */
+const DESIGNATION_QUERY_PARAM = 'program';
+
+/**
+ * Query parameter holding a campaign ID, e.g. /donate?campaign=back-to-school-2026
+ */
+const CAMPAIGN_QUERY_PARAM = 'campaign';
+
 /**
  * Form validation state
  */
 const VALIDATION_RULES = {
-  amount: {
-    min: 5,
-    max: 100000,
-    message: 'Amount must be between $5 and $100,000',
-  },
   email: {
     pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     message: 'Please enter a valid email address',
@@ -76,9 +113,14 @@ const VALIDATION_RULES = {
 class DonationState {
   constructor() {
     this.donationType = 'one-time';
-    this.amount = 50;
+    this.currency = BASE_CURRENCY;
+    this.amount = getDefaultAmount(BASE_CURRENCY);
     this.customAmount = '';
-    this.paymentMethod = 'stripe';
+    this.paymentMethod = PaymentProvider.STRIPE;
+    this.paymentSession = null;
+    this.designation = GENERAL_DESIGNATION;
+    this.campaign = null;
+    this.fundraiser = null;
     this.donorInfo = {
       name: '',
       email: '',
@@ -103,12 +145,15 @@ class DonationState {
     const errors = {};
 
     // Validate amount
-    const finalAmount = this.customAmount || this.amount;
-    if (
-      finalAmount < VALIDATION_RULES.amount.min ||
-      finalAmount > VALIDATION_RULES.amount.max
-    ) {
-      errors.amount = VALIDATION_RULES.amount.message;
+    const amountResult = validateAmount(Number(this.getFinalAmount()), this.currency);
+    if (!amountResult.valid) {
+      errors.amount = amountResult.error;
+    }
+
+    // Validate the provider can take recurring payments
+    const provider = getPaymentProvider(this.paymentMethod);
+    if (this.donationType === 'monthly' && !provider.supportsRecurring) {
+      errors.amount = `Monthly donations are not yet available with ${provider.label}. Please choose a one-time donation or another payment method.`;
     }
 
     // Validate email
@@ -134,6 +179,55 @@ class DonationState {
   getFinalAmount() {
     return this.customAmount || this.amount;
   }
+
+  /**
+   * Get payment providers that accept the selected currency
+   */
+  getAvailableProviders() {
+    return getRegisteredProviders().filter((provider) => provider.currencies.includes(this.currency));
+  }
+
+  /**
+   * Switch currency, resetting the amount and falling back to a payment
+   * method that accepts the new currency
+   */
+  selectCurrency(currency) {
+    this.currency = currency;
+    this.amount = getDefaultAmount(currency);
+    this.customAmount = '';
+    this.errors.amount = '';
+
+    const available = this.getAvailableProviders();
+    if (!available.some((provider) => provider.id === this.paymentMethod)) {
+      this.paymentMethod = available[0].id;
+    }
+
+    return this;
+  }
+}
+
+/**
+ * Create currency selector
+ */
+function createCurrencySelector(state) {
+  return `
+    <label class="flex items-center gap-2 text-sm font-semibold text-gray-700">
+      ${t('donate.currency')}
+      <select
+        id="donation-currency"
+        name="currency"
+        class="px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200"
+      >
+        ${SUPPORTED_CURRENCIES.map(
+          (option) => `
+          <option value="${option.code}" ${state.currency === option.code ? 'selected' : ''}>
+            ${getCurrencySymbol(option.code)} ${option.code} — ${option.label}
+          </option>
+        `
+        ).join('')}
+      </select>
+    </label>
+  `;
 }
 
 /**
@@ -207,11 +301,17 @@ function createDonationTypeSelector(state, onUpdate) {
  * Create suggested amounts grid
  */
 function createSuggestedAmounts(state, _onUpdate) {
+  const { currency } = state;
+  const limits = getAmountLimits(currency);
+
   return `
     <div class="mb-8">
-      <h3 class="text-lg font-bold text-gray-900 mb-4">Select Amount</h3>
+      <div class="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 class="text-lg font-bold text-gray-900">${t('donate.selectAmount')}</h3>
+        ${createCurrencySelector(state)}
+      </div>
       <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-        ${DONATION_CONFIG.suggestedAmounts
+        ${getSuggestedAmounts(currency)
           .map(
             (suggestion) => `
           <button
@@ -228,7 +328,7 @@ function createSuggestedAmounts(state, _onUpdate) {
               suggestion.popular
                 ? `
               <span class="absolute -top-2 -right-2 px-2 py-1 text-xs font-semibold text-white bg-accent-500 rounded-full">
-                Popular
+                ${t('donate.popular')}
               </span>
             `
                 : ''
@@ -238,7 +338,7 @@ function createSuggestedAmounts(state, _onUpdate) {
                 ? 'text-primary-600'
                 : 'text-gray-900'
             }">
-              $${suggestion.amount}
+              ${formatAmount(suggestion.amount, currency)}
             </div>
             <div class="text-xs text-gray-600 mt-2 line-clamp-2">
               ${suggestion.impact}
@@ -251,20 +351,20 @@ function createSuggestedAmounts(state, _onUpdate) {
       
       <div class="relative">
         <label for="custom-amount" class="block text-sm font-semibold text-gray-700 mb-2">
-          Or enter custom amount
+          ${t('donate.customAmount')}
         </label>
         <div class="relative">
           <span class="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500 font-semibold">
-            $
+            ${getCurrencySymbol(currency)}
           </span>
           <input
             type="number"
             id="custom-amount"
             name="customAmount"
-            min="${VALIDATION_RULES.amount.min}"
-            max="${VALIDATION_RULES.amount.max}"
+            min="${limits.min}"
+            max="${limits.max}"
             step="1"
-            placeholder="Enter amount"
+            placeholder="${t('donate.enterAmount')}"
             value="${state.customAmount}"
             class="w-full pl-8 pr-4 py-3 border-2 rounded-xl transition-all duration-300 ${
               state.errors.amount
@@ -290,18 +390,102 @@ function createSuggestedAmounts(state, _onUpdate) {
   `;
 }
 
+/**
+ * Get the impact text for the selected amount and designation
+ */
+function getDesignationImpact(state) {
+  const amount = Number(state.getFinalAmount());
+  if (!(amount > 0)) {
+    return '';
+  }
+
+  try {
+    return getImpactDescription(amount, state.currency);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Get the matching-gift text for the selected amount and campaign
+ */
+function getCampaignMatchText(state) {
+  const { campaign } = state;
+  const amount = Number(state.getFinalAmount());
+  if (!isMatchedCampaign(campaign) || !(amount > 0)) {
+    return '';
+  }
+
+  const sponsor = campaign.matchSponsor ? ` by ${campaign.matchSponsor}` : '';
+  return `Matched ${campaign.matchMultiplier}×${sponsor}: your ${formatAmount(amount, state.currency)} becomes ${formatAmount(amount * campaign.matchMultiplier, state.currency)} for ${campaign.title}.`;
+}
+
+/**
+ * Create designation selector
+ */
+function createDesignationSelector(state) {
+  const { designation } = state;
+  const option = (item, label = item.label) => `
+    <option value="${item.id}" ${designation.id === item.id ? 'selected' : ''}>${label}</option>
+  `;
+
+  return `
+    <div class="mb-8">
+      <label for="donation-designation" class="block text-lg font-bold text-gray-900 mb-4">
+        ${t('donate.designationTitle')}
+      </label>
+      <select
+        id="donation-designation"
+        name="designation"
+        class="w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-white focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200"
+        aria-describedby="designation-impact"
+      >
+        ${option(GENERAL_DESIGNATION)}
+        ${getDesignationGroups()
+          .map(
+            ({ category, programs }) => `
+          <optgroup label="${category.label}">
+            ${option(category, `All ${category.label.toLowerCase()}`)}
+            ${programs.map((program) => option(program)).join('')}
+          </optgroup>
+        `
+          )
+          .join('')}
+      </select>
+      <div id="designation-impact" class="mt-3 text-sm text-gray-600" aria-live="polite">
+        <p data-designation-impact>${getDesignationImpact(state)}</p>
+        ${
+          state.campaign
+            ? `<p class="mt-1 font-semibold text-accent-700" data-campaign-match-impact>${getCampaignMatchText(state)}</p>`
+            : ''
+        }
+        ${
+          state.fundraiser
+            ? `<p class="mt-1 font-semibold text-primary-700" data-fundraiser-note>Your gift counts toward ${escapeHtml(state.fundraiser.name)}'s fundraiser, "${escapeHtml(state.fundraiser.title)}".</p>`
+            : ''
+        }
+        ${
+          designation.type === DESIGNATION_TYPES.GENERAL
+            ? ''
+            : `<p class="mt-1 font-semibold text-primary-700">Your gift will be used only for ${designation.label}.</p>`
+        }
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Create donor information form
  */
 function createDonorInfoForm(state, _onUpdate) {
   return `
     <div class="mb-8">
-      <h3 class="text-lg font-bold text-gray-900 mb-4">Your Information</h3>
+      <h3 class="text-lg font-bold text-gray-900 mb-4">${t('donate.yourInformation')}</h3>
       
       <div class="space-y-4">
         <div>
           <label for="donor-name" class="block text-sm font-semibold text-gray-700 mb-2">
-            Full Name ${state.donorInfo.anonymous ? '(Optional)' : '*'}
+            ${t('donate.fullName')} ${state.donorInfo.anonymous ? t('donate.optional') : '*'}
           </label>
           <input
             type="text"
@@ -332,7 +516,7 @@ function createDonorInfoForm(state, _onUpdate) {
         
         <div>
           <label for="donor-email" class="block text-sm font-semibold text-gray-700 mb-2">
-            Email Address *
+            ${t('donate.emailAddress')} *
           </label>
           <input
             type="email"
@@ -360,7 +544,7 @@ function createDonorInfoForm(state, _onUpdate) {
               : ''
           }
           <p class="mt-2 text-sm text-gray-600">
-            Receipt will be sent to this email
+            ${t('donate.receiptNote')}
           </p>
         </div>
         
@@ -373,7 +557,7 @@ function createDonorInfoForm(state, _onUpdate) {
             class="w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-2 focus:ring-primary-200 transition-all duration-300"
           />
           <label for="anonymous-donation" class="text-sm font-medium text-gray-700 cursor-pointer">
-            Make this donation anonymous
+            ${t('donate.anonymous')}
           </label>
         </div>
       </div>
@@ -387,10 +571,10 @@ function createDonorInfoForm(state, _onUpdate) {
 function createPaymentMethodSelector(state, _onUpdate) {
   return `
     <div class="mb-8">
-      <h3 class="text-lg font-bold text-gray-900 mb-4">Payment Method</h3>
+      <h3 class="text-lg font-bold text-gray-900 mb-4">${t('donate.paymentMethod')}</h3>
       
       <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-        ${DONATION_CONFIG.paymentMethods
+        ${state.getAvailableProviders()
           .map(
             (method) => `
           <button
@@ -414,11 +598,11 @@ function createPaymentMethodSelector(state, _onUpdate) {
               <div class="font-semibold ${
                 state.paymentMethod === method.id ? 'text-primary-900' : 'text-gray-900'
               }">
-                ${method.name}
+                ${method.label}
               </div>
             </div>
             <div class="flex-shrink-0">
-              ${createIcon(method.icon, 'text-gray-400', 'w-8 h-8')}
+              ${createIcon(DONATION_CONFIG.paymentMethodIcons[method.id] || 'creditCard', 'text-gray-400', 'w-8 h-8')}
             </div>
           </button>
         `
@@ -430,9 +614,9 @@ function createPaymentMethodSelector(state, _onUpdate) {
         <div class="flex gap-3">
           ${createIcon('info', 'text-blue-600', 'w-5 h-5 flex-shrink-0 mt-0.5')}
           <div class="text-sm text-blue-900">
-            <p class="font-semibold mb-1">Secure Payment Processing</p>
+            <p class="font-semibold mb-1">${t('donate.secureTitle')}</p>
             <p class="text-blue-700">
-              All transactions are encrypted and processed securely. We never store your payment information.
+              ${t('donate.secureText')}
             </p>
           </div>
         </div>
@@ -444,12 +628,12 @@ function createPaymentMethodSelector(state, _onUpdate) {
 /**
  * Create fund allocation transparency section
  */
-function createFundAllocation() {
+function createFundAllocation(state) {
   return `
     <div class="mb-8 p-6 bg-gradient-to-br from-primary-50 to-secondary-50 rounded-2xl border border-primary-100">
       <h3 class="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
         ${createIcon('pieChart', 'text-primary-600', 'w-6 h-6')}
-        How Your Donation is Used
+        ${t('donate.fundAllocationTitle')}
       </h3>
       
       <div class="space-y-3">
@@ -479,7 +663,11 @@ function createFundAllocation() {
       </div>
       
       <p class="mt-4 text-sm text-gray-600">
-        We are committed to transparency and ensuring your donation makes the maximum impact.
+        ${
+          state.designation.type === DESIGNATION_TYPES.GENERAL
+            ? 'We are committed to transparency and ensuring your donation makes the maximum impact.'
+            : `This is how undesignated gifts are shared. Your gift is designated to ${state.designation.label} and will be spent only there.`
+        }
       </p>
     </div>
   `;
@@ -509,13 +697,96 @@ function createSubmitButton(state) {
       `
           : `
         ${createIcon('heart', 'text-white', 'w-6 h-6')}
-        Donate $${amount}${frequency}
+        Donate ${formatAmount(Number(amount), state.currency)}${frequency}
       `
       }
     </button>
   `;
 }
 
+/**
+ * Build provider-agnostic payment data from component state
+ */
+function getPaymentData(state) {
+  return {
+    amount: Number(state.getFinalAmount()) || getDefaultAmount(state.currency),
+    currency: state.currency,
+    frequency: state.donationType === 'monthly' ? DonationFrequency.MONTHLY : DonationFrequency.ONE_TIME,
+    description: 'Donation to Makoko Community Kids',
+    metadata: {
+      anonymous: state.donorInfo.anonymous,
+      designation: state.designation.id,
+      ...(state.campaign && { campaign: state.campaign.id }),
+      ...(state.fundraiser && { fundraiser: state.fundraiser.id }),
+    },
+  };
+}
+
+/**
+ * Get the payment session for the selected provider, replacing a session
+ * belonging to a previously selected provider
+ */
+function getPaymentSession(state, options = {}) {
+  if (state.paymentSession && state.paymentSession.provider.id === state.paymentMethod) {
+    return state.paymentSession;
+  }
+
+  destroyPaymentSession(state);
+  state.paymentSession = createPaymentSession(state.paymentMethod, {
+    containerId: PAYMENT_ELEMENT_ID,
+    ...options,
+  });
+
+  return state.paymentSession;
+}
+
+/**
+ * Tear down the active payment session and any mounted provider UI
+ */
+function destroyPaymentSession(state) {
+  if (state.paymentSession) {
+    state.paymentSession.destroy();
+    state.paymentSession = null;
+  }
+}
+
+/**
+ * Mount provider UI that collects details before submission (e.g. card fields)
+ */
+function syncPaymentElement(state) {
+  if (!getPaymentProvider(state.paymentMethod).mountOnSelect) {
+    destroyPaymentSession(state);
+    return;
+  }
+
+  getPaymentSession(state)
+    .prepare(getPaymentData(state))
+    .catch((error) => {
+      console.error('Payment provider initialization error:', error);
+    });
+}
+
+/**
+ * Show an informational notice above the form
+ */
+function showPaymentNotice(form, message) {
+  const notice = document.createElement('div');
+  notice.className = 'mb-6 p-4 bg-blue-50 border border-blue-200 rounded-xl animate-fadeInUp';
+  notice.setAttribute('role', 'status');
+  notice.innerHTML = `
+    <div class="flex gap-3">
+      ${createIcon('info', 'text-blue-600', 'w-5 h-5 flex-shrink-0 mt-0.5')}
+      <p class="text-sm text-blue-900">${message}</p>
+    </div>
+  `;
+
+  form.insertBefore(notice, form.firstChild);
+
+  setTimeout(() => {
+    notice.remove();
+  }, 5000);
+}
+
 /**
  * Handle form submission
  */
@@ -535,72 +806,71 @@ async function handleDonationSubmit(state, form) {
   state.update({ isProcessing: true });
   updateForm(form, state);
 
+  let succeeded = false;
+
   try {
-    // Simulate payment processing
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Log donation details (in production, this would call payment API)
-    console.log('Donation submitted:', {
-      type: state.donationType,
-      amount: state.getFinalAmount(),
-      paymentMethod: state.paymentMethod,
-      donor: state.donorInfo,
-      timestamp: new Date().toISOString(),
-    });
+    const amount = Number(state.getFinalAmount());
+    const { donorInfo } = state;
 
-    // Show success message
-    showSuccessMessage(form, state);
+    const result = await getPaymentSession(state, {
+      onAwaitingApproval: (provider) => {
+        showPaymentNotice(form, `Complete your donation using the ${provider.label} buttons below.`);
+      },
+    }).pay(
+      { ...getPaymentData(state), amount },
+      {
+        receiptEmail: donorInfo.email,
+        billingDetails: {
+          name: donorInfo.anonymous ? undefined : donorInfo.name,
+          email: donorInfo.email,
+        },
+      }
+    );
+
+    if (result.success) {
+      succeeded = true;
+      destroyPaymentSession(state);
+      trackDonation({
+        amount: result.amount || amount,
+        currency: result.currency || state.currency,
+        frequency: state.donationType,
+        method: result.provider,
+        designation: state.designation,
+        campaign: state.campaign,
+        fundraiser: state.fundraiser,
+      });
+      showSuccessMessage(form, state, result);
+    } else if (!result.cancelled) {
+      showErrorMessage(form, result.error);
+    }
   } catch (error) {
     console.error('Donation processing error:', error);
     showErrorMessage(form, error.message);
   } finally {
     state.update({ isProcessing: false });
-    updateForm(form, state);
+    if (!succeeded) {
+      updateForm(form, state);
+    }
   }
 }
 
 /**
  * Show success message
+ * Replaces the form with the shared donation confirmation.
  */
-function showSuccessMessage(form, state) {
-  const amount = state.getFinalAmount();
-  const frequency = state.donationType === 'monthly' ? ' monthly' : '';
+function showSuccessMessage(form, state, result) {
+  const confirmation = createPaymentConfirmation(result, {
+    paymentMethod: getPaymentProvider(result.provider).label,
+    donorName: state.donorInfo.anonymous ? '' : state.donorInfo.name,
+    donorEmail: state.donorInfo.email,
+    frequency: state.donationType,
+    designation: state.designation,
+    campaign: state.campaign,
+    fundraiser: state.fundraiser,
+  });
 
-  form.innerHTML = `
-    <div class="text-center py-12 animate-fadeInUp">
-      <div class="inline-flex items-center justify-center w-20 h-20 bg-green-100 rounded-full mb-6">
-        ${createIcon('checkCircle', 'text-green-600', 'w-12 h-12')}
-      </div>
-      
-      <h3 class="text-3xl font-bold text-gray-900 mb-4">
-        Thank You for Your Generosity!
-      </h3>
-      
-      <p class="text-xl text-gray-700 mb-6">
-        Your${frequency} donation of <span class="font-bold text-primary-600">$${amount}</span> will make a real difference.
-      </p>
-      
-      <div class="max-w-md mx-auto p-6 bg-blue-50 border border-blue-200 rounded-xl mb-8">
-        <div class="flex gap-3">
-          ${createIcon('mail', 'text-blue-600', 'w-5 h-5 flex-shrink-0 mt-0.5')}
-          <div class="text-sm text-blue-900 text-left">
-            <p class="font-semibold mb-1">Receipt Sent</p>
-            <p class="text-blue-700">
-              A confirmation email with your tax receipt has been sent to ${state.donorInfo.email}
-            </p>
-          </div>
-        </div>
-      </div>
-      
-      <button
-        type="button"
-        onclick="location.reload()"
-        class="btn btn-primary"
-      >
-        Make Another Donation
-      </button>
-    </div>
-  `;
+  form.replaceWith(confirmation);
+  confirmation.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
 /**
@@ -633,19 +903,28 @@ function showErrorMessage(form, message) {
  */
 function updateForm(form, state) {
   const formContent = form.querySelector('[data-form-content]');
-  if (!formContent) return;
+  const formFooter = form.querySelector('[data-form-footer]');
+  if (!formContent || !formFooter) return;
 
   formContent.innerHTML = `
     ${createDonationTypeSelector(state)}
     ${createSuggestedAmounts(state)}
+    ${createDesignationSelector(state)}
     ${createDonorInfoForm(state)}
     ${createPaymentMethodSelector(state)}
-    ${createFundAllocation()}
+  `;
+
+  formFooter.innerHTML = `
+    ${createFundAllocation(state)}
     ${createSubmitButton(state)}
   `;
 
   // Re-attach event listeners
   attachFormEventListeners(form, state);
+
+  if (!state.isProcessing) {
+    syncPaymentElement(state);
+  }
 }
 
 /**
@@ -671,11 +950,39 @@ function attachFormEventListeners(form, state) {
     });
   });
 
+  // Currency selector
+  const currencySelect = form.querySelector('#donation-currency');
+  if (currencySelect) {
+    currencySelect.addEventListener('change', (e) => {
+      state.selectCurrency(e.target.value);
+      updateForm(form, state);
+    });
+  }
+
   // Custom amount input
   const customAmountInput = form.querySelector('#custom-amount');
   if (customAmountInput) {
     customAmountInput.addEventListener('input', (e) => {
       state.update({ customAmount: e.target.value });
+
+      const impact = form.querySelector('[data-designation-impact]');
+      if (impact) {
+        impact.textContent = getDesignationImpact(state);
+      }
+
+      const match = form.querySelector('[data-campaign-match-impact]');
+      if (match) {
+        match.textContent = getCampaignMatchText(state);
+      }
+    });
+  }
+
+  // Designation selector
+  const designationSelect = form.querySelector('#donation-designation');
+  if (designationSelect) {
+    designationSelect.addEventListener('change', (e) => {
+      state.update({ designation: resolveDesignation(e.target.value) });
+      updateForm(form, state);
     });
   }
 
@@ -714,11 +1021,83 @@ function attachFormEventListeners(form, state) {
   });
 }
 
+/**
+ * Read the designation from the current URL
+ */
+function getDesignationFromUrl() {
+  return resolveDesignation(new URLSearchParams(window.location.search).get(DESIGNATION_QUERY_PARAM));
+}
+
+/**
+ * Read the campaign from the current URL
+ * Only a running campaign is returned; gifts can't be tagged to one that has
+ * ended or not yet started.
+ */
+function getCampaignFromUrl() {
+  const campaign = getCampaignById(new URLSearchParams(window.location.search).get(CAMPAIGN_QUERY_PARAM));
+  return campaign && getCampaignStatus(campaign) === CAMPAIGN_STATUS.ACTIVE ? campaign : null;
+}
+
+/**
+ * Get the designation for a visit: an explicit `?program=` wins over the
+ * campaign's own designation
+ */
+function getInitialDesignation(campaign) {
+  const designation = getDesignationFromUrl();
+  if (designation === GENERAL_DESIGNATION && campaign) {
+    return resolveDesignation(campaign.designation);
+  }
+  return designation;
+}
+
+/**
+ * Credit the gift to the fundraiser in the URL, if any
+ * The fundraiser is looked up first so only real pages are credited; the form
+ * re-renders to name the supporter once it has loaded.
+ */
+function loadFundraiserFromUrl(form, state) {
+  const id = new URLSearchParams(window.location.search).get(FUNDRAISER_QUERY_PARAM);
+  if (!id || (state.fundraiser && state.fundraiser.id === id)) {
+    return;
+  }
+
+  getFundraiser(id)
+    .then((fundraiser) => {
+      if (state.isProcessing || !form.isConnected) {
+        return;
+      }
+
+      state.update({ fundraiser });
+      updateForm(form, state);
+    })
+    .catch((error) => {
+      console.warn('[DonateSection] Fundraiser not credited:', error.message);
+    });
+}
+
+/**
+ * Show the banner for the tagged campaign, or the next active campaign to close
+ * Returns the banner, or null when no campaign is running.
+ */
+function renderCampaignBanner(slot, state) {
+  const [featured] = getActiveCampaigns();
+  const campaign = state.campaign || featured;
+  if (!campaign) {
+    return null;
+  }
+
+  const banner = createCampaignBanner(campaign, { tagged: campaign === state.campaign });
+  slot.appendChild(banner);
+  return banner;
+}
+
 /**
  * Create and initialize donation section
  */
 export function createDonateSection() {
   const state = new DonationState();
+  const campaign = getCampaignFromUrl();
+  state.update({ campaign, designation: getInitialDesignation(campaign) });
 
   const section = document.createElement('section');
   section.id = 'donate';
@@ -729,21 +1108,27 @@ export function createDonateSection() {
     <div class="max-w-4xl mx-auto">
       <header class="text-center mb-12 animate-fadeInUp">
         <h2 id="donate-heading" class="text-4xl md:text-5xl font-bold text-gray-900 mb-4">
-          Support Our Mission
+          ${t('donate.heading')}
         </h2>
         <p class="text-xl text-gray-600 max-w-2xl mx-auto">
-          Your donation directly impacts the lives of children in Makoko. Every contribution helps us provide education, healthcare, and hope.
+          ${t('donate.intro')}
         </p>
       </header>
 
+      <div data-campaign-slot></div>
+
       <div class="bg-white rounded-3xl shadow-xl p-6 md:p-10 animate-fadeInUp">
         <form id="donation-form" novalidate>
           <div data-form-content>
             ${createDonationTypeSelector(state)}
             ${createSuggestedAmounts(state)}
+            ${createDesignationSelector(state)}
             ${createDonorInfoForm(state)}
             ${createPaymentMethodSelector(state)}
-            ${createFundAllocation()}
+          </div>
+          <div id="${PAYMENT_ELEMENT_ID}" class="mb-8 empty:hidden" aria-label="${t('donate.paymentDetails')}"></div>
+          <div data-form-footer>
+            ${createFundAllocation(state)}
             ${createSubmitButton(state)}
           </div>
         </form>
@@ -752,10 +1137,14 @@ export function createDonateSection() {
       <div class="mt-8 text-center text-sm text-gray-600">
         <p>
           ${createIcon('lock', 'text-gray-400 inline', 'w-4 h-4')}
-          Secure payment processing powered by industry-leading encryption
+          ${t('donate.secureFooter')}
+        </p>
+        <p class="mt-2">
+          ${t('donate.taxNote')}
         </p>
         <p class="mt-2">
-          Makoko Community Kids is a registered 501(c)(3) nonprofit. Your donation is tax-deductible.
+          ${t('donate.alreadyGiving')}
+          <a href="#manage-donations" class="text-primary-600 font-semibold hover:underline">${t('donate.manageRecurring')}</a>
         </p>
       </div>
     </div>
@@ -763,6 +1152,10 @@ export function createDonateSection() {
 
   // Attach form submit handler
   const form = section.querySelector('#donation-form');
+  const campaignSlot = section.querySelector('[data-campaign-slot]');
+  let handleRouteChange = null;
+  let campaignBanner = renderCampaignBanner(campaignSlot, state);
+
   if (form) {
     attachFormEventListeners(form, state);
 
@@ -770,10 +1163,54 @@ export function createDonateSection() {
       e.preventDefault();
       handleDonationSubmit(state, form);
     });
+
+    // Mount once the section is attached so the provider can find its container
+    requestAnimationFrame(() => syncPaymentElement(state));
+    loadFundraiserFromUrl(form, state);
+
+    // Program pages link to /donate?program=<id>, campaign banners to
+    // /donate?campaign=<id> and fundraiser pages add &fundraiser=<id>;
+    // preselect them on arrival
+    handleRouteChange = () => {
+      if (state.isProcessing || !form.isConnected) {
+        return;
+      }
+
+      loadFundraiserFromUrl(form, state);
+
+      const urlCampaign = getCampaignFromUrl();
+      const designation = getDesignationFromUrl();
+      const campaignChanged = Boolean(urlCampaign) && urlCampaign !== state.campaign;
+      const designationChanged = designation !== GENERAL_DESIGNATION && designation.id !== state.designation.id;
+
+      if (campaignChanged) {
+        state.update({ campaign: urlCampaign, designation: getInitialDesignation(urlCampaign) });
+        if (campaignBanner) {
+          campaignBanner.destroy();
+        }
+        campaignBanner = renderCampaignBanner(campaignSlot, state);
+        updateForm(form, state);
+      } else if (designationChanged) {
+        state.update({ designation });
+        updateForm(form, state);
+      }
+    };
+    window.addEventListener(RouterEvent.CHANGE, handleRouteChange);
   }
 
   // Initialize animations
   observeElements(section);
 
+  section.destroy = () => {
+    if (handleRouteChange) {
+      window.removeEventListener(RouterEvent.CHANGE, handleRouteChange);
+    }
+    if (campaignBanner) {
+      campaignBanner.destroy();
+    }
+    destroyPaymentSession(state);
+    section.remove();
+  };
+
   return section;
 }
\ No newline at end of file
@@ -8,6 +8,15 @@
  */
 
 import { icons } from '../utils/icons.js';
+import {
+  convertAmount,
+  CURRENCY_RATES,
+  BASE_CURRENCY,
+  DESIGNATION_TYPES,
+} from '../data/donationContent.js';
+import { isMatchedCampaign } from '../data/campaignContent.js';
+import { downloadDonationReceipt, getReceiptTax } from '../utils/receipts.js';
+import { formatCurrency as formatLocaleCurrency, formatDate as formatLocaleDate } from '../utils/i18n.js';
 
 /**
  * Creates and renders the donation confirmation component
@@ -22,6 +31,10 @@ import { icons } from '../utils/icons.js';
  * @param {string} donationData.donorEmail - Donor's email
  * @param {string} donationData.date - Transaction date
  * @param {string} [donationData.recurringFrequency] - Frequency for recurring donations
+ * @param {string} [donationData.country] - Donor's ISO country code, selects the receipt tax wording
+ * @param {Object} [donationData.designation] - Designated program or category from resolveDesignation()
+ * @param {Object} [donationData.campaign] - Fundraising campaign from campaignContent.js
+ * @param {Object} [donationData.fundraiser] - Personal fundraiser the gift is credited to
  * @returns {HTMLElement} Confirmation component element
  */
 export function createDonationConfirmation(donationData) {
@@ -40,6 +53,10 @@ export function createDonationConfirmation(donationData) {
     donorEmail,
     date,
     recurringFrequency,
+    country,
+    designation,
+    campaign,
+    fundraiser,
   } = donationData;
 
   // Validate required fields
@@ -61,6 +78,8 @@ export function createDonationConfirmation(donationData) {
 
   const formattedAmount = formatCurrency(amount, currency);
   const formattedDate = formatDate(date);
+  const tax = getReceiptTax(country, currency);
+  const isDesignated = Boolean(designation && designation.type !== DESIGNATION_TYPES.GENERAL);
   const shareUrl = encodeURIComponent(window.location.origin);
   const shareText = encodeURIComponent(
     `I just donated ${formattedAmount} to Makoko Community Kids NGO! Join me in supporting education and empowerment for children in Makoko.`
@@ -115,6 +134,27 @@ export function createDonationConfirmation(donationData) {
             </span>
           </div>
 
+          ${isDesignated ? `
+            <div class="flex justify-between items-center py-3 border-b border-gray-100">
+              <span class="text-gray-600 font-medium">Designated To</span>
+              <span class="text-gray-900 text-right">${escapeHtml(designation.label)}</span>
+            </div>
+          ` : ''}
+
+          ${campaign ? `
+            <div class="flex justify-between items-center py-3 border-b border-gray-100">
+              <span class="text-gray-600 font-medium">Campaign</span>
+              <span class="text-gray-900 text-right">${escapeHtml(campaign.title)}</span>
+            </div>
+          ` : ''}
+
+          ${fundraiser ? `
+            <div class="flex justify-between items-center py-3 border-b border-gray-100">
+              <span class="text-gray-600 font-medium">In Support Of</span>
+              <span class="text-gray-900 text-right">${escapeHtml(fundraiser.name)}'s fundraiser</span>
+            </div>
+          ` : ''}
+
           <div class="flex justify-between items-center py-3 border-b border-gray-100">
             <span class="text-gray-600 font-medium">Payment Method</span>
             <span class="text-gray-900 capitalize">${escapeHtml(paymentMethod)}</span>
@@ -145,7 +185,8 @@ export function createDonationConfirmation(donationData) {
 
         <div class="mt-6 pt-6 border-t border-gray-200">
           <p class="text-sm text-gray-600 text-center">
-            This donation is tax-deductible to the extent allowed by law. Tax ID: XX-XXXXXXX
+            ${escapeHtml(tax.statement)}
+            ${tax.taxId ? `${escapeHtml(tax.taxId.label)}: ${escapeHtml(tax.taxId.value)}` : ''}
           </p>
         </div>
       </div>
@@ -154,8 +195,19 @@ export function createDonationConfirmation(donationData) {
       <div class="card bg-gradient-to-r from-primary-600 to-secondary-600 text-white p-8 mb-8 animate-fadeInUp" style="animation-delay: 0.1s;">
         <h2 class="text-2xl font-bold mb-4">Your Impact</h2>
         <p class="text-lg mb-6 leading-relaxed">
-          ${getImpactMessage(amount, donationType)}
+          ${getImpactMessage(amount, donationType, currency)}
         </p>
+        ${isDesignated ? `
+          <p class="text-lg mb-6 leading-relaxed font-semibold">
+            Every bit of it goes to ${escapeHtml(designation.label)}, as you asked.
+          </p>
+        ` : ''}
+        ${isMatchedCampaign(campaign) ? `
+          <p class="text-lg mb-6 leading-relaxed font-semibold">
+            ${escapeHtml(campaign.matchSponsor || 'Our matching sponsor')} will match it ${campaign.matchMultiplier}&times;,
+            so ${formatCurrency(amount * campaign.matchMultiplier, currency)} goes to ${escapeHtml(campaign.title)}.
+          </p>
+        ` : ''}
         <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
           <div class="bg-white/10 backdrop-blur-sm rounded-lg p-4 text-center">
             <div class="text-3xl font-bold mb-1">${icons.education}</div>
@@ -239,7 +291,7 @@ export function createDonationConfirmation(donationData) {
         <h2 class="text-2xl font-bold text-gray-900 mb-6 text-center">More Ways to Help</h2>
         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
           <a
-            href="#volunteer"
+            href="/volunteer"
             class="group flex items-start p-6 bg-gray-50 rounded-xl hover:bg-primary-50 transition-all duration-200 hover:shadow-md"
           >
             <div class="flex-shrink-0 w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center group-hover:bg-primary-200 transition-colors">
@@ -326,16 +378,17 @@ export function createDonationConfirmation(donationData) {
         </a>
         <button
           type="button"
-          id="print-receipt-btn"
+          id="download-receipt-btn"
           class="btn btn-outline text-lg px-8 py-4"
-          aria-label="Print receipt"
+          aria-label="Download receipt as PDF"
         >
           <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z"></path>
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
           </svg>
-          Print Receipt
+          Download Receipt (PDF)
         </button>
       </div>
+      <p id="receipt-status" class="mt-4 text-center text-sm text-gray-600 hidden" role="status" aria-live="polite"></p>
     </div>
   `;
 
@@ -345,6 +398,42 @@ export function createDonationConfirmation(donationData) {
   return container;
 }
 
+/**
+ * Creates the confirmation component from a payment result
+ * Every payment provider reaches the confirmation screen through this mapping,
+ * so card, PayPal, Paystack and Flutterwave donations share one receipt path.
+ *
+ * @param {Object} paymentResult - Successful result from PaymentSession.pay()
+ * @param {Object} donation - Donation context from the form
+ * @param {string} donation.paymentMethod - Payment method display label
+ * @param {string} donation.donorEmail - Donor's email
+ * @param {string} [donation.donorName] - Donor's name
+ * @param {string} [donation.frequency] - Donation frequency (e.g. 'one-time', 'monthly')
+ * @param {Object} [donation.designation] - Designated program or category
+ * @param {Object} [donation.campaign] - Fundraising campaign the gift was made through
+ * @param {Object} [donation.fundraiser] - Personal fundraiser the gift is credited to
+ * @returns {HTMLElement} Confirmation component element
+ */
+export function createPaymentConfirmation(paymentResult, donation) {
+  const frequency = donation.frequency || 'one-time';
+  const isRecurring = !['one-time', 'one_time'].includes(frequency);
+
+  return createDonationConfirmation({
+    transactionId: paymentResult.transactionId,
+    amount: paymentResult.amount,
+    currency: paymentResult.currency || 'USD',
+    donationType: isRecurring ? 'recurring' : 'one-time',
+    paymentMethod: donation.paymentMethod,
+    donorName: donation.donorName,
+    donorEmail: donation.donorEmail,
+    date: paymentResult.timestamp || new Date().toISOString(),
+    recurringFrequency: isRecurring ? frequency.charAt(0).toUpperCase() + frequency.slice(1) : undefined,
+    designation: donation.designation,
+    campaign: donation.campaign,
+    fundraiser: donation.fundraiser,
+  });
+}
+
 /**
  * Attaches event listeners to confirmation component elements
  * 
@@ -358,10 +447,10 @@ function attachEventListeners(container, donationData) {
     button.addEventListener('click', handleSocialShare);
   });
 
-  // Print receipt button
-  const printButton = container.querySelector('#print-receipt-btn');
-  if (printButton) {
-    printButton.addEventListener('click', () => handlePrintReceipt(donationData));
+  // Download receipt button
+  const downloadButton = container.querySelector('#download-receipt-btn');
+  if (downloadButton) {
+    downloadButton.addEventListener('click', () => handleDownloadReceipt(container, donationData));
   }
 
   console.log('[DonationConfirmation] Event listeners attached successfully');
@@ -369,10 +458,12 @@ function attachEventListeners(container, donationData) {
 
 /**
  * Handles social media sharing
+ * Reads `data-platform`, and the URI-encoded `data-url` and `data-text`, from
+ * the clicked button; fundraiser pages reuse it for their share buttons.
  * 
  * @param {Event} event - Click event
  */
-function handleSocialShare(event) {
+export function handleSocialShare(event) {
   const button = event.currentTarget;
   const platform = button.getAttribute('data-platform');
   const url = button.getAttribute('data-url');
@@ -414,141 +505,31 @@ function handleSocialShare(event) {
 }
 
 /**
- * Handles receipt printing
+ * Handles receipt download
+ * Generates the PDF in the page, so it works even when pop-ups are blocked.
  * 
- * @param {Object} donationData - Donation data to include in print
+ * @param {HTMLElement} container - Container element
+ * @param {Object} donationData - Donation data to include in the receipt
  */
-function handlePrintReceipt(donationData) {
+async function handleDownloadReceipt(container, donationData) {
+  const button = container.querySelector('#download-receipt-btn');
+  const status = container.querySelector('#receipt-status');
+
+  button.disabled = true;
+  status.classList.remove('hidden', 'text-red-600');
+  status.textContent = 'Preparing your receipt...';
+
   try {
-    // Create print-friendly version
-    const printWindow = window.open('', '_blank');
-    if (!printWindow) {
-      console.error('[DonationConfirmation] Failed to open print window');
-      alert('Please allow pop-ups to print your receipt');
-      return;
-    }
-
-    const formattedAmount = formatCurrency(donationData.amount, donationData.currency);
-    const formattedDate = formatDate(donationData.date);
-
-    printWindow.document.write(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Donation Receipt - ${donationData.transactionId}</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 40px 20px;
-            color: #333;
-          }
-          .header {
-            text-align: center;
-            margin-bottom: 40px;
-            border-bottom: 2px solid #0284c7;
-            padding-bottom: 20px;
-          }
-          .header h1 {
-            color: #0284c7;
-            margin: 0 0 10px 0;
-          }
-          .receipt-details {
-            margin: 30px 0;
-          }
-          .detail-row {
-            display: flex;
-            justify-content: space-between;
-            padding: 12px 0;
-            border-bottom: 1px solid #e5e7eb;
-          }
-          .detail-label {
-            font-weight: 600;
-            color: #6b7280;
-          }
-          .detail-value {
-            color: #111827;
-          }
-          .amount {
-            font-size: 24px;
-            font-weight: bold;
-            color: #0284c7;
-          }
-          .footer {
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 2px solid #e5e7eb;
-            text-align: center;
-            font-size: 12px;
-            color: #6b7280;
-          }
-          @media print {
-            body {
-              padding: 20px;
-            }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>Makoko Community Kids NGO</h1>
-          <p>Donation Receipt</p>
-        </div>
-        
-        <div class="receipt-details">
-          <div class="detail-row">
-            <span class="detail-label">Transaction ID:</span>
-            <span class="detail-value">${escapeHtml(donationData.transactionId)}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Donor Name:</span>
-            <span class="detail-value">${escapeHtml(donationData.donorName || 'Anonymous')}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Email:</span>
-            <span class="detail-value">${escapeHtml(donationData.donorEmail)}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Amount:</span>
-            <span class="detail-value amount">${formattedAmount}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Donation Type:</span>
-            <span class="detail-value">${donationData.donationType === 'recurring' ? `${escapeHtml(donationData.recurringFrequency || 'Monthly')} Recurring` : 'One-Time'}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Payment Method:</span>
-            <span class="detail-value">${escapeHtml(donationData.paymentMethod)}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Date:</span>
-            <span class="detail-value">${formattedDate}</span>
-          </div>
-        </div>
-        
-        <div class="footer">
-          <p>This donation is tax-deductible to the extent allowed by law.</p>
-          <p>Tax ID: XX-XXXXXXX</p>
-          <p>Thank you for your generous support!</p>
-        </div>
-        
-        <script>
-          window.onload = function() {
-            window.print();
-          };
-        </script>
-      </body>
-      </html>
-    `);
-
-    printWindow.document.close();
-    console.log('[DonationConfirmation] Print receipt generated successfully');
+    const receiptNumber = await downloadDonationReceipt(donationData);
+    status.textContent = receiptNumber.provisional
+      ? `Provisional receipt ${receiptNumber.number} downloaded. Your official receipt will be emailed to you.`
+      : `Receipt ${receiptNumber.number} downloaded.`;
   } catch (error) {
-    console.error('[DonationConfirmation] Error generating print receipt:', error);
-    alert('Failed to generate print receipt. Please try again.');
+    console.error('[DonationConfirmation] Error generating receipt:', error);
+    status.classList.add('text-red-600');
+    status.textContent = 'We could not generate your receipt. Please try again.';
+  } finally {
+    button.disabled = false;
   }
 }
 
@@ -561,10 +542,7 @@ function handlePrintReceipt(donationData) {
  */
 function formatCurrency(amount, currency = 'USD') {
   try {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency,
-    }).format(amount);
+    return formatLocaleCurrency(amount, currency);
   } catch (error) {
     console.error('[DonationConfirmation] Error formatting currency:', error);
     return `${currency} ${amount.toFixed(2)}`;
@@ -579,14 +557,13 @@ function formatCurrency(amount, currency = 'USD') {
  */
 function formatDate(dateString) {
   try {
-    const date = new Date(dateString);
-    return new Intl.DateTimeFormat('en-US', {
+    return formatLocaleDate(dateString, {
       year: 'numeric',
       month: 'long',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
-    }).format(date);
+    });
   } catch (error) {
     console.error('[DonationConfirmation] Error formatting date:', error);
     return dateString;
@@ -598,19 +575,22 @@ function formatDate(dateString) {
  * 
  * @param {number} amount - Donation amount
  * @param {string} donationType - Type of donation
+ * @param {string} [currency='USD'] - Currency of the amount; thresholds are scaled with the static rate table
  * @returns {string} Impact message
  */
-function getImpactMessage(amount, donationType) {
+function getImpactMessage(amount, donationType, currency = BASE_CURRENCY) {
   const isRecurring = donationType === 'recurring';
   const prefix = isRecurring ? 'Your monthly donation of' : 'Your donation of';
 
-  if (amount >= 500) {
+  const baseAmount = CURRENCY_RATES[currency] ? convertAmount(amount, currency) : amount;
+
+  if (baseAmount >= 500) {
     return `${prefix} this amount can provide comprehensive educational support, including school supplies, uniforms, and tutoring for multiple children throughout the year. You're making a transformational impact!`;
-  } else if (amount >= 250) {
+  } else if (baseAmount >= 250) {
     return `${prefix} this amount can sponsor a child's education for several months, including books, supplies, and nutritious meals. You're changing lives!`;
-  } else if (amount >= 100) {
+  } else if (baseAmount >= 100) {
     return `${prefix} this amount can provide school supplies and meals for a child for an entire term. Your generosity is making education possible!`;
-  } else if (amount >= 50) {
+  } else if (baseAmount >= 50) {
     return `${prefix} this amount can provide essential school supplies and nutritious meals for a child for several weeks. Thank you for your support!`;
   } else {
     return `${prefix} this amount contributes to our community programs and helps provide essential resources for children in need. Every contribution matters!`;
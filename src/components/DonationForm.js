@@ -3,6 +3,7 @@
  * 
  * Production-ready donation form with Stripe and PayPal integration.
  * Implements secure payment processing, form validation, and error handling.
+ * Payments are routed through the shared provider registry in paymentConfig.js.
  * 
  * @generated-from: task-id:TASK-007 feature:donation_system
  * @modifies: none (new component)
@@ -10,16 +11,40 @@
  */
 
 import { icons } from '../utils/icons.js';
+import {
+  PaymentProvider,
+  getPaymentProvider,
+  getRegisteredProviders,
+  createPaymentSession,
+} from '../utils/paymentProviders.js';
+import {
+  SECURITY_MESSAGES,
+  RECURRING_INFO,
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY,
+  getSuggestedAmounts,
+  getDefaultAmount,
+  getCurrencySymbol,
+  formatAmount,
+} from '../data/donationContent.js';
+import { validateAmount } from '../utils/formValidation.js';
+import { createPaymentConfirmation } from './DonationConfirmation.js';
 
 /**
- * Payment method types
- * @enum {string}
+ * Payment method button icons keyed by provider ID
  */
-const PaymentMethod = Object.freeze({
-  STRIPE: 'stripe',
-  PAYPAL: 'paypal',
+const PAYMENT_METHOD_ICONS = Object.freeze({
+  [PaymentProvider.STRIPE]: '<path d="M3 10h18v2H3v-2zm0 4h18v2H3v-2z"/>',
+  [PaymentProvider.PAYSTACK]: '<path d="M17 1H7a2 2 0 0 0-2 2v18a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2zm-5 21a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm5-5H7V4h10v13z"/>',
+  [PaymentProvider.FLUTTERWAVE]: '<path d="M17 1H7a2 2 0 0 0-2 2v18a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2zm-5 21a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm5-5H7V4h10v13z"/>',
+  [PaymentProvider.PAYPAL]: '<path d="M7.076 21.337H2.47a.641.641 0 0 1-.633-.74L4.944 3.72a.77.77 0 0 1 .76-.633h8.14c2.97 0 4.968 1.238 5.156 3.196.07.739-.034 1.388-.308 1.93.604.787.926 1.747.926 2.857 0 3.227-2.17 5.267-5.65 5.267h-1.363a.77.77 0 0 0-.76.633l-.542 3.367z"/>',
 });
 
+/**
+ * DOM container ID where the selected provider mounts its UI
+ */
+const PAYMENT_ELEMENT_ID = 'donation-form-payment-element';
+
 /**
  * Donation frequency types
  * @enum {string}
@@ -40,32 +65,6 @@ const ValidationState = Object.freeze({
   INVALID: 'invalid',
 });
 
-/**
- * Suggested donation amounts with impact descriptions
- */
-const DONATION_AMOUNTS = Object.freeze([
-  {
-    amount: 25,
-    impact: 'Provides school supplies for 2 children',
-    popular: false,
-  },
-  {
-    amount: 50,
-    impact: 'Funds a week of nutritious meals for 5 children',
-    popular: true,
-  },
-  {
-    amount: 100,
-    impact: 'Supports educational programs for a month',
-    popular: false,
-  },
-  {
-    amount: 250,
-    impact: 'Provides healthcare services for 10 families',
-    popular: false,
-  },
-]);
-
 /**
  * Email validation regex (RFC 5322 simplified)
  */
@@ -89,14 +88,18 @@ export function createDonationForm() {
   // Component state
   const state = {
     frequency: DonationFrequency.ONE_TIME,
-    amount: 50,
+    currency: BASE_CURRENCY,
+    amount: getDefaultAmount(BASE_CURRENCY),
     customAmount: '',
-    paymentMethod: PaymentMethod.STRIPE,
+    paymentMethod: PaymentProvider.STRIPE,
     validationState: ValidationState.IDLE,
     errors: {},
     isProcessing: false,
   };
 
+  // Payment session for the selected provider
+  let paymentSession = null;
+
   // Form data
   const formData = {
     firstName: '',
@@ -173,6 +176,24 @@ export function createDonationForm() {
     }
   }
 
+  /**
+   * Gets the payment providers that accept the selected currency
+   * @returns {Array<Object>} Provider registrations
+   */
+  function getAvailableProviders() {
+    return getRegisteredProviders().filter((provider) => provider.currencies.includes(state.currency));
+  }
+
+  /**
+   * Gets the currently selected donation amount
+   * @returns {number} The amount, or NaN if the custom amount is empty
+   */
+  function getSelectedAmount() {
+    return state.amount === 'custom'
+      ? parseFloat(state.customAmount)
+      : state.amount;
+  }
+
   /**
    * Validates all form fields
    * @returns {boolean} True if all fields are valid
@@ -190,12 +211,17 @@ export function createDonationForm() {
     });
 
     // Validate donation amount
-    const amount = state.amount === 'custom' 
-      ? parseFloat(state.customAmount) 
-      : state.amount;
+    const amount = getSelectedAmount();
+
+    const amountResult = validateAmount(amount, { currency: state.currency });
+
+    if (!amountResult.isValid) {
+      errors.amount = amountResult.error;
+      isValid = false;
+    }
 
-    if (!amount || amount < 1) {
-      errors.amount = 'Please enter a valid donation amount (minimum $1)';
+    if (state.frequency === DonationFrequency.MONTHLY && !getPaymentProvider(state.paymentMethod).supportsRecurring) {
+      errors.amount = `Monthly donations are not yet available with ${getPaymentProvider(state.paymentMethod).label}. Please choose a one-time donation or another payment method.`;
       isValid = false;
     }
 
@@ -297,6 +323,7 @@ export function createDonationForm() {
     }
     
     renderAmountButtons();
+    syncPaymentAmount();
     delete state.errors.amount;
     updateFieldError('amount', null);
   }
@@ -312,6 +339,7 @@ export function createDonationForm() {
     if (value) {
       state.amount = 'custom';
       renderAmountButtons();
+      syncPaymentAmount();
     }
   }
 
@@ -323,55 +351,107 @@ export function createDonationForm() {
     state.paymentMethod = method;
     renderPaymentMethodButtons();
     renderPaymentMethodInfo();
+    renderPaymentElement();
   }
 
   /**
-   * Simulates Stripe payment processing
-   * @param {number} amount - The donation amount
-   * @returns {Promise<{success: boolean, transactionId?: string, error?: string}>}
+   * Handles currency change
+   * Suggested amounts are per currency, so the selection resets, and the
+   * payment method falls back to one that accepts the new currency.
+   * @param {string} currency - ISO currency code
    */
-  async function processStripePayment(amount) {
-    // Simulate API call delay
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Simulate 95% success rate
-    const success = Math.random() > 0.05;
-
-    if (success) {
-      return {
-        success: true,
-        transactionId: `stripe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      };
+  function handleCurrencyChange(currency) {
+    state.currency = currency;
+    state.amount = getDefaultAmount(currency);
+    state.customAmount = '';
+
+    const available = getAvailableProviders();
+    if (!available.some((provider) => provider.id === state.paymentMethod)) {
+      state.paymentMethod = available[0].id;
     }
 
+    delete state.errors.amount;
+    updateFieldError('amount', null);
+
+    renderCurrencySelector();
+    renderAmountButtons();
+    renderCustomAmountCurrency();
+    renderPaymentMethodButtons();
+    renderPaymentMethodInfo();
+    renderPaymentElement();
+  }
+
+  /**
+   * Builds the provider-agnostic payment data for the current selection
+   * @returns {{amount: number, currency: string, frequency: string, description: string, metadata: Object}}
+   */
+  function getPaymentData() {
+    const amount = getSelectedAmount();
+
     return {
-      success: false,
-      error: 'Payment processing failed. Please check your card details and try again.',
+      amount: amount > 0 ? amount : getDefaultAmount(state.currency),
+      currency: state.currency,
+      frequency: state.frequency,
+      description: 'Donation to Makoko Community Kids NGO',
+      metadata: { frequency: state.frequency },
     };
   }
 
   /**
-   * Simulates PayPal payment processing
-   * @param {number} amount - The donation amount
-   * @returns {Promise<{success: boolean, transactionId?: string, error?: string}>}
+   * Gets the payment session for the selected provider, replacing any
+   * session for a previously selected provider
+   * @returns {PaymentSession} The payment session
    */
-  async function processPayPalPayment(amount) {
-    // Simulate API call delay
-    await new Promise((resolve) => setTimeout(resolve, 1500));
-
-    // Simulate 95% success rate
-    const success = Math.random() > 0.05;
-
-    if (success) {
-      return {
-        success: true,
-        transactionId: `paypal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      };
+  function getPaymentSession() {
+    if (paymentSession && paymentSession.provider.id === state.paymentMethod) {
+      return paymentSession;
+    }
+
+    if (paymentSession) {
+      paymentSession.destroy();
     }
 
+    paymentSession = createPaymentSession(state.paymentMethod, {
+      containerId: PAYMENT_ELEMENT_ID,
+      onAwaitingApproval: (provider) => {
+        showNotification(`Complete your donation using the ${provider.label} buttons below.`, 'success');
+      },
+    });
+
+    return paymentSession;
+  }
+
+  /**
+   * Keeps mounted provider UI in sync with the selected amount
+   */
+  function syncPaymentAmount() {
+    const amount = getSelectedAmount();
+    if (!paymentSession || !paymentSession.provider.mountOnSelect || !validateAmount(amount, { currency: state.currency }).isValid) {
+      return;
+    }
+
+    paymentSession.prepare(getPaymentData()).catch((error) => {
+      console.warn('Unable to update payment amount:', error.message);
+    });
+  }
+
+  /**
+   * Builds donor details passed to the payment provider
+   * @returns {{billingDetails: Object, receiptEmail: string}}
+   */
+  function getDonorDetails() {
     return {
-      success: false,
-      error: 'PayPal payment failed. Please try again or use a different payment method.',
+      receiptEmail: formData.email.trim(),
+      billingDetails: {
+        name: `${formData.firstName} ${formData.lastName}`.trim(),
+        email: formData.email.trim(),
+        phone: formData.phone.trim() || undefined,
+        address: {
+          line1: formData.address.trim(),
+          city: formData.city.trim(),
+          postal_code: formData.zipCode.trim(),
+        },
+      },
     };
   }
 
@@ -400,20 +480,14 @@ export function createDonationForm() {
     renderSubmitButton();
 
     try {
-      const amount = state.amount === 'custom' 
-        ? parseFloat(state.customAmount) 
-        : state.amount;
-
-      let result;
-
-      if (state.paymentMethod === PaymentMethod.STRIPE) {
-        result = await processStripePayment(amount);
-      } else {
-        result = await processPayPalPayment(amount);
-      }
+      const amount = getSelectedAmount();
+      const result = await getPaymentSession().pay(
+        { ...getPaymentData(), amount },
+        getDonorDetails()
+      );
 
       if (result.success) {
-        showConfirmation(amount, result.transactionId);
+        showConfirmation(result);
       } else {
         showNotification(result.error, 'error');
       }
@@ -484,68 +558,34 @@ export function createDonationForm() {
 
   /**
    * Shows donation confirmation
-   * @param {number} amount - The donation amount
-   * @param {string} transactionId - The transaction ID
+   * @param {Object} result - Successful payment result
    */
-  function showConfirmation(amount, transactionId) {
+  function showConfirmation(result) {
     const modal = document.createElement('div');
-    modal.className = 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50';
+    modal.className = 'fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50';
     modal.setAttribute('role', 'dialog');
     modal.setAttribute('aria-modal', 'true');
     modal.setAttribute('aria-labelledby', 'confirmation-heading');
 
     modal.innerHTML = `
-      <div class="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8 transform transition-all">
-        <div class="text-center">
-          <div class="mx-auto w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mb-4">
-            <svg class="w-8 h-8 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-            </svg>
-          </div>
-          
-          <h2 id="confirmation-heading" class="text-2xl font-bold text-gray-900 mb-2">
-            Thank You for Your Donation!
-          </h2>
-          
-          <p class="text-gray-600 mb-6">
-            Your generous contribution of <strong>$${amount.toFixed(2)}</strong>
-            ${state.frequency === DonationFrequency.MONTHLY ? ' per month' : ''}
-            will make a real difference in the lives of children in Makoko.
-          </p>
-          
-          <div class="bg-gray-50 rounded-xl p-4 mb-6 text-left">
-            <h3 class="font-semibold text-gray-900 mb-2">Receipt Information</h3>
-            <dl class="space-y-1 text-sm">
-              <div class="flex justify-between">
-                <dt class="text-gray-600">Transaction ID:</dt>
-                <dd class="font-mono text-gray-900">${transactionId}</dd>
-              </div>
-              <div class="flex justify-between">
-                <dt class="text-gray-600">Date:</dt>
-                <dd class="text-gray-900">${new Date().toLocaleDateString()}</dd>
-              </div>
-              <div class="flex justify-between">
-                <dt class="text-gray-600">Payment Method:</dt>
-                <dd class="text-gray-900">${state.paymentMethod === PaymentMethod.STRIPE ? 'Credit Card' : 'PayPal'}</dd>
-              </div>
-            </dl>
-          </div>
-          
-          <p class="text-sm text-gray-600 mb-6">
-            A confirmation email with your receipt has been sent to <strong>${formData.email}</strong>
-          </p>
-          
-          <button
-            type="button"
-            class="btn btn-primary w-full"
-            aria-label="Close confirmation"
-          >
-            Close
-          </button>
-        </div>
+      <div class="sticky top-0 flex justify-end p-4">
+        <button
+          type="button"
+          class="btn btn-primary"
+          aria-label="Close confirmation"
+        >
+          Close
+        </button>
       </div>
     `;
 
+    modal.appendChild(createPaymentConfirmation(result, {
+      paymentMethod: getPaymentProvider(result.provider).label,
+      donorName: `${formData.firstName} ${formData.lastName}`.trim(),
+      donorEmail: formData.email.trim(),
+      frequency: state.frequency,
+    }));
+
     const closeButton = modal.querySelector('button');
     closeButton.addEventListener('click', () => {
       modal.remove();
@@ -578,12 +618,18 @@ export function createDonationForm() {
    */
   function resetForm() {
     state.frequency = DonationFrequency.ONE_TIME;
-    state.amount = 50;
+    state.currency = BASE_CURRENCY;
+    state.paymentMethod = PaymentProvider.STRIPE;
+    state.amount = getDefaultAmount(BASE_CURRENCY);
     state.customAmount = '';
-    state.paymentMethod = PaymentMethod.STRIPE;
     state.errors = {};
     state.isProcessing = false;
 
+    if (paymentSession) {
+      paymentSession.destroy();
+      paymentSession = null;
+    }
+
     Object.keys(formData).forEach((key) => {
       formData[key] = '';
     });
@@ -594,9 +640,12 @@ export function createDonationForm() {
     }
 
     renderFrequencyButtons();
+    renderCurrencySelector();
     renderAmountButtons();
+    renderCustomAmountCurrency();
     renderPaymentMethodButtons();
     renderPaymentMethodInfo();
+    renderPaymentElement();
     renderSubmitButton();
 
     // Clear all field errors
@@ -653,7 +702,9 @@ export function createDonationForm() {
     const container = section.querySelector('#amount-buttons');
     if (!container) return;
 
-    container.innerHTML = DONATION_AMOUNTS.map((option) => `
+    const { currency } = state;
+
+    container.innerHTML = getSuggestedAmounts(currency).map((option) => `
       <button
         type="button"
         class="relative p-4 rounded-xl border-2 transition-all text-left ${
@@ -665,7 +716,7 @@ export function createDonationForm() {
         data-amount="${option.amount}"
       >
         ${option.popular ? '<span class="absolute top-2 right-2 bg-accent-500 text-white text-xs font-bold px-2 py-1 rounded-full">Popular</span>' : ''}
-        <div class="text-2xl font-bold text-gray-900 mb-1">$${option.amount}</div>
+        <div class="text-2xl font-bold text-gray-900 mb-1">${formatAmount(option.amount, currency)}</div>
         <div class="text-sm text-gray-600">${option.impact}</div>
       </button>
     `).join('') + `
@@ -694,6 +745,40 @@ export function createDonationForm() {
     });
   }
 
+  /**
+   * Renders the currency selector
+   */
+  function renderCurrencySelector() {
+    const select = section.querySelector('#donation-currency');
+    if (!select) {
+      return;
+    }
+
+    select.innerHTML = SUPPORTED_CURRENCIES.map((option) => `
+      <option value="${option.code}" ${state.currency === option.code ? 'selected' : ''}>
+        ${getCurrencySymbol(option.code)} ${option.code} — ${option.label}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Updates the currency symbol and label on the custom amount input
+   */
+  function renderCustomAmountCurrency() {
+    const { currency } = state;
+    const symbol = section.querySelector('#custom-amount-symbol');
+    const input = section.querySelector('#custom-amount');
+
+    if (symbol) {
+      symbol.textContent = getCurrencySymbol(currency);
+    }
+
+    if (input) {
+      input.value = '';
+      input.setAttribute('aria-label', `Custom donation amount in ${currency}`);
+    }
+  }
+
   /**
    * Renders payment method buttons
    */
@@ -701,42 +786,25 @@ export function createDonationForm() {
     const container = section.querySelector('#payment-method-buttons');
     if (!container) return;
 
-    container.innerHTML = `
-      <button
-        type="button"
-        class="flex-1 py-4 px-6 rounded-xl border-2 transition-all font-semibold ${
-          state.paymentMethod === PaymentMethod.STRIPE
-            ? 'border-primary-600 bg-primary-50 text-primary-700'
-            : 'border-gray-200 bg-white text-gray-700 hover:border-primary-300'
-        }"
-        aria-pressed="${state.paymentMethod === PaymentMethod.STRIPE}"
-        data-method="${PaymentMethod.STRIPE}"
-      >
-        <div class="flex items-center justify-center gap-2">
-          <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-            <path d="M3 10h18v2H3v-2zm0 4h18v2H3v-2z"/>
-          </svg>
-          Credit/Debit Card
-        </div>
-      </button>
+    container.innerHTML = getAvailableProviders().map((provider) => `
       <button
         type="button"
         class="flex-1 py-4 px-6 rounded-xl border-2 transition-all font-semibold ${
-          state.paymentMethod === PaymentMethod.PAYPAL
+          state.paymentMethod === provider.id
             ? 'border-primary-600 bg-primary-50 text-primary-700'
             : 'border-gray-200 bg-white text-gray-700 hover:border-primary-300'
         }"
-        aria-pressed="${state.paymentMethod === PaymentMethod.PAYPAL}"
-        data-method="${PaymentMethod.PAYPAL}"
+        aria-pressed="${state.paymentMethod === provider.id}"
+        data-method="${provider.id}"
       >
         <div class="flex items-center justify-center gap-2">
           <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-            <path d="M7.076 21.337H2.47a.641.641 0 0 1-.633-.74L4.944 3.72a.77.77 0 0 1 .76-.633h8.14c2.97 0 4.968 1.238 5.156 3.196.07.739-.034 1.388-.308 1.93.604.787.926 1.747.926 2.857 0 3.227-2.17 5.267-5.65 5.267h-1.363a.77.77 0 0 0-.76.633l-.542 3.367z"/>
+            ${PAYMENT_METHOD_ICONS[provider.id] || PAYMENT_METHOD_ICONS[PaymentProvider.STRIPE]}
           </svg>
-          PayPal
+          ${provider.label}
         </div>
       </button>
-    `;
+    `).join('');
 
     container.querySelectorAll('button').forEach((button) => {
       button.addEventListener('click', () => {
@@ -752,37 +820,46 @@ export function createDonationForm() {
     const container = section.querySelector('#payment-method-info');
     if (!container) return;
 
-    if (state.paymentMethod === PaymentMethod.STRIPE) {
-      container.innerHTML = `
-        <div class="bg-blue-50 border border-blue-200 rounded-xl p-4">
-          <div class="flex items-start gap-3">
-            <div class="flex-shrink-0 text-blue-600">
-              ${icons.info}
-            </div>
-            <div class="flex-1 text-sm text-blue-800">
-              <p class="font-semibold mb-1">Secure Payment Processing</p>
-              <p>Your payment information is encrypted and processed securely through Stripe. We never store your card details.</p>
-              ${state.frequency === DonationFrequency.MONTHLY ? '<p class="mt-2">Your card will be charged automatically each month. You can cancel anytime.</p>' : ''}
-            </div>
+    const provider = getPaymentProvider(state.paymentMethod);
+    const securityMessage = SECURITY_MESSAGES[provider.id] || SECURITY_MESSAGES.general;
+    const recurringMessage = provider.supportsRecurring
+      ? RECURRING_INFO[provider.id]
+      : `Monthly donations are not yet available with ${provider.label}.`;
+
+    container.innerHTML = `
+      <div class="bg-blue-50 border border-blue-200 rounded-xl p-4">
+        <div class="flex items-start gap-3">
+          <div class="flex-shrink-0 text-blue-600">
+            ${icons.info}
           </div>
-        </div>
-      `;
-    } else {
-      container.innerHTML = `
-        <div class="bg-blue-50 border border-blue-200 rounded-xl p-4">
-          <div class="flex items-start gap-3">
-            <div class="flex-shrink-0 text-blue-600">
-              ${icons.info}
-            </div>
-            <div class="flex-1 text-sm text-blue-800">
-              <p class="font-semibold mb-1">PayPal Payment</p>
-              <p>You'll be redirected to PayPal to complete your donation securely. You can use your PayPal balance or any payment method linked to your account.</p>
-              ${state.frequency === DonationFrequency.MONTHLY ? '<p class="mt-2">A PayPal subscription will be created for monthly donations. You can manage it from your PayPal account.</p>' : ''}
-            </div>
+          <div class="flex-1 text-sm text-blue-800">
+            <p class="font-semibold mb-1">Secure Payment Processing</p>
+            <p>${securityMessage}</p>
+            ${state.frequency === DonationFrequency.MONTHLY && recurringMessage ? `<p class="mt-2">${recurringMessage}</p>` : ''}
           </div>
         </div>
-      `;
+      </div>
+    `;
+  }
+
+  /**
+   * Mounts provider UI for providers that collect details before submission
+   * (e.g. Stripe card fields); other providers mount on submit
+   */
+  function renderPaymentElement() {
+    const provider = getPaymentProvider(state.paymentMethod);
+
+    if (!provider.mountOnSelect) {
+      if (paymentSession) {
+        paymentSession.destroy();
+        paymentSession = null;
+      }
+      return;
     }
+
+    getPaymentSession().prepare(getPaymentData()).catch((error) => {
+      console.error('Payment provider initialization error:', error);
+    });
   }
 
   /**
@@ -833,9 +910,20 @@ export function createDonationForm() {
 
         <!-- Donation Amount -->
         <div class="mb-8">
-          <label class="block text-lg font-semibold text-gray-900 mb-3">
-            Select Amount
-          </label>
+          <div class="flex items-center justify-between gap-4 mb-3">
+            <label class="block text-lg font-semibold text-gray-900">
+              Select Amount
+            </label>
+            <label class="flex items-center gap-2 text-sm text-gray-700">
+              <span class="sr-only sm:not-sr-only">Currency</span>
+              <select
+                id="donation-currency"
+                name="currency"
+                class="px-3 py-2 border-2 border-gray-300 rounded-xl focus:border-primary-500 focus:ring-2 focus:ring-primary-200"
+                aria-label="Donation currency"
+              ></select>
+            </label>
+          </div>
           <div id="amount-buttons" class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4"></div>
           
           <div class="mt-4 ${state.amount === 'custom' ? '' : 'hidden'}" id="custom-amount-container">
@@ -843,7 +931,7 @@ export function createDonationForm() {
               Enter Custom Amount
             </label>
             <div class="relative">
-              <span class="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500 text-lg">$</span>
+              <span id="custom-amount-symbol" class="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500 text-lg">$</span>
               <input
                 type="number"
                 id="custom-amount"
@@ -990,6 +1078,11 @@ export function createDonationForm() {
           </label>
           <div id="payment-method-buttons" class="flex gap-4 mb-4"></div>
           <div id="payment-method-info"></div>
+          <div
+            id="${PAYMENT_ELEMENT_ID}"
+            class="mt-4 empty:hidden"
+            aria-label="Payment details"
+          ></div>
         </div>
 
         <!-- Fund Allocation -->
@@ -1056,14 +1149,39 @@ export function createDonationForm() {
 
   // Initialize component
   renderFrequencyButtons();
+  renderCurrencySelector();
   renderAmountButtons();
   renderPaymentMethodButtons();
   renderPaymentMethodInfo();
+  renderPaymentElement();
+
+  // Complete a payment that returned from a provider redirect (e.g. 3-D Secure)
+  if (paymentSession) {
+    paymentSession.resume(getPaymentData())
+      .then((result) => {
+        if (!result) {
+          return;
+        }
+        if (result.success) {
+          showConfirmation(result);
+        } else {
+          showNotification(result.error, 'error');
+        }
+      })
+      .catch((error) => {
+        console.error('Payment redirect handling error:', error);
+      });
+  }
 
   // Attach event listeners
   const form = section.querySelector('form');
   form.addEventListener('submit', handleSubmit);
 
+  // Currency selector
+  section.querySelector('#donation-currency').addEventListener('change', (event) => {
+    handleCurrencyChange(event.target.value);
+  });
+
   // Custom amount input
   const customAmountInput = section.querySelector('#custom-amount');
   customAmountInput.addEventListener('input', handleCustomAmountInput);
@@ -8,6 +8,23 @@
  * @version 1.0.0
  */
 
+import {
+  subscribeToNewsletter,
+  handleNewsletterLink,
+  NewsletterStatus,
+} from '../utils/newsletter.js';
+import { t } from '../utils/i18n.js';
+import { canHydrate } from '../utils/hydration.js';
+
+/**
+ * Feedback shown after a signup, by resulting status
+ */
+const SIGNUP_MESSAGES = {
+  [NewsletterStatus.PENDING]: 'Almost done! Check your inbox and click the link to confirm your subscription.',
+  [NewsletterStatus.SUBSCRIBED]: "You're already subscribed. Thank you!",
+  [NewsletterStatus.QUEUED]: "You're offline. We'll complete your subscription when you're back online.",
+};
+
 /**
  * Footer component class
  * Manages footer rendering, newsletter form handling, and accessibility features
@@ -53,6 +70,8 @@ class Footer {
 
     const form = event.target;
     const emailInput = form.querySelector('input[type="email"]');
+    const consentInput = form.querySelector('input[name="consent"]');
+    const consentText = form.querySelector('[data-consent-text]');
     const submitButton = form.querySelector('button[type="submit"]');
     const messageContainer = form.querySelector('[data-message]');
 
@@ -70,18 +89,29 @@ class Footer {
       return;
     }
 
+    if (consentInput && !consentInput.checked) {
+      this.showMessage(messageContainer, 'Please agree to receive our emails to subscribe', 'error');
+      consentInput.focus();
+      return;
+    }
+
     // Disable form during submission
     emailInput.disabled = true;
     submitButton.disabled = true;
     submitButton.textContent = 'Subscribing...';
 
     try {
-      // Simulate API call - replace with actual newsletter service integration
-      await this.subscribeToNewsletter(email);
+      const { status } = await this.subscribeToNewsletter(email, {
+        consentGiven: consentInput ? consentInput.checked : false,
+        consentText: consentText ? consentText.textContent.trim() : '',
+      });
 
       // Success feedback
-      this.showMessage(messageContainer, 'Thank you for subscribing!', 'success');
+      this.showMessage(messageContainer, SIGNUP_MESSAGES[status] || SIGNUP_MESSAGES[NewsletterStatus.PENDING], 'success');
       emailInput.value = '';
+      if (consentInput) {
+        consentInput.checked = false;
+      }
       
       // Re-enable form after delay
       setTimeout(() => {
@@ -94,7 +124,7 @@ class Footer {
       this.logInfo('Newsletter subscription successful', { email });
     } catch (error) {
       // Error feedback
-      this.showMessage(messageContainer, 'Subscription failed. Please try again.', 'error');
+      this.showMessage(messageContainer, error.userMessage || 'Subscription failed. Please try again.', 'error');
       
       // Re-enable form
       emailInput.disabled = false;
@@ -107,22 +137,34 @@ class Footer {
 
   /**
    * Subscribe email to newsletter service
+   * Starts the double opt-in flow with the configured provider and records
+   * marketing consent. Signups made offline are sent later.
    * 
    * @param {string} email - Email address to subscribe
-   * @returns {Promise<void>}
+   * @param {Object} consent - Consent given in the signup form
+   * @param {boolean} consent.consentGiven - Whether the consent box was ticked
+   * @param {string} consent.consentText - Consent wording shown
+   * @returns {Promise<{status: string}>} Subscription status
+   * @throws {import('../utils/newsletter.js').NewsletterError} If the signup is rejected
    */
-  async subscribeToNewsletter(email) {
-    // Simulate API call with delay
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate 90% success rate
-        if (Math.random() > 0.1) {
-          resolve();
-        } else {
-          reject(new Error('Network error'));
-        }
-      }, 1000);
-    });
+  subscribeToNewsletter(email, consent) {
+    return subscribeToNewsletter(email, { ...consent, source: 'footer' });
+  }
+
+  /**
+   * Show the outcome of a newsletter confirmation or unsubscribe link
+   */
+  async handleNewsletterLink() {
+    const outcome = await handleNewsletterLink();
+
+    if (!outcome || !this.newsletterForm) {
+      return;
+    }
+
+    const messageContainer = this.newsletterForm.querySelector('[data-message]');
+    this.showMessage(messageContainer, outcome.message, outcome.success ? 'success' : 'error');
+    this.newsletterForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.logInfo('Newsletter link handled', { action: outcome.action, success: outcome.success });
   }
 
   /**
@@ -169,11 +211,12 @@ class Footer {
     const footerLinks = document.querySelectorAll('footer a[href^="#"]');
     footerLinks.forEach(link => {
       link.addEventListener('click', (event) => {
-        event.preventDefault();
         const targetId = link.getAttribute('href').substring(1);
         const targetElement = document.getElementById(targetId);
         
+        // Links to sections mounted on demand (e.g. #my-data) fall through to a hash change
         if (targetElement) {
+          event.preventDefault();
           targetElement.scrollIntoView({
             behavior: 'smooth',
             block: 'start'
@@ -205,7 +248,7 @@ class Footer {
                 Makoko Community Kids
               </h3>
               <p class="text-sm leading-relaxed">
-                Empowering children in Makoko through education, healthcare, and community development programs.
+                ${t('footer.summary')}
               </p>
               <div class="space-y-2">
                 <p class="text-sm flex items-start gap-2">
@@ -237,38 +280,38 @@ class Footer {
             <!-- Quick Links -->
             <div class="space-y-4">
               <h3 class="text-lg font-semibold text-white">
-                Quick Links
+                ${t('footer.quickLinks')}
               </h3>
-              <nav aria-label="Footer navigation">
+              <nav aria-label="${t('footer.footerNavigation')}">
                 <ul class="space-y-2">
                   <li>
-                    <a href="#about" class="text-sm underline-animated hover:text-white transition-colors">
-                      About Us
+                    <a href="/about" class="text-sm underline-animated hover:text-white transition-colors">
+                      ${t('footer.aboutUs')}
                     </a>
                   </li>
                   <li>
-                    <a href="#programs" class="text-sm underline-animated hover:text-white transition-colors">
-                      Our Programs
+                    <a href="/programs" class="text-sm underline-animated hover:text-white transition-colors">
+                      ${t('footer.ourPrograms')}
                     </a>
                   </li>
                   <li>
-                    <a href="#impact" class="text-sm underline-animated hover:text-white transition-colors">
-                      Our Impact
+                    <a href="/impact" class="text-sm underline-animated hover:text-white transition-colors">
+                      ${t('footer.ourImpact')}
                     </a>
                   </li>
                   <li>
                     <a href="#get-involved" class="text-sm underline-animated hover:text-white transition-colors">
-                      Get Involved
+                      ${t('footer.getInvolved')}
                     </a>
                   </li>
                   <li>
-                    <a href="#donate" class="text-sm underline-animated hover:text-white transition-colors">
-                      Donate
+                    <a href="/donate" class="text-sm underline-animated hover:text-white transition-colors">
+                      ${t('footer.donate')}
                     </a>
                   </li>
                   <li>
-                    <a href="#contact" class="text-sm underline-animated hover:text-white transition-colors">
-                      Contact Us
+                    <a href="/contact" class="text-sm underline-animated hover:text-white transition-colors">
+                      ${t('footer.contactUs')}
                     </a>
                   </li>
                 </ul>
@@ -278,37 +321,37 @@ class Footer {
             <!-- Resources -->
             <div class="space-y-4">
               <h3 class="text-lg font-semibold text-white">
-                Resources
+                ${t('footer.resources')}
               </h3>
               <ul class="space-y-2">
                 <li>
                   <a href="#annual-reports" class="text-sm underline-animated hover:text-white transition-colors">
-                    Annual Reports
+                    ${t('footer.annualReports')}
                   </a>
                 </li>
                 <li>
                   <a href="#financials" class="text-sm underline-animated hover:text-white transition-colors">
-                    Financial Transparency
+                    ${t('footer.financialTransparency')}
                   </a>
                 </li>
                 <li>
                   <a href="#news" class="text-sm underline-animated hover:text-white transition-colors">
-                    News & Updates
+                    ${t('footer.news')}
                   </a>
                 </li>
                 <li>
-                  <a href="#volunteer" class="text-sm underline-animated hover:text-white transition-colors">
-                    Volunteer Opportunities
+                  <a href="/volunteer" class="text-sm underline-animated hover:text-white transition-colors">
+                    ${t('footer.volunteerOpportunities')}
                   </a>
                 </li>
                 <li>
                   <a href="#faq" class="text-sm underline-animated hover:text-white transition-colors">
-                    FAQ
+                    ${t('footer.faq')}
                   </a>
                 </li>
                 <li>
                   <a href="#privacy" class="text-sm underline-animated hover:text-white transition-colors">
-                    Privacy Policy
+                    ${t('footer.privacyPolicy')}
                   </a>
                 </li>
               </ul>
@@ -317,32 +360,45 @@ class Footer {
             <!-- Newsletter Signup -->
             <div class="space-y-4">
               <h3 class="text-lg font-semibold text-white">
-                Stay Connected
+                ${t('footer.stayConnected')}
               </h3>
               <p class="text-sm">
-                Subscribe to our newsletter for updates on our programs and impact.
+                ${t('footer.newsletterIntro')}
               </p>
               <form data-newsletter-form class="space-y-3" novalidate>
                 <div>
                   <label for="newsletter-email" class="sr-only">
-                    Email address
+                    ${t('footer.emailLabel')}
                   </label>
                   <input
                     type="email"
                     id="newsletter-email"
                     name="email"
-                    placeholder="Enter your email"
+                    placeholder="${t('footer.emailPlaceholder')}"
                     required
                     aria-required="true"
                     class="w-full px-4 py-2 text-sm text-gray-900 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
                   />
                 </div>
+                <div class="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    id="newsletter-consent"
+                    name="consent"
+                    required
+                    aria-required="true"
+                    class="mt-1 w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                  />
+                  <label for="newsletter-consent" class="text-xs text-gray-400" data-consent-text>
+                    ${t('footer.newsletterConsent')}
+                  </label>
+                </div>
                 <button
                   type="submit"
                   class="w-full btn btn-primary text-sm"
-                  aria-label="Subscribe to newsletter"
+                  aria-label="${t('footer.subscribeAriaLabel')}"
                 >
-                  Subscribe
+                  ${t('footer.subscribe')}
                 </button>
                 <div data-message aria-live="polite"></div>
               </form>
@@ -350,7 +406,7 @@ class Footer {
               <!-- Social Media Links -->
               <div class="pt-4">
                 <h4 class="text-sm font-semibold text-white mb-3">
-                  Follow Us
+                  ${t('footer.followUs')}
                 </h4>
                 <div class="flex gap-4">
                   <a
@@ -407,19 +463,25 @@ class Footer {
         <div class="border-t border-gray-800">
           <div class="section-container py-6">
             <div class="flex flex-col md:flex-row justify-between items-center gap-4 text-sm">
-              <p class="text-center md:text-left">
-                &copy; ${this.currentYear} Makoko Community Kids. All rights reserved.
+              <p class="text-center md:text-left" data-copyright>
+                ${t('footer.copyright', { year: this.currentYear })}
               </p>
               <div class="flex flex-wrap justify-center gap-6">
                 <a href="#privacy" class="underline-animated hover:text-white transition-colors">
-                  Privacy Policy
+                  ${t('footer.privacyPolicy')}
                 </a>
                 <a href="#terms" class="underline-animated hover:text-white transition-colors">
-                  Terms of Service
+                  ${t('footer.terms')}
                 </a>
                 <a href="#accessibility" class="underline-animated hover:text-white transition-colors">
-                  Accessibility
+                  ${t('footer.accessibility')}
                 </a>
+                <a href="#my-data" class="underline-animated hover:text-white transition-colors">
+                  ${t('footer.myData')}
+                </a>
+                <button type="button" data-cookie-preferences class="underline-animated hover:text-white transition-colors">
+                  ${t('footer.cookieSettings')}
+                </button>
               </div>
             </div>
           </div>
@@ -441,12 +503,25 @@ class Footer {
         return;
       }
 
-      // Render footer HTML
-      footerContainer.innerHTML = this.render();
+      // Render footer HTML, unless it was prerendered
+      if (canHydrate(footerContainer)) {
+        // The build may be older than the current year
+        const copyright = footerContainer.querySelector('[data-copyright]');
+        if (copyright) {
+          copyright.textContent = t('footer.copyright', { year: this.currentYear });
+        }
+      } else {
+        footerContainer.innerHTML = this.render();
+      }
 
       // Attach event listeners
       this.attachEventListeners();
 
+      // Confirmation and unsubscribe links from newsletter emails
+      this.handleNewsletterLink().catch((error) => {
+        this.logError('Failed to handle newsletter link', error);
+      });
+
       this.initialized = true;
       this.logInfo('Footer component initialized successfully');
     } catch (error) {
@@ -0,0 +1,495 @@
+/**
+ * FundraiserPage Component
+ *
+ * Peer-to-peer fundraiser pages resolved by the router:
+ * - /fundraisers/start lets a supporter pick a running campaign, set a
+ *   personal goal and story, and get a shareable page
+ * - /fundraisers/:id shows a supporter's story and progress, with a donate
+ *   button that credits gifts to them through the normal donate flow
+ *
+ * Share buttons reuse handleSocialShare from DonationConfirmation.js and the
+ * donate wording from SOCIAL_SHARING in seoContent.js.
+ *
+ * @dependencies: ["fundraisers", "campaignContent", "donationContent", "DonationConfirmation", "seoContent"]
+ */
+
+import {
+  createFundraiser,
+  getFundraiser,
+  getFundraiserPath,
+  getFundraiserDonatePath,
+  FundraiserErrorType,
+} from '../utils/fundraisers.js';
+import {
+  FUNDRAISER_OCCASIONS,
+  FUNDRAISER_LIMITS,
+  getActiveCampaigns,
+  getCampaignById,
+  getCampaignProgress,
+} from '../data/campaignContent.js';
+import { formatAmount, getAmountLimits } from '../data/donationContent.js';
+import { SOCIAL_SHARING } from '../data/seoContent.js';
+import { SEO_CONFIG } from '../utils/seo.js';
+import { handleSocialShare } from './DonationConfirmation.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Platforms offered on fundraiser pages, in display order
+ */
+const SHARE_PLATFORMS = Object.freeze([
+  { id: 'facebook', label: 'Facebook', className: 'bg-[#1877F2] hover:bg-[#166FE5]' },
+  { id: 'twitter', label: 'Twitter', className: 'bg-[#1DA1F2] hover:bg-[#1A91DA]' },
+  { id: 'linkedin', label: 'LinkedIn', className: 'bg-[#0A66C2] hover:bg-[#004182]' },
+  { id: 'whatsapp', label: 'WhatsApp', className: 'bg-[#25D366] hover:bg-[#20BA5A]' },
+]);
+
+/**
+ * Create the page section shared by both fundraiser pages
+ * @param {string} id - Section ID
+ * @returns {HTMLElement} Section element
+ */
+function createPageSection(id) {
+  const section = document.createElement('section');
+  section.id = id;
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', `${id}-heading`);
+  section.setAttribute('data-route-page', '');
+  return section;
+}
+
+/**
+ * Get a fundraiser page's absolute URL
+ * @param {Object} fundraiser - Fundraiser
+ * @returns {string} URL
+ */
+function getFundraiserUrl(fundraiser) {
+  return `${SEO_CONFIG.siteUrl}${getFundraiserPath(fundraiser)}`;
+}
+
+/**
+ * Render share buttons for a fundraiser
+ * @param {Object} fundraiser - Fundraiser
+ * @returns {string} HTML
+ */
+function renderShareButtons(fundraiser) {
+  const { description, hashtags } = SOCIAL_SHARING.donate;
+  const url = encodeURIComponent(getFundraiserUrl(fundraiser));
+  const text = encodeURIComponent(
+    `${fundraiser.title}: ${description} ${hashtags.map((tag) => `#${tag}`).join(' ')}`
+  );
+
+  return `
+    <div class="flex flex-wrap gap-3" data-fundraiser-share>
+      ${SHARE_PLATFORMS.map(({ id, label, className }) => `
+        <button
+          type="button"
+          class="btn-share inline-flex items-center px-5 py-2 text-white rounded-xl transition-all duration-200 hover:shadow-lg ${className}"
+          data-platform="${id}"
+          data-url="${url}"
+          data-text="${text}"
+          aria-label="Share on ${label}"
+        >
+          ${label}
+        </button>
+      `).join('')}
+      <button type="button" class="btn btn-outline" data-fundraiser-copy="${escapeHtml(getFundraiserUrl(fundraiser))}">
+        Copy link
+      </button>
+    </div>
+    <p class="mt-2 text-sm text-gray-600" role="status" data-fundraiser-copy-status></p>
+  `;
+}
+
+/**
+ * Attach share and copy-link handlers
+ * @param {HTMLElement} container - Element holding renderShareButtons() markup
+ */
+function attachShareListeners(container) {
+  container.querySelectorAll('.btn-share').forEach((button) => {
+    button.addEventListener('click', handleSocialShare);
+  });
+
+  const copyButton = container.querySelector('[data-fundraiser-copy]');
+  const status = container.querySelector('[data-fundraiser-copy-status]');
+  if (!copyButton || !status) {
+    return;
+  }
+
+  copyButton.addEventListener('click', async () => {
+    const url = copyButton.getAttribute('data-fundraiser-copy');
+
+    try {
+      await navigator.clipboard.writeText(url);
+      status.textContent = 'Link copied.';
+    } catch {
+      status.textContent = `Copy this link: ${url}`;
+    }
+  });
+}
+
+/**
+ * Render a fundraiser's progress
+ * @param {Object} fundraiser - Fundraiser
+ * @returns {string} HTML
+ */
+function renderProgress(fundraiser) {
+  const { goal, raised, donorCount, currency } = fundraiser;
+  const { percent } = getCampaignProgress(fundraiser);
+
+  return `
+    <div class="bg-white rounded-2xl shadow-md p-6 mb-8" data-fundraiser-progress>
+      <p class="text-3xl font-bold text-primary-600">${escapeHtml(formatAmount(raised, currency))}</p>
+      <p class="text-gray-600 mb-4">raised of a ${escapeHtml(formatAmount(goal, currency))} goal by ${donorCount} ${donorCount === 1 ? 'donor' : 'donors'}</p>
+      <div
+        class="h-4 rounded-full bg-gray-200 overflow-hidden"
+        role="progressbar"
+        aria-label="Raised toward the ${escapeHtml(formatAmount(goal, currency))} goal"
+        aria-valuemin="0"
+        aria-valuemax="100"
+        aria-valuenow="${percent}"
+      >
+        <div class="h-full rounded-full bg-primary-600" style="width: ${percent}%"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render a fundraiser
+ * @param {Object} fundraiser - Fundraiser
+ * @returns {string} HTML
+ */
+function renderFundraiser(fundraiser) {
+  const campaign = getCampaignById(fundraiser.campaignId);
+  const occasion = FUNDRAISER_OCCASIONS.find((item) => item.id === fundraiser.occasion);
+  const paragraphs = fundraiser.story.split(/\n\s*\n/).filter((paragraph) => paragraph.trim());
+
+  return `
+    <article class="max-w-3xl mx-auto">
+      <header class="mb-8">
+        ${occasion ? `
+          <span class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-primary-50 text-primary-700 mb-3">
+            ${escapeHtml(occasion.label)}
+          </span>
+        ` : ''}
+        <h1 id="fundraiser-page-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-2">${escapeHtml(fundraiser.title)}</h1>
+        <p class="text-lg text-gray-600">
+          ${escapeHtml(fundraiser.name)} is fundraising for
+          ${campaign ? `<a href="/donate?campaign=${encodeURIComponent(campaign.id)}" class="text-primary-600 hover:text-primary-700 underline">${escapeHtml(campaign.title)}</a>` : 'Makoko Community Kids'}
+        </p>
+      </header>
+
+      ${renderProgress(fundraiser)}
+
+      <div class="prose max-w-none text-gray-700 mb-8">
+        ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph.trim())}</p>`).join('')}
+      </div>
+
+      <div class="bg-primary-50 rounded-2xl p-6 md:p-8 mb-8 flex flex-col sm:flex-row sm:items-center gap-4">
+        <p class="flex-1 text-lg text-gray-800">Every gift made here counts toward ${escapeHtml(fundraiser.name)}'s goal.</p>
+        <a href="${escapeHtml(getFundraiserDonatePath(fundraiser))}" class="btn btn-primary" data-fundraiser-donate>Donate</a>
+      </div>
+
+      <section aria-labelledby="fundraiser-share-heading" class="mb-8">
+        <h2 id="fundraiser-share-heading" class="text-xl font-bold text-gray-900 mb-4">Share this fundraiser</h2>
+        ${renderShareButtons(fundraiser)}
+      </section>
+
+      <p class="text-sm text-gray-600">
+        Want to raise money too? <a href="/fundraisers/start" class="text-primary-600 hover:text-primary-700 underline">Start your own fundraiser</a>
+      </p>
+    </article>
+  `;
+}
+
+/**
+ * Render a load error
+ * @param {Error} error - Error from getFundraiser()
+ * @returns {string} HTML
+ */
+function renderLoadError(error) {
+  const notFound = error.type === FundraiserErrorType.NOT_FOUND;
+
+  return `
+    <div class="max-w-3xl mx-auto text-center">
+      <h1 id="fundraiser-page-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+        ${notFound ? 'Fundraiser not found' : 'We could not load this fundraiser'}
+      </h1>
+      <p class="text-lg text-gray-600 mb-8">${escapeHtml(error.userMessage || error.message)}</p>
+      <a href="/donate" class="btn btn-primary">Donate to Makoko Community Kids</a>
+    </div>
+  `;
+}
+
+/**
+ * Create a fundraiser page
+ * @param {string} id - Fundraiser ID from the URL
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createFundraiserPage(id) {
+  const section = createPageSection('fundraiser-page');
+  let destroyed = false;
+
+  section.innerHTML = `
+    <div class="max-w-3xl mx-auto text-center" aria-busy="true">
+      <h1 id="fundraiser-page-heading" class="text-3xl font-bold text-gray-900">Loading fundraiser&hellip;</h1>
+    </div>
+  `;
+
+  getFundraiser(id)
+    .then((fundraiser) => {
+      if (destroyed) {
+        return;
+      }
+
+      section.setAttribute('data-fundraiser-id', fundraiser.id);
+      section.innerHTML = renderFundraiser(fundraiser);
+      attachShareListeners(section);
+      document.title = `${fundraiser.title} | ${SEO_CONFIG.siteName}`;
+    })
+    .catch((error) => {
+      console.error('[FundraiserPage] Failed to load fundraiser:', error);
+      if (!destroyed) {
+        section.innerHTML = renderLoadError(error);
+      }
+    });
+
+  section.destroy = () => {
+    destroyed = true;
+    section.remove();
+  };
+
+  return section;
+}
+
+/**
+ * Render a form field's error slot
+ * @param {string} name - Field name
+ * @returns {string} HTML
+ */
+function renderFieldError(name) {
+  return `<p id="fundraiser-${name}-error" class="mt-1 text-sm text-red-600" data-field-error="${name}" hidden></p>`;
+}
+
+/**
+ * Render the start form
+ * @param {Object[]} campaigns - Running campaigns
+ * @param {string} [selectedId] - Campaign to preselect
+ * @returns {string} HTML
+ */
+function renderStartForm(campaigns, selectedId) {
+  const inputClass = 'w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-white focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200';
+  const selected = campaigns.find((campaign) => campaign.id === selectedId) || campaigns[0];
+  const { min } = getAmountLimits(selected.currency);
+
+  return `
+    <div class="max-w-2xl mx-auto">
+      <header class="mb-8">
+        <h1 id="fundraiser-start-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">Start a fundraiser</h1>
+        <p class="text-lg text-gray-600">
+          Turn your birthday, a marathon or any milestone into support for Makoko kids. Pick a campaign,
+          set your goal and tell people why it matters to you. You'll get a page to share.
+        </p>
+      </header>
+
+      <form class="bg-white rounded-3xl shadow-xl p-6 md:p-10 space-y-6" novalidate data-fundraiser-form>
+        <div role="alert" class="hidden p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-900" data-form-error></div>
+
+        <div>
+          <label for="fundraiser-campaignId" class="block font-semibold text-gray-900 mb-2">Campaign</label>
+          <select id="fundraiser-campaignId" name="campaignId" class="${inputClass}" aria-describedby="fundraiser-campaignId-error">
+            ${campaigns.map((campaign) => `
+              <option value="${escapeHtml(campaign.id)}" ${campaign === selected ? 'selected' : ''}>
+                ${escapeHtml(campaign.title)} (${escapeHtml(formatAmount(campaign.goal, campaign.currency))} goal)
+              </option>
+            `).join('')}
+          </select>
+          ${renderFieldError('campaignId')}
+        </div>
+
+        <div class="grid gap-6 sm:grid-cols-2">
+          <div>
+            <label for="fundraiser-name" class="block font-semibold text-gray-900 mb-2">Your name</label>
+            <input id="fundraiser-name" name="name" type="text" autocomplete="name" maxlength="${FUNDRAISER_LIMITS.nameMaxLength}" class="${inputClass}" aria-describedby="fundraiser-name-error" />
+            ${renderFieldError('name')}
+          </div>
+          <div>
+            <label for="fundraiser-email" class="block font-semibold text-gray-900 mb-2">Your email</label>
+            <input id="fundraiser-email" name="email" type="email" autocomplete="email" class="${inputClass}" aria-describedby="fundraiser-email-hint fundraiser-email-error" />
+            <p id="fundraiser-email-hint" class="mt-1 text-sm text-gray-600">Only used to send you updates about your page.</p>
+            ${renderFieldError('email')}
+          </div>
+        </div>
+
+        <div class="grid gap-6 sm:grid-cols-2">
+          <div>
+            <label for="fundraiser-occasion" class="block font-semibold text-gray-900 mb-2">Occasion</label>
+            <select id="fundraiser-occasion" name="occasion" class="${inputClass}" aria-describedby="fundraiser-occasion-error">
+              ${FUNDRAISER_OCCASIONS.map((occasion) => `<option value="${occasion.id}">${escapeHtml(occasion.label)}</option>`).join('')}
+            </select>
+            ${renderFieldError('occasion')}
+          </div>
+          <div>
+            <label for="fundraiser-goal" class="block font-semibold text-gray-900 mb-2">
+              Your goal (<span data-goal-currency>${escapeHtml(selected.currency)}</span>)
+            </label>
+            <input id="fundraiser-goal" name="goal" type="number" inputmode="numeric" min="${min}" step="1" class="${inputClass}" aria-describedby="fundraiser-goal-error" />
+            ${renderFieldError('goal')}
+          </div>
+        </div>
+
+        <div>
+          <label for="fundraiser-title" class="block font-semibold text-gray-900 mb-2">Page title</label>
+          <input id="fundraiser-title" name="title" type="text" maxlength="${FUNDRAISER_LIMITS.titleMaxLength}" placeholder="e.g. Ada's 30th birthday for Back to School" class="${inputClass}" aria-describedby="fundraiser-title-error" />
+          ${renderFieldError('title')}
+        </div>
+
+        <div>
+          <label for="fundraiser-story" class="block font-semibold text-gray-900 mb-2">Your story</label>
+          <textarea id="fundraiser-story" name="story" rows="6" maxlength="${FUNDRAISER_LIMITS.storyMaxLength}" class="${inputClass}" aria-describedby="fundraiser-story-error"></textarea>
+          ${renderFieldError('story')}
+        </div>
+
+        <button type="submit" class="btn btn-primary w-full" data-fundraiser-submit>Create my fundraiser page</button>
+      </form>
+    </div>
+  `;
+}
+
+/**
+ * Render the success state after a fundraiser is created
+ * @param {Object} fundraiser - Created fundraiser
+ * @returns {string} HTML
+ */
+function renderCreated(fundraiser) {
+  const url = getFundraiserUrl(fundraiser);
+
+  return `
+    <div class="max-w-2xl mx-auto">
+      <h1 id="fundraiser-start-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4" tabindex="-1">Your fundraiser is live</h1>
+      <p class="text-lg text-gray-600 mb-6">Share your page with friends and family. Every gift made through it counts toward your goal.</p>
+
+      <label for="fundraiser-url" class="block font-semibold text-gray-900 mb-2">Your page</label>
+      <input id="fundraiser-url" type="text" readonly value="${escapeHtml(url)}" class="w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-gray-50 mb-4" />
+
+      <div class="mb-8">${renderShareButtons(fundraiser)}</div>
+
+      <a href="${escapeHtml(getFundraiserPath(fundraiser))}" class="btn btn-primary">View your page</a>
+    </div>
+  `;
+}
+
+/**
+ * Show field errors on the start form
+ * @param {HTMLFormElement} form - Start form
+ * @param {Object<string, string>} errors - Errors keyed by field name
+ */
+function showFieldErrors(form, errors) {
+  form.querySelectorAll('[data-field-error]').forEach((slot) => {
+    const name = slot.getAttribute('data-field-error');
+    const field = form.elements.namedItem(name);
+    const message = errors[name];
+
+    slot.textContent = message || '';
+    slot.hidden = !message;
+    if (field) {
+      field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+  });
+
+  const firstInvalid = form.querySelector('[aria-invalid="true"]');
+  if (firstInvalid) {
+    firstInvalid.focus();
+  }
+}
+
+/**
+ * Create the start-a-fundraiser page
+ * @param {Object} [options] - Page options
+ * @param {string} [options.campaignId] - Campaign to preselect, e.g. from `?campaign=`
+ * @param {Function} [options.onCreated] - Called with the created fundraiser
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createStartFundraiserPage(options = {}) {
+  const { campaignId, onCreated } = options;
+  const section = createPageSection('fundraiser-start');
+  const campaigns = getActiveCampaigns();
+  let destroyed = false;
+
+  if (campaigns.length === 0) {
+    section.innerHTML = `
+      <div class="max-w-2xl mx-auto text-center">
+        <h1 id="fundraiser-start-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">No campaigns are running</h1>
+        <p class="text-lg text-gray-600 mb-8">Personal fundraisers support one of our campaigns. Check back soon, or give directly today.</p>
+        <a href="/donate" class="btn btn-primary">Donate</a>
+      </div>
+    `;
+    section.destroy = () => {
+      section.remove();
+    };
+    return section;
+  }
+
+  section.innerHTML = renderStartForm(campaigns, campaignId);
+
+  const form = section.querySelector('[data-fundraiser-form]');
+  const formError = form.querySelector('[data-form-error]');
+  const submitButton = form.querySelector('[data-fundraiser-submit]');
+
+  form.elements.namedItem('campaignId').addEventListener('change', (e) => {
+    const campaign = getCampaignById(e.target.value);
+    if (campaign) {
+      form.querySelector('[data-goal-currency]').textContent = campaign.currency;
+      form.elements.namedItem('goal').min = getAmountLimits(campaign.currency).min;
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    formError.classList.add('hidden');
+    showFieldErrors(form, {});
+
+    const details = Object.fromEntries(new FormData(form));
+    submitButton.disabled = true;
+    submitButton.textContent = 'Creating your page...';
+
+    try {
+      const fundraiser = await createFundraiser(details);
+      if (destroyed) {
+        return;
+      }
+
+      section.innerHTML = renderCreated(fundraiser);
+      attachShareListeners(section);
+      section.querySelector('h1').focus();
+
+      if (typeof onCreated === 'function') {
+        onCreated(fundraiser);
+      }
+    } catch (error) {
+      console.error('[FundraiserPage] Failed to create fundraiser:', error);
+      if (destroyed) {
+        return;
+      }
+
+      if (error.type === FundraiserErrorType.VALIDATION_FAILED && Object.keys(error.fieldErrors).length > 0) {
+        showFieldErrors(form, error.fieldErrors);
+      } else {
+        formError.textContent = error.userMessage || error.message;
+        formError.classList.remove('hidden');
+      }
+
+      submitButton.disabled = false;
+      submitButton.textContent = 'Create my fundraiser page';
+    }
+  });
+
+  section.destroy = () => {
+    destroyed = true;
+    section.remove();
+  };
+
+  return section;
+}
+
+export default createFundraiserPage;
@@ -1,13 +1,17 @@
 /**
  * Header Component
  * 
- * Responsive header with NGO logo, navigation menu, and mobile hamburger menu.
+ * Responsive header with NGO logo, navigation menu, language switcher and
+ * mobile hamburger menu.
  * Implements accessibility features with ARIA labels and keyboard navigation.
  * 
  * @module components/Header
  * @version 1.0.0
  */
 
+import { t, getLocale, setLocale, SUPPORTED_LOCALES } from '../utils/i18n.js';
+import { getHydratableElement } from '../utils/hydration.js';
+
 /**
  * Header component class
  * Manages navigation state, mobile menu interactions, and accessibility
@@ -31,15 +35,18 @@ class Header {
     this.handleResize = this.handleResize.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleClickOutside = this.handleClickOutside.bind(this);
+    this.handleLocaleChange = this.handleLocaleChange.bind(this);
   }
 
   /**
    * Initialize the header component
-   * Sets up event listeners and renders the header
+   * Renders the header, unless it was prerendered, and sets up event listeners
    */
   init() {
     try {
-      this.render();
+      if (!getHydratableElement('main-header')) {
+        this.render();
+      }
       this.attachEventListeners();
       this.logInfo('Header component initialized');
     } catch (error) {
@@ -48,6 +55,32 @@ class Header {
     }
   }
 
+  /**
+   * Render a language switcher
+   * @param {string} id - Select element ID
+   * @param {string} className - Additional classes for the wrapper
+   * @returns {string} HTML string
+   */
+  renderLocaleSwitcher(id, className = '') {
+    const currentLocale = getLocale();
+    const options = SUPPORTED_LOCALES.map(({ code, label }) => `
+      <option value="${code}" lang="${code}" ${code === currentLocale ? 'selected' : ''}>${label}</option>
+    `).join('');
+
+    return `
+      <div class="${className}">
+        <label for="${id}" class="sr-only">${t('header.language')}</label>
+        <select
+          id="${id}"
+          data-locale-switcher
+          class="text-sm text-neutral-700 bg-white border border-neutral-300 rounded-lg py-2 pl-3 pr-8 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500"
+        >
+          ${options}
+        </select>
+      </div>
+    `;
+  }
+
   /**
    * Render the header HTML structure
    */
@@ -67,15 +100,15 @@ class Header {
         <nav 
           class="section-container py-4"
           role="navigation"
-          aria-label="Main navigation"
+          aria-label="${t('header.mainNavigation')}"
         >
           <div class="flex items-center justify-between">
             <!-- Logo -->
             <div class="flex items-center">
               <a 
-                href="#home" 
+                href="/" 
                 class="flex items-center gap-3 text-primary-600 hover:text-primary-700 transition-colors duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded-lg"
-                aria-label="Makoko Community Kids NGO - Home"
+                aria-label="${t('header.homeAriaLabel')}"
               >
                 <div class="w-12 h-12 bg-gradient-to-br from-primary-600 to-secondary-600 rounded-xl flex items-center justify-center shadow-md">
                   <span class="text-white font-bold text-xl" aria-hidden="true">MCK</span>
@@ -85,7 +118,7 @@ class Header {
                     Makoko Community Kids
                   </span>
                   <span class="text-sm text-neutral-600 block leading-tight">
-                    Empowering Children, Building Futures
+                    ${t('header.tagline')}
                   </span>
                 </div>
               </a>
@@ -96,62 +129,64 @@ class Header {
               <ul class="flex items-center gap-6" role="list">
                 <li>
                   <a 
-                    href="#home" 
+                    href="/" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                     aria-current="page"
                   >
-                    Home
+                    ${t('nav.home')}
                   </a>
                 </li>
                 <li>
                   <a 
-                    href="#about" 
+                    href="/about" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                   >
-                    About
+                    ${t('nav.about')}
                   </a>
                 </li>
                 <li>
                   <a 
-                    href="#impact" 
+                    href="/impact" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                   >
-                    Impact
+                    ${t('nav.impact')}
                   </a>
                 </li>
                 <li>
                   <a 
-                    href="#programs" 
+                    href="/programs" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                   >
-                    Programs
+                    ${t('nav.programs')}
                   </a>
                 </li>
                 <li>
                   <a 
-                    href="#volunteer" 
+                    href="/volunteer" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                   >
-                    Volunteer
+                    ${t('nav.volunteer')}
                   </a>
                 </li>
                 <li>
                   <a 
-                    href="#contact" 
+                    href="/contact" 
                     class="nav-link text-neutral-700 hover:text-primary-600 font-medium transition-colors duration-200 underline-animated focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2 rounded"
                   >
-                    Contact
+                    ${t('nav.contact')}
                   </a>
                 </li>
               </ul>
               
+              ${this.renderLocaleSwitcher('locale-switcher')}
+
               <!-- CTA Button -->
               <a 
-                href="#donate" 
+                href="/donate" 
                 class="btn btn-primary shadow-md hover:shadow-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
-                aria-label="Donate to support our mission"
+                aria-label="${t('nav.donateAriaLabel')}"
               >
-                Donate
+                ${t('nav.donate')}
               </a>
             </div>
 
@@ -162,7 +197,7 @@ class Header {
               class="lg:hidden p-2 text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               aria-expanded="false"
               aria-controls="mobile-menu"
-              aria-label="Toggle navigation menu"
+              aria-label="${t('header.toggleMenu')}"
             >
               <svg 
                 class="w-6 h-6 transition-transform duration-300" 
@@ -193,53 +228,54 @@ class Header {
             class="lg:hidden hidden overflow-hidden transition-all duration-300 ease-in-out"
             role="dialog"
             aria-modal="true"
-            aria-label="Mobile navigation menu"
+            aria-label="${t('header.mobileMenu')}"
           >
             <div class="pt-4 pb-3 space-y-1 border-t border-neutral-200 mt-4">
               <a 
-                href="#home" 
+                href="/" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
                 aria-current="page"
               >
-                Home
+                ${t('nav.home')}
               </a>
               <a 
-                href="#about" 
+                href="/about" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               >
-                About
+                ${t('nav.about')}
               </a>
               <a 
-                href="#impact" 
+                href="/impact" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               >
-                Impact
+                ${t('nav.impact')}
               </a>
               <a 
-                href="#programs" 
+                href="/programs" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               >
-                Programs
+                ${t('nav.programs')}
               </a>
               <a 
-                href="#volunteer" 
+                href="/volunteer" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               >
-                Volunteer
+                ${t('nav.volunteer')}
               </a>
               <a 
-                href="#contact" 
+                href="/contact" 
                 class="mobile-nav-link block px-4 py-3 text-base font-medium text-neutral-700 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
               >
-                Contact
+                ${t('nav.contact')}
               </a>
+              ${this.renderLocaleSwitcher('mobile-locale-switcher', 'px-4 py-3')}
               <div class="pt-2">
                 <a 
-                  href="#donate" 
+                  href="/donate" 
                   class="btn btn-primary w-full justify-center shadow-md hover:shadow-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
-                  aria-label="Donate to support our mission"
+                  aria-label="${t('nav.donateAriaLabel')}"
                 >
-                  Donate
+                  ${t('nav.donate')}
                 </a>
               </div>
             </div>
@@ -275,6 +311,11 @@ class Header {
       });
     });
 
+    // Language switchers
+    document.querySelectorAll('[data-locale-switcher]').forEach(select => {
+      select.addEventListener('change', this.handleLocaleChange);
+    });
+
     // Scroll event for header shadow
     window.addEventListener('scroll', this.handleScroll, { passive: true });
 
@@ -402,6 +443,20 @@ class Header {
     }
   }
 
+  /**
+   * Handle a language switcher change
+   * @param {Event} event - The change event
+   */
+  handleLocaleChange(event) {
+    const locale = event.target.value;
+    if (locale === getLocale()) {
+      return;
+    }
+
+    this.logInfo(`Switching locale to ${locale}`);
+    setLocale(locale);
+  }
+
   /**
    * Update active navigation link
    * @param {HTMLElement} clickedLink - The clicked navigation link
@@ -432,6 +487,10 @@ class Header {
         link.removeEventListener('click', this.closeMobileMenu);
       });
 
+      document.querySelectorAll('[data-locale-switcher]').forEach(select => {
+        select.removeEventListener('change', this.handleLocaleChange);
+      });
+
       window.removeEventListener('scroll', this.handleScroll);
       window.removeEventListener('resize', this.handleResize);
       document.removeEventListener('keydown', this.handleKeyDown);
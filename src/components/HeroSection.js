@@ -8,38 +8,15 @@
  * @version 1.0.0
  */
 
+import { getLocale } from '../utils/i18n.js';
+import { getHydratableElement } from '../utils/hydration.js';
+import { getContent } from '../utils/contentLoader.js';
+import { getLocaleOverrides, mergeLocalizedContent } from '../data/locales/index.js';
+
 /**
  * Hero section configuration
  */
 const HERO_CONFIG = Object.freeze({
-  BACKGROUND_IMAGE: {
-    URL: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=2070&auto=format&fit=crop',
-    ALT: 'Children in Makoko community playing and learning together',
-    WEBP_URL: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=2070&auto=format&fit=crop&fm=webp',
-    SIZES: '100vw',
-    SRCSET: [
-      { width: 640, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=640&auto=format&fit=crop' },
-      { width: 768, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=768&auto=format&fit=crop' },
-      { width: 1024, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=1024&auto=format&fit=crop' },
-      { width: 1280, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=1280&auto=format&fit=crop' },
-      { width: 1536, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=1536&auto=format&fit=crop' },
-      { width: 2070, url: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?q=80&w=2070&auto=format&fit=crop' },
-    ],
-  },
-  CONTENT: {
-    HEADLINE: 'Empowering Makoko Children Through Education',
-    MISSION: 'We believe every child in Makoko deserves access to quality education, healthcare, and opportunities to thrive. Join us in transforming lives and building a brighter future for the next generation.',
-    CTA_PRIMARY: {
-      TEXT: 'Donate Now',
-      HREF: '#donate',
-      ARIA_LABEL: 'Make a donation to support Makoko children',
-    },
-    CTA_SECONDARY: {
-      TEXT: 'Volunteer',
-      HREF: '#volunteer',
-      ARIA_LABEL: 'Learn about volunteer opportunities',
-    },
-  },
   ANIMATION: {
     FADE_IN_DELAY: 100,
     STAGGER_DELAY: 150,
@@ -102,12 +79,54 @@ function generateSrcset(sources) {
   }
 }
 
+/**
+ * Log hero image loading
+ * @param {HTMLImageElement} img - Hero image
+ */
+function attachHeroImageListeners(img) {
+  const logLoaded = () => {
+    log('info', 'Hero image loaded successfully', {
+      src: img.currentSrc || img.src,
+      naturalWidth: img.naturalWidth,
+      naturalHeight: img.naturalHeight,
+    });
+  };
+
+  // A prerendered image may have loaded before hydration
+  if (img.complete && img.naturalWidth > 0) {
+    logLoaded();
+    return;
+  }
+
+  // Error handling for image loading
+  img.addEventListener('error', (event) => {
+    log('error', 'Hero image failed to load', {
+      src: event.target.src,
+      error: 'Image load error',
+    });
+  });
+
+  img.addEventListener('load', logLoaded);
+}
+
+/**
+ * Get the hero content in the active locale
+ * Starts from the hero collection (utils/contentLoader.js), so edits published
+ * as JSON or in the CMS show up, and merges the locale's `hero` translations
+ * from data/locales over it.
+ * @returns {Object} Hero content, shaped like heroContent.js
+ */
+function getLocalizedHeroContent() {
+  return mergeLocalizedContent(getContent('hero'), getLocaleOverrides(getLocale(), 'hero'));
+}
+
 /**
  * Create hero background image element with optimization
  * @returns {HTMLPictureElement} Picture element with optimized sources
  */
 function createHeroImage() {
   try {
+    const { backgroundImage } = getLocalizedHeroContent();
     const picture = document.createElement('picture');
     picture.className = 'absolute inset-0 w-full h-full';
 
@@ -115,45 +134,30 @@ function createHeroImage() {
     const webpSource = document.createElement('source');
     webpSource.type = 'image/webp';
     webpSource.srcset = generateSrcset(
-      HERO_CONFIG.BACKGROUND_IMAGE.SRCSET.map(({ width, url }) => ({
+      backgroundImage.srcset.map(({ width, url }) => ({
         width,
         url: url.replace(/&auto=format/, '&auto=format&fm=webp'),
       }))
     );
-    webpSource.sizes = HERO_CONFIG.BACKGROUND_IMAGE.SIZES;
+    webpSource.sizes = backgroundImage.sizes || '100vw';
     picture.appendChild(webpSource);
 
     // Fallback JPEG source
     const jpegSource = document.createElement('source');
     jpegSource.type = 'image/jpeg';
-    jpegSource.srcset = generateSrcset(HERO_CONFIG.BACKGROUND_IMAGE.SRCSET);
-    jpegSource.sizes = HERO_CONFIG.BACKGROUND_IMAGE.SIZES;
+    jpegSource.srcset = generateSrcset(backgroundImage.srcset);
+    jpegSource.sizes = backgroundImage.sizes || '100vw';
     picture.appendChild(jpegSource);
 
     // Fallback img element
     const img = document.createElement('img');
-    img.src = HERO_CONFIG.BACKGROUND_IMAGE.URL;
-    img.alt = HERO_CONFIG.BACKGROUND_IMAGE.ALT;
+    img.src = backgroundImage.url;
+    img.alt = backgroundImage.alt;
     img.className = 'w-full h-full object-cover object-center';
     img.loading = 'eager';
     img.fetchPriority = HERO_CONFIG.LOADING.FETCH_PRIORITY;
     img.decoding = 'async';
-
-    // Error handling for image loading
-    img.addEventListener('error', (event) => {
-      log('error', 'Hero image failed to load', {
-        src: event.target.src,
-        error: 'Image load error',
-      });
-    });
-
-    img.addEventListener('load', () => {
-      log('info', 'Hero image loaded successfully', {
-        src: img.src,
-        naturalWidth: img.naturalWidth,
-        naturalHeight: img.naturalHeight,
-      });
-    });
+    attachHeroImageListeners(img);
 
     picture.appendChild(img);
 
@@ -164,6 +168,20 @@ function createHeroImage() {
   }
 }
 
+/**
+ * Track CTA button clicks
+ * @param {HTMLAnchorElement} button - CTA button with a data-cta attribute
+ */
+function attachCTAListener(button) {
+  button.addEventListener('click', () => {
+    log('info', 'CTA button clicked', {
+      text: button.textContent.trim(),
+      href: button.getAttribute('href'),
+      isPrimary: button.getAttribute('data-cta') === 'primary',
+    });
+  });
+}
+
 /**
  * Create CTA button element
  * @param {Object} config - Button configuration
@@ -186,18 +204,12 @@ function createCTAButton(config, isPrimary = true) {
     button.textContent = text;
     button.setAttribute('aria-label', ariaLabel || text);
     button.setAttribute('data-nav-link', '');
+    button.setAttribute('data-cta', isPrimary ? 'primary' : 'secondary');
     button.className = isPrimary
       ? 'btn btn-primary text-lg px-8 py-4 shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300'
       : 'btn btn-outline text-lg px-8 py-4 bg-white/10 backdrop-blur-sm hover:bg-white hover:text-primary-600 border-2 border-white text-white shadow-lg transition-all duration-300';
 
-    // Track button clicks
-    button.addEventListener('click', () => {
-      log('info', 'CTA button clicked', {
-        text,
-        href,
-        isPrimary,
-      });
-    });
+    attachCTAListener(button);
 
     return button;
   } catch (error) {
@@ -218,18 +230,21 @@ function createHeroContent() {
     const contentWrapper = document.createElement('div');
     contentWrapper.className = 'max-w-4xl mx-auto text-center text-white';
 
+    // Headline, mission and CTAs in the active locale
+    const { content } = getLocalizedHeroContent();
+
     // Headline
     const headline = document.createElement('h1');
     headline.className = 'text-4xl md:text-5xl lg:text-6xl xl:text-7xl font-bold mb-6 leading-tight opacity-0 animate-fadeInUp';
     headline.style.animationDelay = `${HERO_CONFIG.ANIMATION.FADE_IN_DELAY}ms`;
-    headline.textContent = HERO_CONFIG.CONTENT.HEADLINE;
+    headline.textContent = content.headline;
     contentWrapper.appendChild(headline);
 
     // Mission statement
     const mission = document.createElement('p');
     mission.className = 'text-lg md:text-xl lg:text-2xl mb-10 leading-relaxed text-white/90 max-w-3xl mx-auto opacity-0 animate-fadeInUp';
     mission.style.animationDelay = `${HERO_CONFIG.ANIMATION.FADE_IN_DELAY + HERO_CONFIG.ANIMATION.STAGGER_DELAY}ms`;
-    mission.textContent = HERO_CONFIG.CONTENT.MISSION;
+    mission.textContent = content.mission;
     contentWrapper.appendChild(mission);
 
     // CTA buttons container
@@ -238,11 +253,11 @@ function createHeroContent() {
     ctaContainer.style.animationDelay = `${HERO_CONFIG.ANIMATION.FADE_IN_DELAY + HERO_CONFIG.ANIMATION.STAGGER_DELAY * 2}ms`;
 
     // Primary CTA
-    const primaryCTA = createCTAButton(HERO_CONFIG.CONTENT.CTA_PRIMARY, true);
+    const primaryCTA = createCTAButton(content.ctaPrimary, true);
     ctaContainer.appendChild(primaryCTA);
 
     // Secondary CTA
-    const secondaryCTA = createCTAButton(HERO_CONFIG.CONTENT.CTA_SECONDARY, false);
+    const secondaryCTA = createCTAButton(content.ctaSecondary, false);
     ctaContainer.appendChild(secondaryCTA);
 
     contentWrapper.appendChild(ctaContainer);
@@ -301,28 +316,7 @@ function createHeroSection(container) {
     // Append to container
     container.appendChild(heroSection);
 
-    // Add animation styles if not already present
-    if (!document.getElementById('hero-animations')) {
-      const style = document.createElement('style');
-      style.id = 'hero-animations';
-      style.textContent = `
-        @keyframes fadeInUp {
-          from {
-            opacity: 0;
-            transform: translateY(30px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
-        
-        .animate-fadeInUp {
-          animation: fadeInUp 0.8s ease-out forwards;
-        }
-      `;
-      document.head.appendChild(style);
-    }
+    injectAnimationStyles();
 
     log('info', 'Hero section created successfully', {
       sectionId: heroSection.id,
@@ -341,6 +335,61 @@ function createHeroSection(container) {
   }
 }
 
+/**
+ * Add the hero animation styles if not already present
+ * Prerendered pages already carry them in the document head.
+ */
+function injectAnimationStyles() {
+  if (!document.getElementById('hero-animations')) {
+    const style = document.createElement('style');
+    style.id = 'hero-animations';
+    style.textContent = `
+      @keyframes fadeInUp {
+        from {
+          opacity: 0;
+          transform: translateY(30px);
+        }
+        to {
+          opacity: 1;
+          transform: translateY(0);
+        }
+      }
+      
+      .animate-fadeInUp {
+        animation: fadeInUp 0.8s ease-out forwards;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+/**
+ * Hydrate a prerendered hero section
+ * Attaches the image and CTA listeners without rendering again.
+ *
+ * @param {HTMLElement} heroSection - Prerendered hero section element
+ * @returns {HTMLElement} Hero section element
+ */
+function hydrateHeroSection(heroSection) {
+  const img = heroSection.querySelector('picture img');
+  if (img) {
+    attachHeroImageListeners(img);
+  }
+
+  heroSection.querySelectorAll('[data-cta]').forEach(attachCTAListener);
+  injectAnimationStyles();
+
+  log('info', 'Hero section hydrated', {
+    sectionId: heroSection.id,
+  });
+
+  window.dispatchEvent(new CustomEvent('hero:rendered', {
+    detail: { sectionId: heroSection.id, hydrated: true },
+  }));
+
+  return heroSection;
+}
+
 /**
  * Initialize hero section
  * @returns {Object} Hero section API
@@ -353,7 +402,10 @@ function initializeHeroSection() {
       throw new Error('App container not found');
     }
 
-    const heroSection = createHeroSection(container);
+    const prerendered = getHydratableElement('hero-section');
+    const heroSection = prerendered
+      ? hydrateHeroSection(prerendered)
+      : createHeroSection(container);
 
     log('info', 'Hero section initialized successfully');
 
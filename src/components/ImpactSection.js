@@ -8,11 +8,27 @@
  * @module components/ImpactSection
  */
 
+import { formatNumber } from '../utils/i18n.js';
+import { IMPACT_STATISTICS } from '../data/impactContent.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * SVG path data for the stat card icons, keyed by statistic `icon`
+ */
+const STAT_ICON_PATHS = Object.freeze({
+  users: 'M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z',
+  programs: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4',
+  volunteers: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z',
+  globe: 'M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z',
+});
+
 /**
  * Creates and manages the Impact section with statistics and testimonials
+ * @param {Object} [options] - Section options
+ * @param {Object[]} [options.statistics=IMPACT_STATISTICS] - Statistics shown as stat cards
  * @returns {HTMLElement} The complete impact section element
  */
-export function createImpactSection() {
+export function createImpactSection({ statistics = IMPACT_STATISTICS } = {}) {
   const section = document.createElement('section');
   section.id = 'impact-section';
   section.className = 'section-container bg-gradient-to-br from-gray-50 to-primary-50';
@@ -32,10 +48,7 @@ export function createImpactSection() {
 
       <!-- Statistics Dashboard -->
       <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-20" role="region" aria-label="Impact statistics">
-        ${createStatCard('children-helped', '500', 'Children Helped', 'Students supported with education and resources', 'M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z')}
-        ${createStatCard('programs-run', '25', 'Active Programs', 'Educational and community development initiatives', 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4')}
-        ${createStatCard('volunteers', '150', 'Volunteers', 'Dedicated community members making a difference', 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z')}
-        ${createStatCard('community-reach', '2000', 'Community Reach', 'Families impacted through our programs', 'M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z')}
+        ${statistics.map((stat) => createStatCard(stat.id, String(stat.value), stat.label, stat.description, STAT_ICON_PATHS[stat.icon] || STAT_ICON_PATHS.users)).join('')}
       </div>
 
       <!-- Impact Overview -->
@@ -134,7 +147,7 @@ export function createImpactSection() {
  */
 function createStatCard(id, targetValue, label, description, iconPath) {
   return `
-    <div class="stat-card" role="article" aria-labelledby="${id}-label">
+    <div class="stat-card" role="article" aria-labelledby="${escapeHtml(id)}-label">
       <div class="flex justify-center mb-4">
         <div class="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center">
           <svg class="w-8 h-8 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -142,14 +155,14 @@ function createStatCard(id, targetValue, label, description, iconPath) {
           </svg>
         </div>
       </div>
-      <div class="stat-number" data-target="${targetValue}" data-stat-id="${id}" aria-live="polite">
+      <div class="stat-number" data-target="${escapeHtml(targetValue)}" data-stat-id="${escapeHtml(id)}" aria-live="polite">
         0
       </div>
-      <div id="${id}-label" class="text-xl font-semibold text-gray-900 mt-2 mb-2">
-        ${label}
+      <div id="${escapeHtml(id)}-label" class="text-xl font-semibold text-gray-900 mt-2 mb-2">
+        ${escapeHtml(label)}
       </div>
       <p class="text-gray-600 text-sm">
-        ${description}
+        ${escapeHtml(description)}
       </p>
     </div>
   `;
@@ -270,24 +283,51 @@ function animateCounter(element) {
     const easeOutQuart = 1 - Math.pow(1 - progress, 4);
     const currentValue = Math.floor(startValue + (target - startValue) * easeOutQuart);
     
-    element.textContent = currentValue.toLocaleString();
+    element.textContent = formatNumber(currentValue);
 
     if (progress < 1) {
       requestAnimationFrame(updateCounter);
     } else {
-      element.textContent = target.toLocaleString();
+      element.textContent = formatNumber(target);
     }
   }
 
   requestAnimationFrame(updateCounter);
 }
 
+/**
+ * Point the stat cards at the given statistics
+ * Cards render with the bundled figures (and may be prerendered), so figures
+ * loaded from a content source are applied before the counters start.
+ * @param {Object[]} statistics - Statistics in the IMPACT_STATISTICS shape
+ */
+function applyStatistics(statistics) {
+  statistics.forEach(({ id, value, label }) => {
+    const counter = document.querySelector(`[data-stat-id="${CSS.escape(id)}"]`);
+    if (!counter) {
+      return;
+    }
+
+    counter.dataset.target = String(value);
+
+    const labelElement = document.getElementById(`${id}-label`);
+    if (labelElement && label) {
+      labelElement.textContent = label;
+    }
+  });
+}
+
 /**
  * Initializes the Impact section and its interactive features
  * Should be called after the section is added to the DOM
+ * @param {Object} [options] - Initialization options
+ * @param {Object[]} [options.statistics] - Statistics to show instead of the rendered figures
  */
-export function initializeImpactSection() {
+export function initializeImpactSection({ statistics } = {}) {
   try {
+    if (statistics) {
+      applyStatistics(statistics);
+    }
     initializeImpactCounters();
   } catch (error) {
     console.error('Error initializing Impact section:', error);
@@ -0,0 +1,755 @@
+/**
+ * Local Payment Gateway Component
+ *
+ * Implements inline checkout for African payment rails (Paystack and
+ * Flutterwave) with:
+ * - NGN payments via card, bank transfer, USSD and mobile money channels
+ * - Client-generated transaction references
+ * - Server-side transaction verification through a configurable backend endpoint
+ * - Structured logging with correlation IDs
+ * - Retry logic with exponential backoff
+ *
+ * The inline checkout callback is never trusted on its own: a payment only
+ * succeeds once the backend has verified the reference with the provider and
+ * answered `verified: true`.
+ *
+ * @module LocalPaymentGateway
+ * @modifies: donation-flow
+ * @dependencies: ["paystack-inline", "flutterwave-checkout"]
+ */
+
+import { generateCorrelationId } from '../utils/logging.js';
+import {
+  PaymentProvider,
+  PaymentChannel,
+  getProviderConfig,
+  getProviderPublicKey,
+  getPaymentApiUrl,
+  getPaymentApiTimeout,
+} from '../utils/paymentConfig.js';
+
+/**
+ * Shared gateway configuration
+ * @constant {Object}
+ */
+const GATEWAY_CONFIG = {
+  sandboxMode: import.meta.env.MODE !== 'production',
+  retryAttempts: 3,
+  retryDelay: 1000,
+  timeout: getPaymentApiTimeout(),
+  referencePrefix: 'MCK',
+  logoUrl: '/favicon.svg',
+};
+
+/**
+ * Per-gateway SDK details
+ * Channel maps translate PaymentChannel values into each provider's vocabulary.
+ * @constant {Object}
+ */
+const GATEWAYS = Object.freeze({
+  [PaymentProvider.PAYSTACK]: {
+    name: 'Paystack',
+    sdkUrl: 'https://js.paystack.co/v1/inline.js',
+    sdkGlobal: 'PaystackPop',
+    verifyEndpoint: 'paystackVerify',
+    channels: {
+      [PaymentChannel.CARD]: ['card'],
+      [PaymentChannel.BANK_TRANSFER]: ['bank_transfer', 'bank'],
+      [PaymentChannel.USSD]: ['ussd'],
+      [PaymentChannel.MOBILE_MONEY]: ['mobile_money'],
+    },
+  },
+  [PaymentProvider.FLUTTERWAVE]: {
+    name: 'Flutterwave',
+    sdkUrl: 'https://checkout.flutterwave.com/v3.js',
+    sdkGlobal: 'FlutterwaveCheckout',
+    verifyEndpoint: 'flutterwaveVerify',
+    channels: {
+      [PaymentChannel.CARD]: ['card'],
+      [PaymentChannel.BANK_TRANSFER]: ['banktransfer', 'account'],
+      [PaymentChannel.USSD]: ['ussd'],
+      [PaymentChannel.MOBILE_MONEY]: ['mobilemoneyghana', 'mobilemoneyfranco', 'mpesa'],
+    },
+  },
+});
+
+/**
+ * Payment states for state machine
+ * @enum {string}
+ */
+const PaymentState = Object.freeze({
+  IDLE: 'idle',
+  INITIALIZING: 'initializing',
+  READY: 'ready',
+  PROCESSING: 'processing',
+  VERIFYING: 'verifying',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+});
+
+/**
+ * Error types for structured error handling
+ * @enum {string}
+ */
+const ErrorType = Object.freeze({
+  SDK_LOAD_FAILED: 'SDK_LOAD_FAILED',
+  INITIALIZATION_FAILED: 'INITIALIZATION_FAILED',
+  PAYMENT_CREATION_FAILED: 'PAYMENT_CREATION_FAILED',
+  VERIFICATION_FAILED: 'VERIFICATION_FAILED',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+});
+
+/**
+ * Local Payment Gateway Component
+ * Manages the inline checkout lifecycle for Paystack or Flutterwave
+ */
+class LocalPaymentGateway {
+  #state = PaymentState.IDLE;
+  #gateway = null;
+  #paymentData = null;
+  #reference = null;
+  #correlationId = null;
+  #retryCount = 0;
+  #abortController = null;
+  #modal = null;
+
+  /**
+   * Initialize local payment gateway component
+   * @param {Object} options - Configuration options
+   * @param {string} options.provider - PaymentProvider.PAYSTACK or PaymentProvider.FLUTTERWAVE
+   * @param {Function} options.onSuccess - Success callback
+   * @param {Function} options.onError - Error callback
+   * @param {Function} [options.onCancel] - Cancel callback
+   * @param {string[]} [options.channels] - Channels from PaymentChannel to offer
+   * @param {string} [options.verifyEndpoint] - Backend endpoint that verifies a transaction reference
+   */
+  constructor(options) {
+    this.#validateOptions(options);
+
+    const providerConfig = getProviderConfig(options.provider);
+
+    this.provider = options.provider;
+    this.onSuccess = options.onSuccess;
+    this.onError = options.onError;
+    this.onCancel = options.onCancel || (() => {});
+    this.channels = options.channels || providerConfig.channels;
+    this.currency = providerConfig.currency;
+
+    this.#gateway = GATEWAYS[options.provider];
+    this.verifyEndpoint = options.verifyEndpoint || getPaymentApiUrl(this.#gateway.verifyEndpoint);
+
+    this.#correlationId = generateCorrelationId();
+    this.#log('info', `${this.#gateway.name} payment component initialized`, {
+      channels: this.channels,
+      verifyEndpoint: this.verifyEndpoint,
+      sandboxMode: GATEWAY_CONFIG.sandboxMode,
+    });
+  }
+
+  /**
+   * Validate constructor options
+   * @private
+   * @param {Object} options - Options to validate
+   * @throws {TypeError} If validation fails
+   */
+  #validateOptions(options) {
+    if (!options || typeof options !== 'object') {
+      throw new TypeError('Options must be an object');
+    }
+
+    if (!GATEWAYS[options.provider]) {
+      throw new TypeError(`provider must be one of: ${Object.keys(GATEWAYS).join(', ')}`);
+    }
+
+    if (typeof options.onSuccess !== 'function') {
+      throw new TypeError('onSuccess must be a function');
+    }
+
+    if (typeof options.onError !== 'function') {
+      throw new TypeError('onError must be a function');
+    }
+
+    if (options.onCancel !== undefined && typeof options.onCancel !== 'function') {
+      throw new TypeError('onCancel must be a function');
+    }
+
+    const validChannels = Object.values(PaymentChannel);
+    if (options.channels && !options.channels.every((channel) => validChannels.includes(channel))) {
+      throw new TypeError(`channels must contain only: ${validChannels.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load the gateway's inline checkout script
+   * @param {Object} paymentData - Payment configuration
+   * @param {number} paymentData.amount - Payment amount in major units
+   * @param {string} [paymentData.currency] - ISO currency code (defaults to the provider currency)
+   * @param {string} [paymentData.description] - Payment description
+   * @param {Object} [paymentData.metadata] - Additional metadata
+   * @returns {Promise<void>}
+   */
+  async initialize(paymentData) {
+    this.#validatePaymentData(paymentData);
+    this.#paymentData = { currency: this.currency, ...paymentData };
+
+    const busyStates = [PaymentState.INITIALIZING, PaymentState.PROCESSING, PaymentState.VERIFYING];
+    if (busyStates.includes(this.#state)) {
+      this.#log('warn', 'Initialize called in invalid state', { state: this.#state });
+      return;
+    }
+
+    // Re-initializing after a completed or cancelled checkout reuses the loaded SDK
+    this.#setState(PaymentState.INITIALIZING);
+
+    try {
+      await this.#loadSDK();
+      this.#setState(PaymentState.READY);
+      this.#log('info', `${this.#gateway.name} initialized successfully`);
+    } catch (error) {
+      this.#handleError(error, error.type || ErrorType.INITIALIZATION_FAILED);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate payment data
+   * @private
+   * @param {Object} paymentData - Payment data to validate
+   * @throws {Error} If validation fails
+   */
+  #validatePaymentData(paymentData) {
+    if (!paymentData || typeof paymentData !== 'object') {
+      throw new Error('Payment data must be an object');
+    }
+
+    if (typeof paymentData.amount !== 'number' || paymentData.amount <= 0) {
+      throw new Error('Amount must be a positive number');
+    }
+  }
+
+  /**
+   * Load the gateway SDK with retry logic
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #loadSDK() {
+    if (window[this.#gateway.sdkGlobal]) {
+      this.#log('info', `${this.#gateway.name} SDK already loaded`);
+      return;
+    }
+
+    try {
+      await this.#loadScriptWithRetry(this.#gateway.sdkUrl);
+      this.#log('info', `${this.#gateway.name} SDK loaded successfully`);
+    } catch (error) {
+      const loadError = new Error(`Failed to load ${this.#gateway.name} SDK`, { cause: error });
+      loadError.type = ErrorType.SDK_LOAD_FAILED;
+      throw loadError;
+    }
+  }
+
+  /**
+   * Load script with exponential backoff retry
+   * @private
+   * @param {string} url - Script URL
+   * @returns {Promise<void>}
+   */
+  async #loadScriptWithRetry(url) {
+    for (let attempt = 0; attempt < GATEWAY_CONFIG.retryAttempts; attempt++) {
+      try {
+        await this.#loadScript(url);
+        return;
+      } catch (error) {
+        this.#retryCount = attempt + 1;
+
+        if (attempt === GATEWAY_CONFIG.retryAttempts - 1) {
+          throw error;
+        }
+
+        const delay = GATEWAY_CONFIG.retryDelay * Math.pow(2, attempt);
+        const jitter = Math.random() * 1000;
+
+        this.#log('warn', 'Script load failed, retrying', {
+          attempt: attempt + 1,
+          delay: delay + jitter,
+          error: error.message,
+        });
+
+        await this.#sleep(delay + jitter);
+      }
+    }
+  }
+
+  /**
+   * Load script element
+   * @private
+   * @param {string} url - Script URL
+   * @returns {Promise<void>}
+   */
+  #loadScript(url) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.async = true;
+
+      const timeoutId = setTimeout(() => {
+        script.remove();
+        reject(new Error('Script load timeout'));
+      }, GATEWAY_CONFIG.timeout);
+
+      script.onload = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+
+      script.onerror = () => {
+        clearTimeout(timeoutId);
+        script.remove();
+        reject(new Error('Script load error'));
+      };
+
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Generate a transaction reference for the next checkout
+   * @returns {{reference: string}} Pending transaction reference
+   * @throws {Error} With `type` and `userMessage` set if the gateway is not ready
+   */
+  createPayment() {
+    if (this.#state !== PaymentState.READY && this.#state !== PaymentState.FAILED) {
+      const error = new Error(`Cannot create payment in state: ${this.#state}`);
+      const { userMessage } = this.#handleError(error, ErrorType.PAYMENT_CREATION_FAILED);
+      error.type = ErrorType.PAYMENT_CREATION_FAILED;
+      error.userMessage = userMessage;
+      throw error;
+    }
+
+    const random = crypto.randomUUID().replace(/-/g, '').slice(0, 12).toUpperCase();
+    this.#reference = `${GATEWAY_CONFIG.referencePrefix}-${Date.now()}-${random}`;
+    this.#log('info', 'Transaction reference created', { reference: this.#reference });
+
+    return { reference: this.#reference };
+  }
+
+  /**
+   * Open the inline checkout and verify the transaction on completion
+   * @param {Object} [details] - Donor details
+   * @param {Object} [details.billingDetails] - Billing details (name, email, phone)
+   * @param {string} [details.receiptEmail] - Email address for the provider receipt
+   * @returns {Promise<{success: boolean, transactionId?: string, error?: string, cancelled?: boolean}>} Payment result
+   */
+  async confirmPayment(details = {}) {
+    if (!this.#reference) {
+      try {
+        this.createPayment();
+      } catch (error) {
+        return { success: false, error: error.userMessage, type: error.type, recoverable: true };
+      }
+    }
+
+    const email = details.receiptEmail || details.billingDetails?.email;
+    if (!email) {
+      return this.#fail(new Error('Email is required for local payment checkout'), ErrorType.VALIDATION_FAILED);
+    }
+
+    const reference = this.#reference;
+    this.#reference = null;
+    this.#setState(PaymentState.PROCESSING);
+
+    let checkout;
+    try {
+      checkout = await this.#openCheckout(reference, { ...details, email });
+    } catch (error) {
+      return this.#fail(error, ErrorType.PAYMENT_CREATION_FAILED);
+    }
+
+    if (checkout.cancelled) {
+      this.#setState(PaymentState.CANCELLED);
+      this.#log('info', 'Checkout closed by donor', { reference });
+      this.onCancel({
+        reference,
+        timestamp: new Date().toISOString(),
+        correlationId: this.#correlationId,
+      });
+      return { success: false, cancelled: true, error: `${this.#gateway.name} payment was cancelled.` };
+    }
+
+    return this.#verify(reference, checkout.transactionId);
+  }
+
+  /**
+   * Open the provider's inline checkout
+   * Resolves when the donor completes or closes the checkout.
+   * @private
+   * @param {string} reference - Transaction reference
+   * @param {Object} details - Donor details including email
+   * @returns {Promise<{cancelled: boolean, transactionId?: string}>} Checkout outcome
+   */
+  #openCheckout(reference, details) {
+    const { amount, currency, description, metadata } = this.#paymentData;
+    const billingDetails = details.billingDetails || {};
+    const channels = this.channels.flatMap((channel) => this.#gateway.channels[channel] || []);
+    const publicKey = getProviderPublicKey(this.provider);
+    const sharedMetadata = { ...metadata, correlationId: this.#correlationId };
+
+    this.#log('info', 'Opening checkout', { reference, amount, currency, channels });
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const settle = (outcome) => {
+        if (!settled) {
+          settled = true;
+          this.#modal = null;
+          resolve(outcome);
+        }
+      };
+
+      if (this.provider === PaymentProvider.PAYSTACK) {
+        const handler = window.PaystackPop.setup({
+          key: publicKey,
+          email: details.email,
+          amount: Math.round(amount * 100),
+          currency,
+          ref: reference,
+          channels,
+          metadata: {
+            ...sharedMetadata,
+            custom_fields: [
+              { display_name: 'Donor', variable_name: 'donor_name', value: billingDetails.name || 'Anonymous' },
+            ],
+          },
+          callback: (response) => settle({ cancelled: false, transactionId: response.transaction || response.reference }),
+          onClose: () => settle({ cancelled: true }),
+        });
+
+        handler.openIframe();
+        return;
+      }
+
+      this.#modal = window.FlutterwaveCheckout({
+        public_key: publicKey,
+        tx_ref: reference,
+        amount,
+        currency,
+        payment_options: channels.join(', '),
+        customer: {
+          email: details.email,
+          name: billingDetails.name,
+          phone_number: billingDetails.phone,
+        },
+        meta: sharedMetadata,
+        customizations: {
+          title: 'Makoko Community Kids',
+          description: description || 'Donation',
+          logo: `${window.location.origin}${GATEWAY_CONFIG.logoUrl}`,
+        },
+        callback: (response) => {
+          if (this.#modal && typeof this.#modal.close === 'function') {
+            this.#modal.close();
+          }
+          settle({ cancelled: false, transactionId: String(response.transaction_id || '') });
+        },
+        onclose: () => settle({ cancelled: true }),
+      });
+    });
+  }
+
+  /**
+   * Verify a completed checkout with the backend
+   * @private
+   * @param {string} reference - Transaction reference
+   * @param {string} [transactionId] - Provider transaction ID from the checkout callback
+   * @returns {Promise<{success: boolean, transactionId?: string, error?: string}>} Payment result
+   */
+  async #verify(reference, transactionId) {
+    const { amount, currency } = this.#paymentData;
+
+    this.#setState(PaymentState.VERIFYING);
+    this.#abortController = new AbortController();
+    const timeoutId = setTimeout(() => this.#abortController.abort(), GATEWAY_CONFIG.timeout);
+
+    this.#log('info', 'Verifying transaction', { reference, transactionId });
+
+    try {
+      const response = await fetch(this.verifyEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          'X-Correlation-ID': this.#correlationId,
+        },
+        body: JSON.stringify({
+          provider: this.provider,
+          reference,
+          transactionId,
+          amount: Math.round(amount * 100),
+          currency,
+        }),
+        signal: this.#abortController.signal,
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `Verification request failed with status ${response.status}`);
+      }
+
+      // Only the backend's own check with the provider counts; a bare `status` may be echoed from the client
+      if (data.verified !== true) {
+        return this.#fail(new Error(data.message || 'Transaction could not be verified'), ErrorType.VERIFICATION_FAILED);
+      }
+
+      return this.#complete(reference, data);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return this.#fail(new Error('Verification request timed out', { cause: error }), ErrorType.TIMEOUT);
+      }
+
+      if (error instanceof TypeError) {
+        return this.#fail(new Error('Unable to reach payment server', { cause: error }), ErrorType.NETWORK_ERROR);
+      }
+
+      return this.#fail(error, ErrorType.VERIFICATION_FAILED);
+    } finally {
+      clearTimeout(timeoutId);
+      this.#abortController = null;
+    }
+  }
+
+  /**
+   * Mark the payment as completed and notify listeners
+   * @private
+   * @param {string} reference - Transaction reference
+   * @param {Object} verification - Backend verification response
+   * @returns {{success: boolean, transactionId: string}} Payment result
+   */
+  #complete(reference, verification) {
+    this.#setState(PaymentState.COMPLETED);
+    this.#log('info', 'Transaction verified successfully', { reference, channel: verification.channel });
+
+    const paymentResult = {
+      reference,
+      channel: verification.channel,
+      amount: this.#paymentData.amount,
+      currency: this.#paymentData.currency,
+      timestamp: new Date().toISOString(),
+      correlationId: this.#correlationId,
+    };
+
+    this.onSuccess(paymentResult);
+
+    return { success: true, transactionId: reference, verified: true, ...paymentResult };
+  }
+
+  /**
+   * Record a failed payment and build a payment result
+   * @private
+   * @param {Error} error - Error object
+   * @param {string} errorType - Error type from ErrorType enum
+   * @returns {{success: boolean, error: string}} Payment result
+   */
+  #fail(error, errorType) {
+    const details = this.#handleError(error, errorType);
+    return { success: false, error: details.userMessage, type: errorType, recoverable: details.recoverable };
+  }
+
+  /**
+   * Cancel an in-flight payment
+   * Closes an open checkout and aborts a pending verification request.
+   */
+  cancel() {
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+
+    if (this.#modal && typeof this.#modal.close === 'function') {
+      this.#modal.close();
+      this.#modal = null;
+    }
+
+    this.#setState(PaymentState.CANCELLED);
+    this.#log('info', 'Payment cancelled by user');
+
+    this.onCancel({
+      timestamp: new Date().toISOString(),
+      correlationId: this.#correlationId,
+    });
+  }
+
+  /**
+   * Handle errors with structured logging
+   * @private
+   * @param {Error} error - Error object
+   * @param {string} errorType - Error type from ErrorType enum
+   * @returns {Object} Error details passed to onError
+   */
+  #handleError(error, errorType) {
+    this.#setState(PaymentState.FAILED);
+
+    const errorDetails = {
+      type: errorType,
+      message: error.message,
+      stack: error.stack,
+      correlationId: this.#correlationId,
+      timestamp: new Date().toISOString(),
+      retryCount: this.#retryCount,
+    };
+
+    this.#log('error', 'Payment error occurred', errorDetails);
+
+    const details = {
+      ...errorDetails,
+      userMessage: this.#getUserFriendlyMessage(errorType),
+      recoverable: this.#isRecoverable(errorType),
+    };
+
+    this.onError(details);
+    return details;
+  }
+
+  /**
+   * Get user-friendly error message
+   * @private
+   * @param {string} errorType - Error type
+   * @returns {string} User-friendly message
+   */
+  #getUserFriendlyMessage(errorType) {
+    const { name } = this.#gateway;
+    const messages = {
+      [ErrorType.SDK_LOAD_FAILED]: `Unable to load ${name}. Please check your internet connection and try again.`,
+      [ErrorType.INITIALIZATION_FAILED]: 'Payment system initialization failed. Please refresh the page and try again.',
+      [ErrorType.PAYMENT_CREATION_FAILED]: 'Unable to start payment. Please try again.',
+      [ErrorType.VERIFICATION_FAILED]: `We could not confirm your payment with ${name}. If you were debited, please contact us with your transaction reference.`,
+      [ErrorType.VALIDATION_FAILED]: 'Please enter a valid email address to continue.',
+      [ErrorType.TIMEOUT]: 'Payment confirmation timed out. If you were debited, please contact us with your transaction reference.',
+      [ErrorType.NETWORK_ERROR]: 'Network error occurred. Please check your connection and try again.',
+    };
+
+    return messages[errorType] || 'An unexpected error occurred. Please try again.';
+  }
+
+  /**
+   * Check if error is recoverable
+   * @private
+   * @param {string} errorType - Error type
+   * @returns {boolean} True if recoverable
+   */
+  #isRecoverable(errorType) {
+    const recoverableErrors = [
+      ErrorType.NETWORK_ERROR,
+      ErrorType.SDK_LOAD_FAILED,
+      ErrorType.PAYMENT_CREATION_FAILED,
+      ErrorType.VALIDATION_FAILED,
+    ];
+
+    return recoverableErrors.includes(errorType);
+  }
+
+  /**
+   * Set component state
+   * @private
+   * @param {string} newState - New state
+   */
+  #setState(newState) {
+    const oldState = this.#state;
+    this.#state = newState;
+
+    this.#log('debug', 'State transition', {
+      from: oldState,
+      to: newState,
+    });
+  }
+
+  /**
+   * Get current state
+   * @returns {string} Current state
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Structured logging
+   * @private
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {Object} [context] - Additional context
+   */
+  #log(level, message, context = {}) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: 'LocalPaymentGateway',
+      provider: this.provider,
+      correlationId: this.#correlationId,
+      message,
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[LocalPaymentGateway]', message, logEntry);
+    } else if (level === 'warn') {
+      console.warn('[LocalPaymentGateway]', message, logEntry);
+    } else if (GATEWAY_CONFIG.sandboxMode) {
+      console.log('[LocalPaymentGateway]', message, logEntry);
+    }
+  }
+
+  /**
+   * Sleep utility
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  #sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+
+    if (this.#modal && typeof this.#modal.close === 'function') {
+      this.#modal.close();
+    }
+
+    this.#modal = null;
+    this.#paymentData = null;
+    this.#reference = null;
+    this.#setState(PaymentState.IDLE);
+
+    this.#log('info', 'Local payment gateway destroyed');
+  }
+}
+
+/**
+ * Create Paystack payment instance
+ * @param {Object} options - Configuration options (provider is set automatically)
+ * @returns {LocalPaymentGateway} Paystack payment instance
+ */
+export function createPaystackPayment(options) {
+  return new LocalPaymentGateway({ ...options, provider: PaymentProvider.PAYSTACK });
+}
+
+/**
+ * Create Flutterwave payment instance
+ * @param {Object} options - Configuration options (provider is set automatically)
+ * @returns {LocalPaymentGateway} Flutterwave payment instance
+ */
+export function createFlutterwavePayment(options) {
+  return new LocalPaymentGateway({ ...options, provider: PaymentProvider.FLUTTERWAVE });
+}
+
+export { PaymentState, ErrorType };
+export default LocalPaymentGateway;
@@ -0,0 +1,327 @@
+/**
+ * MyDataPage Component
+ *
+ * "My data" page for data subject requests. Lists everything the site stores
+ * in this browser (from dataInventory.js) with a JSON export and a full wipe,
+ * and provides a form for sending an NDPR or GDPR access, erasure or other
+ * request to the organization for data it holds on its own systems.
+ *
+ * Shown when the URL hash is #my-data.
+ *
+ * @dependencies: ["dataInventory", "formSubmission", "submissionQueue", "contactContent"]
+ */
+
+import {
+  DATA_STORES,
+  exportAllData,
+  downloadDataExport,
+  eraseAllData,
+} from '../utils/dataInventory.js';
+import { initializeFormSubmission } from '../utils/formSubmission.js';
+import { SubmissionKind } from '../utils/submissionQueue.js';
+import { contactInfo } from '../data/contactContent.js';
+
+/**
+ * URL hash that opens the page
+ */
+const MY_DATA_HASH = '#my-data';
+
+/**
+ * Endpoint receiving data subject requests
+ */
+const DATA_REQUEST_ENDPOINT = import.meta.env.VITE_DATA_REQUEST_ENDPOINT || '/api/data-requests';
+
+/**
+ * Request types a data subject can make
+ */
+const REQUEST_TYPES = [
+  { value: 'access', label: 'Access: send me a copy of my personal data' },
+  { value: 'erasure', label: 'Erasure: delete my personal data' },
+  { value: 'rectification', label: 'Rectification: correct inaccurate data' },
+  { value: 'portability', label: 'Portability: send my data in a machine-readable format' },
+  { value: 'objection', label: 'Objection: stop processing my data for marketing or other purposes' },
+];
+
+/**
+ * Data protection laws a request can be made under
+ */
+const REGULATIONS = [
+  { value: 'ndpr', label: 'Nigeria Data Protection Regulation (NDPR) / Data Protection Act 2023' },
+  { value: 'gdpr', label: 'EU General Data Protection Regulation (GDPR)' },
+  { value: 'uk-gdpr', label: 'UK GDPR' },
+  { value: 'unsure', label: 'Not sure' },
+];
+
+/**
+ * Validation rules for the request form
+ */
+const DATA_REQUEST_VALIDATION_RULES = {
+  fullName: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+  },
+  email: {
+    required: true,
+    type: 'email',
+  },
+  requestType: {
+    required: true,
+  },
+  regulation: {
+    required: true,
+  },
+  details: {
+    maxLength: 2000,
+  },
+  identityConfirmation: {
+    required: true,
+  },
+};
+
+/**
+ * Render the list of client-side stores
+ * @param {Object.<string, boolean>} [occupied] - Whether each store holds data, by ID
+ * @returns {string} HTML string
+ */
+function renderStores(occupied = {}) {
+  return DATA_STORES.map((store) => {
+    let status = '<span class="text-gray-400">Checking…</span>';
+    if (store.id in occupied) {
+      status = occupied[store.id]
+        ? '<span class="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">Contains data</span>'
+        : '<span class="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Empty</span>';
+    }
+
+    return `
+      <li class="py-4">
+        <div class="flex items-start justify-between gap-4">
+          <div>
+            <p class="font-medium text-gray-900">${store.label}</p>
+            <p class="text-xs text-gray-500 mt-0.5">${store.location} &middot; <code>${store.key}</code></p>
+          </div>
+          <div class="flex-shrink-0">${status}</div>
+        </div>
+        <p class="text-sm text-gray-600 mt-2">${store.description}</p>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Render a list of select options
+ * @param {Array<{value: string, label: string}>} options - Options
+ * @returns {string} HTML string
+ */
+function renderOptions(options) {
+  return options.map((option) => `<option value="${option.value}">${option.label}</option>`).join('');
+}
+
+/**
+ * Render the data subject request form
+ * @returns {string} HTML string
+ */
+function renderRequestForm() {
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return `
+    <form id="data-request-form" class="space-y-4" novalidate>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label for="dsr-full-name" class="block text-sm font-medium text-gray-700 mb-1">Full name *</label>
+          <input type="text" id="dsr-full-name" name="fullName" required autocomplete="name" class="${inputClass}" />
+        </div>
+        <div>
+          <label for="dsr-email" class="block text-sm font-medium text-gray-700 mb-1">Email address *</label>
+          <input type="email" id="dsr-email" name="email" required autocomplete="email" class="${inputClass}" />
+        </div>
+      </div>
+      <div>
+        <label for="dsr-request-type" class="block text-sm font-medium text-gray-700 mb-1">What would you like us to do? *</label>
+        <select id="dsr-request-type" name="requestType" required class="${inputClass}">
+          <option value="">Select a request type</option>
+          ${renderOptions(REQUEST_TYPES)}
+        </select>
+      </div>
+      <div>
+        <label for="dsr-regulation" class="block text-sm font-medium text-gray-700 mb-1">Which law are you making this request under? *</label>
+        <select id="dsr-regulation" name="regulation" required class="${inputClass}">
+          <option value="">Select a law</option>
+          ${renderOptions(REGULATIONS)}
+        </select>
+      </div>
+      <div>
+        <label for="dsr-details" class="block text-sm font-medium text-gray-700 mb-1">Details</label>
+        <textarea id="dsr-details" name="details" rows="4" maxlength="2000" class="${inputClass}"
+          placeholder="Tell us which data or interactions this concerns, e.g. donations, volunteer applications or newsletter emails"></textarea>
+      </div>
+      <div class="flex items-start gap-2">
+        <input type="checkbox" id="dsr-identity" name="identityConfirmation" value="confirmed" required
+          class="mt-1 w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500" />
+        <label for="dsr-identity" class="text-sm text-gray-600">
+          I confirm I am the person this data is about, or I am authorised to act on their behalf. I understand you may contact me to verify my identity. *
+        </label>
+      </div>
+      <input type="hidden" name="formType" value="data_subject_request" />
+      <button type="submit" class="btn btn-primary">Send request</button>
+    </form>
+  `;
+}
+
+/**
+ * Create the My data page
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createMyDataPage() {
+  const section = document.createElement('section');
+  section.id = 'my-data';
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', 'my-data-heading');
+
+  section.innerHTML = `
+    <div class="max-w-4xl mx-auto">
+      <header class="text-center mb-10">
+        <h2 id="my-data-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">Your data</h2>
+        <p class="text-lg text-gray-600">
+          See everything this website keeps in your browser, download it, or erase it. To access or delete
+          data we hold about you, such as donation or volunteer records, send us a request below.
+        </p>
+      </header>
+
+      <div class="bg-white rounded-2xl shadow-md p-6 md:p-8 mb-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-2">Stored in this browser</h3>
+        <p class="text-sm text-gray-600">Nothing listed here is visible to us unless you send it.</p>
+        <ul class="divide-y divide-gray-200 my-4" data-store-list>${renderStores()}</ul>
+
+        <div class="flex flex-col sm:flex-row gap-3" data-data-actions>
+          <button type="button" class="btn btn-primary" data-action="export">Download my data (JSON)</button>
+          <button type="button" class="btn btn-outline text-red-600 border-red-600 hover:bg-red-50" data-action="erase">Erase all data</button>
+        </div>
+
+        <div class="hidden mt-4 p-4 rounded-lg bg-red-50 border border-red-200" data-erase-confirm>
+          <p class="text-sm text-red-800 mb-3">
+            This permanently removes your privacy choices, newsletter consent record, receipt numbers, offline copies
+            and any unsent forms from this browser. It does not delete records we hold. Continue?
+          </p>
+          <div class="flex gap-3">
+            <button type="button" class="btn btn-primary bg-red-600 hover:bg-red-700" data-action="confirm-erase">Erase everything</button>
+            <button type="button" class="btn btn-outline" data-action="cancel-erase">Cancel</button>
+          </div>
+        </div>
+
+        <p class="mt-4 text-sm" data-data-status role="status" aria-live="polite"></p>
+      </div>
+
+      <div class="bg-white rounded-2xl shadow-md p-6 md:p-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-2">Request your data from us</h3>
+        <p class="text-sm text-gray-600 mb-6">
+          Under the NDPR and GDPR you can ask us for a copy of your personal data, ask us to correct or delete it,
+          or object to how we use it. We respond within one month. You can also email
+          <a href="mailto:${contactInfo.email.general}" class="text-primary-600 underline">${contactInfo.email.general}</a>.
+        </p>
+        ${renderRequestForm()}
+      </div>
+    </div>
+  `;
+
+  const storeList = section.querySelector('[data-store-list]');
+  const eraseConfirm = section.querySelector('[data-erase-confirm]');
+  const status = section.querySelector('[data-data-status]');
+
+  const setStatus = (message, tone = 'info') => {
+    const tones = {
+      info: 'text-gray-600',
+      success: 'text-green-700',
+      error: 'text-red-700',
+    };
+    status.className = `mt-4 text-sm ${tones[tone]}`;
+    status.textContent = message;
+  };
+
+  const refreshStores = async () => {
+    const { stores } = await exportAllData();
+    const occupied = Object.fromEntries(stores.map((store) => [store.id, store.data !== null && store.data !== undefined]));
+    storeList.innerHTML = renderStores(occupied);
+  };
+
+  const handleExport = async () => {
+    try {
+      await downloadDataExport();
+      setStatus('Your data has been downloaded.', 'success');
+    } catch (error) {
+      console.error('[MyDataPage] Export failed:', error);
+      setStatus('We couldn\'t prepare your download. Please try again.', 'error');
+    }
+  };
+
+  const handleErase = async () => {
+    eraseConfirm.classList.add('hidden');
+
+    const { failed } = await eraseAllData();
+    await refreshStores();
+
+    if (failed.length > 0) {
+      setStatus('Some data couldn\'t be erased. Please try again, or clear this site\'s data in your browser settings.', 'error');
+      return;
+    }
+
+    setStatus('All data stored by this site in your browser has been erased. Reload the page to start fresh.', 'success');
+  };
+
+  const handleClick = (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+      return;
+    }
+
+    switch (button.dataset.action) {
+      case 'export':
+        handleExport();
+        break;
+      case 'erase':
+        eraseConfirm.classList.remove('hidden');
+        eraseConfirm.querySelector('[data-action="confirm-erase"]').focus();
+        break;
+      case 'confirm-erase':
+        handleErase();
+        break;
+      case 'cancel-erase':
+        eraseConfirm.classList.add('hidden');
+        section.querySelector('[data-action="erase"]').focus();
+        break;
+      default:
+        break;
+    }
+  };
+
+  section.addEventListener('click', handleClick);
+
+  const cleanupForm = initializeFormSubmission(section.querySelector('#data-request-form'), {
+    endpoint: DATA_REQUEST_ENDPOINT,
+    validateBeforeSubmit: true,
+    validationRules: DATA_REQUEST_VALIDATION_RULES,
+    queueKind: SubmissionKind.DATA_REQUEST,
+  });
+
+  refreshStores().catch((error) => {
+    console.error('[MyDataPage] Failed to inspect stored data:', error);
+  });
+
+  section.destroy = () => {
+    section.removeEventListener('click', handleClick);
+    cleanupForm();
+    section.remove();
+  };
+
+  return section;
+}
+
+/**
+ * Whether the visitor asked for the My data page
+ * @returns {boolean} True if the page should be shown
+ */
+export function shouldShowMyDataPage() {
+  return window.location.hash === MY_DATA_HASH;
+}
+
+export default createMyDataPage;
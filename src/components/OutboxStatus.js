@@ -0,0 +1,116 @@
+/**
+ * OutboxStatus Component
+ *
+ * Small floating notice telling visitors how many form submissions are
+ * waiting in the offline outbox, and confirming when they have been sent.
+ *
+ * @dependencies: ["submissionQueue"]
+ */
+
+import { getPendingCount } from '../utils/submissionQueue.js';
+
+/**
+ * Human-readable labels per submission kind
+ */
+const KIND_LABELS = {
+  contact: 'message',
+  volunteer: 'volunteer application',
+  newsletter: 'newsletter signup',
+  data_request: 'data request',
+};
+
+/**
+ * How long delivery confirmations stay visible
+ */
+const CONFIRMATION_DURATION = 5000;
+
+/**
+ * Create the outbox status notice
+ * @returns {HTMLElement} Status element with a destroy() method
+ */
+export function createOutboxStatus() {
+  const element = document.createElement('div');
+  element.className = 'fixed bottom-4 left-4 z-50 max-w-sm hidden';
+  element.setAttribute('role', 'status');
+  element.setAttribute('aria-live', 'polite');
+
+  let pending = 0;
+  let confirmationTimer = null;
+
+  const show = (message, tone) => {
+    const tones = {
+      pending: 'bg-blue-600',
+      sent: 'bg-green-600',
+      failed: 'bg-red-600',
+    };
+
+    element.innerHTML = `
+      <div class="${tones[tone]} text-white text-sm rounded-xl shadow-lg px-4 py-3">
+        ${message}
+      </div>
+    `;
+    element.classList.remove('hidden');
+  };
+
+  const renderPending = () => {
+    if (confirmationTimer) {
+      return;
+    }
+
+    if (pending === 0) {
+      element.classList.add('hidden');
+      return;
+    }
+
+    const noun = pending === 1 ? 'submission is' : 'submissions are';
+    show(`${pending} ${noun} waiting to send. We'll send ${pending === 1 ? 'it' : 'them'} when you're back online.`, 'pending');
+  };
+
+  const showConfirmation = (message, tone) => {
+    clearTimeout(confirmationTimer);
+    show(message, tone);
+    confirmationTimer = setTimeout(() => {
+      confirmationTimer = null;
+      renderPending();
+    }, CONFIRMATION_DURATION);
+  };
+
+  const handleChanged = (event) => {
+    ({ pending } = event.detail);
+    renderPending();
+  };
+
+  const handleSent = (event) => {
+    const label = KIND_LABELS[event.detail.kind] || 'submission';
+    showConfirmation(`You're back online. Your ${label} has been sent.`, 'sent');
+  };
+
+  const handleFailed = (event) => {
+    const label = KIND_LABELS[event.detail.kind] || 'submission';
+    showConfirmation(`We couldn't send your saved ${label}. Please try submitting it again.`, 'failed');
+  };
+
+  window.addEventListener('outbox:changed', handleChanged);
+  window.addEventListener('outbox:sent', handleSent);
+  window.addEventListener('outbox:failed', handleFailed);
+
+  getPendingCount()
+    .then((count) => {
+      pending = count;
+      renderPending();
+    })
+    .catch((error) => {
+      console.warn('[OutboxStatus] Failed to read outbox:', error);
+    });
+
+  element.destroy = () => {
+    clearTimeout(confirmationTimer);
+    window.removeEventListener('outbox:changed', handleChanged);
+    window.removeEventListener('outbox:sent', handleSent);
+    window.removeEventListener('outbox:failed', handleFailed);
+  };
+
+  return element;
+}
+
+export default createOutboxStatus;
@@ -79,6 +79,7 @@ class PayPalPayment {
    * @param {Function} options.onError - Error callback
    * @param {Function} options.onCancel - Cancel callback
    * @param {boolean} [options.enableRecurring=false] - Enable recurring payments
+   * @param {string} [options.currency='USD'] - ISO currency code for the SDK and orders
    */
   constructor(options) {
     this.#validateOptions(options);
@@ -88,11 +89,13 @@ class PayPalPayment {
     this.onError = options.onError;
     this.onCancel = options.onCancel;
     this.enableRecurring = options.enableRecurring || false;
+    this.currency = options.currency || PAYPAL_CONFIG.currency;
     
     this.#correlationId = generateCorrelationId();
     this.#log('info', 'PayPal payment component initialized', {
       containerId: this.containerId,
       enableRecurring: this.enableRecurring,
+      currency: this.currency,
       sandboxMode: PAYPAL_CONFIG.sandboxMode,
     });
   }
@@ -180,11 +183,19 @@ class PayPalPayment {
    * @returns {Promise<void>}
    */
   async #loadPayPalSDK() {
-    if (window.paypal) {
+    const loadedScript = document.querySelector('script[data-paypal-currency]');
+
+    if (window.paypal && loadedScript?.dataset.paypalCurrency === this.currency) {
       this.#log('info', 'PayPal SDK already loaded');
       return;
     }
 
+    // The SDK is bound to one currency at load time, so reload it for a new one
+    if (loadedScript) {
+      loadedScript.remove();
+      delete window.paypal;
+    }
+
     const sdkUrl = this.#buildSDKUrl();
     
     try {
@@ -203,7 +214,7 @@ class PayPalPayment {
   #buildSDKUrl() {
     const params = new URLSearchParams({
       'client-id': PAYPAL_CONFIG.clientId,
-      currency: PAYPAL_CONFIG.currency,
+      currency: this.currency,
       intent: PAYPAL_CONFIG.intent,
       'disable-funding': 'credit,card',
     });
@@ -258,6 +269,7 @@ class PayPalPayment {
       const script = document.createElement('script');
       script.src = url;
       script.async = true;
+      script.dataset.paypalCurrency = this.currency;
       
       const timeoutId = setTimeout(() => {
         script.remove();
@@ -331,7 +343,7 @@ class PayPalPayment {
       const orderData = {
         purchase_units: [{
           amount: {
-            currency_code: PAYPAL_CONFIG.currency,
+            currency_code: this.currency,
             value: paymentData.amount.toFixed(2),
           },
           description: paymentData.description || 'Donation',
@@ -22,6 +22,7 @@ import {
   initializeLazyLoading,
   generateUnsplashUrl,
 } from '../utils/imageOptimization.js';
+import { getContent } from '../utils/contentLoader.js';
 
 /**
  * Gallery photo configuration
@@ -32,62 +33,21 @@ import {
  */
 
 /**
- * Gallery photos showcasing community programs and activities
- * @constant {GalleryPhoto[]}
+ * Get the gallery photos
+ * Photos come from the impact collection (utils/contentLoader.js), falling
+ * back to PHOTO_GALLERY in impactContent.js.
+ * @returns {GalleryPhoto[]} Photos in display order
  */
-const GALLERY_PHOTOS = [
-  {
-    id: '5bYxXawHOQg',
-    alt: 'Children participating in educational program at Makoko community center',
-    category: 'education',
-  },
-  {
-    id: 'NDuPLKYRXQU',
-    alt: 'Community volunteers teaching children in outdoor classroom setting',
-    category: 'education',
-  },
-  {
-    id: 'WNoLnJo7tS8',
-    alt: 'Group of children engaged in creative arts and crafts activities',
-    category: 'activities',
-  },
-  {
-    id: 'hn6CC9aosEk',
-    alt: 'Children playing and learning together in community playground',
-    category: 'activities',
-  },
-  {
-    id: 'mG28olYFgHI',
-    alt: 'Community meal program providing nutritious food to children',
-    category: 'nutrition',
-  },
-  {
-    id: 'lbLgFFlADrY',
-    alt: 'Healthcare workers conducting health checkup for community children',
-    category: 'health',
-  },
-  {
-    id: 'Zyx1bK9mqmA',
-    alt: 'Children reading books in community library program',
-    category: 'education',
-  },
-  {
-    id: 'pElSkGRA2NU',
-    alt: 'Sports and recreation activities for youth development',
-    category: 'activities',
-  },
-  {
-    id: 'Fa9b57PEQlg',
-    alt: 'Community gathering celebrating program achievements and milestones',
-    category: 'community',
-  },
-];
+function getGalleryPhotos() {
+  return getContent('impact').photos.map(({ unsplashId, alt, category }) => ({ id: unsplashId, alt, category }));
+}
 
 /**
  * Lightbox state management
  * @type {Object}
  */
 const lightboxState = {
+  photos: [],
   isOpen: false,
   currentIndex: 0,
   touchStartX: 0,
@@ -175,7 +135,8 @@ async function createGalleryGrid() {
     grid.setAttribute('role', 'list');
     grid.setAttribute('aria-label', 'Photo gallery grid');
 
-    const photoPromises = GALLERY_PHOTOS.map((photo, index) =>
+    lightboxState.photos = getGalleryPhotos();
+    const photoPromises = lightboxState.photos.map((photo, index) =>
       createGalleryItem(photo, index)
     );
 
@@ -414,7 +375,7 @@ function closeLightbox() {
  */
 async function updateLightboxContent(index) {
   try {
-    const photo = GALLERY_PHOTOS[index];
+    const photo = lightboxState.photos[index];
     if (!photo) {
       throw new Error(`Photo not found at index ${index}`);
     }
@@ -441,7 +402,7 @@ async function updateLightboxContent(index) {
     imageContainer.appendChild(img);
 
     captionText.textContent = photo.alt;
-    counter.textContent = `${index + 1} / ${GALLERY_PHOTOS.length}`;
+    counter.textContent = `${index + 1} / ${lightboxState.photos.length}`;
   } catch (error) {
     console.error('[PhotoGallery] Failed to update lightbox content:', error);
   }
@@ -457,7 +418,7 @@ function showPreviousPhoto() {
 
   const newIndex =
     lightboxState.currentIndex === 0
-      ? GALLERY_PHOTOS.length - 1
+      ? lightboxState.photos.length - 1
       : lightboxState.currentIndex - 1;
 
   lightboxState.currentIndex = newIndex;
@@ -473,7 +434,7 @@ function showNextPhoto() {
   }
 
   const newIndex =
-    lightboxState.currentIndex === GALLERY_PHOTOS.length - 1
+    lightboxState.currentIndex === lightboxState.photos.length - 1
       ? 0
       : lightboxState.currentIndex + 1;
 
@@ -554,8 +515,8 @@ async function initializePhotoGallery() {
     const gallery = await createPhotoGallery();
 
     console.info('[PhotoGallery] Gallery initialized successfully', {
-      photoCount: GALLERY_PHOTOS.length,
-      categories: [...new Set(GALLERY_PHOTOS.map((p) => p.category))],
+      photoCount: lightboxState.photos.length,
+      categories: [...new Set(lightboxState.photos.map((p) => p.category))],
     });
 
     return gallery;
@@ -565,6 +526,6 @@ async function initializePhotoGallery() {
   }
 }
 
-export { initializePhotoGallery, createPhotoGallery, GALLERY_PHOTOS };
+export { initializePhotoGallery, createPhotoGallery, getGalleryPhotos };
 
 export default initializePhotoGallery;
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * ProgramDetailPage Component
+ *
+ * Page for a single program, shown at /programs/:id. Renders the program's
+ * description and headline impact from programsContent.js, upcoming events,
+ * related gallery photos and volunteer roles, and a donate CTA that designates
+ * the gift to the program. Unknown IDs get a not-found message.
+ *
+ * While mounted the page injects its own JSON-LD: an EducationalProgram schema
+ * and, when the program has upcoming events, an Event schema per event. Both
+ * are removed by destroy().
+ *
+ * @dependencies: ["programsContent", "impactContent", "volunteerContent", "seo"]
+ */
+
+import { PROGRAM_RELATED_CATEGORIES, getUpcomingEvents } from '../data/programsContent.js';
+import {
+  generateProgramSchema,
+  generateEventSchema,
+  injectStructuredData,
+  removeStructuredData,
+  SEO_CONFIG,
+} from '../utils/seo.js';
+import { generateUnsplashUrl } from '../utils/imageOptimization.js';
+import { formatDate } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+import { getContent } from '../utils/contentLoader.js';
+
+/**
+ * Structured data script IDs owned by this page
+ */
+const STRUCTURED_DATA_IDS = Object.freeze({
+  PROGRAM: 'program',
+  EVENTS: 'program-events',
+});
+
+/**
+ * Maximum related photos and roles shown
+ */
+const MAX_RELATED_PHOTOS = 3;
+const MAX_RELATED_ROLES = 3;
+
+/**
+ * Where programs run when an event doesn't say otherwise
+ */
+const DEFAULT_LOCATION = 'Makoko Community Center';
+
+/**
+ * Event times are shown in Lagos time, where the events take place
+ */
+const EVENT_DATE_FORMAT = Object.freeze({
+  weekday: 'short',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZone: 'Africa/Lagos',
+});
+
+/**
+ * Get the gallery photos and volunteer roles related to a program
+ * @param {Object} program - Program from programsContent.js
+ * @returns {{photos: Object[], roles: Object[]}} Related content
+ */
+function getRelatedContent(program) {
+  const related = PROGRAM_RELATED_CATEGORIES[program.category];
+  if (!related) {
+    return { photos: [], roles: [] };
+  }
+
+  return {
+    photos: getContent('impact').photos
+      .filter((photo) => photo.category === related.photos)
+      .slice(0, MAX_RELATED_PHOTOS),
+    roles: getContent('volunteerRoles')
+      .filter((role) => related.roles.includes(role.category))
+      .slice(0, MAX_RELATED_ROLES),
+  };
+}
+
+/**
+ * Get a program's canonical page URL
+ * @param {Object} program - Program from programsContent.js
+ * @returns {string} Absolute URL
+ */
+function getProgramUrl(program) {
+  return `${SEO_CONFIG.siteUrl}/programs/${encodeURIComponent(program.id)}`;
+}
+
+/**
+ * Build the program's structured data
+ * @param {Object} program - Program from programsContent.js
+ * @param {Object[]} photos - Related photos; the first is used as the image
+ * @param {Object[]} events - Upcoming events
+ * @returns {{program: Object|null, events: Object[]}} JSON-LD objects
+ */
+function buildStructuredData(program, photos, events) {
+  const url = getProgramUrl(program);
+  const image = photos.length > 0 ? generateUnsplashUrl(photos[0].unsplashId, { width: 1200, height: 630 }) : undefined;
+
+  return {
+    program: generateProgramSchema({
+      name: program.title,
+      description: program.description,
+      image,
+      url,
+      location: DEFAULT_LOCATION,
+    }),
+    events: events
+      .map((event) => generateEventSchema({
+        name: event.name,
+        description: event.description,
+        image,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        location: event.location,
+        offers: {
+          price: '0',
+          priceCurrency: 'NGN',
+          availability: 'https://schema.org/InStock',
+          url,
+        },
+      }))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Render the not-found state
+ * @returns {string} HTML
+ */
+function renderNotFound() {
+  return `
+    <div class="max-w-3xl mx-auto text-center">
+      <h1 id="program-detail-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">Program not found</h1>
+      <p class="text-lg text-gray-600 mb-8">This program may have ended or moved. Browse our current programs instead.</p>
+      <a href="/programs" class="btn btn-primary">See all programs</a>
+    </div>
+  `;
+}
+
+/**
+ * Render upcoming events
+ * @param {Object[]} events - Upcoming events
+ * @returns {string} HTML
+ */
+function renderEvents(events) {
+  if (events.length === 0) {
+    return '';
+  }
+
+  return `
+    <section class="mb-10" aria-labelledby="program-events-heading" data-program-events>
+      <h2 id="program-events-heading" class="text-2xl font-bold text-gray-900 mb-4">Upcoming events</h2>
+      <ul class="space-y-4">
+        ${events.map((event) => `
+          <li class="bg-white rounded-2xl shadow-md p-6">
+            <h3 class="text-lg font-semibold text-gray-900">${escapeHtml(event.name)}</h3>
+            <p class="text-sm font-medium text-primary-700 mb-2">
+              <time datetime="${escapeHtml(event.startDate)}">${escapeHtml(formatDate(event.startDate, EVENT_DATE_FORMAT))}</time>
+              &middot; ${escapeHtml(event.location?.name || DEFAULT_LOCATION)}
+            </p>
+            <p class="text-gray-700">${escapeHtml(event.description)}</p>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `;
+}
+
+/**
+ * Render related gallery photos
+ * @param {Object[]} photos - Photos from impactContent.js
+ * @returns {string} HTML
+ */
+function renderPhotos(photos) {
+  if (photos.length === 0) {
+    return '';
+  }
+
+  return `
+    <section class="mb-10" aria-labelledby="program-photos-heading" data-program-photos>
+      <h2 id="program-photos-heading" class="text-2xl font-bold text-gray-900 mb-4">In pictures</h2>
+      <div class="grid gap-4 sm:grid-cols-3">
+        ${photos.map((photo) => `
+          <figure class="bg-white rounded-2xl shadow-md overflow-hidden">
+            <img
+              src="${escapeHtml(generateUnsplashUrl(photo.unsplashId, { width: 600, height: 450 }))}"
+              alt="${escapeHtml(photo.alt)}"
+              width="600"
+              height="450"
+              loading="lazy"
+              decoding="async"
+              class="w-full aspect-[4/3] object-cover"
+            />
+            <figcaption class="p-3 text-sm text-gray-600">${escapeHtml(photo.caption)}</figcaption>
+          </figure>
+        `).join('')}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render related volunteer roles
+ * @param {Object[]} roles - Roles from volunteerContent.js
+ * @returns {string} HTML
+ */
+function renderRoles(roles) {
+  if (roles.length === 0) {
+    return '';
+  }
+
+  return `
+    <section class="mb-10" aria-labelledby="program-roles-heading" data-program-roles>
+      <h2 id="program-roles-heading" class="text-2xl font-bold text-gray-900 mb-4">Volunteer on this program</h2>
+      <ul class="grid gap-4 sm:grid-cols-3">
+        ${roles.map((role) => `
+          <li class="bg-white rounded-2xl shadow-md p-6 flex flex-col">
+            <h3 class="text-lg font-semibold text-gray-900 mb-1">${escapeHtml(role.title)}</h3>
+            ${role.hoursPerWeek ? `<p class="text-sm text-gray-600 mb-4">${escapeHtml(role.hoursPerWeek)} per week</p>` : ''}
+            <a href="/volunteer/roles/${encodeURIComponent(role.id)}" class="mt-auto text-primary-600 hover:text-primary-700 font-medium underline">
+              About this role<span class="sr-only">: ${escapeHtml(role.title)}</span>
+            </a>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `;
+}
+
+/**
+ * Render a program
+ * @param {Object} program - Program from programsContent.js
+ * @param {Object} related - Upcoming events, related photos and roles
+ * @returns {string} HTML
+ */
+function renderProgram(program, { events, photos, roles }) {
+  const { id, icon, title, category, description, impact } = program;
+
+  return `
+    <article class="max-w-4xl mx-auto">
+      <nav class="mb-6 text-sm" aria-label="Breadcrumb">
+        <a href="/programs" class="text-primary-600 hover:text-primary-700 underline">All programs</a>
+      </nav>
+
+      <header class="mb-8">
+        <span class="text-5xl block mb-4" aria-hidden="true">${icon}</span>
+        <span class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-primary-50 text-primary-700 capitalize mb-3">
+          ${escapeHtml(category)}
+        </span>
+        <h1 id="program-detail-heading" class="text-3xl md:text-4xl font-bold text-gray-900">${escapeHtml(title)}</h1>
+      </header>
+
+      <p class="text-lg text-gray-700 leading-relaxed mb-8">${escapeHtml(description)}</p>
+
+      ${impact ? `
+        <div class="bg-white rounded-2xl shadow-md p-6 mb-10 text-center">
+          <div class="text-4xl font-bold text-primary-600">${escapeHtml(impact.value)}</div>
+          <div class="text-gray-600">${escapeHtml(impact.metric)}</div>
+        </div>
+      ` : ''}
+
+      ${renderEvents(events)}
+      ${renderPhotos(photos)}
+      ${renderRoles(roles)}
+
+      <div class="bg-primary-50 rounded-2xl p-6 md:p-8 flex flex-col sm:flex-row sm:items-center gap-4">
+        <p class="flex-1 text-lg text-gray-800">Your gift can go straight to ${escapeHtml(title)}.</p>
+        <a href="/donate?program=${encodeURIComponent(id)}" class="btn btn-primary" data-program-donate>Donate to this program</a>
+        <a href="/volunteer" class="btn btn-outline">Volunteer with us</a>
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Create a program detail page
+ * @param {Object|null} program - Program from programsContent.js, or null if not found
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createProgramDetailPage(program) {
+  const section = document.createElement('section');
+  section.id = 'program-detail';
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', 'program-detail-heading');
+  section.setAttribute('data-route-page', '');
+
+  if (!program) {
+    section.innerHTML = renderNotFound();
+    section.destroy = () => {
+      section.remove();
+    };
+    return section;
+  }
+
+  const events = getUpcomingEvents(program);
+  const { photos, roles } = getRelatedContent(program);
+  const structuredData = buildStructuredData(program, photos, events);
+
+  section.setAttribute('data-program-id', program.id);
+  section.innerHTML = renderProgram(program, { events, photos, roles });
+
+  if (structuredData.program) {
+    injectStructuredData(structuredData.program, STRUCTURED_DATA_IDS.PROGRAM);
+  }
+
+  if (structuredData.events.length > 0) {
+    injectStructuredData(structuredData.events, STRUCTURED_DATA_IDS.EVENTS);
+  }
+
+  section.destroy = () => {
+    Object.values(STRUCTURED_DATA_IDS).forEach(removeStructuredData);
+    section.remove();
+  };
+
+  return section;
+}
+
+export default createProgramDetailPage;
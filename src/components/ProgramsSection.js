@@ -15,6 +15,11 @@
  */
 
 import { observeElements } from '../utils/animations.js';
+import { getHydratableElement } from '../utils/hydration.js';
+import { PROGRAM_CATEGORIES } from '../data/programsContent.js';
+import { getContent } from '../utils/contentLoader.js';
+import { getLocale, t } from '../utils/i18n.js';
+import { getLocaleOverrides, mergeLocalizedContent } from '../data/locales/index.js';
 
 /**
  * Program data structure with comprehensive details
@@ -157,6 +162,32 @@ const getColorClasses = (color) => {
   return colorMap[color] || colorMap.primary;
 };
 
+/**
+ * Get the program detail pages listed on a card
+ * Cards whose ID is a programsContent.js category link to that category's
+ * programs, read from the programs collection (utils/contentLoader.js).
+ * @param {string} categoryId - Card ID
+ * @returns {Array<Object>} Programs in the category
+ */
+const getProgramPages = (categoryId) => {
+  if (!Object.values(PROGRAM_CATEGORIES).includes(categoryId)) {
+    return [];
+  }
+
+  return getContent('programs').filter(program => program.category === categoryId);
+};
+
+/**
+ * Get the program cards in the active locale
+ * Translated titles, descriptions and initiatives live in
+ * data/locales/<code>.js under `programs.cards`, keyed by card ID.
+ * @returns {Array<Object>} Program cards
+ */
+const getLocalizedPrograms = () => {
+  const translations = getLocaleOverrides(getLocale(), 'programs')?.cards || {};
+  return programs.map(program => mergeLocalizedContent(program, translations[program.id]));
+};
+
 /**
  * Create program card HTML
  * @param {Object} program - Program data object
@@ -164,6 +195,7 @@ const getColorClasses = (color) => {
  */
 const createProgramCard = (program) => {
   const colors = getColorClasses(program.color);
+  const programPages = getProgramPages(program.id);
   
   return `
     <article 
@@ -200,7 +232,7 @@ const createProgramCard = (program) => {
         <!-- Initiatives List -->
         <div class="mt-auto">
           <h4 class="text-sm font-semibold ${colors.text} mb-3 uppercase tracking-wide">
-            Key Initiatives
+            ${t('programs.keyInitiatives')}
           </h4>
           <ul class="space-y-2" role="list">
             ${program.initiatives.map(initiative => `
@@ -223,6 +255,21 @@ const createProgramCard = (program) => {
               </li>
             `).join('')}
           </ul>
+
+          ${programPages.length > 0 ? `
+            <h4 class="text-sm font-semibold ${colors.text} mt-6 mb-3 uppercase tracking-wide">
+              ${t('programs.explorePrograms')}
+            </h4>
+            <ul class="space-y-1" role="list">
+              ${programPages.map(page => `
+                <li>
+                  <a href="/programs/${page.id}" class="text-sm ${colors.text} hover:underline">
+                    ${page.title}
+                  </a>
+                </li>
+              `).join('')}
+            </ul>
+          ` : ''}
         </div>
 
         <!-- Call to Action -->
@@ -230,9 +277,9 @@ const createProgramCard = (program) => {
           <a 
             href="#get-involved" 
             class="inline-flex items-center gap-2 ${colors.text} font-semibold hover:underline transition-all duration-200"
-            aria-label="Get involved with ${program.title}"
+            aria-label="${t('programs.getInvolvedAriaLabel', { program: program.title })}"
           >
-            <span>Get Involved</span>
+            <span>${t('programs.getInvolved')}</span>
             <svg 
               class="w-5 h-5" 
               fill="none" 
@@ -272,12 +319,10 @@ const createProgramsSection = () => {
             id="programs-heading"
             class="text-4xl md:text-5xl font-bold text-gray-900 mb-4"
           >
-            Our <span class="text-gradient">Programs</span>
+            ${t('programs.heading', { highlight: `<span class="text-gradient">${t('programs.headingHighlight')}</span>` })}
           </h2>
           <p class="text-xl text-gray-600 max-w-3xl mx-auto leading-relaxed">
-            Comprehensive initiatives designed to create lasting impact in education, 
-            healthcare, nutrition, and community development. Each program is tailored 
-            to address specific needs and empower individuals for a better future.
+            ${t('programs.intro')}
           </p>
         </header>
 
@@ -285,26 +330,25 @@ const createProgramsSection = () => {
         <div 
           class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8"
           role="list"
-          aria-label="Programs list"
+          aria-label="${t('programs.listLabel')}"
         >
-          ${programs.map(program => createProgramCard(program)).join('')}
+          ${getLocalizedPrograms().map(program => createProgramCard(program)).join('')}
         </div>
 
         <!-- Call to Action Footer -->
         <footer class="mt-16 text-center animate-fadeInUp">
           <div class="bg-gradient-to-r from-primary-600 to-secondary-600 rounded-2xl p-8 md:p-12 text-white">
             <h3 class="text-3xl font-bold mb-4">
-              Want to Support Our Programs?
+              ${t('programs.ctaTitle')}
             </h3>
             <p class="text-lg mb-6 opacity-95 max-w-2xl mx-auto">
-              Your contribution helps us expand our reach and create more opportunities 
-              for children and families in need. Every donation makes a difference.
+              ${t('programs.ctaText')}
             </p>
             <div class="flex flex-col sm:flex-row gap-4 justify-center items-center">
               <a 
                 href="#donate" 
                 class="btn-hero-primary inline-flex items-center gap-2 bg-white text-primary-600 hover:bg-gray-100"
-                aria-label="Donate to support our programs"
+                aria-label="${t('programs.donateAriaLabel')}"
               >
                 <svg 
                   class="w-5 h-5" 
@@ -320,12 +364,12 @@ const createProgramsSection = () => {
                     d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
                   />
                 </svg>
-                <span>Donate Now</span>
+                <span>${t('programs.donateNow')}</span>
               </a>
               <a 
                 href="#volunteer" 
                 class="btn-hero-secondary inline-flex items-center gap-2"
-                aria-label="Volunteer with our programs"
+                aria-label="${t('programs.volunteerAriaLabel')}"
               >
                 <svg 
                   class="w-5 h-5" 
@@ -341,7 +385,7 @@ const createProgramsSection = () => {
                     d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
                   />
                 </svg>
-                <span>Become a Volunteer</span>
+                <span>${t('programs.becomeVolunteer')}</span>
               </a>
             </div>
           </div>
@@ -419,8 +463,10 @@ export const renderProgramsSection = (containerId = 'app') => {
       return;
     }
 
-    const sectionHTML = createProgramsSection();
-    container.insertAdjacentHTML('beforeend', sectionHTML);
+    // Prerendered markup only needs its listeners
+    if (!getHydratableElement('programs')) {
+      container.insertAdjacentHTML('beforeend', createProgramsSection());
+    }
 
     // Initialize after DOM insertion
     if (document.readyState === 'loading') {
@@ -457,5 +503,3 @@ export default {
   getProgramById,
   getAllPrograms
 };
-```
-```
\ No newline at end of file
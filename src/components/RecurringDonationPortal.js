@@ -0,0 +1,652 @@
+/**
+ * RecurringDonationPortal Component
+ *
+ * Self-service portal where donors manage their recurring donations. Access
+ * is granted through a signed magic link emailed to the donor; without one
+ * the portal offers to send a new link. Donors can change the amount or
+ * frequency of a subscription, pause or resume it, cancel it, and download
+ * an annual giving statement for their tax records.
+ *
+ * @dependencies: ["subscriptions", "receipts", "donationContent"]
+ */
+
+import {
+  MAGIC_LINK_PARAM,
+  SubscriptionStatus,
+  SubscriptionErrorType,
+  createSubscriptionClient,
+  getMagicLinkToken,
+} from '../utils/subscriptions.js';
+import {
+  SUBSCRIPTION_FREQUENCIES,
+  getAmountLimits,
+  getCurrencySymbol,
+  formatAmount,
+} from '../data/donationContent.js';
+import { downloadAnnualStatement } from '../utils/receipts.js';
+import { formatDate as formatLocaleDate } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Portal views
+ * @enum {string}
+ */
+const PortalView = Object.freeze({
+  LOADING: 'loading',
+  REQUEST_LINK: 'request_link',
+  LINK_SENT: 'link_sent',
+  SUBSCRIPTIONS: 'subscriptions',
+});
+
+/**
+ * Badge styles per subscription status
+ */
+const STATUS_BADGES = {
+  [SubscriptionStatus.ACTIVE]: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  [SubscriptionStatus.PAUSED]: { label: 'Paused', className: 'bg-yellow-100 text-yellow-800' },
+  [SubscriptionStatus.PAST_DUE]: { label: 'Payment issue', className: 'bg-red-100 text-red-800' },
+  [SubscriptionStatus.CANCELLED]: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' },
+};
+
+/**
+ * Get the display label for a frequency
+ * @param {string} frequency - Frequency ID
+ * @returns {string} Label
+ */
+function getFrequencyLabel(frequency) {
+  const match = SUBSCRIPTION_FREQUENCIES.find((item) => item.id === frequency);
+  return match ? match.label : frequency;
+}
+
+/**
+ * Format an ISO date for display
+ * @param {string|null} isoDate - ISO date string
+ * @returns {string} Formatted date, or an empty string
+ */
+function formatDate(isoDate) {
+  if (!isoDate) {
+    return '';
+  }
+
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  return formatLocaleDate(date, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Create the request-link form
+ * @param {string} [message] - Optional notice shown above the form
+ * @returns {string} HTML string
+ */
+function createRequestLinkView(message) {
+  return `
+    ${message ? `
+      <div class="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-xl" role="alert">
+        <p class="text-sm text-yellow-900">${escapeHtml(message)}</p>
+      </div>
+    ` : ''}
+    <p class="text-gray-600 mb-6">
+      Enter the email address you used when you set up your recurring donation and we'll send you a secure link to manage it.
+    </p>
+    <form data-portal-request-link novalidate class="flex flex-col sm:flex-row gap-3">
+      <label for="portal-email" class="sr-only">Email address</label>
+      <input
+        type="email"
+        id="portal-email"
+        name="email"
+        required
+        autocomplete="email"
+        placeholder="you@example.com"
+        class="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-colors"
+        aria-describedby="portal-email-error"
+      />
+      <button type="submit" class="btn-primary px-6 py-3 rounded-xl font-semibold">
+        Email me a link
+      </button>
+    </form>
+    <p id="portal-email-error" class="mt-2 text-sm text-red-600 hidden" role="alert"></p>
+  `;
+}
+
+/**
+ * Create the link-sent confirmation
+ * @returns {string} HTML string
+ */
+function createLinkSentView() {
+  return `
+    <div class="text-center py-6" role="status">
+      <svg class="w-12 h-12 text-primary-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <rect x="3" y="5" width="18" height="14" rx="2"></rect>
+        <path stroke-linecap="round" stroke-linejoin="round" d="M3 7l9 6 9-6"></path>
+      </svg>
+      <h3 class="text-xl font-semibold text-gray-900 mb-2">Check your inbox</h3>
+      <p class="text-gray-600">
+        If we have a recurring donation for that address, you'll receive a link to manage it shortly. The link expires after a short time for your security.
+      </p>
+    </div>
+  `;
+}
+
+/**
+ * Create the edit form for a subscription
+ * @param {import('../utils/subscriptions.js').Subscription} subscription - Subscription
+ * @returns {string} HTML string
+ */
+function createEditForm(subscription) {
+  const limits = getAmountLimits(subscription.currency);
+  const amountId = `portal-amount-${subscription.id}`;
+  const frequencyId = `portal-frequency-${subscription.id}`;
+
+  return `
+    <form data-portal-edit="${escapeHtml(subscription.id)}" novalidate class="mt-4 pt-4 border-t border-gray-200 grid gap-4 sm:grid-cols-2">
+      <div>
+        <label for="${amountId}" class="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div class="relative">
+          <span class="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">${getCurrencySymbol(subscription.currency)}</span>
+          <input
+            type="number"
+            id="${amountId}"
+            name="amount"
+            min="${limits.min}"
+            max="${limits.max}"
+            step="1"
+            value="${subscription.amount}"
+            class="w-full pl-8 pr-3 py-2 border-2 border-gray-200 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200"
+          />
+        </div>
+      </div>
+      <div>
+        <label for="${frequencyId}" class="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+        <select
+          id="${frequencyId}"
+          name="frequency"
+          class="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200"
+        >
+          ${SUBSCRIPTION_FREQUENCIES.map((item) => `
+            <option value="${item.id}" ${item.id === subscription.frequency ? 'selected' : ''}>${item.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="sm:col-span-2 flex gap-3">
+        <button type="submit" class="btn-primary px-4 py-2 rounded-lg text-sm font-semibold">Save changes</button>
+        <button type="button" data-portal-action="close-edit" data-subscription-id="${escapeHtml(subscription.id)}" class="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-100">
+          Close
+        </button>
+      </div>
+    </form>
+  `;
+}
+
+/**
+ * Create the inline cancel confirmation for a subscription
+ * @param {import('../utils/subscriptions.js').Subscription} subscription - Subscription
+ * @returns {string} HTML string
+ */
+function createCancelConfirmation(subscription) {
+  return `
+    <div class="mt-4 p-4 bg-red-50 border border-red-200 rounded-xl" role="alertdialog" aria-label="Confirm cancellation">
+      <p class="text-sm text-red-900 mb-3">
+        Cancel your ${getFrequencyLabel(subscription.frequency).toLowerCase()} donation of ${formatAmount(subscription.amount, subscription.currency)}? No further payments will be taken.
+      </p>
+      <div class="flex gap-3">
+        <button type="button" data-portal-action="confirm-cancel" data-subscription-id="${escapeHtml(subscription.id)}" class="px-4 py-2 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700">
+          Yes, cancel donation
+        </button>
+        <button type="button" data-portal-action="keep" data-subscription-id="${escapeHtml(subscription.id)}" class="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-100">
+          Keep donating
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Create a subscription card
+ * @param {import('../utils/subscriptions.js').Subscription} subscription - Subscription
+ * @param {Object} uiState - Per-card UI state
+ * @returns {string} HTML string
+ */
+function createSubscriptionCard(subscription, uiState) {
+  const badge = STATUS_BADGES[subscription.status] || STATUS_BADGES[SubscriptionStatus.ACTIVE];
+  const isCancelled = subscription.status === SubscriptionStatus.CANCELLED;
+  const isPaused = subscription.status === SubscriptionStatus.PAUSED;
+  const nextCharge = formatDate(subscription.nextChargeDate);
+  const id = escapeHtml(subscription.id);
+  const busy = uiState.busyId === subscription.id;
+
+  return `
+    <article class="p-5 border-2 border-gray-200 rounded-2xl" data-subscription="${id}" aria-busy="${busy}">
+      <div class="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p class="text-2xl font-bold text-gray-900">
+            ${formatAmount(subscription.amount, subscription.currency)}
+            <span class="text-base font-normal text-gray-600">/ ${getFrequencyLabel(subscription.frequency).toLowerCase()}</span>
+          </p>
+          ${nextCharge && !isCancelled && !isPaused ? `
+            <p class="text-sm text-gray-600 mt-1">Next payment on ${nextCharge}</p>
+          ` : ''}
+        </div>
+        <span class="px-3 py-1 rounded-full text-xs font-semibold ${badge.className}">${badge.label}</span>
+      </div>
+
+      ${uiState.errors[subscription.id] ? `
+        <p class="mt-3 text-sm text-red-600" role="alert">${escapeHtml(uiState.errors[subscription.id])}</p>
+      ` : ''}
+
+      ${isCancelled ? '' : `
+        <div class="mt-4 flex flex-wrap gap-2">
+          <button type="button" data-portal-action="edit" data-subscription-id="${id}" class="px-4 py-2 rounded-lg text-sm font-semibold text-primary-700 bg-primary-50 hover:bg-primary-100" ${busy ? 'disabled' : ''}>
+            Change amount or frequency
+          </button>
+          <button type="button" data-portal-action="${isPaused ? 'resume' : 'pause'}" data-subscription-id="${id}" class="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200" ${busy ? 'disabled' : ''}>
+            ${isPaused ? 'Resume' : 'Pause'}
+          </button>
+          <button type="button" data-portal-action="cancel" data-subscription-id="${id}" class="px-4 py-2 rounded-lg text-sm font-semibold text-red-700 hover:bg-red-50" ${busy ? 'disabled' : ''}>
+            Cancel
+          </button>
+        </div>
+      `}
+
+      ${uiState.editingId === subscription.id ? createEditForm(subscription) : ''}
+      ${uiState.cancellingId === subscription.id ? createCancelConfirmation(subscription) : ''}
+    </article>
+  `;
+}
+
+/**
+ * Create the subscription list view
+ * @param {Object} uiState - Portal UI state
+ * @returns {string} HTML string
+ */
+function createSubscriptionsView(uiState) {
+  if (uiState.subscriptions.length === 0) {
+    return `
+      <p class="text-gray-600 text-center py-6">
+        We couldn't find any recurring donations for ${escapeHtml(uiState.email || 'this address')}.
+        <a href="#donate" class="text-primary-600 font-semibold hover:underline">Start one today</a>.
+      </p>
+    `;
+  }
+
+  return `
+    ${uiState.email ? `
+      <p class="text-sm text-gray-600 mb-6">Signed in as <strong>${escapeHtml(uiState.email)}</strong></p>
+    ` : ''}
+    <div class="space-y-4">
+      ${uiState.subscriptions.map((subscription) => createSubscriptionCard(subscription, uiState)).join('')}
+    </div>
+    ${createStatementBlock(uiState)}
+    <div class="mt-6 text-right">
+      <button type="button" data-portal-action="sign-out" class="text-sm text-gray-600 hover:text-gray-900 hover:underline">
+        Sign out
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Create the annual statement download block
+ * @param {Object} uiState - Portal UI state
+ * @returns {string} HTML string
+ */
+function createStatementBlock(uiState) {
+  const currentYear = new Date().getFullYear();
+  const years = [currentYear, currentYear - 1, currentYear - 2];
+
+  return `
+    <div class="mt-8 pt-6 border-t border-gray-200">
+      <h3 class="text-lg font-semibold text-gray-900 mb-1">Annual giving statement</h3>
+      <p class="text-sm text-gray-600 mb-4">Download a PDF summary of all your donations in a year for your tax records.</p>
+      <form data-portal-statement novalidate class="flex flex-wrap items-center gap-3">
+        <label for="portal-statement-year" class="sr-only">Year</label>
+        <select id="portal-statement-year" name="year" class="px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200">
+          ${years.map((year) => `<option value="${year}">${year}</option>`).join('')}
+        </select>
+        <button type="submit" class="px-4 py-2 rounded-lg text-sm font-semibold text-primary-700 bg-primary-50 hover:bg-primary-100">
+          Download statement (PDF)
+        </button>
+      </form>
+      <p class="mt-2 text-sm text-gray-600 ${uiState.statementStatus ? '' : 'hidden'}" data-portal-statement-status role="status" aria-live="polite">
+        ${escapeHtml(uiState.statementStatus)}
+      </p>
+    </div>
+  `;
+}
+
+/**
+ * Remove the magic link token from the address bar
+ */
+function clearMagicLinkFromUrl() {
+  const url = new URL(window.location.href);
+  if (url.searchParams.has(MAGIC_LINK_PARAM)) {
+    url.searchParams.delete(MAGIC_LINK_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+}
+
+/**
+ * Create the recurring donation portal section
+ * @returns {HTMLElement} Portal section element with a destroy() method
+ */
+export function createRecurringDonationPortal() {
+  const client = createSubscriptionClient();
+  const uiState = {
+    view: PortalView.LOADING,
+    notice: '',
+    email: '',
+    subscriptions: [],
+    editingId: null,
+    cancellingId: null,
+    busyId: null,
+    errors: {},
+    statementStatus: '',
+  };
+
+  const section = document.createElement('section');
+  section.id = 'manage-donations';
+  section.className = 'section-container bg-white';
+  section.setAttribute('aria-labelledby', 'manage-donations-heading');
+
+  section.innerHTML = `
+    <div class="max-w-3xl mx-auto">
+      <header class="text-center mb-8">
+        <h2 id="manage-donations-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-3">
+          Manage Your Recurring Donation
+        </h2>
+        <p class="text-lg text-gray-600">
+          Update, pause or cancel your regular gift at any time.
+        </p>
+      </header>
+      <div class="bg-gray-50 rounded-3xl shadow-lg p-6 md:p-10" data-portal-body aria-live="polite"></div>
+    </div>
+  `;
+
+  const body = section.querySelector('[data-portal-body]');
+
+  const render = () => {
+    switch (uiState.view) {
+      case PortalView.LOADING:
+        body.innerHTML = `
+          <div class="flex items-center justify-center gap-3 py-8 text-gray-600" role="status">
+            <svg class="animate-spin w-6 h-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+              <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+              <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <span>Loading your donations...</span>
+          </div>
+        `;
+        break;
+      case PortalView.LINK_SENT:
+        body.innerHTML = createLinkSentView();
+        break;
+      case PortalView.SUBSCRIPTIONS:
+        body.innerHTML = createSubscriptionsView(uiState);
+        break;
+      default:
+        body.innerHTML = createRequestLinkView(uiState.notice);
+    }
+  };
+
+  const showRequestLink = (notice = '') => {
+    uiState.view = PortalView.REQUEST_LINK;
+    uiState.notice = notice;
+    render();
+  };
+
+  const findSubscription = (id) => uiState.subscriptions.find((item) => item.id === id);
+
+  const replaceSubscription = (updated) => {
+    uiState.subscriptions = uiState.subscriptions.map((item) => (item.id === updated.id ? updated : item));
+  };
+
+  const loadSubscriptions = async () => {
+    uiState.view = PortalView.LOADING;
+    render();
+
+    try {
+      uiState.subscriptions = await client.listSubscriptions();
+      uiState.view = PortalView.SUBSCRIPTIONS;
+      render();
+    } catch (error) {
+      console.error('[RecurringDonationPortal] Failed to load subscriptions:', error);
+      showRequestLink(error.userMessage);
+    }
+  };
+
+  /**
+   * Run a subscription operation and re-render the affected card
+   * @param {string} id - Subscription ID
+   * @param {function(Object): Promise<Object>} operation - Client call
+   * @param {string} eventName - Window event name dispatched on success
+   */
+  const runOperation = async (id, operation, eventName) => {
+    const subscription = findSubscription(id);
+    if (!subscription) {
+      return;
+    }
+
+    uiState.busyId = id;
+    delete uiState.errors[id];
+    render();
+
+    try {
+      const updated = await operation(subscription);
+      replaceSubscription(updated);
+      uiState.editingId = null;
+      uiState.cancellingId = null;
+
+      window.dispatchEvent(new CustomEvent(eventName, {
+        detail: { subscriptionId: updated.id, provider: updated.provider, status: updated.status },
+      }));
+    } catch (error) {
+      console.error('[RecurringDonationPortal] Subscription update failed:', error);
+
+      if (error.type === SubscriptionErrorType.UNAUTHORIZED) {
+        uiState.busyId = null;
+        showRequestLink(error.userMessage);
+        return;
+      }
+
+      uiState.errors[id] = error.userMessage;
+    }
+
+    uiState.busyId = null;
+    render();
+  };
+
+  const handleClick = (event) => {
+    const button = event.target.closest('[data-portal-action]');
+    if (!button) {
+      return;
+    }
+
+    const { portalAction: action, subscriptionId: id } = button.dataset;
+
+    switch (action) {
+      case 'edit':
+        uiState.editingId = uiState.editingId === id ? null : id;
+        uiState.cancellingId = null;
+        render();
+        break;
+      case 'close-edit':
+        uiState.editingId = null;
+        render();
+        break;
+      case 'pause':
+        runOperation(id, (subscription) => client.pauseSubscription(subscription), 'subscription:paused');
+        break;
+      case 'resume':
+        runOperation(id, (subscription) => client.resumeSubscription(subscription), 'subscription:resumed');
+        break;
+      case 'cancel':
+        uiState.cancellingId = id;
+        uiState.editingId = null;
+        render();
+        break;
+      case 'keep':
+        uiState.cancellingId = null;
+        render();
+        break;
+      case 'confirm-cancel':
+        runOperation(id, (subscription) => client.cancelSubscription(subscription), 'subscription:cancelled');
+        break;
+      case 'sign-out':
+        client.endSession();
+        uiState.subscriptions = [];
+        uiState.email = '';
+        showRequestLink();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleRequestLink = async (form) => {
+    const input = form.querySelector('input[name="email"]');
+    const errorElement = body.querySelector('#portal-email-error');
+    const submitButton = form.querySelector('button[type="submit"]');
+
+    submitButton.disabled = true;
+    errorElement.classList.add('hidden');
+    input.removeAttribute('aria-invalid');
+
+    try {
+      await client.requestMagicLink(input.value);
+      uiState.view = PortalView.LINK_SENT;
+      render();
+    } catch (error) {
+      console.error('[RecurringDonationPortal] Failed to request magic link:', error);
+      errorElement.textContent = error.userMessage;
+      errorElement.classList.remove('hidden');
+      input.setAttribute('aria-invalid', 'true');
+      submitButton.disabled = false;
+      input.focus();
+    }
+  };
+
+  const handleStatement = async (form) => {
+    const year = Number(new FormData(form).get('year'));
+    const submitButton = form.querySelector('button[type="submit"]');
+    const status = body.querySelector('[data-portal-statement-status]');
+
+    const showStatus = (message) => {
+      uiState.statementStatus = message;
+      status.textContent = message;
+      status.classList.remove('hidden');
+    };
+
+    submitButton.disabled = true;
+    showStatus(`Preparing your ${year} statement...`);
+
+    try {
+      const history = await client.listDonations(year);
+
+      if (history.donations.length === 0) {
+        showStatus(`We have no donations on record for ${year}.`);
+        return;
+      }
+
+      const receiptNumber = await downloadAnnualStatement({
+        year,
+        donorName: history.donorName,
+        donorEmail: history.donorEmail || uiState.email,
+        country: history.country,
+        donations: history.donations,
+      });
+      showStatus(`Statement ${receiptNumber.number} downloaded.`);
+    } catch (error) {
+      console.error('[RecurringDonationPortal] Failed to generate annual statement:', error);
+
+      if (error.type === SubscriptionErrorType.UNAUTHORIZED) {
+        showRequestLink(error.userMessage);
+        return;
+      }
+
+      showStatus(error.userMessage || 'We could not generate your statement. Please try again.');
+    } finally {
+      submitButton.disabled = false;
+    }
+  };
+
+  const handleSubmit = (event) => {
+    const form = event.target;
+
+    if (form.matches('[data-portal-statement]')) {
+      event.preventDefault();
+      handleStatement(form);
+      return;
+    }
+
+    if (form.matches('[data-portal-request-link]')) {
+      event.preventDefault();
+      handleRequestLink(form);
+      return;
+    }
+
+    if (form.matches('[data-portal-edit]')) {
+      event.preventDefault();
+      const formData = new FormData(form);
+      const changes = {
+        amount: Number(formData.get('amount')),
+        frequency: formData.get('frequency'),
+      };
+
+      runOperation(
+        form.dataset.portalEdit,
+        (subscription) => client.updateSubscription(subscription, changes),
+        'subscription:updated'
+      );
+    }
+  };
+
+  body.addEventListener('click', handleClick);
+  body.addEventListener('submit', handleSubmit);
+
+  const start = async () => {
+    const token = getMagicLinkToken();
+
+    if (token) {
+      // Drop the token from the address bar so it isn't bookmarked or shared
+      clearMagicLinkFromUrl();
+
+      try {
+        const session = await client.startSession(token);
+        uiState.email = session.email || '';
+      } catch (error) {
+        console.error('[RecurringDonationPortal] Magic link rejected:', error);
+        showRequestLink(error.userMessage);
+        return;
+      }
+    }
+
+    if (client.hasSession()) {
+      await loadSubscriptions();
+    } else {
+      showRequestLink();
+    }
+  };
+
+  render();
+  start();
+
+  section.destroy = () => {
+    client.abort();
+    body.removeEventListener('click', handleClick);
+    body.removeEventListener('submit', handleSubmit);
+  };
+
+  return section;
+}
+
+/**
+ * Whether the current URL asks for the recurring donation portal
+ * @returns {boolean} True for magic link visits or the #manage-donations hash
+ */
+export function shouldShowRecurringDonationPortal() {
+  return Boolean(getMagicLinkToken()) || window.location.hash === '#manage-donations';
+}
+
+export default createRecurringDonationPortal;
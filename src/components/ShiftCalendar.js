@@ -0,0 +1,450 @@
+/**
+ * ShiftCalendar Component
+ *
+ * Upcoming shifts for a volunteer role, shown on its role page and grouped by
+ * week. Each shift shows the places left; volunteers can sign up, join the
+ * waitlist once a shift is full, and cancel. The first sign-up asks for a name
+ * and email, which are remembered on the device for later sign-ups.
+ *
+ * Volunteers with sign-ups can download them as an .ics file or subscribe to
+ * their personal calendar feed, which keeps their calendar app up to date as
+ * they book, cancel or move up a waitlist.
+ *
+ * Roles without scheduled shifts get a note that times are arranged with the
+ * volunteer coordinator.
+ *
+ * @dependencies: ["shiftSchedule", "volunteerShifts", "volunteerContent"]
+ */
+
+import { SHIFT_SCHEDULE } from '../data/volunteerContent.js';
+import { getUpcomingShifts, hasShifts } from '../utils/shiftSchedule.js';
+import {
+  SignupStatus,
+  ShiftErrorType,
+  getVolunteerProfile,
+  forgetVolunteerProfile,
+  getShiftAvailability,
+  signUpForShift,
+  cancelShiftSignup,
+  getShiftFeedUrls,
+  downloadShiftsCalendar,
+} from '../utils/volunteerShifts.js';
+import { formatDate } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Date formats for shift times, in the schedule's time zone
+ */
+const WEEK_FORMAT = Object.freeze({ day: 'numeric', month: 'long', timeZone: SHIFT_SCHEDULE.timeZone });
+const DAY_FORMAT = Object.freeze({ weekday: 'short', day: 'numeric', month: 'short', timeZone: SHIFT_SCHEDULE.timeZone });
+const TIME_FORMAT = Object.freeze({ hour: '2-digit', minute: '2-digit', timeZone: SHIFT_SCHEDULE.timeZone });
+
+/**
+ * Describe when a shift is, e.g. "Tue, 5 Mar, 09:00–12:00"
+ * @param {Object} shift - Shift
+ * @returns {string} Label
+ */
+function getShiftLabel(shift) {
+  return `${formatDate(shift.start, DAY_FORMAT)}, ${formatDate(shift.start, TIME_FORMAT)}–${formatDate(shift.end, TIME_FORMAT)}`;
+}
+
+/**
+ * Group shifts by the Monday of their week
+ * @param {Object[]} shifts - Shifts in start order
+ * @returns {Array<{weekOf: string, shifts: Object[]}>} Weeks in order
+ */
+function groupByWeek(shifts) {
+  const weeks = new Map();
+
+  shifts.forEach((shift) => {
+    const date = new Date(`${shift.date}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    const weekOf = date.toISOString().slice(0, 10);
+
+    if (!weeks.has(weekOf)) {
+      weeks.set(weekOf, []);
+    }
+    weeks.get(weekOf).push(shift);
+  });
+
+  return Array.from(weeks, ([weekOf, weekShifts]) => ({ weekOf, shifts: weekShifts }));
+}
+
+/**
+ * Render one shift
+ * @param {Object} shift - Shift
+ * @param {Object|undefined} availability - Places taken, once loaded
+ * @returns {string} HTML
+ */
+function renderShift(shift, availability) {
+  const signup = availability?.signup;
+  let places = 'Checking places...';
+  let action = '';
+
+  if (availability) {
+    const left = Math.max(shift.capacity - availability.confirmed, 0);
+    const waitlistFull = availability.waitlisted >= SHIFT_SCHEDULE.waitlistLimit;
+
+    if (left > 0) {
+      places = `${left} of ${shift.capacity} places left`;
+    } else {
+      places = availability.waitlisted > 0 ? `Full · ${availability.waitlisted} on the waitlist` : 'Full · waitlist open';
+    }
+
+    if (signup) {
+      places = signup.status === SignupStatus.WAITLISTED
+        ? `You're number ${signup.position} on the waitlist`
+        : 'You\'re booked on this shift';
+      action = `<button type="button" class="btn btn-outline text-sm" data-shift-action="cancel">${signup.status === SignupStatus.WAITLISTED ? 'Leave waitlist' : 'Cancel'}</button>`;
+    } else if (left > 0) {
+      action = '<button type="button" class="btn btn-primary text-sm" data-shift-action="signup">Sign up</button>';
+    } else if (!waitlistFull) {
+      action = '<button type="button" class="btn btn-secondary text-sm" data-shift-action="signup">Join waitlist</button>';
+    }
+  }
+
+  return `
+    <li class="flex flex-wrap items-center justify-between gap-3 p-4 rounded-xl ${signup ? 'bg-primary-50 border border-primary-200' : 'bg-white border border-gray-200'}" data-shift-id="${escapeHtml(shift.id)}">
+      <div>
+        <p class="font-semibold text-gray-900">${escapeHtml(getShiftLabel(shift))}</p>
+        <p class="text-sm text-gray-600">${escapeHtml(places)}</p>
+      </div>
+      ${action}
+    </li>
+  `;
+}
+
+/**
+ * Render the shifts, week by week
+ * @param {Object[]} shifts - Shifts
+ * @param {Object<string, Object>|null} availability - Places taken keyed by shift ID, once loaded
+ * @returns {string} HTML
+ */
+function renderWeeks(shifts, availability) {
+  return groupByWeek(shifts).map(({ weekOf, shifts: weekShifts }) => `
+    <div>
+      <h3 class="font-semibold text-gray-700 mb-3">Week of ${escapeHtml(formatDate(`${weekOf}T12:00:00Z`, WEEK_FORMAT))}</h3>
+      <ul class="grid gap-3">
+        ${weekShifts.map((shift) => renderShift(shift, availability?.[shift.id])).join('')}
+      </ul>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render the remembered volunteer and their calendar options
+ * @param {Object|null} profile - Volunteer profile
+ * @returns {string} HTML
+ */
+function renderVolunteer(profile) {
+  if (!profile) {
+    return '';
+  }
+
+  const feed = getShiftFeedUrls(profile.feedToken);
+
+  return `
+    <div class="p-4 bg-gray-50 rounded-xl text-sm text-gray-700 space-y-3">
+      <p>
+        Signing up as <strong>${escapeHtml(profile.name)}</strong> (${escapeHtml(profile.email)}).
+        <button type="button" class="text-primary-600 hover:text-primary-700 underline" data-shift-forget>Not you?</button>
+      </p>
+      <div class="flex flex-wrap gap-3">
+        <button type="button" class="btn btn-outline text-sm" data-shift-download>Download these shifts (.ics)</button>
+        <a href="${escapeHtml(feed.webcal)}" class="btn btn-outline text-sm">Subscribe in my calendar</a>
+      </div>
+      <div>
+        <label for="shift-feed-url" class="block font-medium text-gray-900 mb-1">Calendar feed URL</label>
+        <input id="shift-feed-url" type="text" readonly class="w-full px-3 py-2 border border-gray-200 rounded-lg bg-white font-mono text-xs" aria-describedby="shift-feed-url-hint" data-shift-feed-url />
+        <p id="shift-feed-url-hint" class="mt-1 text-xs text-gray-600">
+          Paste this into Google Calendar or Outlook to see your shifts for every role there. Keep it private: anyone with the link can see your shifts.
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the name and email form for a first sign-up
+ * @returns {string} HTML
+ */
+function renderDetailsForm() {
+  const inputClass = 'w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-white focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200';
+
+  return `
+    <form class="p-4 bg-gray-50 rounded-xl space-y-4" novalidate hidden data-shift-details>
+      <p class="text-gray-700" data-shift-details-intro></p>
+      <div class="grid gap-4 sm:grid-cols-2">
+        <div>
+          <label for="shift-volunteer-name" class="block font-semibold text-gray-900 mb-2">Full name</label>
+          <input id="shift-volunteer-name" name="name" type="text" autocomplete="name" class="${inputClass}" aria-describedby="shift-volunteer-name-error" />
+          <p id="shift-volunteer-name-error" class="mt-1 text-sm text-red-600" data-field-error="name" hidden></p>
+        </div>
+        <div>
+          <label for="shift-volunteer-email" class="block font-semibold text-gray-900 mb-2">Email address</label>
+          <input id="shift-volunteer-email" name="email" type="email" autocomplete="email" class="${inputClass}" aria-describedby="shift-volunteer-email-error" />
+          <p id="shift-volunteer-email-error" class="mt-1 text-sm text-red-600" data-field-error="email" hidden></p>
+        </div>
+      </div>
+      <div class="flex flex-wrap gap-3">
+        <button type="submit" class="btn btn-primary" data-shift-details-submit>Confirm sign-up</button>
+        <button type="button" class="btn btn-outline" data-shift-details-cancel>Cancel</button>
+      </div>
+    </form>
+  `;
+}
+
+/**
+ * Show field errors on the details form
+ * @param {HTMLFormElement} form - Details form
+ * @param {Object<string, string>} errors - Errors keyed by field name
+ */
+function showFieldErrors(form, errors) {
+  form.querySelectorAll('[data-field-error]').forEach((slot) => {
+    const name = slot.getAttribute('data-field-error');
+    const field = form.elements.namedItem(name);
+    const message = errors[name];
+
+    slot.textContent = message || '';
+    slot.hidden = !message;
+    if (field) {
+      field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+  });
+
+  const firstInvalid = form.querySelector('[aria-invalid="true"]');
+  if (firstInvalid) {
+    firstInvalid.focus();
+  }
+}
+
+/**
+ * Create the shift calendar for a role
+ * @param {Object} role - Role from volunteerContent.js
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createShiftCalendar(role) {
+  const section = document.createElement('section');
+  section.className = 'bg-white rounded-2xl shadow-lg p-6 md:p-8';
+  section.setAttribute('aria-labelledby', 'shift-calendar-heading');
+  section.setAttribute('data-shift-calendar', role.id);
+
+  const shifts = getUpcomingShifts(role.id);
+
+  if (!hasShifts(role) || shifts.length === 0) {
+    section.innerHTML = `
+      <h2 id="shift-calendar-heading" class="text-xl font-bold text-gray-900 mb-2">Shifts</h2>
+      <p class="text-gray-700">
+        This role doesn't have set shifts. Our volunteer coordinator arranges times with you after you apply.
+      </p>
+    `;
+    section.destroy = () => section.remove();
+    return section;
+  }
+
+  section.innerHTML = `
+    <h2 id="shift-calendar-heading" class="text-xl font-bold text-gray-900 mb-2">Upcoming shifts</h2>
+    <p class="text-gray-600 mb-6">
+      Sign up for the shifts you can make. Times are Lagos time (WAT). When a shift is full you can join its waitlist, and we'll email you if a place opens up.
+    </p>
+    <div class="space-y-6">
+      <div data-shift-volunteer></div>
+      ${renderDetailsForm()}
+      <div role="status" aria-live="polite" class="text-sm font-medium text-gray-900 empty:hidden" data-shift-status></div>
+      <div class="grid gap-6" data-shift-weeks></div>
+    </div>
+  `;
+
+  const volunteer = section.querySelector('[data-shift-volunteer]');
+  const detailsForm = section.querySelector('[data-shift-details]');
+  const detailsIntro = detailsForm.querySelector('[data-shift-details-intro]');
+  const detailsSubmit = detailsForm.querySelector('[data-shift-details-submit]');
+  const status = section.querySelector('[data-shift-status]');
+  const weeks = section.querySelector('[data-shift-weeks]');
+  const shiftsById = new Map(shifts.map((shift) => [shift.id, shift]));
+  let availability = null;
+  let pendingShiftId = null;
+  let busy = false;
+  let destroyed = false;
+
+  const renderVolunteerArea = () => {
+    const profile = getVolunteerProfile();
+    volunteer.innerHTML = renderVolunteer(profile);
+    const feedInput = volunteer.querySelector('[data-shift-feed-url]');
+    if (feedInput) {
+      feedInput.value = getShiftFeedUrls(profile.feedToken).https;
+    }
+  };
+
+  const renderShifts = (focusShiftId = null) => {
+    weeks.innerHTML = renderWeeks(shifts, availability);
+    const focusTarget = focusShiftId && weeks.querySelector(`[data-shift-id="${CSS.escape(focusShiftId)}"] button`);
+    if (focusTarget) {
+      focusTarget.focus();
+    }
+  };
+
+  const setStatus = (message) => {
+    status.textContent = message;
+  };
+
+  const loadAvailability = async () => {
+    try {
+      const loaded = await getShiftAvailability(role.id);
+      if (destroyed) {
+        return;
+      }
+      availability = Object.fromEntries(shifts.map((shift) => [
+        shift.id,
+        { confirmed: 0, waitlisted: 0, signup: null, ...loaded[shift.id] },
+      ]));
+      renderShifts();
+    } catch (error) {
+      console.error('[ShiftCalendar] Failed to load shift availability:', error);
+      if (!destroyed) {
+        weeks.innerHTML = `<p class="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-900">${escapeHtml(error.userMessage || error.message)}</p>`;
+      }
+    }
+  };
+
+  const updateShift = (shiftId, shift, signup) => {
+    availability[shiftId] = { ...availability[shiftId], ...shift, signup };
+    renderShifts(shiftId);
+  };
+
+  const showError = (error) => {
+    setStatus(error.userMessage || error.message);
+  };
+
+  const signUp = async (shiftId, details) => {
+    const shift = shiftsById.get(shiftId);
+    busy = true;
+    detailsSubmit.disabled = true;
+
+    try {
+      const result = await signUpForShift(shiftId, details);
+      if (destroyed) {
+        return;
+      }
+
+      detailsForm.hidden = true;
+      pendingShiftId = null;
+      renderVolunteerArea();
+      updateShift(shiftId, result.shift, result.signup);
+      setStatus(result.signup.status === SignupStatus.WAITLISTED
+        ? `You're number ${result.signup.position} on the waitlist for ${getShiftLabel(shift)}. We'll email you if a place opens up.`
+        : `You're booked on ${getShiftLabel(shift)}. Thank you!`);
+    } catch (error) {
+      console.error('[ShiftCalendar] Sign-up failed:', error);
+      if (destroyed) {
+        return;
+      }
+
+      if (error.type === ShiftErrorType.VALIDATION_FAILED && Object.keys(error.fieldErrors).length > 0) {
+        detailsForm.hidden = false;
+        showFieldErrors(detailsForm, error.fieldErrors);
+      } else {
+        showError(error);
+        if (error.type === ShiftErrorType.SHIFT_FULL) {
+          loadAvailability();
+        }
+      }
+    } finally {
+      busy = false;
+      detailsSubmit.disabled = false;
+    }
+  };
+
+  const cancel = async (shiftId) => {
+    const shift = shiftsById.get(shiftId);
+    busy = true;
+
+    try {
+      const result = await cancelShiftSignup(shiftId);
+      if (destroyed) {
+        return;
+      }
+
+      updateShift(shiftId, result.shift, null);
+      setStatus(`Your sign-up for ${getShiftLabel(shift)} is cancelled.`);
+    } catch (error) {
+      console.error('[ShiftCalendar] Cancellation failed:', error);
+      if (!destroyed) {
+        showError(error);
+      }
+    } finally {
+      busy = false;
+    }
+  };
+
+  const handleClick = (e) => {
+    const actionButton = e.target.closest('[data-shift-action]');
+    if (actionButton && !busy) {
+      const shiftId = actionButton.closest('[data-shift-id]').getAttribute('data-shift-id');
+
+      if (actionButton.getAttribute('data-shift-action') === 'cancel') {
+        cancel(shiftId);
+      } else if (getVolunteerProfile()) {
+        signUp(shiftId);
+      } else {
+        // First sign-up on this device: ask who is signing up
+        pendingShiftId = shiftId;
+        detailsIntro.textContent = `Signing up for ${getShiftLabel(shiftsById.get(shiftId))}. We'll remember your details on this device for next time.`;
+        showFieldErrors(detailsForm, {});
+        detailsForm.hidden = false;
+        detailsForm.elements.namedItem('name').focus();
+      }
+      return;
+    }
+
+    if (e.target.closest('[data-shift-details-cancel]')) {
+      detailsForm.hidden = true;
+      renderShifts(pendingShiftId);
+      pendingShiftId = null;
+      return;
+    }
+
+    if (e.target.closest('[data-shift-download]')) {
+      const signups = Object.entries(availability || {})
+        .filter(([, shift]) => shift.signup)
+        .map(([shiftId, shift]) => ({ shiftId, status: shift.signup.status }));
+      const count = downloadShiftsCalendar(signups);
+      setStatus(count > 0
+        ? `Downloaded ${count} ${count === 1 ? 'shift' : 'shifts'} for ${role.title}.`
+        : 'You have no upcoming shifts for this role yet.');
+      return;
+    }
+
+    if (e.target.closest('[data-shift-forget]')) {
+      forgetVolunteerProfile();
+      renderVolunteerArea();
+      setStatus('We\'ve forgotten your details on this device. Your sign-ups are still booked.');
+      loadAvailability();
+    }
+  };
+
+  const handleDetailsSubmit = (e) => {
+    e.preventDefault();
+    if (pendingShiftId && !busy) {
+      signUp(pendingShiftId, Object.fromEntries(new FormData(detailsForm)));
+    }
+  };
+
+  section.addEventListener('click', handleClick);
+  detailsForm.addEventListener('submit', handleDetailsSubmit);
+
+  renderVolunteerArea();
+  renderShifts();
+  loadAvailability();
+
+  section.destroy = () => {
+    destroyed = true;
+    section.removeEventListener('click', handleClick);
+    detailsForm.removeEventListener('submit', handleDetailsSubmit);
+    section.remove();
+  };
+
+  return section;
+}
+
+export default createShiftCalendar;
@@ -8,6 +8,8 @@
  * @module components/StatisticsCounter
  */
 
+import { formatNumber as formatLocaleNumber } from '../utils/i18n.js';
+
 /**
  * Easing functions for counter animations
  * @private
@@ -33,8 +35,9 @@ const DEFAULT_CONFIG = Object.freeze({
   easing: 'easeOutCubic',
   threshold: 0.3,
   rootMargin: '0px',
-  separator: ',',
-  decimal: '.',
+  // null uses the active locale's separators
+  separator: null,
+  decimal: null,
   prefix: '',
   suffix: '',
   decimals: 0,
@@ -56,6 +59,14 @@ function formatNumber(value, options) {
     return `${prefix}0${suffix}`;
   }
 
+  if (separator === null && decimal === null) {
+    const localized = formatLocaleNumber(value, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    });
+    return `${prefix}${localized}${suffix}`;
+  }
+
   // Round to specified decimal places
   const rounded = Number(value.toFixed(decimals));
 
@@ -65,13 +76,13 @@ function formatNumber(value, options) {
   const decimalPart = parts[1] || '';
 
   // Add thousand separators
-  const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+  const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, separator ?? ',');
 
   // Combine parts
   let result = formattedInteger;
   if (decimals > 0) {
     const paddedDecimal = decimalPart.padEnd(decimals, '0');
-    result += decimal + paddedDecimal;
+    result += (decimal ?? '.') + paddedDecimal;
   }
 
   return `${prefix}${result}${suffix}`;
@@ -188,11 +199,11 @@ export class StatisticsCounter {
       // Setup each counter
       counterElements.forEach((el) => {
         const endValue = this._parseCounterValue(el);
-        const counterConfig = this._parseCounterConfig(el);
+        const counterConfig = { ...this.config, ...this._parseCounterConfig(el) };
 
         this.counters.set(el, {
           endValue,
-          config: { ...this.config, ...counterConfig },
+          config: counterConfig,
           animation: null,
         });
 
@@ -9,6 +9,11 @@
  */
 
 import { createOptimizedImage } from '../utils/imageOptimization.js';
+import { getHydratableElement } from '../utils/hydration.js';
+import { getLocale, t } from '../utils/i18n.js';
+import { getLocaleOverrides, mergeLocalizedContent } from '../data/locales/index.js';
+import { getContent } from '../utils/contentLoader.js';
+import { TEAM_MEMBERS } from '../data/aboutContent.js';
 
 /**
  * Team member data structure
@@ -21,53 +26,16 @@ import { createOptimizedImage } from '../utils/imageOptimization.js';
  */
 
 /**
- * Team members data
- * @type {TeamMember[]}
+ * Get the team members in the active locale
+ * Members come from the team collection (utils/contentLoader.js), falling back
+ * to TEAM_MEMBERS in aboutContent.js. Translated roles and bios live in
+ * data/locales/<code>.js under `team.members`, keyed by member ID.
+ * @returns {TeamMember[]} Team members
  */
-const TEAM_MEMBERS = [
-  {
-    id: 'member-1',
-    name: 'Adebayo Okonkwo',
-    role: 'Founder & Executive Director',
-    bio: 'With over 15 years of experience in community development, Adebayo founded the organization to bring hope and opportunity to children in Makoko. His vision has transformed countless lives.',
-    photoId: '1573496359142-b8d87734a5a2',
-  },
-  {
-    id: 'member-2',
-    name: 'Chioma Nwosu',
-    role: 'Education Program Director',
-    bio: 'A passionate educator with a Master\'s in Child Development, Chioma designs and oversees all educational initiatives, ensuring every child receives quality learning opportunities.',
-    photoId: '1580489944761-15a19d654956',
-  },
-  {
-    id: 'member-3',
-    name: 'Emeka Okafor',
-    role: 'Community Outreach Coordinator',
-    bio: 'Born and raised in Makoko, Emeka bridges the gap between the organization and the community, building trust and ensuring programs meet real needs.',
-    photoId: '1507003211169-0a1dd7228f2d',
-  },
-  {
-    id: 'member-4',
-    name: 'Ngozi Adeyemi',
-    role: 'Health & Nutrition Specialist',
-    bio: 'A registered nurse with expertise in pediatric care, Ngozi leads health initiatives that have improved the wellbeing of hundreds of children in the community.',
-    photoId: '1594744803329-e1852922f42b',
-  },
-  {
-    id: 'member-5',
-    name: 'Oluwaseun Balogun',
-    role: 'Volunteer Coordinator',
-    bio: 'Oluwaseun manages our growing volunteer network, matching skills with needs and ensuring every volunteer has a meaningful and impactful experience.',
-    photoId: '1519085360753-af0119f7b3cd',
-  },
-  {
-    id: 'member-6',
-    name: 'Fatima Ibrahim',
-    role: 'Fundraising Manager',
-    bio: 'With a background in nonprofit management, Fatima develops innovative fundraising strategies that sustain and expand our programs for children in need.',
-    photoId: '1573497019940-1c28c88b4f3e',
-  },
-];
+function getTeamMembers() {
+  const translations = getLocaleOverrides(getLocale(), 'team')?.members || {};
+  return getContent('team').map((member) => mergeLocalizedContent(member, translations[member.id]));
+}
 
 /**
  * Sanitizes text content to prevent XSS attacks
@@ -104,7 +72,7 @@ async function createTeamMemberCard(member) {
     card.className = 'team-member-card group relative bg-white rounded-2xl overflow-hidden shadow-soft hover:shadow-medium transition-all duration-300 hover:-translate-y-2';
     card.setAttribute('data-member-id', sanitizeText(id));
     card.setAttribute('role', 'article');
-    card.setAttribute('aria-label', `Team member: ${sanitizeText(name)}`);
+    card.setAttribute('aria-label', t('team.memberLabel', { name: sanitizeText(name) }));
 
     const imageContainer = document.createElement('div');
     imageContainer.className = 'relative h-80 overflow-hidden bg-gray-100';
@@ -178,11 +146,11 @@ function createTeamHeader() {
 
   const title = document.createElement('h2');
   title.className = 'text-4xl md:text-5xl font-bold text-gray-900 mb-6';
-  title.textContent = 'Meet Our Team';
+  title.textContent = t('team.title');
 
   const description = document.createElement('p');
   description.className = 'text-xl text-gray-600 leading-relaxed';
-  description.textContent = 'Dedicated professionals working together to transform the lives of children in the Makoko community. Our team brings diverse expertise and unwavering commitment to our mission.';
+  description.textContent = t('team.description');
 
   header.appendChild(title);
   header.appendChild(description);
@@ -200,9 +168,9 @@ async function createTeamGrid() {
     const grid = document.createElement('div');
     grid.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8';
     grid.setAttribute('role', 'list');
-    grid.setAttribute('aria-label', 'Team members');
+    grid.setAttribute('aria-label', t('team.listLabel'));
 
-    const cardPromises = TEAM_MEMBERS.map(async (member) => {
+    const cardPromises = getTeamMembers().map(async (member) => {
       try {
         const card = await createTeamMemberCard(member);
         card.setAttribute('role', 'listitem');
@@ -258,8 +226,8 @@ async function renderTeamSection(container) {
     const loadingIndicator = document.createElement('div');
     loadingIndicator.className = 'flex justify-center items-center py-12';
     loadingIndicator.innerHTML = `
-      <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600" role="status" aria-label="Loading team members">
-        <span class="sr-only">Loading team members...</span>
+      <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600" role="status" aria-label="${t('team.loading')}">
+        <span class="sr-only">${t('team.loading')}</span>
       </div>
     `;
     wrapper.appendChild(loadingIndicator);
@@ -272,15 +240,15 @@ async function renderTeamSection(container) {
       wrapper.removeChild(loadingIndicator);
       wrapper.appendChild(grid);
 
-      console.info('[TeamSection] Team section rendered successfully with', TEAM_MEMBERS.length, 'members');
+      console.info('[TeamSection] Team section rendered successfully with', grid.children.length, 'members');
     } catch (error) {
       wrapper.removeChild(loadingIndicator);
       
       const errorMessage = document.createElement('div');
       errorMessage.className = 'text-center py-12';
       errorMessage.innerHTML = `
-        <p class="text-red-600 text-lg font-semibold mb-2">Failed to load team members</p>
-        <p class="text-gray-600">Please try refreshing the page</p>
+        <p class="text-red-600 text-lg font-semibold mb-2">${t('team.loadFailed')}</p>
+        <p class="text-gray-600">${t('team.tryRefreshing')}</p>
       `;
       wrapper.appendChild(errorMessage);
       
@@ -309,6 +277,12 @@ async function initTeamSection(containerSelector) {
       throw new Error(`Container not found: ${containerSelector}`);
     }
 
+    // Static content: prerendered markup needs no hydration
+    if (getHydratableElement('team-section')) {
+      console.info('[TeamSection] Using prerendered markup');
+      return;
+    }
+
     await renderTeamSection(container);
   } catch (error) {
     console.error('[TeamSection] Initialization failed:', error);
@@ -7,6 +7,8 @@
  * @module components/ValuesSection
  */
 
+import { canHydrate } from '../utils/hydration.js';
+
 /**
  * Core organizational values with icons and descriptions
  */
@@ -303,8 +305,10 @@ function initValuesSection(containerId = 'values-section-container') {
       return false;
     }
 
-    const html = createValuesSectionHTML();
-    container.innerHTML = html;
+    // Prerendered markup only needs its listeners
+    if (!canHydrate(container)) {
+      container.innerHTML = createValuesSectionHTML();
+    }
 
     const section = document.getElementById('values-section');
     if (!section) {
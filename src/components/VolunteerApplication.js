@@ -18,6 +18,14 @@ import {
   clearFormErrors,
   createFieldValidator,
 } from '../utils/formValidation.js';
+import {
+  handleFormSubmission,
+  prepareFormForSubmission,
+  getVolunteerApplicationEndpoint,
+} from '../utils/formSubmission.js';
+import { SubmissionKind } from '../utils/submissionQueue.js';
+import { generateApplicationId, getApplicationStatusPath } from '../utils/volunteerApplications.js';
+import { getContent } from '../utils/contentLoader.js';
 import { icons } from '../utils/icons.js';
 
 /**
@@ -221,6 +229,9 @@ export function createVolunteerApplication() {
 
       <!-- Application Form -->
       <form id="volunteer-application-form" class="space-y-8" novalidate>
+        <!-- Reference number, set on submit -->
+        <input type="hidden" name="applicationId" value="" />
+
         <!-- Personal Information Section -->
         <section class="form-section">
           <h3 class="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
@@ -487,10 +498,6 @@ export function createVolunteerApplication() {
             aria-label="Submit volunteer application"
           >
             <span class="submit-text">Submit Application</span>
-            <span class="submit-loading hidden">
-              <span class="inline-block animate-spin mr-2">⏳</span>
-              Submitting...
-            </span>
           </button>
           <button
             type="reset"
@@ -518,16 +525,17 @@ export function createVolunteerApplication() {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
             </svg>
           </div>
-          <h3 class="text-2xl font-bold text-gray-900 mb-4">
+          <h3 id="application-success-title" class="text-2xl font-bold text-gray-900 mb-4">
             Application Submitted Successfully!
           </h3>
-          <p class="text-lg text-gray-600 mb-6 max-w-2xl mx-auto">
+          <p id="application-success-text" class="text-lg text-gray-600 mb-6 max-w-2xl mx-auto">
             Thank you for your interest in volunteering with us. We've received your application
             and will review it shortly. You'll receive a confirmation email at the address you provided.
           </p>
           <p class="text-gray-600 mb-8">
             Our volunteer coordinator will contact you within 3-5 business days to discuss next steps.
           </p>
+          <div id="application-summary" class="text-left max-w-2xl mx-auto mb-8"></div>
           <button
             id="submit-another"
             class="btn-primary px-8 py-3 rounded-xl"
@@ -633,28 +641,17 @@ function renderCommitmentOptions() {
  * @returns {string} HTML string for role preferences
  */
 function renderRolePreferences() {
-  const roles = [
-    'Education & Tutoring',
-    'Healthcare Support',
-    'Arts & Recreation',
-    'Fundraising & Events',
-    'Administrative Support',
-    'Community Outreach',
-    'Mentoring',
-    'Technology Support',
-  ];
-
-  return roles
+  return getContent('volunteerRoles')
     .map(
       (role) => `
     <label class="flex items-center gap-3 p-4 border-2 border-gray-200 rounded-lg hover:border-primary-300 hover:bg-primary-50 transition-all cursor-pointer">
       <input
         type="checkbox"
         name="roles"
-        value="${role}"
+        value="${role.id}"
         class="w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
       />
-      <span class="text-sm font-medium text-gray-700">${role}</span>
+      <span class="text-sm font-medium text-gray-700">${role.title}</span>
     </label>
   `
     )
@@ -670,6 +667,9 @@ function initializeForm(container) {
   const form = container.querySelector('#volunteer-application-form');
   if (!form) return;
 
+  // Enable honeypot and timing checks for spam protection
+  prepareFormForSubmission(form);
+
   // Setup character counters
   setupCharacterCounters(form);
 
@@ -776,7 +776,7 @@ function setupFormSubmission(form, container) {
     }
 
     // Submit form
-    await submitApplication(formData, form, container);
+    await submitApplication(form, container, formData);
   });
 }
 
@@ -841,77 +841,145 @@ function validateApplicationForm(formData) {
 
 /**
  * Submit application
+ * Sends the form through handleFormSubmission(), which applies rate limiting and
+ * spam checks and maps server-side field errors back onto the form.
  * 
- * @param {Object} formData - Form data to submit
  * @param {HTMLFormElement} form - Form element
  * @param {HTMLElement} container - Container element
+ * @param {Object} formData - Collected form data, for the confirmation summary
  */
-async function submitApplication(formData, form, container) {
+async function submitApplication(form, container, formData) {
   formState.isSubmitting = true;
 
-  const submitButton = form.querySelector('#submit-application');
-  const submitText = submitButton.querySelector('.submit-text');
-  const submitLoading = submitButton.querySelector('.submit-loading');
-
-  // Update button state
-  submitButton.disabled = true;
-  submitText.classList.add('hidden');
-  submitLoading.classList.remove('hidden');
+  // Give the applicant a reference that is sent with the application, so it
+  // is the same even if the application is delivered later from the outbox
+  const applicationId = generateApplicationId();
+  form.elements.applicationId.value = applicationId;
 
   try {
-    // Simulate API call (replace with actual endpoint)
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    const result = await handleFormSubmission(form, {
+      endpoint: getVolunteerApplicationEndpoint(),
+      // Fields are validated by validateApplicationForm() before submission
+      validateBeforeSubmit: false,
+      queueKind: SubmissionKind.VOLUNTEER,
+    });
+
+    if (result.queued) {
+      // Saved to the offline outbox; the ID goes with it, so the applicant can keep it now
+      showSuccessMessage(container, applicationId, formData, { queued: true });
+      formState.selectedSkills.clear();
+      formState.selectedAvailability.clear();
+      formState.selectedRoles.clear();
+      return;
+    }
 
-    // Log submission for development
-    console.log('Volunteer application submitted:', formData);
+    if (!result.success) {
+      console.error('[VolunteerApplication] Submission failed:', result.code, result.error);
+      return;
+    }
 
-    // Show success message
-    showSuccessMessage(container);
+    // Show success message; a backend that assigns its own IDs takes precedence
+    showSuccessMessage(container, result.data?.applicationId || applicationId, formData);
 
     // Reset form state
     formState.selectedSkills.clear();
     formState.selectedAvailability.clear();
     formState.selectedRoles.clear();
-  } catch (error) {
-    console.error('Application submission error:', error);
-
-    // Show error message
-    const errorDiv = document.createElement('div');
-    errorDiv.className =
-      'bg-red-50 border border-red-200 rounded-xl p-4 mb-6 text-red-800';
-    errorDiv.innerHTML = `
-      <div class="flex items-start gap-3">
-        <svg class="w-5 h-5 text-red-600 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-        </svg>
-        <div>
-          <p class="font-semibold mb-1">Submission Failed</p>
-          <p class="text-sm">
-            We encountered an error submitting your application. Please try again or contact us directly.
-          </p>
-        </div>
-      </div>
-    `;
-    form.insertBefore(errorDiv, form.firstChild);
-
-    // Auto-remove error after 5 seconds
-    setTimeout(() => errorDiv.remove(), 5000);
   } finally {
     formState.isSubmitting = false;
-    submitButton.disabled = false;
-    submitText.classList.remove('hidden');
-    submitLoading.classList.add('hidden');
   }
 }
 
+/**
+ * Render a summary row of the confirmation
+ * 
+ * @param {string} label - Row label
+ * @param {string[]} values - Values, shown as a list
+ * @returns {string} HTML string for the row
+ */
+function renderSummaryRow(label, values) {
+  return `
+    <div class="py-3 border-t border-gray-200">
+      <dt class="font-semibold text-gray-900">${label}</dt>
+      <dd class="text-gray-700">${values.length > 0 ? values.join(', ') : 'None selected'}</dd>
+    </div>
+  `;
+}
+
+/**
+ * Render the confirmation summary of what was applied for
+ * 
+ * @param {string} applicationId - Application ID
+ * @param {Object} formData - Collected form data
+ * @returns {string} HTML string for the summary
+ */
+function renderApplicationSummary(applicationId, formData) {
+  const roles = formData.roles
+    .map((id) => getContent('volunteerRoles').find((role) => role.id === id)?.title)
+    .filter(Boolean);
+  const availability = formData.availability
+    .map((value) => availabilityOptions.find((option) => option.value === value)?.label)
+    .filter(Boolean);
+
+  return `
+    <div class="bg-gray-50 rounded-xl p-6">
+      <p class="text-gray-700 mb-1">Your application ID is</p>
+      <p class="text-2xl font-bold text-primary-700 tracking-wider mb-2" data-application-id>${applicationId}</p>
+      <p class="text-sm text-gray-600 mb-4">
+        Keep it with the email address you applied with to check your application's progress.
+      </p>
+      <dl class="mb-4">
+        ${renderSummaryRow('Roles', roles)}
+        ${renderSummaryRow('Skills', formData.skills)}
+        ${renderSummaryRow('Availability', availability)}
+      </dl>
+      <a href="${getApplicationStatusPath(applicationId)}" class="text-primary-600 hover:text-primary-700 font-medium underline">
+        Check your application status
+      </a>
+    </div>
+  `;
+}
+
+/**
+ * Confirmation heading and text, for applications sent now and applications
+ * saved in the offline outbox
+ */
+const CONFIRMATION_MESSAGES = Object.freeze({
+  sent: Object.freeze({
+    title: 'Application Submitted Successfully!',
+    text: "Thank you for your interest in volunteering with us. We've received your application and will review it shortly. You'll receive a confirmation email at the address you provided.",
+  }),
+  queued: Object.freeze({
+    title: 'Application Saved',
+    text: "You're offline, so we've saved your application on this device. It will be sent when you're back online, and you'll then receive a confirmation email at the address you provided.",
+  }),
+});
+
 /**
  * Show success message
  * 
  * @param {HTMLElement} container - Container element
+ * @param {string} applicationId - Application ID
+ * @param {Object} formData - Collected form data
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.queued=false] - Whether the application is waiting in the offline outbox
  */
-function showSuccessMessage(container) {
+function showSuccessMessage(container, applicationId, formData, { queued = false } = {}) {
   const form = container.querySelector('#volunteer-application-form');
   const success = container.querySelector('#application-success');
+  const summary = container.querySelector('#application-summary');
+  const title = container.querySelector('#application-success-title');
+  const text = container.querySelector('#application-success-text');
+  const message = queued ? CONFIRMATION_MESSAGES.queued : CONFIRMATION_MESSAGES.sent;
+
+  if (title && text) {
+    title.textContent = message.title;
+    text.textContent = message.text;
+  }
+
+  if (summary) {
+    summary.innerHTML = renderApplicationSummary(applicationId, formData);
+  }
 
   if (form && success) {
     form.classList.add('hidden');
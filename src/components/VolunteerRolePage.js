@@ -0,0 +1,212 @@
+/**
+ * VolunteerRolePage Component
+ *
+ * Volunteer pages resolved by the router:
+ * - /volunteer lists every open role as a RoleCard linking to its page
+ * - /volunteer/roles/:id shows one role's skills, requirements, schedule and
+ *   benefits from volunteerContent.js, with a ShiftCalendar of its upcoming
+ *   shifts
+ *
+ * Apply buttons raise the RoleCard `role:apply` event; the page hands it to
+ * the `onApply` callback so the app decides where applications go.
+ *
+ * @dependencies: ["RoleCard", "ShiftCalendar", "volunteerContent"]
+ */
+
+import { createRoleCard, createRoleCards } from './RoleCard.js';
+import { createShiftCalendar } from './ShiftCalendar.js';
+import {
+  ROLE_CATEGORIES,
+  TIME_COMMITMENTS,
+} from '../data/volunteerContent.js';
+import { t } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+import { getContent } from '../utils/contentLoader.js';
+
+/**
+ * Get the display label for a time commitment ID
+ * @param {string} commitmentId - Time commitment ID, e.g. 'weekly'
+ * @returns {string} Label
+ */
+function getTimeCommitmentLabel(commitmentId) {
+  const commitment = Object.values(TIME_COMMITMENTS).find((item) => item.id === commitmentId);
+  return commitment ? commitment.label : commitmentId;
+}
+
+/**
+ * Get the display label for a role category ID
+ * @param {string} categoryId - Category ID
+ * @returns {string} Label
+ */
+function getCategoryLabel(categoryId) {
+  const category = Object.values(ROLE_CATEGORIES).find((item) => item.id === categoryId);
+  return category ? category.label : categoryId;
+}
+
+/**
+ * Render a titled bullet list
+ * @param {string} title - List heading
+ * @param {string[]} items - List items
+ * @returns {string} HTML
+ */
+function renderList(title, items = []) {
+  if (items.length === 0) {
+    return '';
+  }
+
+  return `
+    <div class="bg-white rounded-2xl shadow-md p-6">
+      <h2 class="text-lg font-semibold text-gray-900 mb-3">${escapeHtml(title)}</h2>
+      <ul class="list-disc list-inside space-y-1 text-gray-700">
+        ${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Create a volunteer page section
+ * @param {string} id - Section ID
+ * @param {Function} [onApply] - Called with the `role:apply` event detail
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+function createPageSection(id, onApply = null) {
+  const section = document.createElement('section');
+  section.id = id;
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', `${id}-heading`);
+  section.setAttribute('data-route-page', '');
+
+  const handleApply = (event) => {
+    if (typeof onApply === 'function') {
+      onApply(event.detail);
+    }
+  };
+
+  section.addEventListener('role:apply', handleApply);
+
+  section.destroy = () => {
+    section.removeEventListener('role:apply', handleApply);
+    section.remove();
+  };
+
+  return section;
+}
+
+/**
+ * Create the volunteer roles listing page
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onApply] - Called with the `role:apply` event detail
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createVolunteerRolesPage({ onApply } = {}) {
+  const section = createPageSection('volunteer', onApply);
+
+  section.innerHTML = `
+    <div class="max-w-6xl mx-auto">
+      <header class="text-center mb-10">
+        <h1 id="volunteer-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${t('volunteer.heading')}</h1>
+        <p class="text-lg text-gray-600 max-w-3xl mx-auto">
+          ${t('volunteer.intro')}
+        </p>
+        <p class="mt-4">
+          <a href="/volunteer/status" class="text-primary-600 hover:text-primary-700 font-medium underline">${t('volunteer.checkStatus')}</a>
+        </p>
+      </header>
+      <div class="grid gap-6 md:grid-cols-2 lg:grid-cols-3" data-role-list></div>
+    </div>
+  `;
+
+  const list = section.querySelector('[data-role-list]');
+  const roles = getContent('volunteerRoles').map((role) => ({
+    ...role,
+    timeCommitment: getTimeCommitmentLabel(role.timeCommitment),
+  }));
+
+  createRoleCards(roles).forEach((card) => {
+    const roleId = card.getAttribute('data-role-id');
+    const body = card.querySelector('.p-6');
+
+    if (roleId && body) {
+      const link = document.createElement('a');
+      link.href = `/volunteer/roles/${encodeURIComponent(roleId)}`;
+      link.className = 'block mt-4 text-center text-primary-600 hover:text-primary-700 font-medium underline';
+      link.textContent = t('volunteer.viewRoleDetails');
+      body.appendChild(link);
+    }
+
+    list.appendChild(card);
+  });
+
+  return section;
+}
+
+/**
+ * Create a volunteer role page
+ * @param {Object|null} role - Role from volunteerContent.js, or null if not found
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onApply] - Called with the `role:apply` event detail
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createVolunteerRolePage(role, { onApply } = {}) {
+  const section = createPageSection('volunteer-role', onApply);
+
+  if (!role) {
+    section.innerHTML = `
+      <div class="max-w-3xl mx-auto text-center">
+        <h1 id="volunteer-role-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${t('volunteer.roleNotFound')}</h1>
+        <p class="text-lg text-gray-600 mb-8">${t('volunteer.roleNotFoundText')}</p>
+        <a href="/volunteer" class="btn btn-primary">${t('volunteer.seeAllRoles')}</a>
+      </div>
+    `;
+    return section;
+  }
+
+  section.setAttribute('data-role-id', role.id);
+  section.innerHTML = `
+    <div class="max-w-5xl mx-auto">
+      <nav class="mb-6 text-sm" aria-label="${t('volunteer.breadcrumb')}">
+        <a href="/volunteer" class="text-primary-600 hover:text-primary-700 underline">${t('volunteer.allRoles')}</a>
+      </nav>
+
+      <header class="mb-8">
+        <p class="text-sm font-medium text-primary-700 mb-2">${escapeHtml(getCategoryLabel(role.category))}</p>
+        <h1 id="volunteer-role-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">${escapeHtml(role.title)}</h1>
+        <dl class="flex flex-wrap gap-x-8 gap-y-2 text-gray-700">
+          <div><dt class="inline font-semibold">${t('volunteer.commitment')}</dt> <dd class="inline">${escapeHtml(getTimeCommitmentLabel(role.timeCommitment))}${role.hoursPerWeek ? `, ${escapeHtml(t('volunteer.perWeek', { hours: role.hoursPerWeek }))}` : ''}</dd></div>
+          ${role.location ? `<div><dt class="inline font-semibold">${t('volunteer.location')}</dt> <dd class="inline">${escapeHtml(role.location)}</dd></div>` : ''}
+          ${role.impact ? `<div><dt class="inline font-semibold">${t('volunteer.impact')}</dt> <dd class="inline">${escapeHtml(role.impact)}</dd></div>` : ''}
+        </dl>
+      </header>
+
+      <div class="grid gap-6 lg:grid-cols-3">
+        <div class="lg:col-span-2 grid gap-6" data-role-details>
+          ${renderList(t('volunteer.skillsNeeded'), role.skillsNeeded)}
+          ${renderList(t('volunteer.whenYouCanHelp'), role.availability)}
+          <div data-role-shifts></div>
+          ${renderList(t('volunteer.whatYouGain'), role.benefits)}
+        </div>
+        <div data-role-card></div>
+      </div>
+    </div>
+  `;
+
+  // The card carries the description, requirements and apply button
+  section.querySelector('[data-role-card]').appendChild(createRoleCard({
+    ...role,
+    timeCommitment: getTimeCommitmentLabel(role.timeCommitment),
+  }));
+
+  const shiftCalendar = createShiftCalendar(role);
+  section.querySelector('[data-role-shifts]').replaceWith(shiftCalendar);
+
+  const destroySection = section.destroy;
+  section.destroy = () => {
+    shiftCalendar.destroy();
+    destroySection();
+  };
+
+  return section;
+}
+
+export default createVolunteerRolePage;
@@ -0,0 +1,255 @@
+/**
+ * VolunteerStatusPage Component
+ *
+ * Application status page at /volunteer/status. Applicants enter the
+ * application ID from their confirmation and the email they applied with, and
+ * see where their application is: every stage for the roles they applied for,
+ * from received to active, marked complete, current or upcoming, with the role
+ * requirements behind each one.
+ *
+ * `?id=` fills in the application ID, as linked from the application form's
+ * confirmation.
+ *
+ * @dependencies: ["volunteerApplications", "volunteerContent"]
+ */
+
+import {
+  ApplicationStatusErrorType,
+  lookupApplicationStatus,
+  normalizeApplicationId,
+} from '../utils/volunteerApplications.js';
+import { getContent } from '../utils/contentLoader.js';
+import { formatDate } from '../utils/i18n.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Date format for submitted and updated dates
+ */
+const STATUS_DATE_FORMAT = Object.freeze({
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+/**
+ * Marker and text styling per stage state
+ */
+const STAGE_STYLES = Object.freeze({
+  complete: {
+    marker: 'bg-green-600 text-white',
+    label: 'text-gray-900',
+    srText: 'Complete',
+  },
+  current: {
+    marker: 'bg-primary-600 text-white ring-4 ring-primary-200',
+    label: 'text-primary-700',
+    srText: 'Current stage',
+  },
+  upcoming: {
+    marker: 'bg-gray-200 text-gray-600',
+    label: 'text-gray-600',
+    srText: 'Not started',
+  },
+});
+
+/**
+ * Render a form field's error slot
+ * @param {string} name - Field name
+ * @returns {string} HTML
+ */
+function renderFieldError(name) {
+  return `<p id="application-status-${name}-error" class="mt-1 text-sm text-red-600" data-field-error="${name}" hidden></p>`;
+}
+
+/**
+ * Render the lookup form
+ * @returns {string} HTML
+ */
+function renderLookupForm() {
+  const inputClass = 'w-full px-4 py-3 border-2 border-gray-200 rounded-xl bg-white focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-200';
+
+  return `
+    <div class="max-w-3xl mx-auto">
+      <header class="mb-8">
+        <h1 id="application-status-heading" class="text-3xl md:text-4xl font-bold text-gray-900 mb-4">Check your volunteer application</h1>
+        <p class="text-lg text-gray-600">
+          Enter the application ID from your confirmation and the email address you applied with.
+        </p>
+      </header>
+
+      <form class="bg-white rounded-3xl shadow-xl p-6 md:p-10 space-y-6 mb-10" novalidate data-status-form>
+        <div role="alert" class="hidden p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-900" data-form-error></div>
+
+        <div class="grid gap-6 sm:grid-cols-2">
+          <div>
+            <label for="application-status-applicationId" class="block font-semibold text-gray-900 mb-2">Application ID</label>
+            <input id="application-status-applicationId" name="applicationId" type="text" autocomplete="off" autocapitalize="characters" spellcheck="false" placeholder="VA-7KQ2MX9D" class="${inputClass}" aria-describedby="application-status-applicationId-error" />
+            ${renderFieldError('applicationId')}
+          </div>
+          <div>
+            <label for="application-status-email" class="block font-semibold text-gray-900 mb-2">Email address</label>
+            <input id="application-status-email" name="email" type="email" autocomplete="email" class="${inputClass}" aria-describedby="application-status-email-error" />
+            ${renderFieldError('email')}
+          </div>
+        </div>
+
+        <button type="submit" class="btn btn-primary w-full" data-status-submit>Check status</button>
+      </form>
+
+      <div aria-live="polite" data-status-result></div>
+    </div>
+  `;
+}
+
+/**
+ * Render one stage of the timeline
+ * @param {Object} stage - Stage with its state
+ * @param {number} index - Position in the timeline
+ * @returns {string} HTML
+ */
+function renderStage(stage, index) {
+  const style = STAGE_STYLES[stage.state];
+  const requirements = stage.requirements.length > 0 && stage.state !== 'complete'
+    ? `<p class="text-sm text-gray-600 mt-1">For: ${stage.requirements.map(escapeHtml).join('; ')}</p>`
+    : '';
+
+  return `
+    <li class="relative flex gap-4 pb-8 last:pb-0" ${stage.state === 'current' ? 'aria-current="step"' : ''} data-stage="${escapeHtml(stage.id)}" data-stage-state="${stage.state}">
+      <span class="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center font-bold ${style.marker}" aria-hidden="true">
+        ${stage.state === 'complete' ? '&#10003;' : index + 1}
+      </span>
+      <div>
+        <p class="font-semibold ${style.label}">
+          ${escapeHtml(stage.label)} <span class="sr-only">(${style.srText})</span>
+        </p>
+        ${stage.state === 'complete' ? '' : `<p class="text-gray-600">${escapeHtml(stage.description)}</p>`}
+        ${requirements}
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Render an application's status
+ * @param {Object} application - Application status from lookupApplicationStatus()
+ * @returns {string} HTML
+ */
+function renderStatus(application) {
+  const current = application.stages.find((stage) => stage.state === 'current');
+  const roles = application.roles
+    .map((id) => getContent('volunteerRoles').find((role) => role.id === id)?.title)
+    .filter(Boolean);
+  const dates = [
+    application.submittedAt && `Submitted ${escapeHtml(formatDate(application.submittedAt, STATUS_DATE_FORMAT))}`,
+    application.updatedAt && `last updated ${escapeHtml(formatDate(application.updatedAt, STATUS_DATE_FORMAT))}`,
+  ].filter(Boolean).join(', ');
+
+  return `
+    <article class="bg-white rounded-3xl shadow-xl p-6 md:p-10" aria-labelledby="application-status-result-heading" data-application-status>
+      <h2 id="application-status-result-heading" class="text-2xl font-bold text-gray-900 mb-2" tabindex="-1">
+        Application ${escapeHtml(application.applicationId)}: ${escapeHtml(current.label)}
+      </h2>
+      ${dates ? `<p class="text-sm text-gray-600 mb-2">${dates}.</p>` : ''}
+      <p class="text-gray-700 mb-6">
+        ${roles.length > 0 ? `Roles: ${roles.map(escapeHtml).join(', ')}` : 'No specific roles chosen; our coordinator will suggest some.'}
+      </p>
+      ${application.note ? `<p class="p-4 bg-primary-50 rounded-xl text-gray-800 mb-6">${escapeHtml(application.note)}</p>` : ''}
+      <ol class="list-none" aria-label="Application stages">
+        ${application.stages.map(renderStage).join('')}
+      </ol>
+    </article>
+  `;
+}
+
+/**
+ * Show field errors on the lookup form
+ * @param {HTMLFormElement} form - Lookup form
+ * @param {Object<string, string>} errors - Errors keyed by field name
+ */
+function showFieldErrors(form, errors) {
+  form.querySelectorAll('[data-field-error]').forEach((slot) => {
+    const name = slot.getAttribute('data-field-error');
+    const field = form.elements.namedItem(name);
+    const message = errors[name];
+
+    slot.textContent = message || '';
+    slot.hidden = !message;
+    if (field) {
+      field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+  });
+
+  const firstInvalid = form.querySelector('[aria-invalid="true"]');
+  if (firstInvalid) {
+    firstInvalid.focus();
+  }
+}
+
+/**
+ * Create the application status page
+ * @param {Object} [options] - Page options
+ * @param {string} [options.applicationId] - Application ID to fill in, e.g. from `?id=`
+ * @returns {HTMLElement} Section element with a destroy() method
+ */
+export function createVolunteerStatusPage({ applicationId } = {}) {
+  const section = document.createElement('section');
+  section.id = 'application-status';
+  section.className = 'section-container bg-gray-50';
+  section.setAttribute('aria-labelledby', 'application-status-heading');
+  section.setAttribute('data-route-page', '');
+  section.innerHTML = renderLookupForm();
+
+  const form = section.querySelector('[data-status-form]');
+  form.elements.namedItem('applicationId').value = normalizeApplicationId(applicationId);
+  const formError = form.querySelector('[data-form-error]');
+  const submitButton = form.querySelector('[data-status-submit]');
+  const result = section.querySelector('[data-status-result]');
+  let destroyed = false;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    formError.classList.add('hidden');
+    showFieldErrors(form, {});
+    result.innerHTML = '';
+
+    const details = Object.fromEntries(new FormData(form));
+    submitButton.disabled = true;
+    submitButton.textContent = 'Checking...';
+
+    try {
+      const application = await lookupApplicationStatus(details);
+      if (destroyed) {
+        return;
+      }
+
+      result.innerHTML = renderStatus(application);
+      result.querySelector('h2').focus();
+    } catch (error) {
+      console.error('[VolunteerStatusPage] Status lookup failed:', error);
+      if (destroyed) {
+        return;
+      }
+
+      if (error.type === ApplicationStatusErrorType.VALIDATION_FAILED && Object.keys(error.fieldErrors).length > 0) {
+        showFieldErrors(form, error.fieldErrors);
+      } else {
+        formError.textContent = error.userMessage || error.message;
+        formError.classList.remove('hidden');
+      }
+    } finally {
+      if (!destroyed) {
+        submitButton.disabled = false;
+        submitButton.textContent = 'Check status';
+      }
+    }
+  });
+
+  section.destroy = () => {
+    destroyed = true;
+    section.remove();
+  };
+
+  return section;
+}
+
+export default createVolunteerStatusPage;
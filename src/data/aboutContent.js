@@ -264,51 +264,9 @@ const ABOUT_CONTENT = {
   makoko: MAKOKO,
   team: TEAM_MEMBERS,
   images: ABOUT_IMAGES,
+  lastUpdated: '2024-01-01',
 };
 
-/**
- * Validates content structure for required fields
- * @param {Object} content - Content object to validate
- * @returns {boolean} Validation result
- */
-function validateContent(content) {
-  try {
-    if (!content || typeof content !== 'object') {
-      console.error('[aboutContent] Invalid content structure');
-      return false;
-    }
-
-    const requiredSections = ['mission', 'vision', 'story', 'values', 'approach', 'makoko', 'team'];
-    const missingSections = requiredSections.filter((section) => !content[section]);
-
-    if (missingSections.length > 0) {
-      console.error('[aboutContent] Missing required sections:', missingSections);
-      return false;
-    }
-
-    if (!Array.isArray(content.team) || content.team.length === 0) {
-      console.error('[aboutContent] Team members array is invalid or empty');
-      return false;
-    }
-
-    if (!Array.isArray(content.story.content) || content.story.content.length === 0) {
-      console.error('[aboutContent] Story timeline is invalid or empty');
-      return false;
-    }
-
-    if (!Array.isArray(content.values.items) || content.values.items.length === 0) {
-      console.error('[aboutContent] Values items array is invalid or empty');
-      return false;
-    }
-
-    console.info('[aboutContent] Content validation successful');
-    return true;
-  } catch (error) {
-    console.error('[aboutContent] Validation error:', error);
-    return false;
-  }
-}
-
 /**
  * Gets content by section key with fallback
  * @param {string} section - Section key to retrieve
@@ -401,10 +359,6 @@ function getMakokoInfo() {
   return { ...MAKOKO };
 }
 
-if (typeof window !== 'undefined') {
-  validateContent(ABOUT_CONTENT);
-}
-
 export {
   ABOUT_CONTENT,
   MISSION,
@@ -415,7 +369,6 @@ export {
   MAKOKO,
   TEAM_MEMBERS,
   ABOUT_IMAGES,
-  validateContent,
   getSection,
   getTeamMember,
   getAllTeamMembers,
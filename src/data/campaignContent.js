@@ -0,0 +1,181 @@
+/**
+ * Campaign Content Data
+ *
+ * Time-boxed fundraising appeals such as "Back to School 2026". Each campaign
+ * has a goal and running totals (raised to date and donor count, updated with
+ * `lastUpdated` when the finance team reconciles gifts), a deadline, and a
+ * matching-gift multiplier when a sponsor has pledged to match donations.
+ *
+ * Campaign links point to /donate?campaign=<id>; gifts made through them are
+ * tagged with the campaign ID. Supporters can also run a personal fundraiser
+ * for a campaign (see utils/fundraisers.js).
+ *
+ * @module data/campaignContent
+ * @dependencies: ["programsContent"]
+ */
+
+import { PROGRAM_CATEGORIES } from './programsContent.js';
+
+/**
+ * Campaign lifecycle states
+ * @type {Readonly<{UPCOMING: string, ACTIVE: string, ENDED: string}>}
+ */
+export const CAMPAIGN_STATUS = Object.freeze({
+  UPCOMING: 'upcoming',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+});
+
+/**
+ * Fundraising campaigns
+ * `startDate` and `deadline` are ISO timestamps in Lagos time; `designation`
+ * is a designation ID (see resolveDesignation in donationContent.js) the
+ * donate form preselects for the campaign.
+ * @constant {Object[]}
+ */
+export const CAMPAIGNS = Object.freeze([
+  Object.freeze({
+    id: 'back-to-school-2026',
+    title: 'Back to School 2026',
+    summary: 'Uniforms, books and a year of school fees for 400 Makoko children starting the new term.',
+    currency: 'NGN',
+    goal: 5000000,
+    raised: 3185000,
+    donorCount: 412,
+    startDate: '2026-08-01T00:00:00+01:00',
+    deadline: '2026-11-30T23:59:59+01:00',
+    matchMultiplier: 2,
+    matchSponsor: 'Lagos Lagoon Foundation',
+    designation: PROGRAM_CATEGORIES.EDUCATION,
+    lastUpdated: '2026-10-15',
+  }),
+  Object.freeze({
+    id: 'festive-meals-2025',
+    title: 'Festive Meals 2025',
+    summary: 'A hot meal every day of the school holidays for children in our nutrition program.',
+    currency: 'NGN',
+    goal: 2000000,
+    raised: 2240000,
+    donorCount: 268,
+    startDate: '2025-11-15T00:00:00+01:00',
+    deadline: '2025-12-31T23:59:59+01:00',
+    matchMultiplier: 1,
+    matchSponsor: null,
+    designation: PROGRAM_CATEGORIES.NUTRITION,
+    lastUpdated: '2026-01-05',
+  }),
+]);
+
+/**
+ * Occasions supporters can run a personal fundraiser for
+ * @type {ReadonlyArray<{id: string, label: string}>}
+ */
+export const FUNDRAISER_OCCASIONS = Object.freeze([
+  { id: 'birthday', label: 'Birthday' },
+  { id: 'challenge', label: 'Marathon or challenge' },
+  { id: 'memorial', label: 'In memory of someone' },
+  { id: 'other', label: 'Something else' },
+]);
+
+/**
+ * Limits for personal fundraiser pages; the goal can't exceed the campaign goal
+ * @type {Readonly<{nameMaxLength: number, titleMaxLength: number, storyMinLength: number, storyMaxLength: number}>}
+ */
+export const FUNDRAISER_LIMITS = Object.freeze({
+  nameMaxLength: 60,
+  titleMaxLength: 80,
+  storyMinLength: 20,
+  storyMaxLength: 2000,
+});
+
+/**
+ * Get a campaign by ID
+ * @param {string} id - Campaign ID
+ * @returns {Object|undefined} Campaign
+ */
+export function getCampaignById(id) {
+  return CAMPAIGNS.find((campaign) => campaign.id === id);
+}
+
+/**
+ * Get a campaign's status at a point in time
+ * @param {Object} campaign - Campaign
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} CAMPAIGN_STATUS value
+ */
+export function getCampaignStatus(campaign, now = new Date()) {
+  if (now < new Date(campaign.startDate)) {
+    return CAMPAIGN_STATUS.UPCOMING;
+  }
+
+  return now <= new Date(campaign.deadline) ? CAMPAIGN_STATUS.ACTIVE : CAMPAIGN_STATUS.ENDED;
+}
+
+/**
+ * Get campaigns that are currently accepting gifts, soonest deadline first
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object[]} Active campaigns
+ */
+export function getActiveCampaigns(now = new Date()) {
+  return CAMPAIGNS
+    .filter((campaign) => getCampaignStatus(campaign, now) === CAMPAIGN_STATUS.ACTIVE)
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+}
+
+/**
+ * Get a campaign's progress toward its goal
+ * @param {Object} campaign - Campaign
+ * @returns {{percent: number, remaining: number, reached: boolean}} Percent raised (capped at 100), amount still needed
+ */
+export function getCampaignProgress(campaign) {
+  const { goal, raised } = campaign;
+
+  return {
+    percent: goal > 0 ? Math.min(100, Math.round((raised / goal) * 100)) : 0,
+    remaining: Math.max(0, goal - raised),
+    reached: raised >= goal,
+  };
+}
+
+/**
+ * Get the time left until a campaign's deadline
+ * @param {Object} campaign - Campaign
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{total: number, days: number, hours: number, minutes: number, seconds: number}} Time left; all zero once the deadline passes
+ */
+export function getTimeRemaining(campaign, now = new Date()) {
+  const total = Math.max(0, new Date(campaign.deadline) - now);
+
+  return {
+    total,
+    days: Math.floor(total / 86400000),
+    hours: Math.floor((total / 3600000) % 24),
+    minutes: Math.floor((total / 60000) % 60),
+    seconds: Math.floor((total / 1000) % 60),
+  };
+}
+
+/**
+ * Whether gifts to a campaign are matched by a sponsor
+ * @param {Object} campaign - Campaign
+ * @returns {boolean} True if the multiplier is above 1
+ */
+export function isMatchedCampaign(campaign) {
+  return Boolean(campaign && campaign.matchMultiplier > 1);
+}
+
+/**
+ * Default export with all content
+ */
+export default {
+  CAMPAIGN_STATUS,
+  CAMPAIGNS,
+  FUNDRAISER_OCCASIONS,
+  FUNDRAISER_LIMITS,
+  getCampaignById,
+  getCampaignStatus,
+  getActiveCampaigns,
+  getCampaignProgress,
+  getTimeRemaining,
+  isMatchedCampaign,
+};
\ No newline at end of file
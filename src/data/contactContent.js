@@ -19,6 +19,8 @@
  * Complete contact details for the Makoko Community Kids NGO
  */
 export const contactInfo = {
+  lastUpdated: '2024-01-01',
+
   organization: {
     name: 'Makoko Community Kids NGO',
     tagline: 'Empowering Children, Building Futures',
@@ -6,36 +6,137 @@
  * 
  * @generated-from: task-id:TASK-007 feature:donation_system
  * @modifies: none (new file)
- * @dependencies: none
+ * @dependencies: ["i18n", "programsContent"]
  */
 
+import { formatCurrency } from '../utils/i18n.js';
+import { PROGRAM_CATEGORIES, PROGRAM_CATEGORY_LABELS, allPrograms } from './programsContent.js';
+
 /**
- * Suggested donation amounts with impact descriptions
- * @type {ReadonlyArray<{amount: number, impact: string, popular: boolean}>}
+ * Currencies donors can give in
+ * @type {ReadonlyArray<{code: string, label: string}>}
  */
-export const SUGGESTED_AMOUNTS = Object.freeze([
-  {
-    amount: 25,
-    impact: 'Provides school supplies for 2 children',
-    popular: false,
-  },
-  {
-    amount: 50,
-    impact: 'Funds a week of nutritious meals for 5 children',
-    popular: true,
-  },
-  {
-    amount: 100,
-    impact: 'Supports educational programs for a month',
-    popular: false,
-  },
-  {
-    amount: 250,
-    impact: 'Provides healthcare services for 10 families',
-    popular: false,
-  },
+export const SUPPORTED_CURRENCIES = Object.freeze([
+  { code: 'USD', label: 'US Dollar' },
+  { code: 'NGN', label: 'Nigerian Naira' },
+  { code: 'GBP', label: 'British Pound' },
+  { code: 'EUR', label: 'Euro' },
 ]);
 
+/**
+ * Currency used for impact thresholds and reporting
+ * @type {string}
+ */
+export const BASE_CURRENCY = 'USD';
+
+/**
+ * Static conversion rates: units of each currency per 1 unit of BASE_CURRENCY.
+ * Used only to scale impact messaging, never to price a payment, so these are
+ * reviewed periodically rather than fetched from a live FX service.
+ * @type {Readonly<{[currency: string]: number}>}
+ */
+export const CURRENCY_RATES = Object.freeze({
+  USD: 1,
+  NGN: 1500,
+  GBP: 0.79,
+  EUR: 0.92,
+});
+
+/**
+ * Suggested donation amounts with impact descriptions, per currency
+ * @type {Readonly<{[currency: string]: ReadonlyArray<{amount: number, impact: string, popular: boolean}>}>}
+ */
+export const SUGGESTED_AMOUNTS = Object.freeze({
+  USD: Object.freeze([
+    {
+      amount: 25,
+      impact: 'Provides school supplies for 2 children',
+      popular: false,
+    },
+    {
+      amount: 50,
+      impact: 'Funds a week of nutritious meals for 5 children',
+      popular: true,
+    },
+    {
+      amount: 100,
+      impact: 'Supports educational programs for a month',
+      popular: false,
+    },
+    {
+      amount: 250,
+      impact: 'Provides healthcare services for 10 families',
+      popular: false,
+    },
+  ]),
+  NGN: Object.freeze([
+    {
+      amount: 5000,
+      impact: 'Provides exercise books and pencils for 2 children',
+      popular: false,
+    },
+    {
+      amount: 10000,
+      impact: 'Funds a week of school lunches for 3 children',
+      popular: true,
+    },
+    {
+      amount: 25000,
+      impact: 'Covers a term of after-school tutoring for one child',
+      popular: false,
+    },
+    {
+      amount: 50000,
+      impact: 'Provides health check-ups for 5 families',
+      popular: false,
+    },
+  ]),
+  GBP: Object.freeze([
+    {
+      amount: 20,
+      impact: 'Provides school supplies for 2 children',
+      popular: false,
+    },
+    {
+      amount: 40,
+      impact: 'Funds a week of nutritious meals for 5 children',
+      popular: true,
+    },
+    {
+      amount: 80,
+      impact: 'Supports educational programs for a month',
+      popular: false,
+    },
+    {
+      amount: 200,
+      impact: 'Provides healthcare services for 10 families',
+      popular: false,
+    },
+  ]),
+  EUR: Object.freeze([
+    {
+      amount: 25,
+      impact: 'Provides school supplies for 2 children',
+      popular: false,
+    },
+    {
+      amount: 50,
+      impact: 'Funds a week of nutritious meals for 5 children',
+      popular: true,
+    },
+    {
+      amount: 100,
+      impact: 'Supports educational programs for a month',
+      popular: false,
+    },
+    {
+      amount: 250,
+      impact: 'Provides healthcare services for 10 families',
+      popular: false,
+    },
+  ]),
+});
+
 /**
  * Fund allocation breakdown showing how donations are used
  * @type {ReadonlyArray<{category: string, percentage: number, color: string, description: string}>}
@@ -69,7 +170,7 @@ export const FUND_ALLOCATION = Object.freeze([
 
 /**
  * Payment method configurations
- * @type {ReadonlyArray<{id: string, name: string, icon: string, description: string}>}
+ * @type {ReadonlyArray<{id: string, name: string, icon: string, description: string, currencies: string[], channels?: string[]}>}
  */
 export const PAYMENT_METHODS = Object.freeze([
   {
@@ -77,12 +178,30 @@ export const PAYMENT_METHODS = Object.freeze([
     name: 'Credit/Debit Card',
     icon: 'creditCard',
     description: 'Secure payment processing via Stripe',
+    currencies: ['USD', 'GBP', 'EUR'],
   },
   {
     id: 'paypal',
     name: 'PayPal',
     icon: 'paypal',
     description: 'Pay with your PayPal account or linked payment methods',
+    currencies: ['USD', 'GBP', 'EUR'],
+  },
+  {
+    id: 'paystack',
+    name: 'Paystack',
+    icon: 'smartphone',
+    description: 'Pay in Naira by card, bank transfer, USSD or mobile money',
+    currencies: ['NGN'],
+    channels: ['card', 'bank_transfer', 'ussd', 'mobile_money'],
+  },
+  {
+    id: 'flutterwave',
+    name: 'Flutterwave',
+    icon: 'smartphone',
+    description: 'Pay by card, bank transfer, USSD or mobile money',
+    currencies: ['NGN', 'USD', 'GBP', 'EUR'],
+    channels: ['card', 'bank_transfer', 'ussd', 'mobile_money'],
   },
 ]);
 
@@ -105,13 +224,36 @@ export const DONATION_FREQUENCIES = Object.freeze([
 ]);
 
 /**
- * Validation rules for donation amounts
- * @type {Readonly<{min: number, max: number, message: string}>}
+ * Billing frequencies donors can switch between in the recurring donation portal
+ * @type {ReadonlyArray<{id: string, label: string, description: string}>}
+ */
+export const SUBSCRIPTION_FREQUENCIES = Object.freeze([
+  {
+    id: 'monthly',
+    label: 'Monthly',
+    description: 'Charged once a month',
+  },
+  {
+    id: 'quarterly',
+    label: 'Quarterly',
+    description: 'Charged every three months',
+  },
+  {
+    id: 'yearly',
+    label: 'Yearly',
+    description: 'Charged once a year',
+  },
+]);
+
+/**
+ * Validation limits for donation amounts, per currency
+ * @type {Readonly<{[currency: string]: {min: number, max: number}}>}
  */
 export const AMOUNT_VALIDATION = Object.freeze({
-  min: 5,
-  max: 100000,
-  message: 'Amount must be between $5 and $100,000',
+  USD: Object.freeze({ min: 5, max: 100000 }),
+  NGN: Object.freeze({ min: 1000, max: 100000000 }),
+  GBP: Object.freeze({ min: 5, max: 80000 }),
+  EUR: Object.freeze({ min: 5, max: 90000 }),
 });
 
 /**
@@ -149,11 +291,13 @@ export const CONFIRMATION_MESSAGES = Object.freeze({
 
 /**
  * Security and trust messaging
- * @type {Readonly<{stripe: string, paypal: string, general: string}>}
+ * @type {Readonly<{stripe: string, paypal: string, paystack: string, flutterwave: string, general: string}>}
  */
 export const SECURITY_MESSAGES = Object.freeze({
   stripe: 'Your payment information is encrypted and processed securely through Stripe. We never store your card details.',
   paypal: "You'll be redirected to PayPal to complete your donation securely. You can use your PayPal balance or any payment method linked to your account.",
+  paystack: 'Complete your donation in the secure Paystack window using your card, a bank transfer, USSD or mobile money. We confirm every payment with Paystack before issuing your receipt.',
+  flutterwave: 'Complete your donation in the secure Flutterwave window using your card, a bank transfer, USSD or mobile money. We confirm every payment with Flutterwave before issuing your receipt.',
   general: 'All transactions are encrypted and processed securely. We never store your payment information.',
 });
 
@@ -166,36 +310,242 @@ export const RECURRING_INFO = Object.freeze({
   paypal: 'A PayPal subscription will be created for monthly donations. You can manage it from your PayPal account.',
 });
 
+/**
+ * Organization details printed on donation receipts
+ * Tax IDs are keyed by ISO country code; `label` is the local name of the identifier.
+ * Their values are set per deployment with VITE_TAX_ID_<country> (e.g. VITE_TAX_ID_US),
+ * or with `value` here; receipts leave the tax ID line out until one is set.
+ * @type {Readonly<{organizationName: string, address: string, email: string, website: string, receiptPrefix: string, taxIds: Object}>}
+ */
+export const RECEIPT_CONFIG = Object.freeze({
+  organizationName: 'Makoko Community Kids NGO',
+  address: '123 Makoko Waterfront, Lagos, Lagos State, Nigeria 100001',
+  email: 'donate@makokokids.org',
+  website: 'https://makokokids.org',
+  receiptPrefix: 'MCK',
+  taxIds: Object.freeze({
+    US: Object.freeze({ label: 'EIN' }),
+    NG: Object.freeze({ label: 'CAC Registration No.' }),
+  }),
+});
+
+/**
+ * Country used for tax wording when the donor's country is unknown, keyed by donation currency
+ * @type {Readonly<{[currency: string]: string}>}
+ */
+export const CURRENCY_TAX_COUNTRIES = Object.freeze({
+  USD: 'US',
+  NGN: 'NG',
+  GBP: 'GB',
+});
+
+/**
+ * Country-specific tax-deductibility wording for receipts
+ * `DEFAULT` applies to any country without its own entry.
+ * @type {Readonly<{[country: string]: Readonly<{taxIdCountry: string|null, statement: string}>}>}
+ */
+export const TAX_DEDUCTIBILITY = Object.freeze({
+  US: Object.freeze({
+    taxIdCountry: 'US',
+    statement: 'Makoko Community Kids is a registered 501(c)(3) nonprofit. No goods or services were provided in exchange for this contribution. Your donation is tax-deductible to the extent allowed by law.',
+  }),
+  NG: Object.freeze({
+    taxIdCountry: 'NG',
+    statement: 'Makoko Community Kids is registered with the Corporate Affairs Commission. Donations to approved charitable organisations may be deductible under the Companies Income Tax Act and the Personal Income Tax Act, subject to the limits in those Acts.',
+  }),
+  GB: Object.freeze({
+    taxIdCountry: null,
+    statement: 'Makoko Community Kids is not registered with the UK Charity Commission, so this donation is not eligible for Gift Aid and may not be deductible for UK tax purposes.',
+  }),
+  DEFAULT: Object.freeze({
+    taxIdCountry: 'NG',
+    statement: 'Whether this donation is tax-deductible depends on the laws of your country of residence. Please consult a tax advisor.',
+  }),
+});
+
+/**
+ * Get the tax wording and tax ID for a receipt
+ * @param {string} [country] - Donor's ISO country code, if known
+ * @param {string} [currency=BASE_CURRENCY] - Donation currency, used when the country is unknown
+ * @returns {{country: string, statement: string, taxIdCountry: string|null, taxId: {label: string, value?: string}|null}}
+ *   Tax details; taxId is the configured identifier for taxIdCountry, which may not have a value yet
+ */
+export function getTaxDeductibility(country, currency = BASE_CURRENCY) {
+  const resolved = (country || CURRENCY_TAX_COUNTRIES[currency] || 'DEFAULT').toUpperCase();
+  const entry = TAX_DEDUCTIBILITY[resolved] || TAX_DEDUCTIBILITY.DEFAULT;
+
+  return {
+    country: resolved,
+    statement: entry.statement,
+    taxIdCountry: entry.taxIdCountry,
+    taxId: entry.taxIdCountry ? RECEIPT_CONFIG.taxIds[entry.taxIdCountry] || null : null,
+  };
+}
+
 /**
  * Impact descriptions for different donation levels
  * @type {Readonly<{[key: string]: string}>}
  */
 export const IMPACT_DESCRIPTIONS = Object.freeze({
-  small: 'Every dollar counts and helps us provide essential services to children in need.',
+  small: 'Every contribution counts and helps us provide essential services to children in need.',
   medium: 'Your generous contribution will directly support our education and healthcare programs.',
   large: 'Your substantial donation will have a transformative impact on our community programs.',
   major: 'Your major gift will enable us to expand our reach and serve more families in Makoko.',
 });
 
+/**
+ * What a gift can be designated to
+ * @type {Readonly<{GENERAL: string, CATEGORY: string, PROGRAM: string}>}
+ */
+export const DESIGNATION_TYPES = Object.freeze({
+  GENERAL: 'general',
+  CATEGORY: 'category',
+  PROGRAM: 'program',
+});
+
+/**
+ * Undesignated gifts go to the general fund
+ * @type {Readonly<{type: string, id: string, label: string}>}
+ */
+export const GENERAL_DESIGNATION = Object.freeze({
+  type: DESIGNATION_TYPES.GENERAL,
+  id: 'general',
+  label: 'Where it\'s needed most',
+});
+
+/**
+ * Resolve a designation ID to a designation
+ * @param {string} [id] - 'general', a PROGRAM_CATEGORIES value or a program ID
+ * @returns {Readonly<{type: string, id: string, label: string, category?: string}>} Designation; unknown IDs fall back to the general fund
+ */
+export function resolveDesignation(id) {
+  if (Object.values(PROGRAM_CATEGORIES).includes(id)) {
+    return Object.freeze({
+      type: DESIGNATION_TYPES.CATEGORY,
+      id,
+      label: `${PROGRAM_CATEGORY_LABELS[id]} programs`,
+      category: id,
+    });
+  }
+
+  const program = allPrograms.find((item) => item.id === id);
+  if (program) {
+    return Object.freeze({
+      type: DESIGNATION_TYPES.PROGRAM,
+      id,
+      label: program.title,
+      category: program.category,
+    });
+  }
+
+  return GENERAL_DESIGNATION;
+}
+
+/**
+ * Get designation choices grouped by program category
+ * @returns {Array<{category: Object, programs: Object[]}>} Category designation with its program designations
+ */
+export function getDesignationGroups() {
+  return Object.values(PROGRAM_CATEGORIES).map((category) => ({
+    category: resolveDesignation(category),
+    programs: allPrograms
+      .filter((program) => program.category === category)
+      .map((program) => resolveDesignation(program.id)),
+  }));
+}
+
+/**
+ * Convert an amount between currencies using a static rate table
+ * @param {number} amount - Amount in major units
+ * @param {string} from - Source currency code
+ * @param {string} [to=BASE_CURRENCY] - Target currency code
+ * @param {Readonly<{[currency: string]: number}>} [rates=CURRENCY_RATES] - Units per 1 BASE_CURRENCY
+ * @returns {number} Converted amount
+ * @throws {Error} If either currency has no rate
+ */
+export function convertAmount(amount, from, to = BASE_CURRENCY, rates = CURRENCY_RATES) {
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No conversion rate for ${rates[from] ? to : from}`);
+  }
+
+  return (amount / rates[from]) * rates[to];
+}
+
 /**
  * Get impact description based on donation amount
+ * Thresholds are defined in BASE_CURRENCY and scaled with the rate table.
  * @param {number} amount - The donation amount
+ * @param {string} [currency=BASE_CURRENCY] - Currency of the amount
+ * @param {Readonly<{[currency: string]: number}>} [rates=CURRENCY_RATES] - Rate table override
  * @returns {string} Impact description
  */
-export function getImpactDescription(amount) {
-  if (amount < 50) return IMPACT_DESCRIPTIONS.small;
-  if (amount < 100) return IMPACT_DESCRIPTIONS.medium;
-  if (amount < 500) return IMPACT_DESCRIPTIONS.large;
+export function getImpactDescription(amount, currency = BASE_CURRENCY, rates = CURRENCY_RATES) {
+  const baseAmount = convertAmount(amount, currency, BASE_CURRENCY, rates);
+
+  if (baseAmount < 50) return IMPACT_DESCRIPTIONS.small;
+  if (baseAmount < 100) return IMPACT_DESCRIPTIONS.medium;
+  if (baseAmount < 500) return IMPACT_DESCRIPTIONS.large;
   return IMPACT_DESCRIPTIONS.major;
 }
 
+/**
+ * Get suggested amounts for a currency
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
+ * @returns {ReadonlyArray<{amount: number, impact: string, popular: boolean}>} Suggested amounts
+ */
+export function getSuggestedAmounts(currency = BASE_CURRENCY) {
+  return SUGGESTED_AMOUNTS[currency] || SUGGESTED_AMOUNTS[BASE_CURRENCY];
+}
+
+/**
+ * Get the default (popular) suggested amount for a currency
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
+ * @returns {number} Default amount
+ */
+export function getDefaultAmount(currency = BASE_CURRENCY) {
+  const amounts = getSuggestedAmounts(currency);
+  return (amounts.find((suggestion) => suggestion.popular) || amounts[0]).amount;
+}
+
 /**
  * Get suggested amount by value
  * @param {number} amount - The amount to find
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
  * @returns {{amount: number, impact: string, popular: boolean} | undefined}
  */
-export function getSuggestedAmount(amount) {
-  return SUGGESTED_AMOUNTS.find((suggestion) => suggestion.amount === amount);
+export function getSuggestedAmount(amount, currency = BASE_CURRENCY) {
+  return getSuggestedAmounts(currency).find((suggestion) => suggestion.amount === amount);
+}
+
+/**
+ * Get min/max donation limits for a currency
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
+ * @returns {{min: number, max: number}} Amount limits
+ */
+export function getAmountLimits(currency = BASE_CURRENCY) {
+  return AMOUNT_VALIDATION[currency] || AMOUNT_VALIDATION[BASE_CURRENCY];
+}
+
+/**
+ * Get the currency symbol used for input adornments
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
+ * @returns {string} Currency symbol (e.g. "$", "₦")
+ */
+export function getCurrencySymbol(currency = BASE_CURRENCY) {
+  return formatAmount(0, currency).replace(/[\d.,\s]/g, '');
+}
+
+/**
+ * Format a donation amount for display without minor units
+ * @param {number} amount - Amount in major units
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
+ * @returns {string} Formatted amount (e.g. "$50", "₦10,000")
+ */
+export function formatAmount(amount, currency = BASE_CURRENCY) {
+  return formatCurrency(amount, currency, {
+    currencyDisplay: 'narrowSymbol',
+    maximumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  });
 }
 
 /**
@@ -221,26 +571,33 @@ export function getDonationFrequency(id) {
  * @param {string} template - The message template
  * @param {number} amount - The donation amount
  * @param {string} email - The donor email
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
  * @returns {string} Formatted message
  */
-export function formatConfirmationMessage(template, amount, email) {
+export function formatConfirmationMessage(template, amount, email, currency = BASE_CURRENCY) {
   return template
-    .replace('${amount}', `$${amount.toFixed(2)}`)
+    .replace('${amount}', formatAmount(amount, currency))
     .replace('${email}', email);
 }
 
 /**
  * Validate donation amount
  * @param {number} amount - The amount to validate
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code
  * @returns {{valid: boolean, error?: string}}
  */
-export function validateAmount(amount) {
+export function validateAmount(amount, currency = BASE_CURRENCY) {
   if (typeof amount !== 'number' || isNaN(amount)) {
     return { valid: false, error: 'Amount must be a valid number' };
   }
 
-  if (amount < AMOUNT_VALIDATION.min || amount > AMOUNT_VALIDATION.max) {
-    return { valid: false, error: AMOUNT_VALIDATION.message };
+  const { min, max } = getAmountLimits(currency);
+
+  if (amount < min || amount > max) {
+    return {
+      valid: false,
+      error: `Amount must be between ${formatAmount(min, currency)} and ${formatAmount(max, currency)}`,
+    };
   }
 
   return { valid: true };
@@ -323,10 +680,17 @@ export function getAllocationByCategory(category) {
  * Default export with all content
  */
 export default {
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY,
+  CURRENCY_RATES,
   SUGGESTED_AMOUNTS,
   FUND_ALLOCATION,
   PAYMENT_METHODS,
   DONATION_FREQUENCIES,
+  SUBSCRIPTION_FREQUENCIES,
+  RECEIPT_CONFIG,
+  CURRENCY_TAX_COUNTRIES,
+  TAX_DEDUCTIBILITY,
   AMOUNT_VALIDATION,
   EMAIL_PATTERN,
   FIELD_VALIDATION,
@@ -334,8 +698,16 @@ export default {
   SECURITY_MESSAGES,
   RECURRING_INFO,
   IMPACT_DESCRIPTIONS,
+  DESIGNATION_TYPES,
+  GENERAL_DESIGNATION,
+  convertAmount,
   getImpactDescription,
   getSuggestedAmount,
+  getSuggestedAmounts,
+  getDefaultAmount,
+  getAmountLimits,
+  getCurrencySymbol,
+  formatAmount,
   getPaymentMethod,
   getDonationFrequency,
   formatConfirmationMessage,
@@ -343,6 +715,9 @@ export default {
   validateEmail,
   validateName,
   getSecurityMessage,
+  getTaxDeductibility,
   getTotalAllocationPercentage,
   getAllocationByCategory,
+  resolveDesignation,
+  getDesignationGroups,
 };
\ No newline at end of file
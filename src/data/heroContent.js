@@ -9,6 +9,8 @@
  * @version 1.0.0
  */
 
+import { LOCALE_CONTENT, mergeLocalizedContent, getLocaleOverrides } from './locales/index.js';
+
 /**
  * Hero section content configuration
  * Frozen object to prevent accidental mutations
@@ -62,7 +64,7 @@ const heroContent = Object.freeze({
      */
     ctaPrimary: Object.freeze({
       text: 'Donate Now',
-      href: '#donate',
+      href: '/donate',
       ariaLabel: 'Make a donation to support Makoko children',
     }),
     
@@ -71,7 +73,7 @@ const heroContent = Object.freeze({
      */
     ctaSecondary: Object.freeze({
       text: 'Volunteer',
-      href: '#volunteer',
+      href: '/volunteer',
       ariaLabel: 'Learn about volunteer opportunities',
     }),
   }),
@@ -91,40 +93,27 @@ const heroContent = Object.freeze({
     priority: 'high',
     fetchPriority: 'high',
   }),
-});
 
-/**
- * Localization support structure
- * Extensible for future multi-language support
- */
-const heroContentLocales = Object.freeze({
-  en: heroContent,
-  
   /**
-   * Example structure for future localization
-   * Uncomment and populate when adding new languages
+   * Date the content was last reviewed (YYYY-MM-DD), used for sitemap lastmod
    */
-  // es: Object.freeze({
-  //   backgroundImage: heroContent.backgroundImage,
-  //   content: Object.freeze({
-  //     headline: 'Empoderando a los Niños de Makoko a Través de la Educación',
-  //     mission: 'Creemos que cada niño en Makoko merece acceso a educación de calidad...',
-  //     ctaPrimary: Object.freeze({
-  //       text: 'Donar Ahora',
-  //       href: '#donate',
-  //       ariaLabel: 'Hacer una donación para apoyar a los niños de Makoko',
-  //     }),
-  //     ctaSecondary: Object.freeze({
-  //       text: 'Voluntariado',
-  //       href: '#volunteer',
-  //       ariaLabel: 'Conocer las oportunidades de voluntariado',
-  //     }),
-  //   }),
-  //   animation: heroContent.animation,
-  //   loading: heroContent.loading,
-  // }),
+  lastUpdated: '2024-01-01',
 });
 
+/**
+ * Hero content by locale
+ * Translations live in data/locales/<code>.js under `hero` and are merged over
+ * the English content, so untranslated fields (images, timing) fall back to it.
+ */
+const heroContentLocales = Object.freeze(
+  Object.fromEntries(
+    Object.keys(LOCALE_CONTENT).map((locale) => [
+      locale,
+      mergeLocalizedContent(heroContent, getLocaleOverrides(locale, 'hero')),
+    ])
+  )
+);
+
 /**
  * Get hero content for specified locale
  * @param {string} locale - Locale code (default: 'en')
@@ -141,56 +130,6 @@ function getHeroContent(locale = 'en') {
   return content;
 }
 
-/**
- * Validate hero content structure
- * @param {Object} content - Content object to validate
- * @returns {boolean} True if valid
- * @throws {Error} If content structure is invalid
- */
-function validateHeroContent(content) {
-  if (!content || typeof content !== 'object') {
-    throw new Error('Hero content must be an object');
-  }
-
-  if (!content.backgroundImage || typeof content.backgroundImage !== 'object') {
-    throw new Error('Hero content must include backgroundImage object');
-  }
-
-  if (!content.backgroundImage.url || typeof content.backgroundImage.url !== 'string') {
-    throw new Error('Background image must include valid URL string');
-  }
-
-  if (!content.backgroundImage.alt || typeof content.backgroundImage.alt !== 'string') {
-    throw new Error('Background image must include alt text string');
-  }
-
-  if (!Array.isArray(content.backgroundImage.srcset) || content.backgroundImage.srcset.length === 0) {
-    throw new Error('Background image must include srcset array');
-  }
-
-  if (!content.content || typeof content.content !== 'object') {
-    throw new Error('Hero content must include content object');
-  }
-
-  if (!content.content.headline || typeof content.content.headline !== 'string') {
-    throw new Error('Content must include headline string');
-  }
-
-  if (!content.content.mission || typeof content.content.mission !== 'string') {
-    throw new Error('Content must include mission string');
-  }
-
-  if (!content.content.ctaPrimary || typeof content.content.ctaPrimary !== 'object') {
-    throw new Error('Content must include ctaPrimary object');
-  }
-
-  if (!content.content.ctaSecondary || typeof content.content.ctaSecondary !== 'object') {
-    throw new Error('Content must include ctaSecondary object');
-  }
-
-  return true;
-}
-
 /**
  * Get available locales
  * @returns {string[]} Array of available locale codes
@@ -199,5 +138,5 @@ function getAvailableLocales() {
   return Object.keys(heroContentLocales);
 }
 
-export { heroContent, heroContentLocales, getHeroContent, validateHeroContent, getAvailableLocales };
+export { heroContent, heroContentLocales, getHeroContent, getAvailableLocales };
 export default heroContent;
\ No newline at end of file
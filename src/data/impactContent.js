@@ -540,56 +540,6 @@ export function getAllCategories() {
   return CONTENT_CATEGORIES.map((category) => category.id);
 }
 
-/**
- * Validate content data integrity
- * @returns {Object} Validation result with status and any errors
- */
-export function validateContentData() {
-  const errors = [];
-
-  if (IMPACT_STATISTICS.length === 0) {
-    errors.push('No impact statistics defined');
-  }
-
-  if (TESTIMONIALS.length === 0) {
-    errors.push('No testimonials defined');
-  }
-
-  if (SUCCESS_STORIES.length === 0) {
-    errors.push('No success stories defined');
-  }
-
-  if (PHOTO_GALLERY.length === 0) {
-    errors.push('No photos defined');
-  }
-
-  const hasInvalidStats = IMPACT_STATISTICS.some(
-    (stat) => !stat.id || typeof stat.value !== 'number'
-  );
-  if (hasInvalidStats) {
-    errors.push('Invalid statistic data detected');
-  }
-
-  const hasInvalidTestimonials = TESTIMONIALS.some(
-    (t) => !t.id || !t.name || !t.quote
-  );
-  if (hasInvalidTestimonials) {
-    errors.push('Invalid testimonial data detected');
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-    stats: {
-      statistics: IMPACT_STATISTICS.length,
-      testimonials: TESTIMONIALS.length,
-      stories: SUCCESS_STORIES.length,
-      photos: PHOTO_GALLERY.length,
-      categories: CONTENT_CATEGORIES.length,
-    },
-  };
-}
-
 export default {
   IMPACT_STATISTICS,
   IMPACT_POINTS,
@@ -606,5 +556,4 @@ export default {
   getFeaturedPhotos,
   getStatisticById,
   getAllCategories,
-  validateContentData,
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * English Locale
+ *
+ * Interface strings for the default locale. Every key used with `t()` must
+ * exist here: other locales fall back to these values for anything they
+ * have not translated yet.
+ *
+ * Headings, labels and calls to action of each page section live here under
+ * the section's name (`about`, `programs`, `contact`...). Longer structured
+ * content in English (milestones, program cards, team bios) stays with its
+ * section; locales translate it through the matching override namespace.
+ *
+ * @module data/locales/en
+ */
+
+export default Object.freeze({
+  messages: Object.freeze({
+    header: Object.freeze({
+      tagline: 'Empowering Children, Building Futures',
+      homeAriaLabel: 'Makoko Community Kids NGO - Home',
+      mainNavigation: 'Main navigation',
+      toggleMenu: 'Toggle navigation menu',
+      mobileMenu: 'Mobile navigation menu',
+      language: 'Language',
+    }),
+
+    nav: Object.freeze({
+      home: 'Home',
+      about: 'About',
+      impact: 'Impact',
+      programs: 'Programs',
+      volunteer: 'Volunteer',
+      contact: 'Contact',
+      donate: 'Donate',
+      donateAriaLabel: 'Donate to support our mission',
+    }),
+
+    footer: Object.freeze({
+      summary: 'Empowering children in Makoko through education, healthcare, and community development programs.',
+      quickLinks: 'Quick Links',
+      footerNavigation: 'Footer navigation',
+      aboutUs: 'About Us',
+      ourPrograms: 'Our Programs',
+      ourImpact: 'Our Impact',
+      getInvolved: 'Get Involved',
+      donate: 'Donate',
+      contactUs: 'Contact Us',
+      resources: 'Resources',
+      annualReports: 'Annual Reports',
+      financialTransparency: 'Financial Transparency',
+      news: 'News & Updates',
+      volunteerOpportunities: 'Volunteer Opportunities',
+      faq: 'FAQ',
+      privacyPolicy: 'Privacy Policy',
+      stayConnected: 'Stay Connected',
+      newsletterIntro: 'Subscribe to our newsletter for updates on our programs and impact.',
+      emailLabel: 'Email address',
+      emailPlaceholder: 'Enter your email',
+      newsletterConsent: "I agree to receive email updates about Makoko Community Kids' programs and impact. I can unsubscribe at any time.",
+      subscribe: 'Subscribe',
+      subscribeAriaLabel: 'Subscribe to newsletter',
+      followUs: 'Follow Us',
+      copyright: '© {year} Makoko Community Kids. All rights reserved.',
+      terms: 'Terms of Service',
+      accessibility: 'Accessibility',
+      myData: 'My data',
+      cookieSettings: 'Cookie settings',
+    }),
+
+    about: Object.freeze({
+      heading: 'About Our {highlight}',
+      headingHighlight: 'Mission',
+      intro: 'Dedicated to transforming lives and creating opportunities for children in the Makoko community through education, healthcare, and sustainable development.',
+      challengesTitle: 'Challenges We Address',
+      strengthsTitle: 'Community Strengths',
+      makokoImageAlt: 'Makoko waterfront community in Lagos',
+      imageUnavailable: 'Image unavailable',
+      ctaTitle: 'Join Us in Making a Difference',
+      ctaText: 'Your support can help us expand our programs and reach more children in need. Together, we can create lasting change in the Makoko community.',
+      supportOurWork: 'Support Our Work',
+      getInvolved: 'Get Involved',
+      errorText: "We're experiencing technical difficulties. Please try again later.",
+      reloadPage: 'Reload Page',
+    }),
+
+    team: Object.freeze({
+      title: 'Meet Our Team',
+      description: 'Dedicated professionals working together to transform the lives of children in the Makoko community. Our team brings diverse expertise and unwavering commitment to our mission.',
+      listLabel: 'Team members',
+      memberLabel: 'Team member: {name}',
+      loading: 'Loading team members...',
+      loadFailed: 'Failed to load team members',
+      tryRefreshing: 'Please try refreshing the page',
+    }),
+
+    programs: Object.freeze({
+      heading: 'Our {highlight}',
+      headingHighlight: 'Programs',
+      intro: 'Comprehensive initiatives designed to create lasting impact in education, healthcare, nutrition, and community development. Each program is tailored to address specific needs and empower individuals for a better future.',
+      listLabel: 'Programs list',
+      keyInitiatives: 'Key Initiatives',
+      explorePrograms: 'Explore Programs',
+      getInvolved: 'Get Involved',
+      getInvolvedAriaLabel: 'Get involved with {program}',
+      ctaTitle: 'Want to Support Our Programs?',
+      ctaText: 'Your contribution helps us expand our reach and create more opportunities for children and families in need. Every donation makes a difference.',
+      donateNow: 'Donate Now',
+      donateAriaLabel: 'Donate to support our programs',
+      becomeVolunteer: 'Become a Volunteer',
+      volunteerAriaLabel: 'Volunteer with our programs',
+    }),
+
+    volunteer: Object.freeze({
+      heading: 'Volunteer with us',
+      intro: 'Share your time and skills with the children and families of Makoko. Pick a role to see what it involves.',
+      checkStatus: 'Already applied? Check your application status',
+      viewRoleDetails: 'View role details',
+      roleNotFound: 'Role not found',
+      roleNotFoundText: 'This role may have been filled. Take a look at our other openings.',
+      seeAllRoles: 'See all roles',
+      allRoles: 'All volunteer roles',
+      breadcrumb: 'Breadcrumb',
+      commitment: 'Commitment:',
+      perWeek: '{hours} per week',
+      location: 'Location:',
+      impact: 'Impact:',
+      skillsNeeded: 'Skills needed',
+      whenYouCanHelp: 'When you can help',
+      whatYouGain: 'What you gain',
+    }),
+
+    contact: Object.freeze({
+      heading: 'Get in Touch',
+      intro: "We'd love to hear from you. Whether you want to volunteer, donate, or learn more about our work, we're here to help.",
+      contactInformation: 'Contact Information',
+      officeAddress: 'Office Address',
+      phone: 'Phone',
+      callUs: 'Call us at {phone}',
+      email: 'Email',
+      emailUs: 'Email us at {email}',
+      officeHours: 'Office Hours',
+      hoursWeekdays: 'Monday - Friday: 9:00 AM - 5:00 PM',
+      hoursSaturday: 'Saturday: 10:00 AM - 2:00 PM',
+      hoursSunday: 'Sunday: Closed',
+      mapTitle: 'Makoko Community Kids NGO Office Location in Lagos',
+      mapAriaLabel: 'Google Maps showing our office location in Makoko, Lagos',
+      getDirections: 'Get Directions',
+      getDirectionsAriaLabel: 'Get directions to our office',
+      connectWithUs: 'Connect With Us',
+      visitSocial: 'Visit our {network} page',
+      socialIntro: 'Follow us on social media to stay updated on our latest programs, events, and success stories.',
+      sendUsMessage: 'Send Us a Message',
+      required: 'required',
+      fullName: 'Full Name',
+      emailAddress: 'Email Address',
+      phoneNumber: 'Phone Number',
+      subject: 'Subject',
+      selectSubject: 'Select a subject',
+      subjectGeneral: 'General Inquiry',
+      subjectVolunteer: 'Volunteer Opportunities',
+      subjectDonation: 'Donation Information',
+      subjectPartnership: 'Partnership Opportunities',
+      subjectMedia: 'Media Inquiry',
+      subjectOther: 'Other',
+      message: 'Message',
+      messagePlaceholder: 'Tell us how we can help you...',
+      privacyNotice: 'Your information is secure and will only be used to respond to your inquiry. We respect your privacy and will never share your details with third parties.',
+      sendMessage: 'Send Message',
+      sendMessageAriaLabel: 'Send message',
+      successTitle: 'Message Sent Successfully!',
+      successText: "Thank you for contacting us. We'll get back to you within 24-48 hours.",
+      errorTitle: 'Error Sending Message',
+      errorText: 'There was a problem sending your message. Please try again or contact us directly via email.',
+      emergencyLabel: 'Emergency Contact:',
+      emergencyText: 'For urgent matters, please call us directly at',
+    }),
+
+    donate: Object.freeze({
+      heading: 'Support Our Mission',
+      intro: 'Your donation directly impacts the lives of children in Makoko. Every contribution helps us provide education, healthcare, and hope.',
+      selectAmount: 'Select Amount',
+      currency: 'Currency',
+      popular: 'Popular',
+      customAmount: 'Or enter custom amount',
+      enterAmount: 'Enter amount',
+      designationTitle: 'Where Should Your Gift Go?',
+      yourInformation: 'Your Information',
+      fullName: 'Full Name',
+      optional: '(Optional)',
+      emailAddress: 'Email Address',
+      receiptNote: 'Receipt will be sent to this email',
+      anonymous: 'Make this donation anonymous',
+      paymentMethod: 'Payment Method',
+      paymentDetails: 'Payment details',
+      secureTitle: 'Secure Payment Processing',
+      secureText: 'All transactions are encrypted and processed securely. We never store your payment information.',
+      fundAllocationTitle: 'How Your Donation is Used',
+      secureFooter: 'Secure payment processing powered by industry-leading encryption',
+      taxNote: 'Makoko Community Kids is a registered 501(c)(3) nonprofit. Your donation is tax-deductible.',
+      alreadyGiving: 'Already giving regularly?',
+      manageRecurring: 'Manage your recurring donation',
+    }),
+  }),
+});
@@ -0,0 +1,152 @@
+/**
+ * French Locale (Français)
+ *
+ * Interface strings and section content overrides. Anything missing here
+ * falls back to English.
+ *
+ * @module data/locales/fr
+ */
+
+export default Object.freeze({
+  messages: Object.freeze({
+    header: Object.freeze({
+      tagline: 'Donner aux enfants les moyens de bâtir leur avenir',
+      homeAriaLabel: 'Makoko Community Kids NGO - Accueil',
+      mainNavigation: 'Navigation principale',
+      toggleMenu: 'Ouvrir ou fermer le menu de navigation',
+      mobileMenu: 'Menu de navigation mobile',
+      language: 'Langue',
+    }),
+
+    nav: Object.freeze({
+      home: 'Accueil',
+      about: 'À propos',
+      impact: 'Impact',
+      programs: 'Programmes',
+      volunteer: 'Bénévolat',
+      contact: 'Contact',
+      donate: 'Faire un don',
+      donateAriaLabel: 'Faire un don pour soutenir notre mission',
+    }),
+
+    footer: Object.freeze({
+      summary: "Nous aidons les enfants de Makoko grâce à l'éducation, aux soins de santé et à des programmes de développement communautaire.",
+      quickLinks: 'Liens rapides',
+      footerNavigation: 'Navigation du pied de page',
+      aboutUs: 'À propos de nous',
+      ourPrograms: 'Nos programmes',
+      ourImpact: 'Notre impact',
+      getInvolved: "S'impliquer",
+      donate: 'Faire un don',
+      contactUs: 'Nous contacter',
+      resources: 'Ressources',
+      annualReports: 'Rapports annuels',
+      financialTransparency: 'Transparence financière',
+      news: 'Actualités',
+      volunteerOpportunities: 'Missions de bénévolat',
+      faq: 'FAQ',
+      privacyPolicy: 'Politique de confidentialité',
+      stayConnected: 'Restons en contact',
+      newsletterIntro: 'Abonnez-vous à notre lettre d’information pour suivre nos programmes et notre impact.',
+      emailLabel: 'Adresse e-mail',
+      emailPlaceholder: 'Votre adresse e-mail',
+      newsletterConsent: "J'accepte de recevoir par e-mail des nouvelles des programmes et de l'impact de Makoko Community Kids. Je peux me désabonner à tout moment.",
+      subscribe: "S'abonner",
+      subscribeAriaLabel: "S'abonner à la lettre d’information",
+      followUs: 'Suivez-nous',
+      copyright: '© {year} Makoko Community Kids. Tous droits réservés.',
+      terms: "Conditions d'utilisation",
+      accessibility: 'Accessibilité',
+      myData: 'Mes données',
+      cookieSettings: 'Paramètres des cookies',
+    }),
+
+    about: Object.freeze({
+      heading: 'Notre {highlight}',
+      headingHighlight: 'mission',
+      intro: "Nous nous consacrons à transformer des vies et à créer des opportunités pour les enfants de la communauté de Makoko grâce à l'éducation, la santé et le développement durable.",
+      challengesTitle: 'Les défis que nous relevons',
+      strengthsTitle: 'Les forces de la communauté',
+      ctaTitle: 'Rejoignez-nous pour faire la différence',
+      supportOurWork: 'Soutenir notre action',
+      getInvolved: "S'impliquer",
+    }),
+
+    team: Object.freeze({
+      title: 'Notre équipe',
+      listLabel: "Membres de l'équipe",
+      memberLabel: "Membre de l'équipe : {name}",
+    }),
+
+    programs: Object.freeze({
+      heading: 'Nos {highlight}',
+      headingHighlight: 'programmes',
+      keyInitiatives: 'Initiatives clés',
+      getInvolved: "S'impliquer",
+      ctaTitle: 'Vous souhaitez soutenir nos programmes ?',
+      donateNow: 'Faire un don',
+      becomeVolunteer: 'Devenir bénévole',
+    }),
+
+    volunteer: Object.freeze({
+      heading: 'Devenez bénévole',
+      viewRoleDetails: 'Voir le détail de la mission',
+      allRoles: 'Toutes les missions bénévoles',
+      skillsNeeded: 'Compétences recherchées',
+      whenYouCanHelp: 'Quand vous pouvez aider',
+      whatYouGain: 'Ce que vous y gagnez',
+    }),
+
+    contact: Object.freeze({
+      heading: 'Contactez-nous',
+      contactInformation: 'Coordonnées',
+      officeAddress: 'Adresse du bureau',
+      phone: 'Téléphone',
+      email: 'E-mail',
+      officeHours: "Horaires d'ouverture",
+      sendUsMessage: 'Envoyez-nous un message',
+      fullName: 'Nom complet',
+      emailAddress: 'Adresse e-mail',
+      subject: 'Objet',
+      message: 'Message',
+      sendMessage: 'Envoyer le message',
+    }),
+
+    donate: Object.freeze({
+      heading: 'Soutenez notre mission',
+      selectAmount: 'Choisissez un montant',
+      currency: 'Devise',
+      yourInformation: 'Vos informations',
+      fullName: 'Nom complet',
+      emailAddress: 'Adresse e-mail',
+      paymentMethod: 'Moyen de paiement',
+    }),
+  }),
+
+  hero: Object.freeze({
+    backgroundImage: Object.freeze({
+      alt: 'Des enfants de la communauté de Makoko jouent et apprennent ensemble',
+    }),
+    content: Object.freeze({
+      headline: "Donner aux enfants de Makoko les moyens de réussir par l'éducation",
+      mission: "Nous croyons que chaque enfant de Makoko mérite une éducation de qualité, des soins de santé et la possibilité de s'épanouir. Rejoignez-nous pour transformer des vies et bâtir un avenir meilleur pour la prochaine génération.",
+      ctaPrimary: Object.freeze({
+        text: 'Faire un don',
+        ariaLabel: 'Faire un don pour soutenir les enfants de Makoko',
+      }),
+      ctaSecondary: Object.freeze({
+        text: 'Devenir bénévole',
+        ariaLabel: 'Découvrir les missions de bénévolat',
+      }),
+    }),
+  }),
+
+  about: Object.freeze({
+    mission: Object.freeze({ title: 'Notre mission' }),
+    vision: Object.freeze({ title: 'Notre vision' }),
+    story: Object.freeze({ title: 'Notre histoire' }),
+    values: Object.freeze({ title: 'Nos valeurs' }),
+    approach: Object.freeze({ title: 'Notre approche' }),
+    makoko: Object.freeze({ title: 'Comprendre Makoko', subtitle: 'La communauté que nous servons' }),
+  }),
+});
@@ -0,0 +1,76 @@
+/**
+ * Locale Content Registry
+ *
+ * Per-locale content files keyed by locale code. Each file exports
+ * `messages` (interface strings read with `t()` from utils/i18n.js) and
+ * optional section overrides keyed by namespace (`hero`, `about`, `programs`,
+ * `team`) that are merged over the English content, so a locale only has to
+ * provide the fields it translates.
+ *
+ * To add a locale, create `<code>.js` next to this file, register it below
+ * and add it to SUPPORTED_LOCALES in utils/i18n.js.
+ *
+ * @module data/locales
+ */
+
+import en from './en.js';
+import yo from './yo.js';
+import pcm from './pcm.js';
+import fr from './fr.js';
+
+/**
+ * Content files by locale code
+ */
+export const LOCALE_CONTENT = Object.freeze({
+  en,
+  yo,
+  pcm,
+  fr,
+});
+
+/**
+ * Check for a plain object (not an array, date or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Deep-merge translated fields over base content
+ * Objects are merged key by key; arrays and scalars in the overrides replace
+ * the base value. The result is frozen like the content modules.
+ *
+ * @param {Object} base - English content
+ * @param {Object} [overrides] - Translated fields
+ * @returns {Object} Localized content
+ */
+export function mergeLocalizedContent(base, overrides) {
+  if (!isPlainObject(overrides)) {
+    return base;
+  }
+
+  const merged = { ...base };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeLocalizedContent(base[key], value)
+      : value;
+  });
+
+  return Object.freeze(merged);
+}
+
+/**
+ * Get a locale's overrides for a content namespace
+ * @param {string} locale - Locale code
+ * @param {string} namespace - Content namespace (e.g. 'hero')
+ * @returns {Object|undefined} Overrides, if the locale has any
+ */
+export function getLocaleOverrides(locale, namespace) {
+  const content = LOCALE_CONTENT[locale];
+  return content ? content[namespace] : undefined;
+}
+
+export default LOCALE_CONTENT;
@@ -0,0 +1,128 @@
+/**
+ * Nigerian Pidgin Locale (Naijá)
+ *
+ * Interface strings and section content overrides. Anything missing here
+ * falls back to English.
+ *
+ * @module data/locales/pcm
+ */
+
+export default Object.freeze({
+  messages: Object.freeze({
+    header: Object.freeze({
+      tagline: 'We dey give pikin power, we dey build better future',
+      homeAriaLabel: 'Makoko Community Kids NGO - Front page',
+      mainNavigation: 'Main menu',
+      toggleMenu: 'Open or close menu',
+      mobileMenu: 'Phone menu',
+      language: 'Language',
+    }),
+
+    nav: Object.freeze({
+      home: 'Home',
+      about: 'About us',
+      impact: 'Wetin we don do',
+      programs: 'Our programs',
+      volunteer: 'Volunteer',
+      contact: 'Contact us',
+      donate: 'Donate',
+      donateAriaLabel: 'Donate make you support our work',
+    }),
+
+    footer: Object.freeze({
+      summary: 'We dey help pikin dem for Makoko with school, healthcare and programs wey dey develop the community.',
+      quickLinks: 'Quick links',
+      footerNavigation: 'Footer menu',
+      aboutUs: 'About us',
+      ourPrograms: 'Our programs',
+      ourImpact: 'Wetin we don do',
+      getInvolved: 'Join hand with us',
+      donate: 'Donate',
+      contactUs: 'Contact us',
+      resources: 'Resources',
+      annualReports: 'Yearly reports',
+      financialTransparency: 'How we dey spend money',
+      news: 'News and updates',
+      volunteerOpportunities: 'Volunteer work',
+      faq: 'Questions wey people dey ask',
+      privacyPolicy: 'Privacy policy',
+      stayConnected: 'Make we dey in touch',
+      newsletterIntro: 'Subscribe to our newsletter make you dey hear about our programs and wetin we dey do.',
+      emailLabel: 'Email address',
+      emailPlaceholder: 'Put your email',
+      newsletterConsent: 'I gree make Makoko Community Kids dey send me email about their programs and work. I fit unsubscribe anytime.',
+      subscribe: 'Subscribe',
+      subscribeAriaLabel: 'Subscribe to newsletter',
+      followUs: 'Follow us',
+      copyright: '© {year} Makoko Community Kids. All rights reserved.',
+      terms: 'Terms of service',
+      accessibility: 'Accessibility',
+      myData: 'My data',
+      cookieSettings: 'Cookie settings',
+    }),
+
+    about: Object.freeze({
+      heading: 'About Our {highlight}',
+      headingHighlight: 'Mission',
+      challengesTitle: 'Wahala wey we dey solve',
+      strengthsTitle: 'Wetin make our community strong',
+      ctaTitle: 'Join us make we change tins',
+      supportOurWork: 'Support our work',
+      getInvolved: 'Join hand',
+    }),
+
+    team: Object.freeze({
+      title: 'Meet our team',
+      listLabel: 'People for our team',
+    }),
+
+    programs: Object.freeze({
+      heading: 'Our {highlight}',
+      headingHighlight: 'Programs',
+      getInvolved: 'Join hand',
+      donateNow: 'Donate now',
+      becomeVolunteer: 'Become volunteer',
+    }),
+
+    volunteer: Object.freeze({
+      heading: 'Volunteer with us',
+      viewRoleDetails: 'See wetin the work be',
+      allRoles: 'All the volunteer work',
+    }),
+
+    contact: Object.freeze({
+      heading: 'Holla us',
+      sendUsMessage: 'Send us message',
+      sendMessage: 'Send message',
+    }),
+
+    donate: Object.freeze({
+      heading: 'Support our mission',
+      selectAmount: 'Choose how much',
+      paymentMethod: 'How you wan pay',
+    }),
+  }),
+
+  hero: Object.freeze({
+    backgroundImage: Object.freeze({
+      alt: 'Pikin dem for Makoko community dey play and learn together',
+    }),
+    content: Object.freeze({
+      headline: 'We dey help Makoko pikin dem through education',
+      mission: 'We believe say every pikin for Makoko suppose get better school, healthcare, and chance to grow well. Join hand with us make we change life and build better future for the pikin dem wey dey come.',
+      ctaPrimary: Object.freeze({
+        text: 'Donate now',
+        ariaLabel: 'Donate make you support Makoko pikin dem',
+      }),
+      ctaSecondary: Object.freeze({
+        text: 'Volunteer',
+        ariaLabel: 'See how you fit volunteer with us',
+      }),
+    }),
+  }),
+
+  about: Object.freeze({
+    story: Object.freeze({ title: 'Our story' }),
+    makoko: Object.freeze({ title: 'Make you sabi Makoko', subtitle: 'The community wey we dey serve' }),
+  }),
+});
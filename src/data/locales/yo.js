@@ -0,0 +1,116 @@
+/**
+ * Yoruba Locale (Yorùbá)
+ *
+ * Interface strings and section content overrides. Anything missing here
+ * falls back to English.
+ *
+ * @module data/locales/yo
+ */
+
+export default Object.freeze({
+  messages: Object.freeze({
+    header: Object.freeze({
+      tagline: 'Fífún àwọn ọmọdé lágbára, kíkọ́ ọjọ́ iwájú',
+      homeAriaLabel: 'Makoko Community Kids NGO - Ojú-ìwé àkọ́kọ́',
+      mainNavigation: 'Ìtọ́sọ́nà pàtàkì',
+      toggleMenu: 'Ṣí tàbí pa àkójọ ìtọ́sọ́nà',
+      mobileMenu: 'Àkójọ ìtọ́sọ́nà fún fóònù',
+      language: 'Èdè',
+    }),
+
+    nav: Object.freeze({
+      home: 'Ilé',
+      about: 'Nípa wa',
+      impact: 'Ipa wa',
+      programs: 'Àwọn ètò',
+      volunteer: 'Yọ̀ǹda ara',
+      contact: 'Kàn sí wa',
+      donate: 'Ṣe ìtọrẹ',
+      donateAriaLabel: 'Ṣe ìtọrẹ láti ṣàtìlẹ́yìn iṣẹ́ wa',
+    }),
+
+    footer: Object.freeze({
+      summary: 'A ń fún àwọn ọmọdé ní Makoko lágbára nípasẹ̀ ẹ̀kọ́, ìtọ́jú ìlera àti àwọn ètò ìdàgbàsókè àdúgbò.',
+      quickLinks: 'Àwọn ìjápọ̀ kíákíá',
+      footerNavigation: 'Ìtọ́sọ́nà ìsàlẹ̀ ojú-ìwé',
+      aboutUs: 'Nípa wa',
+      ourPrograms: 'Àwọn ètò wa',
+      ourImpact: 'Ipa wa',
+      getInvolved: 'Kópa',
+      donate: 'Ṣe ìtọrẹ',
+      contactUs: 'Kàn sí wa',
+      resources: 'Àwọn ohun èlò',
+      annualReports: 'Ìròyìn ọdọọdún',
+      financialTransparency: 'Ìṣípayá ìnáwó',
+      news: 'Ìròyìn àti ìmúdójúìwọ̀n',
+      volunteerOpportunities: 'Àǹfààní láti yọ̀ǹda ara',
+      faq: 'Àwọn ìbéèrè tí a sábà ń béèrè',
+      privacyPolicy: 'Ìlànà ìpamọ́',
+      stayConnected: 'Máa bá wa ní ìfarakanra',
+      newsletterIntro: 'Forúkọ sílẹ̀ fún ìwé ìròyìn wa láti máa gbọ́ nípa àwọn ètò àti ipa wa.',
+      emailLabel: 'Àdírẹ́sì ímeèlì',
+      emailPlaceholder: 'Tẹ ímeèlì rẹ',
+      newsletterConsent: 'Mo gbà láti máa gba ímeèlì nípa àwọn ètò àti ipa Makoko Community Kids. Mo lè dáwọ́ dúró nígbàkúùgbà.',
+      subscribe: 'Forúkọ sílẹ̀',
+      subscribeAriaLabel: 'Forúkọ sílẹ̀ fún ìwé ìròyìn',
+      followUs: 'Tẹ̀lé wa',
+      copyright: '© {year} Makoko Community Kids. Gbogbo ẹ̀tọ́ wà ní ìpamọ́.',
+      terms: 'Òfin ìlò',
+      accessibility: 'Ìráyèsí',
+      myData: 'Dátà mi',
+      cookieSettings: 'Ètò kúkì',
+    }),
+
+    about: Object.freeze({
+      heading: '{highlight} wa',
+      headingHighlight: 'Iṣẹ́ àfojúsùn',
+      ctaTitle: 'Darapọ̀ mọ́ wa láti mú àyípadà wá',
+      supportOurWork: 'Ṣàtìlẹ́yìn fún iṣẹ́ wa',
+      getInvolved: 'Kópa',
+    }),
+
+    team: Object.freeze({
+      title: 'Pàdé ikọ̀ wa',
+    }),
+
+    programs: Object.freeze({
+      heading: '{highlight} wa',
+      headingHighlight: 'Àwọn ètò',
+      getInvolved: 'Kópa',
+      donateNow: 'Ṣe ìtọrẹ báyìí',
+      becomeVolunteer: 'Yọ̀ǹda ara',
+    }),
+
+    volunteer: Object.freeze({
+      heading: 'Yọ̀ǹda ara pẹ̀lú wa',
+    }),
+
+    contact: Object.freeze({
+      heading: 'Kàn sí wa',
+      phone: 'Fóònù',
+      email: 'Ímeèlì',
+    }),
+
+    donate: Object.freeze({
+      heading: 'Ṣàtìlẹ́yìn fún iṣẹ́ wa',
+    }),
+  }),
+
+  hero: Object.freeze({
+    backgroundImage: Object.freeze({
+      alt: 'Àwọn ọmọ àdúgbò Makoko tí wọ́n ń ṣeré tí wọ́n sì ń kẹ́kọ̀ọ́ papọ̀',
+    }),
+    content: Object.freeze({
+      headline: 'Fífún àwọn ọmọ Makoko lágbára nípasẹ̀ ẹ̀kọ́',
+      mission: 'A gbàgbọ́ pé gbogbo ọmọ ní Makoko ló yẹ kí ó ní àǹfààní sí ẹ̀kọ́ tó dára, ìtọ́jú ìlera, àti àǹfààní láti gbèrú. Darapọ̀ mọ́ wa láti yí ayé padà kí a sì kọ́ ọjọ́ iwájú tó mọ́lẹ̀ fún ìran tó ń bọ̀.',
+      ctaPrimary: Object.freeze({
+        text: 'Ṣe ìtọrẹ báyìí',
+        ariaLabel: 'Ṣe ìtọrẹ láti ṣàtìlẹ́yìn fún àwọn ọmọ Makoko',
+      }),
+      ctaSecondary: Object.freeze({
+        text: 'Yọ̀ǹda ara',
+        ariaLabel: 'Kọ́ nípa àwọn àǹfààní láti yọ̀ǹda ara',
+      }),
+    }),
+  }),
+});
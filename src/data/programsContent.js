@@ -20,6 +20,30 @@ const PROGRAM_CATEGORIES = Object.freeze({
   COMMUNITY: 'community',
 });
 
+/**
+ * Display labels for program categories
+ */
+const PROGRAM_CATEGORY_LABELS = Object.freeze({
+  [PROGRAM_CATEGORIES.EDUCATION]: 'Education',
+  [PROGRAM_CATEGORIES.HEALTHCARE]: 'Healthcare',
+  [PROGRAM_CATEGORIES.NUTRITION]: 'Nutrition',
+  [PROGRAM_CATEGORIES.SKILLS]: 'Skills Development',
+  [PROGRAM_CATEGORIES.COMMUNITY]: 'Community',
+});
+
+/**
+ * Related content for each program category, used by program detail pages:
+ * the PHOTO_GALLERY category in impactContent.js and the volunteer role
+ * categories in volunteerContent.js
+ */
+const PROGRAM_RELATED_CATEGORIES = Object.freeze({
+  [PROGRAM_CATEGORIES.EDUCATION]: Object.freeze({ photos: 'education', roles: Object.freeze(['education', 'mentorship']) }),
+  [PROGRAM_CATEGORIES.HEALTHCARE]: Object.freeze({ photos: 'health', roles: Object.freeze(['healthcare']) }),
+  [PROGRAM_CATEGORIES.NUTRITION]: Object.freeze({ photos: 'nutrition', roles: Object.freeze(['nutrition']) }),
+  [PROGRAM_CATEGORIES.SKILLS]: Object.freeze({ photos: 'activities', roles: Object.freeze(['technology', 'mentorship']) }),
+  [PROGRAM_CATEGORIES.COMMUNITY]: Object.freeze({ photos: 'community', roles: Object.freeze(['recreation', 'fundraising']) }),
+});
+
 /**
  * Education programs and initiatives
  */
@@ -35,7 +59,8 @@ const educationPrograms = [
       value: '500+',
     },
     ctaText: 'Support Education',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/edu-001',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'edu-002',
@@ -48,7 +73,18 @@ const educationPrograms = [
       value: '200+',
     },
     ctaText: 'Learn More',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/edu-002',
+    events: [
+      {
+        id: 'edu-002-bootcamp-2027',
+        name: 'Holiday Coding Bootcamp',
+        description: 'A free five-day introduction to computers, typing and safe internet use for young people aged 12 to 18.',
+        startDate: '2027-01-04T10:00:00+01:00',
+        endDate: '2027-01-08T14:00:00+01:00',
+        location: { name: 'Makoko Community Center' },
+      },
+    ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'edu-003',
@@ -61,7 +97,8 @@ const educationPrograms = [
       value: '75+',
     },
     ctaText: 'Sponsor a Student',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/edu-003',
+    lastUpdated: '2024-01-01',
   },
 ];
 
@@ -80,7 +117,8 @@ const healthcarePrograms = [
       value: '300+',
     },
     ctaText: 'Support Healthcare',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/health-001',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'health-002',
@@ -93,7 +131,18 @@ const healthcarePrograms = [
       value: '1,000+',
     },
     ctaText: 'Join Campaign',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/health-002',
+    events: [
+      {
+        id: 'health-002-immunization-day-2026',
+        name: 'Community Immunization Day',
+        description: 'Free routine vaccinations for children under five, with health workers on hand to update immunization cards.',
+        startDate: '2026-11-21T09:00:00+01:00',
+        endDate: '2026-11-21T15:00:00+01:00',
+        location: { name: 'Makoko Community Center' },
+      },
+    ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'health-003',
@@ -106,7 +155,8 @@ const healthcarePrograms = [
       value: '150+',
     },
     ctaText: 'Support Mothers',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/health-003',
+    lastUpdated: '2024-01-01',
   },
 ];
 
@@ -125,7 +175,8 @@ const nutritionPrograms = [
       value: '400+',
     },
     ctaText: 'Feed a Child',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/nutr-001',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'nutr-002',
@@ -138,7 +189,8 @@ const nutritionPrograms = [
       value: '120+',
     },
     ctaText: 'Support Infants',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/nutr-002',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'nutr-003',
@@ -151,7 +203,8 @@ const nutritionPrograms = [
       value: '80+',
     },
     ctaText: 'Join Garden Project',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/nutr-003',
+    lastUpdated: '2024-01-01',
   },
 ];
 
@@ -170,7 +223,8 @@ const skillsPrograms = [
       value: '250+',
     },
     ctaText: 'Enroll in Training',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/skills-001',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'skills-002',
@@ -183,7 +237,8 @@ const skillsPrograms = [
       value: '100+',
     },
     ctaText: 'Start Your Business',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/skills-002',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'skills-003',
@@ -196,7 +251,18 @@ const skillsPrograms = [
       value: '150+',
     },
     ctaText: 'Join Workshop',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/skills-003',
+    events: [
+      {
+        id: 'skills-003-exhibition-2026',
+        name: 'Young Artists Exhibition',
+        description: 'An afternoon showcase of paintings and crafts made by children in our arts workshops, open to families and visitors.',
+        startDate: '2026-12-12T12:00:00+01:00',
+        endDate: '2026-12-12T17:00:00+01:00',
+        location: { name: 'Makoko Community Center' },
+      },
+    ],
+    lastUpdated: '2024-01-01',
   },
 ];
 
@@ -215,7 +281,18 @@ const communityPrograms = [
       value: '500+',
     },
     ctaText: 'Join Cleanup',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/comm-001',
+    events: [
+      {
+        id: 'comm-001-cleanup-2026',
+        name: 'Waterfront Cleanup Day',
+        description: 'Residents and volunteers clear waste from the waterways and walkways around Makoko. Gloves and bags are provided.',
+        startDate: '2026-12-05T08:00:00+01:00',
+        endDate: '2026-12-05T12:00:00+01:00',
+        location: { name: 'Makoko Waterfront' },
+      },
+    ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'comm-002',
@@ -228,7 +305,8 @@ const communityPrograms = [
       value: '300+',
     },
     ctaText: 'Support Sports',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/comm-002',
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'comm-003',
@@ -241,7 +319,8 @@ const communityPrograms = [
       value: '200+',
     },
     ctaText: 'Join Circle',
-    ctaLink: '#get-involved',
+    ctaLink: '/programs/comm-003',
+    lastUpdated: '2024-01-01',
   },
 ];
 
@@ -334,44 +413,26 @@ export function getTotalImpact() {
 }
 
 /**
- * Validates program data structure
+ * Gets a program's upcoming events
  * 
- * @param {Object} program - Program object to validate
- * @returns {boolean} True if valid, false otherwise
+ * @param {Object} program - Program object
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<Object>} Events that haven't ended, soonest first
  */
-export function validateProgram(program) {
-  if (!program || typeof program !== 'object') {
-    return false;
-  }
-
-  const requiredFields = ['id', 'category', 'icon', 'title', 'description'];
-  const hasRequiredFields = requiredFields.every(field => 
-    field in program && program[field] !== null && program[field] !== undefined
-  );
-
-  if (!hasRequiredFields) {
-    console.error('[programsContent] Program missing required fields', { 
-      program,
-      requiredFields,
-    });
-    return false;
-  }
-
-  if (!Object.values(PROGRAM_CATEGORIES).includes(program.category)) {
-    console.error('[programsContent] Invalid program category', { 
-      category: program.category,
-      validCategories: Object.values(PROGRAM_CATEGORIES),
-    });
-    return false;
+export function getUpcomingEvents(program, now = new Date()) {
+  if (!program || !Array.isArray(program.events)) {
+    return [];
   }
 
-  return true;
+  return program.events
+    .filter(event => new Date(event.endDate || event.startDate) >= now)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
 }
 
 /**
  * Export program categories for external use
  */
-export { PROGRAM_CATEGORIES };
+export { PROGRAM_CATEGORIES, PROGRAM_CATEGORY_LABELS, PROGRAM_RELATED_CATEGORIES };
 
 /**
  * Export programs metadata
@@ -397,6 +458,8 @@ export default {
   programs: allPrograms,
   metadata: programsMetadata,
   categories: PROGRAM_CATEGORIES,
+  categoryLabels: PROGRAM_CATEGORY_LABELS,
+  relatedCategories: PROGRAM_RELATED_CATEGORIES,
   education: educationPrograms,
   healthcare: healthcarePrograms,
   nutrition: nutritionPrograms,
@@ -405,5 +468,5 @@ export default {
   getProgramsByCategory,
   getProgramById,
   getTotalImpact,
-  validateProgram,
+  getUpcomingEvents,
 };
\ No newline at end of file
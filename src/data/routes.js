@@ -0,0 +1,169 @@
+/**
+ * Route Definitions
+ *
+ * Deep-linkable views resolved by utils/router.js. Section routes scroll to
+ * a section of the single page; the other routes mount a page of their own.
+ * `seo` names the seoContent.js entry applied when the route is shown.
+ *
+ * @module data/routes
+ * @version 1.0.0
+ */
+
+/**
+ * Route names
+ * @constant {Object}
+ */
+export const ROUTE_NAMES = Object.freeze({
+  HOME: 'home',
+  ABOUT: 'about',
+  PROGRAMS: 'programs',
+  PROGRAM_DETAIL: 'program-detail',
+  IMPACT: 'impact',
+  DONATE: 'donate',
+  VOLUNTEER: 'volunteer',
+  VOLUNTEER_ROLE: 'volunteer-role',
+  VOLUNTEER_STATUS: 'volunteer-status',
+  FUNDRAISER_START: 'fundraiser-start',
+  FUNDRAISER: 'fundraiser',
+  CONTACT: 'contact',
+  ADMIN: 'admin',
+});
+
+/**
+ * How a route is displayed
+ * @constant {Object}
+ */
+export const ROUTE_VIEWS = Object.freeze({
+  SECTION: 'section',
+  PROGRAM: 'program',
+  VOLUNTEER_ROLES: 'volunteer-roles',
+  VOLUNTEER_ROLE: 'volunteer-role',
+  VOLUNTEER_STATUS: 'volunteer-status',
+  FUNDRAISER_START: 'fundraiser-start',
+  FUNDRAISER: 'fundraiser',
+  ADMIN: 'admin',
+});
+
+/**
+ * Route table
+ * @constant {Object[]}
+ */
+export const ROUTES = Object.freeze([
+  Object.freeze({
+    name: ROUTE_NAMES.HOME,
+    path: '/',
+    seo: 'home',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'hero-section',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.ABOUT,
+    path: '/about',
+    seo: 'about',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'about-section',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.PROGRAMS,
+    path: '/programs',
+    seo: 'programs',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'programs',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.PROGRAM_DETAIL,
+    path: '/programs/:id',
+    seo: 'programs',
+    view: ROUTE_VIEWS.PROGRAM,
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.IMPACT,
+    path: '/impact',
+    seo: 'impact',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'impact-section',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.DONATE,
+    path: '/donate',
+    seo: 'donate',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'donate',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.VOLUNTEER,
+    path: '/volunteer',
+    seo: 'volunteer',
+    view: ROUTE_VIEWS.VOLUNTEER_ROLES,
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.VOLUNTEER_ROLE,
+    path: '/volunteer/roles/:id',
+    seo: 'volunteer',
+    view: ROUTE_VIEWS.VOLUNTEER_ROLE,
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.VOLUNTEER_STATUS,
+    path: '/volunteer/status',
+    seo: 'volunteer',
+    view: ROUTE_VIEWS.VOLUNTEER_STATUS,
+  }),
+  // Listed before /fundraisers/:id so "start" isn't read as a fundraiser ID
+  Object.freeze({
+    name: ROUTE_NAMES.FUNDRAISER_START,
+    path: '/fundraisers/start',
+    seo: 'donate',
+    view: ROUTE_VIEWS.FUNDRAISER_START,
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.FUNDRAISER,
+    path: '/fundraisers/:id',
+    seo: 'donate',
+    view: ROUTE_VIEWS.FUNDRAISER,
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.CONTACT,
+    path: '/contact',
+    seo: 'contact',
+    view: ROUTE_VIEWS.SECTION,
+    sectionId: 'contact',
+  }),
+  Object.freeze({
+    name: ROUTE_NAMES.ADMIN,
+    path: '/admin',
+    seo: 'admin',
+    view: ROUTE_VIEWS.ADMIN,
+  }),
+]);
+
+/**
+ * Paths for the hash links used before the router, so old shared links
+ * still open the right view
+ * @constant {Object}
+ */
+export const LEGACY_HASH_PATHS = Object.freeze({
+  '#home': '/',
+  '#about': '/about',
+  '#programs': '/programs',
+  '#impact': '/impact',
+  '#donate': '/donate',
+  '#volunteer': '/volunteer',
+  '#contact': '/contact',
+});
+
+/**
+ * Get a route by name
+ * @param {string} name - Route name
+ * @returns {Object|null} Route or null if not found
+ */
+export function getRouteByName(name) {
+  return ROUTES.find((route) => route.name === name) || null;
+}
+
+export default {
+  ROUTE_NAMES,
+  ROUTE_VIEWS,
+  ROUTES,
+  LEGACY_HASH_PATHS,
+  getRouteByName,
+};
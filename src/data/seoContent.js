@@ -219,6 +219,18 @@ export const CONTACT_SEO = Object.freeze({
   },
 });
 
+/**
+ * Content admin SEO content
+ * The staff editor is kept out of search results.
+ * @constant {Object}
+ */
+export const ADMIN_SEO = Object.freeze({
+  title: 'Content Admin | Makoko Community Kids NGO',
+  description: 'Staff content editor for the Makoko Community Kids NGO website.',
+  robots: 'noindex, nofollow',
+  type: 'website',
+});
+
 /**
  * Organization structured data schema
  * @constant {Object}
@@ -492,6 +504,13 @@ export const ROBOTS_CONFIG = Object.freeze({
     '/private',
   ],
   crawlDelay: null,
+  blockedAgents: [
+    'AhrefsBot',
+    'SemrushBot',
+    'MJ12bot',
+    'DotBot',
+    'BLEXBot',
+  ],
   sitemapUrl: `${DEFAULT_SEO.siteUrl}/sitemap.xml`,
 });
 
@@ -510,6 +529,7 @@ export function getSEOContent(page) {
     donate: DONATE_SEO,
     volunteer: VOLUNTEER_SEO,
     contact: CONTACT_SEO,
+    admin: ADMIN_SEO,
   };
 
   const content = seoMap[page?.toLowerCase()];
@@ -596,6 +616,7 @@ export default {
   DONATE_SEO,
   VOLUNTEER_SEO,
   CONTACT_SEO,
+  ADMIN_SEO,
   ORGANIZATION_SCHEMA,
   PROGRAM_SCHEMAS,
   SOCIAL_SHARING,
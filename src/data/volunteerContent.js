@@ -111,6 +111,31 @@ export const AVAILABILITY_SLOTS = Object.freeze([
   'Flexible Schedule',
 ]);
 
+/**
+ * How volunteer shifts are scheduled. Roles get shifts in each of their
+ * availability slots that has fixed times, recurring as set by their time
+ * commitment; roles without either are arranged with the coordinator. Shift
+ * times are Lagos time and last the lower end of the role's `hoursPerWeek`.
+ * @constant {Object}
+ */
+export const SHIFT_SCHEDULE = Object.freeze({
+  timeZone: 'Africa/Lagos',
+  utcOffset: '+01:00',
+  weeksAhead: 6,
+  defaultCapacity: 6,
+  waitlistLimit: 5,
+  slots: Object.freeze({
+    'Weekday Mornings': Object.freeze({ days: Object.freeze([2, 4]), start: '09:00' }),
+    'Weekday Afternoons': Object.freeze({ days: Object.freeze([1, 3]), start: '14:00' }),
+    'Weekday Evenings': Object.freeze({ days: Object.freeze([3]), start: '17:30' }),
+    'Weekends': Object.freeze({ days: Object.freeze([6]), start: '10:00' }),
+  }),
+  recurrence: Object.freeze({
+    [TIME_COMMITMENTS.WEEKLY.id]: 'week',
+    [TIME_COMMITMENTS.MONTHLY.id]: 'month',
+  }),
+});
+
 /**
  * Volunteer role definitions
  * @constant {Object[]}
@@ -139,6 +164,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Support 5-10 children per session',
     location: 'Makoko Community Center',
     availability: ['Weekday Afternoons', 'Weekends'],
+    shiftCapacity: 8,
     featured: true,
     benefits: [
       'Make lasting impact on children\'s education',
@@ -146,6 +172,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Join supportive volunteer community',
       'Receive volunteer certificate',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'health-assistant',
@@ -170,6 +197,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Serve 20-30 families monthly',
     location: 'Mobile Health Clinic',
     availability: ['Weekends', 'Flexible Schedule'],
+    shiftCapacity: 4,
     featured: false,
     benefits: [
       'Apply healthcare skills for community good',
@@ -177,6 +205,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Gain public health experience',
       'Professional development opportunities',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'nutrition-coordinator',
@@ -201,6 +230,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Feed 50+ children daily',
     location: 'Community Kitchen',
     availability: ['Weekday Mornings', 'Weekends'],
+    shiftCapacity: 6,
     featured: true,
     benefits: [
       'Combat childhood hunger directly',
@@ -208,6 +238,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Build community connections',
       'Hands-on program management experience',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'sports-coach',
@@ -232,6 +263,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Engage 15-25 children per session',
     location: 'Community Sports Field',
     availability: ['Weekday Afternoons', 'Weekends'],
+    shiftCapacity: 4,
     featured: false,
     benefits: [
       'Share your passion for sports',
@@ -239,6 +271,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Develop coaching skills',
       'Build youth confidence and teamwork',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'arts-instructor',
@@ -263,6 +296,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Inspire 10-15 children weekly',
     location: 'Community Center',
     availability: ['Weekday Afternoons', 'Weekends'],
+    shiftCapacity: 6,
     featured: false,
     benefits: [
       'Share your creative talents',
@@ -270,6 +304,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Develop teaching portfolio',
       'Access to art supplies and space',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'mentorship-guide',
@@ -301,6 +336,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Personal growth and reflection',
       'Ongoing mentor support and training',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'admin-support',
@@ -332,6 +368,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Learn nonprofit operations',
       'Professional references available',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'fundraising-coordinator',
@@ -363,6 +400,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Event planning experience',
       'See direct impact of your efforts',
     ],
+    lastUpdated: '2024-01-01',
   },
   {
     id: 'tech-specialist',
@@ -387,6 +425,7 @@ export const VOLUNTEER_ROLES = Object.freeze([
     impact: 'Train 8-12 students per session',
     location: 'Computer Lab',
     availability: ['Weekday Afternoons', 'Weekends'],
+    shiftCapacity: 5,
     featured: false,
     benefits: [
       'Bridge the digital divide',
@@ -394,6 +433,60 @@ export const VOLUNTEER_ROLES = Object.freeze([
       'Empower through technology',
       'Access to teaching resources',
     ],
+    lastUpdated: '2024-01-01',
+  },
+]);
+
+/**
+ * Stages a volunteer application moves through, in order. Stages with
+ * `requirementKeywords` only apply when one of the applicant's roles lists a
+ * requirement containing one of the keywords; the rest apply to everyone.
+ * @constant {Object[]}
+ */
+export const APPLICATION_STAGES = Object.freeze([
+  {
+    id: 'received',
+    label: 'Application received',
+    description: 'We have your application. Our volunteer coordinator will be in touch within 3-5 business days.',
+  },
+  {
+    id: 'screening',
+    label: 'Screening',
+    description: 'We review your application and check the age and commitment requirements for your roles.',
+  },
+  {
+    id: 'certification-check',
+    label: 'Certification check',
+    description: 'We verify the certifications your roles need, or help you arrange them.',
+    requirementKeywords: ['certification'],
+  },
+  {
+    id: 'health-screening',
+    label: 'Health screening',
+    description: 'You complete a health screening before working with patients.',
+    requirementKeywords: ['health screening'],
+  },
+  {
+    id: 'background-check',
+    label: 'Background check',
+    description: 'We run a background check, as for everyone who works with children and families.',
+    requirementKeywords: ['background check'],
+  },
+  {
+    id: 'training',
+    label: 'Role training',
+    description: 'You complete the training your role needs before starting.',
+    requirementKeywords: ['training completion'],
+  },
+  {
+    id: 'orientation-scheduled',
+    label: 'Orientation scheduled',
+    description: 'You are booked onto a volunteer orientation session. We email you the date and place.',
+  },
+  {
+    id: 'active',
+    label: 'Active volunteer',
+    description: 'You are ready to volunteer. Welcome to the team!',
   },
 ]);
 
@@ -837,6 +930,27 @@ export function getFeaturedTestimonials() {
   return VOLUNTEER_TESTIMONIALS.filter(testimonial => testimonial.featured === true);
 }
 
+/**
+ * Get the stages an application goes through for the roles applied for
+ * @param {string[]} [roleIds=[]] - IDs of the roles applied for
+ * @returns {Object[]} Stages from APPLICATION_STAGES, in order, each with the
+ *   `requirements` of the applicant's roles that added it
+ */
+export function getApplicationStages(roleIds = []) {
+  const requirements = [...new Set(
+    VOLUNTEER_ROLES
+      .filter(role => roleIds.includes(role.id))
+      .flatMap(role => role.requirements)
+  )];
+
+  return APPLICATION_STAGES
+    .map(stage => ({
+      ...stage,
+      requirements: requirements.filter(requirement => (stage.requirementKeywords || []).some(keyword => requirement.toLowerCase().includes(keyword))),
+    }))
+    .filter(stage => !stage.requirementKeywords || stage.requirements.length > 0);
+}
+
 /**
  * Get form fields by section
  * @param {string} sectionId - Section identifier
@@ -915,7 +1029,9 @@ export default {
   ROLE_CATEGORIES,
   TIME_COMMITMENTS,
   AVAILABILITY_SLOTS,
+  SHIFT_SCHEDULE,
   VOLUNTEER_ROLES,
+  APPLICATION_STAGES,
   VOLUNTEER_TESTIMONIALS,
   APPLICATION_FORM_FIELDS,
   FORM_SECTIONS,
@@ -927,6 +1043,7 @@ export default {
   getFeaturedRoles,
   getTestimonialById,
   getFeaturedTestimonials,
+  getApplicationStages,
   getFormFieldsBySection,
   validateFormField,
 };
\ No newline at end of file
@@ -15,6 +15,9 @@ import './style.css';
 import header from './components/Header.js';
 import Footer from './components/Footer.js';
 import { initializeNavigation } from './utils/navigation.js';
+import { createRouter } from './utils/router.js';
+import { getHydratableElement } from './utils/hydration.js';
+import { ROUTES, ROUTE_VIEWS, LEGACY_HASH_PATHS } from './data/routes.js';
 
 // Import hero section component
 import { initializeHeroSection } from './components/HeroSection.js';
@@ -30,13 +33,25 @@ import { initializeCounters } from './components/StatisticsCounter.js';
 import { TestimonialsCarousel } from './components/TestimonialsCarousel.js';
 import { initializePhotoGallery } from './components/PhotoGallery.js';
 import { initializeLightbox } from './utils/lightbox.js';
-import { TESTIMONIALS } from './data/impactContent.js';
 
 // Import Programs section component
 import { renderProgramsSection } from './components/ProgramsSection.js';
 
 // Import Donation section components
 import { createDonateSection } from './components/DonateSection.js';
+import {
+  createRecurringDonationPortal,
+  shouldShowRecurringDonationPortal,
+} from './components/RecurringDonationPortal.js';
+
+// Import route pages
+import { createProgramDetailPage } from './components/ProgramDetailPage.js';
+import { createVolunteerRolesPage, createVolunteerRolePage } from './components/VolunteerRolePage.js';
+import { createFundraiserPage, createStartFundraiserPage } from './components/FundraiserPage.js';
+import { createVolunteerStatusPage } from './components/VolunteerStatusPage.js';
+
+// Import data subject request page
+import { createMyDataPage, shouldShowMyDataPage } from './components/MyDataPage.js';
 
 // Import Contact section components
 import { ContactSection } from './components/ContactSection.js';
@@ -44,11 +59,19 @@ import { initializeContactForm } from './components/ContactForm.js';
 import createContactMap from './components/ContactMap.js';
 import { initializeSocialMedia } from './components/SocialMedia.js';
 
+// Import offline support
+import { initializeSubmissionQueue } from './utils/submissionQueue.js';
+import { registerServiceWorker } from './utils/serviceWorker.js';
+import { createOutboxStatus } from './components/OutboxStatus.js';
+import { createCookieConsent } from './components/CookieConsent.js';
+
 // Import SEO and Analytics utilities
-import { initializeSEO } from './utils/seo.js';
-import { initializeAnalytics, trackPageView, trackEvent } from './utils/analytics.js';
+import { initializeSEO, updateSEO, SEO_CONFIG } from './utils/seo.js';
+import { initializeAnalytics, trackPageView, trackEvent, updateConsent } from './utils/analytics.js';
 import { initializePrivacy, getConsent, onPrivacyEvent } from './utils/privacy.js';
-import { HOME_SEO } from './data/seoContent.js';
+import { initializeI18n } from './utils/i18n.js';
+import { loadContent, getContent, getContentSource } from './utils/contentLoader.js';
+import { HOME_SEO, getSEOContent } from './data/seoContent.js';
 
 /**
  * Application initialization and configuration
@@ -61,6 +84,10 @@ class Application {
     this.initialized = false;
     this.startTime = performance.now();
     this.navigationAPI = null;
+    this.router = null;
+    this.routePage = null;
+    this.hiddenAppChildren = null;
+    this.routeSectionObserver = null;
     this.footer = null;
     this.heroSection = null;
     this.aboutSection = null;
@@ -73,6 +100,11 @@ class Application {
     this.lightbox = null;
     this.programsSection = null;
     this.donateSection = null;
+    this.recurringDonationPortal = null;
+    this.submissionQueueCleanup = null;
+    this.outboxStatus = null;
+    this.cookieConsent = null;
+    this.myDataPage = null;
     this.contactSection = null;
     this.contactForm = null;
     this.contactMap = null;
@@ -88,6 +120,7 @@ class Application {
     this.initializeComponents = this.initializeComponents.bind(this);
     this.initializeSEOAndAnalytics = this.initializeSEOAndAnalytics.bind(this);
     this.setupAnalyticsTracking = this.setupAnalyticsTracking.bind(this);
+    this.handleRouteChange = this.handleRouteChange.bind(this);
   }
 
   /**
@@ -120,7 +153,7 @@ class Application {
    * Handle DOM content loaded event
    * Performs setup that requires the DOM to be ready
    */
-  handleDOMContentLoaded() {
+  async handleDOMContentLoaded() {
     try {
       const loadTime = performance.now() - this.startTime;
       
@@ -133,6 +166,9 @@ class Application {
       // Initialize SEO and Analytics first
       this.initializeSEOAndAnalytics();
 
+      // Fetch editable content before rendering; bundled content resolves at once
+      await this.initializeContent();
+
       // Initialize navigation components and functionality
       this.initializeComponents();
 
@@ -157,6 +193,23 @@ class Application {
     }
   }
 
+  /**
+   * Load content from the configured source (see utils/contentLoader.js)
+   * Collections that fail to load or validate fall back to the bundled data.
+   */
+  async initializeContent() {
+    try {
+      const results = await loadContent();
+      const fallbacks = Object.values(results)
+        .filter(({ error }) => error)
+        .map(({ collection }) => collection);
+
+      this.logInfo('Content loaded', { source: getContentSource(), fallbacks });
+    } catch (error) {
+      this.logError('Failed to load content', error);
+    }
+  }
+
   /**
    * Initialize SEO and Analytics functionality
    * Sets up privacy management, SEO meta tags, and analytics tracking
@@ -171,12 +224,23 @@ class Application {
         // Listen for consent changes
         onPrivacyEvent('privacy:consent-updated', (event) => {
           this.logInfo('Privacy consent updated', event.detail);
-          this.handleConsentChange(event.detail.consent);
+          this.handleConsentChange(event.detail.current);
+        });
+        onPrivacyEvent('privacy:consent-withdrawn', (event) => {
+          this.handleConsentChange(event.detail.current);
         });
       } catch (privacyError) {
         this.logError('Failed to initialize privacy manager', privacyError);
       }
 
+      // Resolve the locale before any component renders
+      try {
+        const locale = initializeI18n();
+        this.logInfo('Locale initialized', { locale });
+      } catch (i18nError) {
+        this.logError('Failed to initialize locale', i18nError);
+      }
+
       // Initialize SEO meta tags and structured data
       try {
         initializeSEO({
@@ -186,7 +250,7 @@ class Application {
           image: HOME_SEO.image,
           url: window.location.href,
           type: HOME_SEO.type,
-          structuredData: HOME_SEO.structuredData,
+          breadcrumbs: HOME_SEO.structuredData.breadcrumbs,
         });
         this.seoInitialized = true;
         this.logInfo('SEO initialized successfully');
@@ -328,6 +392,13 @@ class Application {
         this.analyticsInitialized = true;
         this.setupAnalyticsTracking();
         this.logInfo('Analytics initialized after consent granted');
+      } else if (this.analyticsInitialized) {
+        // Apply grants and withdrawals to the running services
+        await updateConsent({
+          analytics: consent.analytics,
+          marketing: consent.marketing,
+          preferences: consent.preferences,
+        });
       }
     } catch (error) {
       this.logError('Failed to handle consent change', error);
@@ -413,12 +484,35 @@ class Application {
         this.logInfo('Footer component initialized');
       }
 
+      // Cookie consent banner and preference center
+      try {
+        this.cookieConsent = createCookieConsent();
+        document.body.appendChild(this.cookieConsent);
+        this.logInfo('Cookie consent initialized');
+      } catch (consentError) {
+        this.logError('Failed to initialize cookie consent', consentError);
+      }
+
+      // Deliver form submissions queued while offline
+      try {
+        this.submissionQueueCleanup = initializeSubmissionQueue();
+        this.outboxStatus = createOutboxStatus();
+        document.body.appendChild(this.outboxStatus);
+        registerServiceWorker();
+        this.logInfo('Offline submission queue initialized');
+      } catch (outboxError) {
+        this.logError('Failed to initialize offline submission queue', outboxError);
+      }
+
       // Initialize navigation utilities
       this.navigationAPI = initializeNavigation();
       this.logInfo('Navigation utilities initialized');
 
       // Set up event listeners for navigation
       this.setupNavigationListeners();
+
+      // Resolve deep links once the sections are in place
+      this.initializeRouter();
     } catch (error) {
       this.logError('Failed to initialize components', error);
       throw error;
@@ -456,9 +550,11 @@ class Application {
       try {
         const appContainer = document.getElementById('app');
         if (appContainer) {
-          const valuesContainer = document.createElement('div');
-          valuesContainer.id = 'values-section-container';
-          appContainer.appendChild(valuesContainer);
+          if (!getHydratableElement('values-section-container')) {
+            const valuesContainer = document.createElement('div');
+            valuesContainer.id = 'values-section-container';
+            appContainer.appendChild(valuesContainer);
+          }
           
           this.valuesSection = initValuesSection('values-section-container');
           this.logInfo('Values section initialized');
@@ -522,10 +618,13 @@ class Application {
 
       // Create and append Impact section
       try {
-        const impactSection = createImpactSection();
-        appContainer.appendChild(impactSection);
+        const prerendered = getHydratableElement('impact-section');
+        const impactSection = prerendered || createImpactSection({ statistics: getContent('impact').statistics });
+        if (!prerendered) {
+          appContainer.appendChild(impactSection);
+        }
         this.impactSection = impactSection;
-        this.logInfo('Impact section created and appended');
+        this.logInfo(prerendered ? 'Impact section hydrated' : 'Impact section created and appended');
       } catch (error) {
         this.logError('Failed to create Impact section', error);
         throw error;
@@ -533,7 +632,7 @@ class Application {
 
       // Initialize statistics counters with Intersection Observer
       try {
-        initializeImpactSection();
+        initializeImpactSection({ statistics: getContent('impact').statistics });
         this.logInfo('Impact section counters initialized');
       } catch (error) {
         this.logError('Failed to initialize impact counters', error);
@@ -570,16 +669,17 @@ class Application {
         carouselContainer.appendChild(carouselSection);
         appContainer.appendChild(carouselContainer);
 
+        const { testimonials } = getContent('impact');
         this.testimonialsCarousel = new TestimonialsCarousel({
           containerId: 'testimonials-carousel-container',
-          testimonials: TESTIMONIALS,
+          testimonials,
           autoPlayInterval: 6000,
           autoPlay: true,
           loop: true,
         });
         
         this.logInfo('Testimonials carousel initialized', {
-          testimonialCount: TESTIMONIALS.length,
+          testimonialCount: testimonials.length,
         });
       } catch (error) {
         this.logError('Failed to initialize testimonials carousel', error);
@@ -659,12 +759,39 @@ class Application {
         throw error;
       }
 
+      // Recurring donation portal, opened from a magic link or #manage-donations
+      try {
+        this.handlePortalHashChange = () => {
+          this.mountRecurringDonationPortal();
+        };
+        window.addEventListener('hashchange', this.handlePortalHashChange);
+        this.mountRecurringDonationPortal();
+      } catch (error) {
+        // Non-critical: the donation form works without the portal
+        this.logError('Failed to create recurring donation portal', error);
+      }
+
     } catch (error) {
       this.logError('Error initializing Donation components', error);
       throw error;
     }
   }
 
+  /**
+   * Mount the recurring donation portal after the Donation section when requested
+   */
+  mountRecurringDonationPortal() {
+    if (this.recurringDonationPortal || !shouldShowRecurringDonationPortal() || !this.donateSection) {
+      return;
+    }
+
+    const portal = createRecurringDonationPortal();
+    this.donateSection.after(portal);
+    this.recurringDonationPortal = portal;
+    portal.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.logInfo('Recurring donation portal created');
+  }
+
   /**
    * Initialize Contact section components
    * Sets up contact section with form, map, and social media integrations
@@ -746,12 +873,296 @@ class Application {
         throw error;
       }
 
+      // My data page, opened from the footer's #my-data link
+      try {
+        this.handleMyDataHashChange = () => {
+          this.mountMyDataPage();
+        };
+        window.addEventListener('hashchange', this.handleMyDataHashChange);
+        this.mountMyDataPage();
+      } catch (error) {
+        // Non-critical: the rest of the page works without it
+        this.logError('Failed to create My data page', error);
+      }
+
     } catch (error) {
       this.logError('Error initializing Contact components', error);
       throw error;
     }
   }
 
+  /**
+   * Mount the My data page at the end of the app when requested
+   */
+  mountMyDataPage() {
+    const appContainer = document.getElementById('app');
+    if (this.myDataPage || !shouldShowMyDataPage() || !appContainer) {
+      return;
+    }
+
+    const page = createMyDataPage();
+    appContainer.appendChild(page);
+    this.myDataPage = page;
+    page.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.logInfo('My data page created');
+  }
+
+  /**
+   * Initialize the History API router
+   * Old hash links such as /#about are rewritten to their route first.
+   */
+  initializeRouter() {
+    try {
+      const legacyPath = LEGACY_HASH_PATHS[window.location.hash];
+      if (legacyPath && window.location.pathname === '/') {
+        window.history.replaceState(null, '', `${legacyPath}${window.location.search}`);
+      }
+
+      this.router = createRouter(ROUTES, {
+        onRouteChange: this.handleRouteChange,
+      });
+      this.router.start();
+      this.logInfo('Router initialized');
+    } catch (error) {
+      this.logError('Failed to initialize router', error);
+    }
+  }
+
+  /**
+   * Show the view for a route and update SEO, analytics and navigation state
+   *
+   * @param {Object} match - Matched route, params and path
+   * @param {Object} context - Change context from the router
+   */
+  handleRouteChange({ route, params, path }, { initial }) {
+    try {
+      this.unmountRoutePage();
+
+      let seoOverrides = {};
+
+      switch (route.view) {
+        case ROUTE_VIEWS.PROGRAM: {
+          const program = getContent('programs').find(({ id }) => id === params.id) || null;
+          this.mountRoutePage(createProgramDetailPage(program));
+          if (program) {
+            seoOverrides = {
+              title: `${program.title} | ${SEO_CONFIG.siteName}`,
+              description: program.description,
+              breadcrumbs: [
+                { name: 'Home', url: '/' },
+                { name: 'Programs', url: '/programs' },
+                { name: program.title, url: path },
+              ],
+            };
+          }
+          break;
+        }
+        case ROUTE_VIEWS.VOLUNTEER_ROLES:
+          this.mountRoutePage(createVolunteerRolesPage({ onApply: () => this.router.navigate('/contact') }));
+          break;
+        case ROUTE_VIEWS.VOLUNTEER_ROLE: {
+          const role = getContent('volunteerRoles').find(({ id }) => id === params.id) || null;
+          this.mountRoutePage(createVolunteerRolePage(role, { onApply: () => this.router.navigate('/contact') }));
+          if (role) {
+            seoOverrides = {
+              title: `${role.title} - Volunteer | ${SEO_CONFIG.siteName}`,
+              description: role.description,
+              breadcrumbs: [
+                { name: 'Home', url: '/' },
+                { name: 'Volunteer', url: '/volunteer' },
+                { name: role.title, url: path },
+              ],
+            };
+          }
+          break;
+        }
+        case ROUTE_VIEWS.VOLUNTEER_STATUS:
+          this.mountRoutePage(createVolunteerStatusPage({
+            applicationId: new URLSearchParams(window.location.search).get('id'),
+          }));
+          seoOverrides = { title: `Application Status - Volunteer | ${SEO_CONFIG.siteName}` };
+          break;
+        case ROUTE_VIEWS.FUNDRAISER_START:
+          this.mountRoutePage(createStartFundraiserPage({
+            campaignId: new URLSearchParams(window.location.search).get('campaign'),
+          }));
+          seoOverrides = { title: `Start a Fundraiser | ${SEO_CONFIG.siteName}` };
+          break;
+        case ROUTE_VIEWS.FUNDRAISER:
+          // The page sets its own title once the fundraiser has loaded
+          this.mountRoutePage(createFundraiserPage(params.id));
+          break;
+        case ROUTE_VIEWS.ADMIN:
+          this.mountAdminDashboard();
+          break;
+        default:
+          this.scrollToRouteSection(route.sectionId, { initial });
+          break;
+      }
+
+      const seo = getSEOContent(route.seo);
+      updateSEO({
+        title: seo.title,
+        description: seo.description,
+        keywords: seo.keywords,
+        image: seo.image,
+        type: seo.type,
+        robots: seo.robots,
+        breadcrumbs: seo.structuredData?.breadcrumbs,
+        ...seoOverrides,
+        url: `${SEO_CONFIG.siteUrl}${path === '/' ? '' : path}`,
+      });
+
+      // The first page view is tracked when analytics starts
+      if (!initial && this.analyticsInitialized) {
+        trackPageView({
+          page_title: document.title,
+          page_location: window.location.href,
+          page_path: path,
+        });
+      }
+
+      this.updateActiveNavigation(path);
+      this.logInfo('Route changed', { name: route.name, path });
+    } catch (error) {
+      this.logError('Failed to handle route change', error);
+    }
+  }
+
+  /**
+   * Load the content admin and mount it
+   * Only staff open /admin, so the editor is split out of the main bundle
+   * and fetched when the route is shown.
+   */
+  async mountAdminDashboard() {
+    try {
+      const { createAdminDashboard } = await import('./components/AdminDashboard.js');
+
+      // Another route may have been shown while the editor was loading
+      if (this.router.getCurrentMatch()?.route.view !== ROUTE_VIEWS.ADMIN || this.routePage) {
+        return;
+      }
+
+      this.mountRoutePage(createAdminDashboard(), { exclusive: true });
+    } catch (error) {
+      this.logError('Failed to load the content admin', error);
+    }
+  }
+
+  /**
+   * Mount a route page at the top of the app
+   * @param {HTMLElement} page - Page element with a destroy() method
+   * @param {Object} [options] - Mount options
+   * @param {boolean} [options.exclusive=false] - Hide the rest of the app while the page is shown
+   */
+  mountRoutePage(page, { exclusive = false } = {}) {
+    const appContainer = document.getElementById('app');
+    if (!appContainer) {
+      return;
+    }
+
+    if (exclusive) {
+      this.hiddenAppChildren = Array.from(appContainer.children).filter((child) => !child.hidden);
+      this.hiddenAppChildren.forEach((child) => {
+        child.hidden = true;
+      });
+    }
+
+    appContainer.prepend(page);
+    this.routePage = page;
+    window.scrollTo(0, 0);
+
+    const heading = page.querySelector('h1');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Remove the current route page, if any
+   */
+  unmountRoutePage() {
+    if (this.routeSectionObserver) {
+      this.routeSectionObserver.disconnect();
+      this.routeSectionObserver = null;
+    }
+
+    if (this.routePage) {
+      this.routePage.destroy();
+      this.routePage = null;
+    }
+
+    if (this.hiddenAppChildren) {
+      this.hiddenAppChildren.forEach((child) => {
+        child.hidden = false;
+      });
+      this.hiddenAppChildren = null;
+    }
+  }
+
+  /**
+   * Scroll to a route's section
+   * Sections that render asynchronously are waited for briefly.
+   *
+   * @param {string} sectionId - Section element ID
+   * @param {Object} options - Options
+   * @param {boolean} options.initial - Whether this is the page load
+   */
+  scrollToRouteSection(sectionId, { initial }) {
+    const scroll = (element) => {
+      if (sectionId === 'hero-section') {
+        // Nothing to do on a fresh load of the home page
+        if (!initial) {
+          this.navigationAPI.smoothScrollTo(0);
+        }
+        return;
+      }
+      this.navigationAPI.smoothScrollTo(element);
+    };
+
+    const section = document.getElementById(sectionId);
+    if (section) {
+      scroll(section);
+      return;
+    }
+
+    this.routeSectionObserver = new MutationObserver(() => {
+      const element = document.getElementById(sectionId);
+      if (element) {
+        this.routeSectionObserver.disconnect();
+        this.routeSectionObserver = null;
+        scroll(element);
+      }
+    });
+    this.routeSectionObserver.observe(document.body, { childList: true, subtree: true });
+
+    const observer = this.routeSectionObserver;
+    setTimeout(() => {
+      observer.disconnect();
+      if (this.routeSectionObserver === observer) {
+        this.routeSectionObserver = null;
+      }
+    }, 5000);
+  }
+
+  /**
+   * Mark the header link for the current route
+   * @param {string} path - Current path
+   */
+  updateActiveNavigation(path) {
+    const [, topLevel = ''] = path.split('/');
+    const activeHref = `/${topLevel}`;
+
+    document.querySelectorAll('.nav-link, .mobile-nav-link').forEach((link) => {
+      if (link.getAttribute('href') === activeHref) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
   /**
    * Set up event listeners for navigation functionality
    */
@@ -770,11 +1181,12 @@ class Application {
       document.addEventListener('click', (event) => {
         const link = event.target.closest('a[href^="#"]');
         if (link && this.navigationAPI) {
-          event.preventDefault();
           const targetId = link.getAttribute('href').substring(1);
           const targetElement = document.getElementById(targetId);
           
+          // Let links to on-demand sections (e.g. #my-data) change the hash so they mount
           if (targetElement) {
+            event.preventDefault();
             this.navigationAPI.smoothScrollTo(targetElement);
           }
         }
@@ -891,6 +1303,13 @@ class Application {
         this.navigationAPI.cleanup();
       }
 
+      // Clean up router and the page it mounted
+      if (this.router) {
+        this.router.destroy();
+        this.router = null;
+      }
+      this.unmountRoutePage();
+
       // Clean up hero section
       if (this.heroSection && this.heroSection.destroy) {
         this.heroSection.destroy();
@@ -906,6 +1325,44 @@ class Application {
         header.destroy();
       }
 
+      // Clean up offline submission queue
+      if (this.submissionQueueCleanup) {
+        this.submissionQueueCleanup();
+        this.submissionQueueCleanup = null;
+      }
+
+      if (this.outboxStatus) {
+        this.outboxStatus.destroy();
+        this.outboxStatus.remove();
+        this.outboxStatus = null;
+      }
+
+      if (this.cookieConsent) {
+        this.cookieConsent.destroy();
+        this.cookieConsent = null;
+      }
+
+      // Clean up recurring donation portal
+      if (this.handlePortalHashChange) {
+        window.removeEventListener('hashchange', this.handlePortalHashChange);
+      }
+
+      if (this.recurringDonationPortal) {
+        this.recurringDonationPortal.destroy();
+        this.recurringDonationPortal.remove();
+        this.recurringDonationPortal = null;
+      }
+
+      // Clean up My data page
+      if (this.handleMyDataHashChange) {
+        window.removeEventListener('hashchange', this.handleMyDataHashChange);
+      }
+
+      if (this.myDataPage) {
+        this.myDataPage.destroy();
+        this.myDataPage = null;
+      }
+
       // Clean up Impact section components
       if (this.statisticsCounters && this.statisticsCounters.length > 0) {
         this.statisticsCounters.forEach(counter => {
@@ -941,8 +1398,8 @@ class Application {
       }
 
       // Clean up Donation section
-      if (this.donateSection && this.donateSection.parentNode) {
-        this.donateSection.parentNode.removeChild(this.donateSection);
+      if (this.donateSection) {
+        this.donateSection.destroy();
         this.donateSection = null;
       }
 
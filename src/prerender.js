@@ -0,0 +1,72 @@
+/**
+ * Prerender Entry
+ *
+ * Renders the static landing page sections for plugins/prerender.js, which
+ * runs this module at build time in an emulated browser holding index.html.
+ * Sections are rendered in the same order main.js mounts them; interactive
+ * widgets further down the page (carousel, gallery, donation and contact
+ * forms) and consent-dependent UI are left to the client.
+ *
+ * main.js hydrates the result: each component finds its prerendered markup
+ * through utils/hydration.js and only attaches listeners.
+ *
+ * @module prerender
+ */
+
+import header from './components/Header.js';
+import Footer from './components/Footer.js';
+import { initializeHeroSection } from './components/HeroSection.js';
+import { initializeAboutSection } from './components/AboutSection.js';
+import { initTeamSection } from './components/TeamSection.js';
+import { initValuesSection } from './components/ValuesSection.js';
+import { renderProgramsSection } from './components/ProgramsSection.js';
+import { createImpactSection } from './components/ImpactSection.js';
+import { generateOrganizationSchema } from './utils/seo.js';
+import { getLocale, formatNumber } from './utils/i18n.js';
+import { PROGRAM_SCHEMAS } from './data/seoContent.js';
+
+/**
+ * Render the landing page into the current document
+ * @returns {Promise<{locale: string, structuredData: Object}>} Build locale and JSON-LD keyed by script ID suffix
+ */
+export async function prerender() {
+  const appContainer = document.getElementById('app');
+  if (!appContainer) {
+    throw new Error('App container not found');
+  }
+
+  // The header renders itself when its module loads in a ready document
+  if (!document.getElementById('main-header')) {
+    header.init();
+  }
+
+  initializeHeroSection();
+  await initializeAboutSection('app');
+  await initTeamSection(appContainer);
+
+  const valuesContainer = document.createElement('div');
+  valuesContainer.id = 'values-section-container';
+  appContainer.appendChild(valuesContainer);
+  initValuesSection('values-section-container');
+
+  renderProgramsSection('app');
+  appContainer.appendChild(createImpactSection());
+
+  // Show final figures until the counters animate on the client
+  document.querySelectorAll('[data-stat-id]').forEach((counter) => {
+    const target = parseInt(counter.dataset.target, 10);
+    counter.textContent = Number.isNaN(target) ? counter.dataset.target : formatNumber(target);
+  });
+
+  new Footer().init();
+
+  return {
+    locale: getLocale(),
+    structuredData: {
+      organization: generateOrganizationSchema(),
+      programs: [...PROGRAM_SCHEMAS],
+    },
+  };
+}
+
+export default prerender;
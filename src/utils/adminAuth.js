@@ -0,0 +1,112 @@
+/**
+ * Admin Sign-In
+ *
+ * Password gate for the /admin content editor. The password is checked
+ * against the SHA-256 hex digest in VITE_ADMIN_PASSWORD_HASH, e.g.
+ *
+ *   printf '%s' 'the password' | shasum -a 256
+ *
+ * A successful sign-in stores a random token for the browser tab's session,
+ * so the digest itself is never written to storage.
+ *
+ * This is a convenience gate, not access control: the site is static, so the
+ * digest ships in the bundle and anyone can set the session token by hand.
+ * The editor never writes to a server (it exports a JSON file for staff to
+ * publish); restrict /admin at the host, e.g. with basic auth, if it must
+ * stay private.
+ *
+ * @module utils/adminAuth
+ * @version 1.0.0
+ */
+
+/**
+ * Session storage key marking the tab as signed in
+ * @constant {string}
+ */
+export const ADMIN_SESSION_KEY = 'mck_admin_session';
+
+/**
+ * Format of the per-session sign-in token (a random UUID)
+ * @constant {RegExp}
+ */
+const SESSION_TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Get the configured password digest
+ * @returns {string} Lowercase hex digest, or an empty string if none is set
+ */
+function getPasswordHash() {
+  return (import.meta.env.VITE_ADMIN_PASSWORD_HASH || '').trim().toLowerCase();
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether an admin password has been configured
+ * @returns {boolean} True if VITE_ADMIN_PASSWORD_HASH is set
+ */
+export function isAdminConfigured() {
+  return getPasswordHash() !== '';
+}
+
+/**
+ * Whether this tab is signed in to the admin
+ * @returns {boolean} True if signed in
+ */
+export function isAdminSignedIn() {
+  try {
+    return isAdminConfigured() && SESSION_TOKEN_PATTERN.test(sessionStorage.getItem(ADMIN_SESSION_KEY) || '');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sign in to the admin
+ * @param {string} password - Password entered by the user
+ * @returns {Promise<boolean>} True if the password was correct
+ */
+export async function signInAdmin(password) {
+  if (!isAdminConfigured() || !password) {
+    return false;
+  }
+
+  if (await sha256(password) !== getPasswordHash()) {
+    return false;
+  }
+
+  try {
+    sessionStorage.setItem(ADMIN_SESSION_KEY, crypto.randomUUID());
+  } catch (error) {
+    console.warn('[AdminAuth] Could not remember the sign-in for this session:', error);
+  }
+
+  return true;
+}
+
+/**
+ * Sign out of the admin
+ */
+export function signOutAdmin() {
+  try {
+    sessionStorage.removeItem(ADMIN_SESSION_KEY);
+  } catch {
+    // Storage unavailable; nothing was remembered
+  }
+}
+
+export default {
+  ADMIN_SESSION_KEY,
+  isAdminConfigured,
+  isAdminSignedIn,
+  signInAdmin,
+  signOutAdmin,
+};
@@ -8,6 +8,11 @@
  * @version 1.0.0
  */
 
+/**
+ * localStorage key for the consent copy used by analytics services
+ */
+const CONSENT_STORAGE_KEY = 'analytics_consent';
+
 /**
  * Analytics configuration and state management
  */
@@ -61,17 +66,17 @@ export async function initializeAnalytics(config = {}) {
     AnalyticsConfig.linkedInPartnerId = config.linkedInPartnerId || null;
     AnalyticsConfig.debug = config.debug || false;
     
-    // Set initial consent if provided
+    // Consent passed by the caller (from the privacy manager) takes precedence
+    // over the copy cached in storage, which may predate the visitor's latest choice
     if (config.consent) {
       AnalyticsConfig.consent = {
         ...AnalyticsConfig.consent,
         ...config.consent,
       };
+    } else {
+      loadConsentFromStorage();
     }
     
-    // Load consent from storage
-    loadConsentFromStorage();
-    
     // Initialize analytics services based on consent
     const initPromises = [];
     
@@ -304,10 +309,13 @@ export function trackEvent(eventName, eventParams = {}) {
  * @param {string} donationData.currency - Currency code
  * @param {string} [donationData.frequency] - Donation frequency (one-time, monthly, etc.)
  * @param {string} [donationData.method] - Payment method
+ * @param {Object} [donationData.designation] - Designated program or category ({type, id})
+ * @param {Object} [donationData.campaign] - Fundraising campaign the gift was made through ({id})
+ * @param {Object} [donationData.fundraiser] - Personal fundraiser the gift is credited to ({id})
  */
 export function trackDonation(donationData) {
   try {
-    const { amount, currency, frequency = 'one-time', method = 'unknown' } = donationData;
+    const { amount, currency, frequency = 'one-time', method = 'unknown', designation, campaign, fundraiser } = donationData;
     
     if (!amount || !currency) {
       throw new Error('Amount and currency are required for donation tracking');
@@ -318,6 +326,12 @@ export function trackDonation(donationData) {
       currency: currency.toUpperCase(),
       frequency,
       payment_method: method,
+      ...(designation && {
+        designation_type: designation.type,
+        designation_id: designation.id,
+      }),
+      ...(campaign && { campaign_id: campaign.id }),
+      ...(fundraiser && { fundraiser_id: fundraiser.id }),
     };
     
     // Track in GA4
@@ -526,7 +540,7 @@ function saveConsentToStorage() {
       consent: AnalyticsConfig.consent,
       timestamp: Date.now(),
     };
-    localStorage.setItem('analytics_consent', JSON.stringify(consentData));
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consentData));
     logDebug('Consent saved to storage');
   } catch (error) {
     logError('Failed to save consent to storage', error);
@@ -538,7 +552,7 @@ function saveConsentToStorage() {
  */
 function loadConsentFromStorage() {
   try {
-    const stored = localStorage.getItem('analytics_consent');
+    const stored = localStorage.getItem(CONSENT_STORAGE_KEY);
     if (stored) {
       const { consent, timestamp } = JSON.parse(stored);
       
@@ -549,7 +563,7 @@ function loadConsentFromStorage() {
         logDebug('Consent loaded from storage', consent);
       } else {
         logDebug('Stored consent expired');
-        localStorage.removeItem('analytics_consent');
+        localStorage.removeItem(CONSENT_STORAGE_KEY);
       }
     }
   } catch (error) {
@@ -632,4 +646,4 @@ export function destroyAnalytics() {
 }
 
 // Export configuration for testing
-export { AnalyticsConfig };
\ No newline at end of file
+export { AnalyticsConfig, CONSENT_STORAGE_KEY as ANALYTICS_CONSENT_STORAGE_KEY };
\ No newline at end of file
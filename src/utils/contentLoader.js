@@ -0,0 +1,504 @@
+/**
+ * Content Loader
+ *
+ * Loads site content from outside the bundle so staff can update it without a
+ * redeploy. Content is read through an adapter in the same shapes as the
+ * bundled data modules:
+ *
+ * - JSON: versioned files such as /content/v1/impact.json
+ * - CMS: a headless CMS endpoint, one request per collection
+ * - Local: in-memory entries, for tests and scripts
+ *
+ * Every adapter returns an envelope `{ version, updatedAt, data }`. Records are
+ * checked against the same schemas `npm run validate-content` applies to the
+ * data modules (utils/contentSchemas.js); when a fetch fails, the version
+ * doesn't match or validation fails, the bundled data is used instead, so the
+ * site never renders without content.
+ *
+ * The source is set with VITE_CONTENT_SOURCE (bundled, json or cms), plus
+ * VITE_CONTENT_URL for JSON files or VITE_CMS_ENDPOINT for the CMS.
+ *
+ * @module utils/contentLoader
+ * @version 1.0.0
+ */
+
+import {
+  IMPACT_STATISTICS,
+  IMPACT_METRICS,
+  TESTIMONIALS,
+  SUCCESS_STORIES,
+  PHOTO_GALLERY,
+} from '../data/impactContent.js';
+import { allPrograms } from '../data/programsContent.js';
+import { heroContent } from '../data/heroContent.js';
+import { TEAM_MEMBERS } from '../data/aboutContent.js';
+import { VOLUNTEER_ROLES } from '../data/volunteerContent.js';
+import { CONTENT_SCHEMAS, CONTENT_REFERENCES } from './contentSchemas.js';
+import { object, validateSchema } from './schemaValidator.js';
+
+/**
+ * Content envelope version this build understands
+ * Bump it when a collection's shape changes, and publish files under the new
+ * version directory so older builds keep reading the files they understand.
+ * @constant {number}
+ */
+export const CONTENT_SCHEMA_VERSION = 1;
+
+/**
+ * Where content is read from
+ * @enum {string}
+ */
+export const ContentSource = Object.freeze({
+  BUNDLED: 'bundled',
+  JSON: 'json',
+  CMS: 'cms',
+  LOCAL: 'local',
+});
+
+/**
+ * Content loader error types
+ * @enum {string}
+ */
+export const ContentErrorType = Object.freeze({
+  UNKNOWN_COLLECTION: 'UNKNOWN_COLLECTION',
+  FETCH_FAILED: 'FETCH_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
+  INVALID_CONTENT: 'INVALID_CONTENT',
+});
+
+/**
+ * Custom error class for content loading
+ */
+export class ContentError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from ContentErrorType
+   * @param {Object} [context] - Additional error context
+   * @param {string[]} [context.errors] - Validation errors
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'ContentError';
+    this.type = type;
+    this.context = context;
+    this.errors = context.errors || [];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Default request timeout; past it the page renders with bundled content
+ */
+const DEFAULT_TIMEOUT = 4000;
+
+/**
+ * Content collections: the bundled data each falls back to and the schema
+ * from utils/contentSchemas.js its records are checked against
+ */
+const COLLECTIONS = Object.freeze({
+  impact: Object.freeze({
+    bundled: Object.freeze({
+      statistics: IMPACT_STATISTICS,
+      metrics: IMPACT_METRICS,
+      testimonials: TESTIMONIALS,
+      stories: SUCCESS_STORIES,
+      photos: PHOTO_GALLERY,
+    }),
+    schema: object({
+      statistics: CONTENT_SCHEMAS['impactContent.js'].IMPACT_STATISTICS,
+      metrics: CONTENT_SCHEMAS['impactContent.js'].IMPACT_METRICS,
+      testimonials: CONTENT_SCHEMAS['impactContent.js'].TESTIMONIALS,
+      stories: CONTENT_SCHEMAS['impactContent.js'].SUCCESS_STORIES,
+      photos: CONTENT_SCHEMAS['impactContent.js'].PHOTO_GALLERY,
+    }),
+  }),
+  programs: Object.freeze({
+    bundled: allPrograms,
+    schema: CONTENT_SCHEMAS['programsContent.js'].allPrograms,
+  }),
+  hero: Object.freeze({
+    bundled: heroContent,
+    schema: CONTENT_SCHEMAS['heroContent.js'].heroContent,
+  }),
+  team: Object.freeze({
+    bundled: TEAM_MEMBERS,
+    schema: CONTENT_SCHEMAS['aboutContent.js'].TEAM_MEMBERS,
+  }),
+  volunteerRoles: Object.freeze({
+    bundled: VOLUNTEER_ROLES,
+    schema: CONTENT_SCHEMAS['volunteerContent.js'].VOLUNTEER_ROLES,
+  }),
+});
+
+/**
+ * Validate collection data against its schema
+ * @param {string} collection - Collection name
+ * @param {*} data - Collection data
+ * @returns {string[]} Errors with their record paths, empty when the data is usable
+ */
+function validateCollection(collection, data) {
+  return validateSchema(data, COLLECTIONS[collection].schema, { path: collection, references: CONTENT_REFERENCES })
+    .errors
+    .map(({ path, message }) => `${path}: ${message}`);
+}
+
+/**
+ * Names of the content collections
+ * @constant {string[]}
+ */
+export const CONTENT_COLLECTIONS = Object.freeze(Object.keys(COLLECTIONS));
+
+/**
+ * Content envelope returned by adapters
+ * @typedef {Object} ContentEnvelope
+ * @property {number} version - Envelope version, see CONTENT_SCHEMA_VERSION
+ * @property {string} [updatedAt] - ISO date the content was last edited
+ * @property {*} data - Collection data, in the same shape as the bundled data
+ */
+
+/**
+ * Content adapter
+ * @typedef {Object} ContentAdapter
+ * @property {string} source - ContentSource value
+ * @property {function(string): Promise<ContentEnvelope>} fetch - Fetch a collection
+ */
+
+/**
+ * Result of loading a collection
+ * @typedef {Object} ContentResult
+ * @property {string} collection - Collection name
+ * @property {*} data - Validated data, or the bundled data on failure
+ * @property {string} source - ContentSource the data came from
+ * @property {string|null} updatedAt - When the content was last edited, if known
+ * @property {ContentError|null} error - Why the bundled data was used instead
+ */
+
+/**
+ * Freeze content fetched at runtime so it behaves like the bundled data
+ * @param {*} value - Value to freeze
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+
+  return value;
+}
+
+/**
+ * Fetch a JSON document with a timeout
+ * @param {string} url - Document URL
+ * @param {Object} [options] - Options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed body
+ * @throws {ContentError} On HTTP, timeout or network failure
+ */
+async function fetchJson(url, { headers = {}, timeout = DEFAULT_TIMEOUT } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json', ...headers },
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new ContentError(`Content request failed with status ${response.status}`, ContentErrorType.FETCH_FAILED, {
+        url,
+        status: response.status,
+      });
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof ContentError) {
+      throw error;
+    }
+
+    if (error.name === 'AbortError') {
+      throw new ContentError('Content request timed out', ContentErrorType.TIMEOUT, { url });
+    }
+
+    throw new ContentError(error.message, ContentErrorType.FETCH_FAILED, { url });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Create an adapter for versioned JSON files, e.g. /content/v1/impact.json
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl='/content'] - Directory holding the version directories
+ * @param {number} [options.version=CONTENT_SCHEMA_VERSION] - Version directory to read
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {ContentAdapter} Adapter
+ */
+export function createJsonAdapter({ baseUrl = '/content', version = CONTENT_SCHEMA_VERSION, timeout } = {}) {
+  const root = baseUrl.replace(/\/$/, '');
+
+  return {
+    source: ContentSource.JSON,
+    fetch: (collection) => fetchJson(`${root}/v${version}/${encodeURIComponent(collection)}.json`, { timeout }),
+  };
+}
+
+/**
+ * Create an adapter for a headless CMS
+ * The CMS is asked for `<endpoint>/<collection>`. Use mapResponse to turn its
+ * response into a content envelope when it doesn't return one directly.
+ * @param {Object} options - Adapter options
+ * @param {string} options.endpoint - CMS content endpoint
+ * @param {Object} [options.headers] - Extra request headers, e.g. a read-only token
+ * @param {function(Object, string): ContentEnvelope} [options.mapResponse] - Map a response body to an envelope
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {ContentAdapter} Adapter
+ */
+export function createCmsAdapter({ endpoint, headers = {}, mapResponse = (body) => body, timeout } = {}) {
+  if (!endpoint) {
+    throw new ContentError('CMS adapter requires an endpoint', ContentErrorType.FETCH_FAILED);
+  }
+
+  const root = endpoint.replace(/\/$/, '');
+
+  return {
+    source: ContentSource.CMS,
+    async fetch(collection) {
+      const body = await fetchJson(`${root}/${encodeURIComponent(collection)}`, { headers, timeout });
+      return mapResponse(body, collection);
+    },
+  };
+}
+
+/**
+ * Create an adapter over in-memory entries, for tests and scripts
+ * Each entry is an envelope (e.g. an imported JSON file) or a function
+ * returning one.
+ * @param {Object<string, ContentEnvelope|function(): ContentEnvelope>} entries - Envelopes keyed by collection
+ * @returns {ContentAdapter} Adapter
+ */
+export function createLocalAdapter(entries = {}) {
+  return {
+    source: ContentSource.LOCAL,
+    async fetch(collection) {
+      const entry = entries[collection];
+
+      if (entry === undefined) {
+        throw new ContentError(`No local content for ${collection}`, ContentErrorType.FETCH_FAILED);
+      }
+
+      return typeof entry === 'function' ? entry(collection) : structuredClone(entry);
+    },
+  };
+}
+
+/**
+ * Create a content loader
+ * Each collection is fetched once; later loads reuse the result.
+ * @param {Object} [options] - Loader options
+ * @param {ContentAdapter|null} [options.adapter=null] - Where to read content; null uses the bundled data
+ * @returns {Object} Loader with load(), loadAll(), get() and clear()
+ */
+export function createContentLoader({ adapter = null } = {}) {
+  const results = new Map();
+  const pending = new Map();
+
+  /**
+   * Build the result for a collection that falls back to bundled data
+   * @param {string} collection - Collection name
+   * @param {ContentError|null} error - Why the fallback was used
+   * @returns {ContentResult} Result
+   */
+  const bundledResult = (collection, error = null) => ({
+    collection,
+    data: COLLECTIONS[collection].bundled,
+    source: ContentSource.BUNDLED,
+    updatedAt: null,
+    error,
+  });
+
+  /**
+   * Fetch and validate a collection through the adapter
+   * @param {string} collection - Collection name
+   * @returns {Promise<ContentResult>} Result
+   */
+  const fetchCollection = async (collection) => {
+    try {
+      const envelope = await adapter.fetch(collection);
+
+      if (!envelope || envelope.version !== CONTENT_SCHEMA_VERSION) {
+        throw new ContentError(
+          `Expected content version ${CONTENT_SCHEMA_VERSION}, got ${envelope?.version}`,
+          ContentErrorType.VERSION_MISMATCH,
+          { collection }
+        );
+      }
+
+      const errors = validateCollection(collection, envelope.data);
+      if (errors.length > 0) {
+        throw new ContentError(`Invalid ${collection} content`, ContentErrorType.INVALID_CONTENT, {
+          collection,
+          errors,
+        });
+      }
+
+      return {
+        collection,
+        data: deepFreeze(envelope.data),
+        source: adapter.source,
+        updatedAt: envelope.updatedAt || null,
+        error: null,
+      };
+    } catch (error) {
+      const contentError = error instanceof ContentError
+        ? error
+        : new ContentError(error.message, ContentErrorType.FETCH_FAILED, { collection });
+
+      console.warn(`[ContentLoader] Using bundled ${collection} content:`, contentError.message, contentError.errors);
+      return bundledResult(collection, contentError);
+    }
+  };
+
+  /**
+   * Load a collection
+   * @param {string} collection - Collection name from CONTENT_COLLECTIONS
+   * @returns {Promise<ContentResult>} Result; never rejects for known collections
+   * @throws {ContentError} If the collection doesn't exist
+   */
+  const load = async (collection) => {
+    if (!COLLECTIONS[collection]) {
+      throw new ContentError(`Unknown content collection: ${collection}`, ContentErrorType.UNKNOWN_COLLECTION);
+    }
+
+    if (results.has(collection)) {
+      return results.get(collection);
+    }
+
+    if (!adapter) {
+      const result = bundledResult(collection);
+      results.set(collection, result);
+      return result;
+    }
+
+    if (!pending.has(collection)) {
+      pending.set(collection, fetchCollection(collection).then((result) => {
+        results.set(collection, result);
+        pending.delete(collection);
+        return result;
+      }));
+    }
+
+    return pending.get(collection);
+  };
+
+  return {
+    source: adapter ? adapter.source : ContentSource.BUNDLED,
+    load,
+
+    /**
+     * Load several collections in parallel
+     * @param {string[]} [collections=CONTENT_COLLECTIONS] - Collection names
+     * @returns {Promise<Object<string, ContentResult>>} Results keyed by collection
+     */
+    async loadAll(collections = CONTENT_COLLECTIONS) {
+      const loaded = await Promise.all(collections.map(load));
+      return Object.fromEntries(loaded.map((result) => [result.collection, result]));
+    },
+
+    /**
+     * Get a collection's data without waiting
+     * @param {string} collection - Collection name
+     * @returns {*} Loaded data, or the bundled data if it hasn't loaded yet
+     */
+    get(collection) {
+      if (!COLLECTIONS[collection]) {
+        throw new ContentError(`Unknown content collection: ${collection}`, ContentErrorType.UNKNOWN_COLLECTION);
+      }
+
+      return results.has(collection) ? results.get(collection).data : COLLECTIONS[collection].bundled;
+    },
+
+    /**
+     * Forget loaded content so the next load fetches again
+     */
+    clear() {
+      results.clear();
+      pending.clear();
+    },
+  };
+}
+
+/**
+ * Create the adapter configured by environment variables
+ * @returns {ContentAdapter|null} Adapter, or null for bundled content
+ */
+function createAdapterFromEnv() {
+  const source = import.meta.env.VITE_CONTENT_SOURCE || ContentSource.BUNDLED;
+
+  try {
+    switch (source) {
+      case ContentSource.JSON:
+        return createJsonAdapter({ baseUrl: import.meta.env.VITE_CONTENT_URL || '/content' });
+      case ContentSource.CMS:
+        return createCmsAdapter({ endpoint: import.meta.env.VITE_CMS_ENDPOINT });
+      case ContentSource.BUNDLED:
+        return null;
+      default:
+        console.warn(`[ContentLoader] Unknown content source '${source}', using bundled content`);
+        return null;
+    }
+  } catch (error) {
+    console.warn('[ContentLoader] Failed to configure content source, using bundled content:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Site-wide loader for the configured source
+ */
+const contentLoader = createContentLoader({ adapter: createAdapterFromEnv() });
+
+/**
+ * Load content from the configured source
+ * @param {string[]} [collections=CONTENT_COLLECTIONS] - Collection names
+ * @returns {Promise<Object<string, ContentResult>>} Results keyed by collection
+ */
+export function loadContent(collections = CONTENT_COLLECTIONS) {
+  return contentLoader.loadAll(collections);
+}
+
+/**
+ * Get content from the configured source without waiting
+ * @param {string} collection - Collection name
+ * @returns {*} Loaded data, or the bundled data if it hasn't loaded yet
+ */
+export function getContent(collection) {
+  return contentLoader.get(collection);
+}
+
+/**
+ * Get the configured content source
+ * @returns {string} ContentSource value
+ */
+export function getContentSource() {
+  return contentLoader.source;
+}
+
+export default {
+  CONTENT_SCHEMA_VERSION,
+  CONTENT_COLLECTIONS,
+  ContentSource,
+  ContentErrorType,
+  ContentError,
+  createJsonAdapter,
+  createCmsAdapter,
+  createLocalAdapter,
+  createContentLoader,
+  loadContent,
+  getContent,
+  getContentSource,
+};
@@ -0,0 +1,656 @@
+/**
+ * Content Schemas
+ *
+ * One declarative schema per export of every module in src/data, written with
+ * the helpers in utils/schemaValidator.js. Run them with
+ * `npm run validate-content`, which reports every error with its file and
+ * record path.
+ *
+ * Schemas check required fields, types, ID uniqueness, date formats and
+ * cross-references between modules (role categories against ROLE_CATEGORIES,
+ * photos against CONTENT_CATEGORIES, campaigns against programs and so on).
+ * The allowed values for those cross-references are built from the data
+ * itself in CONTENT_REFERENCES.
+ *
+ * Every export needs a schema: a new export, or a new file in src/data, fails
+ * validation until one is added here.
+ *
+ * @module utils/contentSchemas
+ * @version 1.0.0
+ */
+
+import { CONTENT_CATEGORIES } from '../data/impactContent.js';
+import { PROGRAM_CATEGORIES, allPrograms } from '../data/programsContent.js';
+import {
+  ROLE_CATEGORIES,
+  TIME_COMMITMENTS,
+  AVAILABILITY_SLOTS,
+  FORM_SECTIONS,
+} from '../data/volunteerContent.js';
+import { SUPPORTED_CURRENCIES, DESIGNATION_TYPES } from '../data/donationContent.js';
+import { ROUTE_VIEWS } from '../data/routes.js';
+import { LOCALE_CONTENT } from '../data/locales/index.js';
+import {
+  StringFormat,
+  string,
+  number,
+  boolean,
+  any,
+  arrayOf,
+  object,
+  recordOf,
+  optional,
+  nullable,
+  ref,
+  validateSchema,
+} from './schemaValidator.js';
+
+/**
+ * Allowed values for ref() cross-references, built from the content itself
+ * @constant {Object<string, Array>}
+ */
+export const CONTENT_REFERENCES = Object.freeze({
+  contentCategories: CONTENT_CATEGORIES.map((category) => category.id),
+  programCategories: Object.values(PROGRAM_CATEGORIES),
+  programCount: [allPrograms.length],
+  designations: [...Object.values(PROGRAM_CATEGORIES), ...allPrograms.map((program) => program.id)],
+  designationTypes: Object.values(DESIGNATION_TYPES),
+  roleCategories: Object.values(ROLE_CATEGORIES).map((category) => category.id),
+  timeCommitments: Object.values(TIME_COMMITMENTS).map((commitment) => commitment.id),
+  availabilitySlots: [...AVAILABILITY_SLOTS],
+  formSections: FORM_SECTIONS.map((section) => section.id),
+  currencies: SUPPORTED_CURRENCIES.map((currency) => currency.code),
+  paymentChannels: ['card', 'bank_transfer', 'ussd', 'mobile_money'],
+  routeViews: Object.values(ROUTE_VIEWS),
+  seoPages: ['home', 'about', 'programs', 'impact', 'donate', 'volunteer', 'contact', 'admin'],
+  changeFrequencies: ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'],
+  locales: Object.keys(LOCALE_CONTENT),
+});
+
+/**
+ * Record IDs: lowercase words, digits and hyphens
+ */
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Shared field schemas
+ */
+const id = () => string({ pattern: ID_PATTERN });
+const text = () => string();
+const date = () => string({ format: StringFormat.DATE });
+const dateTime = () => string({ format: StringFormat.DATE_TIME });
+const url = () => string({ format: StringFormat.URL });
+const sitePath = () => string({ format: StringFormat.PATH });
+const email = () => string({ format: StringFormat.EMAIL });
+const strings = (options) => arrayOf(text(), { minItems: 1, ...options });
+const enumOf = () => recordOf(text(), { keys: string({ pattern: /^[A-Z][A-Z0-9_]*$/ }), minKeys: 1 });
+const idLabel = () => object({ id: id(), label: text(), description: optional(text()) });
+
+/**
+ * Schemas shared between modules
+ */
+const PROGRAM_EVENT_SCHEMA = object({
+  id: id(),
+  name: text(),
+  description: text(),
+  startDate: dateTime(),
+  endDate: optional(dateTime()),
+  location: optional(object({ name: text() })),
+});
+
+const PROGRAM_SCHEMA = object({
+  id: id(),
+  category: string({ oneOf: ref('programCategories') }),
+  icon: text(),
+  title: text(),
+  description: text(),
+  impact: object({ metric: text(), value: text() }),
+  ctaText: text(),
+  ctaLink: sitePath(),
+  lastUpdated: date(),
+  events: optional(arrayOf(PROGRAM_EVENT_SCHEMA, { unique: 'id' })),
+});
+
+const PROGRAM_LIST_SCHEMA = arrayOf(PROGRAM_SCHEMA, { minItems: 1, unique: 'id' });
+
+const HERO_SCHEMA = object({
+  backgroundImage: object({
+    url: url(),
+    alt: text(),
+    webpUrl: optional(url()),
+    sizes: optional(text()),
+    srcset: arrayOf(object({ width: number({ integer: true, min: 1 }), url: url() }), { minItems: 1, unique: 'width' }),
+  }),
+  content: object({
+    headline: text(),
+    mission: text(),
+    ctaPrimary: object({ text: text(), href: text(), ariaLabel: optional(text()) }),
+    ctaSecondary: object({ text: text(), href: text(), ariaLabel: optional(text()) }),
+  }),
+  animation: optional(object({ fadeInDelay: number({ min: 0 }), staggerDelay: number({ min: 0 }) })),
+  loading: optional(object({ priority: optional(text()), fetchPriority: optional(text()) })),
+  lastUpdated: date(),
+});
+
+const TEAM_MEMBER_SCHEMA = object({
+  id: id(),
+  name: text(),
+  role: text(),
+  bio: text(),
+  photoId: text(),
+});
+
+const ABOUT_STATEMENT_SCHEMA = object({ title: text(), statement: text(), icon: text() });
+
+const ABOUT_SCHEMAS = {
+  story: object({
+    title: text(),
+    content: arrayOf(object({ year: string({ pattern: /^\d{4}$/ }), heading: text(), text: text() }), { minItems: 1, unique: 'year' }),
+  }),
+  values: object({
+    title: text(),
+    items: arrayOf(object({ icon: text(), title: text(), description: text() }), { minItems: 1, unique: 'title' }),
+  }),
+  approach: object({
+    title: text(),
+    subtitle: text(),
+    methods: arrayOf(object({ step: string({ pattern: /^\d{2}$/ }), title: text(), description: text() }), { minItems: 1, unique: 'step' }),
+  }),
+  makoko: object({
+    title: text(),
+    subtitle: text(),
+    description: text(),
+    challenges: strings(),
+    strengths: strings(),
+  }),
+  team: arrayOf(TEAM_MEMBER_SCHEMA, { minItems: 1, unique: 'id' }),
+  images: recordOf(text(), { minKeys: 1 }),
+};
+
+const SEO_PAGE_SCHEMA = object({
+  title: string({ maxLength: 70 }),
+  description: string({ maxLength: 200 }),
+  keywords: strings({ unique: true }),
+  image: text(),
+  type: text(),
+  structuredData: object({
+    breadcrumbs: arrayOf(object({ name: text(), url: sitePath() }), { minItems: 1 }),
+  }),
+});
+
+const LOCALE_SCHEMA = object({
+  messages: recordOf(recordOf(text()), { minKeys: 1 }),
+});
+
+/**
+ * Schemas by src/data module path, then by export name
+ * Modules without named exports are checked through `default`.
+ * @constant {Object<string, Object<string, Object>>}
+ */
+export const CONTENT_SCHEMAS = Object.freeze({
+  'aboutContent.js': {
+    MISSION: ABOUT_STATEMENT_SCHEMA,
+    VISION: ABOUT_STATEMENT_SCHEMA,
+    STORY: ABOUT_SCHEMAS.story,
+    VALUES: ABOUT_SCHEMAS.values,
+    APPROACH: ABOUT_SCHEMAS.approach,
+    MAKOKO: ABOUT_SCHEMAS.makoko,
+    TEAM_MEMBERS: ABOUT_SCHEMAS.team,
+    ABOUT_IMAGES: ABOUT_SCHEMAS.images,
+    ABOUT_CONTENT: object({
+      mission: ABOUT_STATEMENT_SCHEMA,
+      vision: ABOUT_STATEMENT_SCHEMA,
+      ...ABOUT_SCHEMAS,
+      lastUpdated: date(),
+    }),
+  },
+
+  'campaignContent.js': {
+    CAMPAIGN_STATUS: enumOf(),
+    CAMPAIGNS: arrayOf(object({
+      id: id(),
+      title: text(),
+      summary: text(),
+      currency: string({ oneOf: ref('currencies') }),
+      goal: number({ min: 1 }),
+      raised: number({ min: 0 }),
+      donorCount: number({ integer: true, min: 0 }),
+      startDate: dateTime(),
+      deadline: dateTime(),
+      matchMultiplier: number({ min: 1 }),
+      matchSponsor: nullable(text()),
+      designation: string({ oneOf: ref('designations') }),
+      lastUpdated: date(),
+    }), { unique: 'id' }),
+    FUNDRAISER_OCCASIONS: arrayOf(object({ id: id(), label: text() }), { minItems: 1, unique: 'id' }),
+    FUNDRAISER_LIMITS: recordOf(number({ integer: true, min: 1 })),
+  },
+
+  'contactContent.js': {
+    contactInfo: object({
+      lastUpdated: date(),
+      organization: object({ name: text(), tagline: text(), registrationNumber: text() }),
+      address: object({
+        street: text(),
+        city: text(),
+        state: text(),
+        country: text(),
+        postalCode: text(),
+        formatted: text(),
+      }),
+      phone: object({
+        primary: text(),
+        secondary: optional(text()),
+        formatted: text(),
+        international: string({ pattern: /^\+\d{7,15}$/ }),
+      }),
+      email: recordOf(email(), { minKeys: 1 }),
+      hours: recordOf(recordOf(text())),
+      coordinates: object({
+        lat: number({ min: -90, max: 90 }),
+        lng: number({ min: -180, max: 180 }),
+        zoom: number({ integer: true, min: 0, max: 21 }),
+        mapType: text(),
+      }),
+    }),
+    socialMedia: object({
+      platforms: arrayOf(object({
+        id: id(),
+        name: text(),
+        handle: text(),
+        url: url(),
+        displayUrl: text(),
+        active: boolean(),
+        priority: number({ integer: true, min: 1 }),
+      }), { minItems: 1, unique: 'id' }),
+      feeds: recordOf(any()),
+      sharing: object({
+        enabled: boolean(),
+        message: text(),
+        hashtags: strings({ unique: true }),
+        defaultShareText: text(),
+      }),
+    }),
+    contactForm: object({
+      fields: recordOf(object({ name: text(), type: text() })),
+      validation: recordOf(any()),
+      submission: object({
+        endpoint: text(),
+        method: string({ oneOf: ['GET', 'POST'] }),
+        timeout: number({ min: 0 }),
+        retryAttempts: number({ integer: true, min: 0 }),
+        retryDelay: number({ min: 0 }),
+      }),
+      spamProtection: recordOf(any()),
+      notifications: recordOf(any()),
+      messages: recordOf(any()),
+      privacy: object({ notice: text(), policyUrl: text(), termsUrl: text() }),
+    }),
+    mapConfig: object({
+      apiKey: string({ allowEmpty: true }),
+      embed: recordOf(any()),
+      marker: object({ title: text(), label: text(), icon: nullable(text()) }),
+      directions: recordOf(any()),
+      features: recordOf(boolean()),
+      styles: arrayOf(any()),
+      fallback: object({ staticMapUrl: url(), alternativeText: text() }),
+    }),
+    contentSections: recordOf(recordOf(any())),
+    emailTemplates: recordOf(object({ subject: text(), html: text(), text: text() })),
+    accessibility: object({ labels: recordOf(text()), announcements: recordOf(text()) }),
+  },
+
+  'donationContent.js': {
+    BASE_CURRENCY: string({ oneOf: ref('currencies') }),
+    SUPPORTED_CURRENCIES: arrayOf(object({ code: string({ pattern: /^[A-Z]{3}$/ }), label: text() }), { minItems: 1, unique: 'code' }),
+    CURRENCY_RATES: recordOf(number({ min: 0 }), { keys: string({ oneOf: ref('currencies') }) }),
+    CURRENCY_TAX_COUNTRIES: recordOf(string({ pattern: /^[A-Z]{2}$/ }), { keys: string({ oneOf: ref('currencies') }) }),
+    AMOUNT_VALIDATION: recordOf(object({ min: number({ min: 0 }), max: number({ min: 1 }) }), { keys: string({ oneOf: ref('currencies') }) }),
+    SUGGESTED_AMOUNTS: recordOf(
+      arrayOf(object({ amount: number({ min: 1 }), impact: text(), popular: boolean() }), { minItems: 1, unique: 'amount' }),
+      { keys: string({ oneOf: ref('currencies') }) }
+    ),
+    DONATION_FREQUENCIES: arrayOf(object({ id: id(), label: text(), description: text(), badge: optional(text()) }), { minItems: 1, unique: 'id' }),
+    SUBSCRIPTION_FREQUENCIES: arrayOf(object({ id: text(), label: text(), description: text() }), { minItems: 1, unique: 'id' }),
+    PAYMENT_METHODS: arrayOf(object({
+      id: id(),
+      name: text(),
+      icon: text(),
+      description: text(),
+      currencies: arrayOf(string({ oneOf: ref('currencies') }), { minItems: 1, unique: true }),
+      channels: optional(arrayOf(string({ oneOf: ref('paymentChannels') }), { unique: true })),
+    }), { minItems: 1, unique: 'id' }),
+    FUND_ALLOCATION: arrayOf(object({
+      category: text(),
+      percentage: number({ min: 0, max: 100 }),
+      color: text(),
+      description: text(),
+    }), { minItems: 1, unique: 'category', sum: { field: 'percentage', equals: 100 } }),
+    IMPACT_DESCRIPTIONS: recordOf(text()),
+    DESIGNATION_TYPES: enumOf(),
+    GENERAL_DESIGNATION: object({ type: string({ oneOf: ref('designationTypes') }), id: id(), label: text() }),
+    EMAIL_PATTERN: any(),
+    FIELD_VALIDATION: recordOf(object({ message: text() })),
+    CONFIRMATION_MESSAGES: recordOf(text()),
+    RECURRING_INFO: recordOf(text()),
+    SECURITY_MESSAGES: recordOf(text()),
+    RECEIPT_CONFIG: object({
+      organizationName: text(),
+      address: text(),
+      email: email(),
+      website: url(),
+      receiptPrefix: string({ pattern: /^[A-Z]+$/ }),
+      taxIds: recordOf(object({ label: text(), value: optional(text()) })),
+    }),
+    TAX_DEDUCTIBILITY: recordOf(object({ taxIdCountry: nullable(text()), statement: text() })),
+  },
+
+  'heroContent.js': {
+    heroContent: HERO_SCHEMA,
+    heroContentLocales: recordOf(HERO_SCHEMA, { keys: string({ oneOf: ref('locales') }) }),
+  },
+
+  'impactContent.js': {
+    IMPACT_STATISTICS: arrayOf(object({
+      id: id(),
+      value: number({ min: 0 }),
+      label: text(),
+      description: text(),
+      icon: text(),
+      category: text(),
+      trend: optional(text()),
+      lastUpdated: date(),
+    }), { minItems: 1, unique: 'id' }),
+    IMPACT_POINTS: arrayOf(object({
+      id: id(),
+      title: text(),
+      description: text(),
+      icon: text(),
+      priority: number({ integer: true, min: 1 }),
+    }), { minItems: 1, unique: 'id' }),
+    TESTIMONIALS: arrayOf(object({
+      id: id(),
+      name: text(),
+      role: text(),
+      type: string({ oneOf: ['beneficiary', 'volunteer', 'parent', 'partner', 'donor'] }),
+      quote: text(),
+      image: nullable(text()),
+      category: string({ oneOf: ref('contentCategories') }),
+      featured: boolean(),
+      date: date(),
+    }), { minItems: 1, unique: 'id' }),
+    SUCCESS_STORIES: arrayOf(object({
+      id: id(),
+      title: text(),
+      subject: text(),
+      age: number({ integer: true, min: 0 }),
+      summary: text(),
+      beforeDescription: text(),
+      afterDescription: text(),
+      impact: recordOf(any()),
+      category: string({ oneOf: ref('contentCategories') }),
+      featured: boolean(),
+      images: object({ before: nullable(text()), after: nullable(text()) }),
+      timeline: arrayOf(object({ year: number({ integer: true, min: 1900 }), event: text() }), { minItems: 1 }),
+      testimonial: text(),
+      date: date(),
+    }), { minItems: 1, unique: 'id' }),
+    PHOTO_GALLERY: arrayOf(object({
+      id: id(),
+      unsplashId: text(),
+      alt: text(),
+      category: string({ oneOf: ref('contentCategories') }),
+      featured: boolean(),
+      caption: text(),
+      date: date(),
+    }), { minItems: 1, unique: 'id' }),
+    IMPACT_METRICS: recordOf(recordOf(number({ min: 0 }), { minKeys: 1 }), { minKeys: 1 }),
+    CONTENT_CATEGORIES: arrayOf(object({
+      id: id(),
+      label: text(),
+      description: text(),
+      color: text(),
+      icon: text(),
+    }), { minItems: 1, unique: 'id' }),
+  },
+
+  'programsContent.js': {
+    PROGRAM_CATEGORIES: enumOf(),
+    PROGRAM_CATEGORY_LABELS: recordOf(text(), { keys: string({ oneOf: ref('programCategories') }) }),
+    PROGRAM_RELATED_CATEGORIES: recordOf(object({
+      photos: string({ oneOf: ref('contentCategories') }),
+      roles: arrayOf(string({ oneOf: ref('roleCategories') }), { minItems: 1, unique: true }),
+    }), { keys: string({ oneOf: ref('programCategories') }) }),
+    programsMetadata: object({
+      sectionTitle: text(),
+      sectionSubtitle: text(),
+      sectionDescription: text(),
+      totalPrograms: number({ oneOf: ref('programCount') }),
+      categories: arrayOf(string({ oneOf: ref('programCategories') }), { minItems: 1, unique: true }),
+    }),
+    educationPrograms: PROGRAM_LIST_SCHEMA,
+    healthcarePrograms: PROGRAM_LIST_SCHEMA,
+    nutritionPrograms: PROGRAM_LIST_SCHEMA,
+    skillsPrograms: PROGRAM_LIST_SCHEMA,
+    communityPrograms: PROGRAM_LIST_SCHEMA,
+    allPrograms: PROGRAM_LIST_SCHEMA,
+  },
+
+  'routes.js': {
+    ROUTE_NAMES: enumOf(),
+    ROUTE_VIEWS: enumOf(),
+    ROUTES: arrayOf(object({
+      name: text(),
+      path: sitePath(),
+      seo: string({ oneOf: ref('seoPages') }),
+      view: string({ oneOf: ref('routeViews') }),
+      sectionId: optional(text()),
+    }), { minItems: 1, unique: 'name' }),
+    LEGACY_HASH_PATHS: recordOf(sitePath(), { keys: string({ pattern: /^#[a-z-]+$/ }) }),
+  },
+
+  'seoContent.js': {
+    DEFAULT_SEO: object({
+      siteName: text(),
+      siteUrl: url(),
+      defaultImage: text(),
+      twitterHandle: string({ pattern: /^@\w+$/ }),
+      facebookAppId: string({ allowEmpty: true }),
+      locale: string({ pattern: /^[a-z]{2}_[A-Z]{2}$/ }),
+      alternateLocales: arrayOf(string({ pattern: /^[a-z]{2,3}_[A-Z]{2}$/ }), { unique: true }),
+      organizationEmail: email(),
+      organizationPhone: text(),
+    }),
+    HOME_SEO: SEO_PAGE_SCHEMA,
+    ABOUT_SEO: SEO_PAGE_SCHEMA,
+    PROGRAMS_SEO: SEO_PAGE_SCHEMA,
+    IMPACT_SEO: SEO_PAGE_SCHEMA,
+    DONATE_SEO: SEO_PAGE_SCHEMA,
+    VOLUNTEER_SEO: SEO_PAGE_SCHEMA,
+    CONTACT_SEO: SEO_PAGE_SCHEMA,
+    ADMIN_SEO: object({
+      title: string({ maxLength: 70 }),
+      description: string({ maxLength: 200 }),
+      robots: string({ pattern: /\bnoindex\b/ }),
+      type: text(),
+    }),
+    ORGANIZATION_SCHEMA: object({ '@context': url(), '@type': text(), name: text(), url: url() }),
+    PROGRAM_SCHEMAS: arrayOf(object({ '@context': url(), '@type': text(), name: text(), description: text() }), { unique: 'name' }),
+    FAQ_SCHEMA: object({
+      '@context': url(),
+      '@type': string({ oneOf: ['FAQPage'] }),
+      mainEntity: arrayOf(object({
+        '@type': string({ oneOf: ['Question'] }),
+        name: text(),
+        acceptedAnswer: object({ '@type': string({ oneOf: ['Answer'] }), text: text() }),
+      }), { minItems: 1, unique: 'name' }),
+    }),
+    TWITTER_CARDS: recordOf(object({ card: text(), title: text(), description: text(), image: text() })),
+    SOCIAL_SHARING: recordOf(object({ title: text(), description: text(), hashtags: strings({ unique: true }) })),
+    SITEMAP_PAGES: arrayOf(object({
+      path: sitePath(),
+      priority: number({ min: 0, max: 1 }),
+      changefreq: string({ oneOf: ref('changeFrequencies') }),
+      title: text(),
+    }), { minItems: 1, unique: 'path' }),
+    ROBOTS_CONFIG: object({
+      allowAll: boolean(),
+      disallowPaths: arrayOf(sitePath(), { unique: true }),
+      crawlDelay: nullable(number({ min: 0 })),
+      blockedAgents: arrayOf(text(), { unique: true }),
+      sitemapUrl: url(),
+    }),
+  },
+
+  'volunteerContent.js': {
+    ROLE_CATEGORIES: recordOf(object({
+      id: id(),
+      label: text(),
+      description: text(),
+      color: text(),
+      icon: text(),
+    })),
+    TIME_COMMITMENTS: recordOf(idLabel()),
+    AVAILABILITY_SLOTS: arrayOf(text(), { minItems: 1, unique: true }),
+    SHIFT_SCHEDULE: object({
+      timeZone: text(),
+      utcOffset: string({ pattern: /^[+-]\d{2}:\d{2}$/ }),
+      weeksAhead: number({ integer: true, min: 1 }),
+      defaultCapacity: number({ integer: true, min: 1 }),
+      waitlistLimit: number({ integer: true, min: 0 }),
+      slots: recordOf(object({
+        days: arrayOf(number({ integer: true, min: 0, max: 6 }), { minItems: 1, unique: true }),
+        start: string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/ }),
+      }), { keys: string({ oneOf: ref('availabilitySlots') }) }),
+      recurrence: recordOf(string({ oneOf: ['week', 'month'] }), { keys: string({ oneOf: ref('timeCommitments') }) }),
+    }),
+    VOLUNTEER_ROLES: arrayOf(object({
+      id: id(),
+      title: text(),
+      category: string({ oneOf: ref('roleCategories') }),
+      description: text(),
+      timeCommitment: string({ oneOf: ref('timeCommitments') }),
+      hoursPerWeek: text(),
+      skillsNeeded: strings(),
+      requirements: strings(),
+      impact: text(),
+      location: text(),
+      availability: arrayOf(string({ oneOf: ref('availabilitySlots') }), { minItems: 1, unique: true }),
+      shiftCapacity: optional(number({ integer: true, min: 1 })),
+      featured: boolean(),
+      benefits: strings(),
+      lastUpdated: date(),
+    }), { minItems: 1, unique: 'id' }),
+    APPLICATION_STAGES: arrayOf(object({
+      id: id(),
+      label: text(),
+      description: text(),
+      requirementKeywords: optional(arrayOf(string({ pattern: /^[a-z ]+$/ }), { minItems: 1, unique: true })),
+    }), { minItems: 1, unique: 'id' }),
+    VOLUNTEER_TESTIMONIALS: arrayOf(object({
+      id: id(),
+      name: text(),
+      role: text(),
+      quote: text(),
+      image: url(),
+      duration: text(),
+      location: text(),
+      featured: boolean(),
+    }), { minItems: 1, unique: 'id' }),
+    APPLICATION_FORM_FIELDS: arrayOf(object({
+      id: id(),
+      name: text(),
+      label: text(),
+      type: string({ oneOf: ['text', 'email', 'tel', 'select', 'textarea', 'checkbox', 'checkbox-group'] }),
+      required: boolean(),
+      section: string({ oneOf: ref('formSections') }),
+      options: optional(arrayOf(object({ value: text(), label: text() }), { minItems: 1, unique: 'value' })),
+    }), { minItems: 1, unique: 'name' }),
+    FORM_SECTIONS: arrayOf(object({ id: id(), title: text(), description: text(), icon: text() }), { minItems: 1, unique: 'id' }),
+    PROGRAM_BENEFITS: arrayOf(object({ id: id(), title: text(), description: text(), icon: text() }), { minItems: 1, unique: 'id' }),
+    VOLUNTEER_STATISTICS: arrayOf(object({
+      id: id(),
+      value: number({ min: 0 }),
+      label: text(),
+      suffix: string({ allowEmpty: true }),
+      icon: text(),
+    }), { minItems: 1, unique: 'id' }),
+    VOLUNTEER_FAQ: arrayOf(object({ id: id(), question: text(), answer: text() }), { minItems: 1, unique: 'id' }),
+  },
+
+  'locales/index.js': {
+    LOCALE_CONTENT: recordOf(LOCALE_SCHEMA, { minKeys: 1 }),
+  },
+  'locales/en.js': { default: LOCALE_SCHEMA },
+  'locales/fr.js': { default: LOCALE_SCHEMA },
+  'locales/pcm.js': { default: LOCALE_SCHEMA },
+  'locales/yo.js': { default: LOCALE_SCHEMA },
+});
+
+/**
+ * Content validation error
+ * @typedef {Object} ContentValidationError
+ * @property {string} file - Module path relative to src/data
+ * @property {string} path - Export and record path, e.g. VOLUNTEER_ROLES[2].category
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Get the exports of a module that hold content
+ * Functions are helpers, and `default` only repeats the named exports unless
+ * the module has nothing else.
+ * @param {Object} moduleExports - Module namespace
+ * @returns {Array<[string, *]>} Export name and value pairs
+ */
+function getContentExports(moduleExports) {
+  const entries = Object.entries(moduleExports).filter(([, value]) => typeof value !== 'function');
+  const named = entries.filter(([name]) => name !== 'default');
+
+  return named.length > 0 ? named : entries;
+}
+
+/**
+ * Validate content modules against CONTENT_SCHEMAS
+ * @param {Object<string, Object>} modules - Module namespaces keyed by path relative to src/data
+ * @returns {{valid: boolean, errors: ContentValidationError[], checked: number}} Every error found and the number of exports checked
+ */
+export function validateContentModules(modules) {
+  const errors = [];
+  let checked = 0;
+
+  Object.entries(modules).forEach(([file, moduleExports]) => {
+    const schemas = CONTENT_SCHEMAS[file];
+
+    if (!schemas) {
+      errors.push({ file, path: '', message: 'has no schemas in utils/contentSchemas.js' });
+      return;
+    }
+
+    const contentExports = getContentExports(moduleExports);
+
+    contentExports.forEach(([name, value]) => {
+      const schema = schemas[name];
+
+      if (!schema) {
+        errors.push({ file, path: name, message: 'has no schema in utils/contentSchemas.js' });
+        return;
+      }
+
+      checked += 1;
+      validateSchema(value, schema, { path: name, references: CONTENT_REFERENCES }).errors
+        .forEach((error) => errors.push({ file, ...error }));
+    });
+
+    Object.keys(schemas)
+      .filter((name) => !contentExports.some(([exportName]) => exportName === name))
+      .forEach((name) => errors.push({ file, path: name, message: 'has a schema but is not exported' }));
+  });
+
+  return { valid: errors.length === 0, errors, checked };
+}
+
+export default {
+  CONTENT_REFERENCES,
+  CONTENT_SCHEMAS,
+  validateContentModules,
+};
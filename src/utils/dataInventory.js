@@ -0,0 +1,353 @@
+/**
+ * Client-Side Data Inventory
+ *
+ * Single list of every place this site stores data in the visitor's browser,
+ * used to answer data subject requests: each store can describe itself, export
+ * its contents and erase them. When a feature starts writing to a new key,
+ * database or cache, register it in DATA_STORES so the "My data" page keeps
+ * covering everything.
+ *
+ * @module utils/dataInventory
+ * @version 1.0.0
+ */
+
+import {
+  exportPrivacyData,
+  clearPrivacyData,
+  withdrawConsent,
+} from './privacy.js';
+import { ANALYTICS_CONSENT_STORAGE_KEY } from './analytics.js';
+import { SOCIAL_CONSENT_STORAGE_KEY } from './socialConfig.js';
+import { RECEIPT_STORAGE_KEY } from './receipts.js';
+import { downloadBlob } from './download.js';
+import { SESSION_STORAGE_KEY } from './subscriptions.js';
+import { VOLUNTEER_PROFILE_STORAGE_KEY } from './volunteerShifts.js';
+import { ADMIN_SESSION_KEY } from './adminAuth.js';
+import {
+  OUTBOX_CONFIG,
+  isOutboxSupported,
+  getQueuedSubmissions,
+  removeQueuedSubmission,
+} from './submissionQueue.js';
+import { getSubmissionHistory, clearSubmissionHistory } from './formSubmission.js';
+import { SERVICE_WORKER_CACHE_PREFIX } from './serviceWorker.js';
+
+/**
+ * Browser storage mechanisms
+ * @enum {string}
+ */
+export const StorageLocation = Object.freeze({
+  LOCAL_STORAGE: 'localStorage',
+  SESSION_STORAGE: 'sessionStorage',
+  INDEXED_DB: 'IndexedDB',
+  CACHE_STORAGE: 'Cache Storage',
+  COOKIES: 'Cookies',
+  MEMORY: 'Page memory',
+});
+
+/**
+ * Read and parse a JSON value from web storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, the raw string if it isn't JSON, or null
+ */
+function readStorage(storage, key) {
+  const value = storage.getItem(key);
+
+  if (value === null) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Describe a single web storage key
+ * @param {Object} definition - Store definition
+ * @param {Storage} definition.storage - localStorage or sessionStorage
+ * @returns {DataStore} Store
+ */
+function webStorageStore({ storage, ...definition }) {
+  return {
+    ...definition,
+    read: async () => readStorage(storage, definition.key),
+    erase: async () => storage.removeItem(definition.key),
+  };
+}
+
+/**
+ * Read first-party cookies
+ * @returns {Object.<string, string>} Cookie values keyed by name
+ */
+function readCookies() {
+  return document.cookie
+    .split(';')
+    .map((cookie) => cookie.trim())
+    .filter(Boolean)
+    .reduce((cookies, cookie) => {
+      const [name, ...value] = cookie.split('=');
+      cookies[name] = decodeURIComponent(value.join('='));
+      return cookies;
+    }, {});
+}
+
+/**
+ * Expire every readable cookie on this host and its parent domains
+ */
+function eraseCookies() {
+  const parts = window.location.hostname.split('.');
+  const domains = [''];
+
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    domains.push(`; domain=.${parts.slice(i).join('.')}`);
+  }
+
+  Object.keys(readCookies()).forEach((name) => {
+    domains.forEach((domain) => {
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+    });
+  });
+}
+
+/**
+ * @typedef {Object} DataStore
+ * @property {string} id - Stable store ID used in exports
+ * @property {string} label - Human-readable name
+ * @property {string} location - StorageLocation
+ * @property {string} key - Storage key, database or cache name
+ * @property {string} description - What is stored and why
+ * @property {function(): Promise<*>} read - Read the stored data (null when empty)
+ * @property {function(): Promise<void>} erase - Delete the stored data
+ */
+
+/**
+ * Every client-side store the site writes
+ * @type {DataStore[]}
+ */
+export const DATA_STORES = [
+  {
+    id: 'privacy',
+    label: 'Privacy choices and preferences',
+    location: StorageLocation.LOCAL_STORAGE,
+    key: 'privacy_consent, privacy_preferences, consent_timestamp, consent_version, analytics_opt_out',
+    description: 'Your cookie consent choices, when you made them, and saved preferences including your language and your newsletter subscription with the consent you gave for it.',
+    read: async () => exportPrivacyData(),
+    erase: async () => {
+      // Withdraw first so running analytics stop, then remove the stored record
+      withdrawConsent();
+      clearPrivacyData();
+    },
+  },
+  webStorageStore({
+    id: 'analyticsConsent',
+    label: 'Analytics consent copy',
+    storage: localStorage,
+    location: StorageLocation.LOCAL_STORAGE,
+    key: ANALYTICS_CONSENT_STORAGE_KEY,
+    description: 'A copy of your consent choices used by the analytics and marketing tags.',
+  }),
+  webStorageStore({
+    id: 'socialConsent',
+    label: 'Social media embeds consent',
+    storage: localStorage,
+    location: StorageLocation.LOCAL_STORAGE,
+    key: SOCIAL_CONSENT_STORAGE_KEY,
+    description: 'Whether you allowed social media feeds to load on this site.',
+  }),
+  webStorageStore({
+    id: 'receiptNumbers',
+    label: 'Donation receipt numbers',
+    storage: localStorage,
+    location: StorageLocation.LOCAL_STORAGE,
+    key: RECEIPT_STORAGE_KEY,
+    description: 'Provisional receipt numbers issued on this device so a re-downloaded receipt keeps the same number.',
+  }),
+  webStorageStore({
+    id: 'volunteerProfile',
+    label: 'Volunteer shift details',
+    storage: localStorage,
+    location: StorageLocation.LOCAL_STORAGE,
+    key: VOLUNTEER_PROFILE_STORAGE_KEY,
+    description: 'Your name, email and calendar feed key, remembered after your first volunteer shift sign-up. Erasing it does not cancel your shifts.',
+  }),
+  webStorageStore({
+    id: 'donorSession',
+    label: 'Recurring donation portal session',
+    storage: sessionStorage,
+    location: StorageLocation.SESSION_STORAGE,
+    key: SESSION_STORAGE_KEY,
+    description: 'Sign-in token for managing your recurring donations. Removed when you close the tab.',
+  }),
+  webStorageStore({
+    id: 'adminSession',
+    label: 'Content editor sign-in',
+    storage: sessionStorage,
+    location: StorageLocation.SESSION_STORAGE,
+    key: ADMIN_SESSION_KEY,
+    description: 'Random token marking this tab as signed in to the staff content editor at /admin. Removed when you close the tab.',
+  }),
+  {
+    id: 'outbox',
+    label: 'Unsent form submissions',
+    location: StorageLocation.INDEXED_DB,
+    key: `${OUTBOX_CONFIG.dbName} / ${OUTBOX_CONFIG.storeName}`,
+    description: 'Contact messages, volunteer applications, newsletter signups and data requests you submitted while offline, kept until they can be sent.',
+    read: async () => {
+      if (!isOutboxSupported()) {
+        return null;
+      }
+
+      const records = await getQueuedSubmissions();
+      return records.map(({ id, kind, endpoint, body, createdAt, attempts, lastError }) => ({
+        id,
+        kind,
+        endpoint,
+        body,
+        createdAt: new Date(createdAt).toISOString(),
+        attempts,
+        lastError,
+      }));
+    },
+    erase: async () => {
+      if (!isOutboxSupported()) {
+        return;
+      }
+
+      const records = await getQueuedSubmissions();
+      await Promise.all(records.map((record) => removeQueuedSubmission(record.id)));
+    },
+  },
+  {
+    id: 'offlineCache',
+    label: 'Offline copy of the site',
+    location: StorageLocation.CACHE_STORAGE,
+    key: `${SERVICE_WORKER_CACHE_PREFIX}*`,
+    description: 'Pages, scripts and images saved so the site works offline. The image cache reflects pictures you have viewed.',
+    read: async () => {
+      if (!('caches' in window)) {
+        return null;
+      }
+
+      const names = (await caches.keys()).filter((name) => name.startsWith(SERVICE_WORKER_CACHE_PREFIX));
+      const entries = await Promise.all(names.map(async (name) => {
+        const requests = await (await caches.open(name)).keys();
+        return [name, requests.map((request) => request.url)];
+      }));
+
+      return entries.length > 0 ? Object.fromEntries(entries) : null;
+    },
+    erase: async () => {
+      if (!('caches' in window)) {
+        return;
+      }
+
+      const names = (await caches.keys()).filter((name) => name.startsWith(SERVICE_WORKER_CACHE_PREFIX));
+      await Promise.all(names.map((name) => caches.delete(name)));
+    },
+  },
+  {
+    id: 'cookies',
+    label: 'Cookies',
+    location: StorageLocation.COOKIES,
+    key: 'All cookies for this site',
+    description: 'Set by analytics and marketing tags only after you consent to them. This site sets no cookies of its own.',
+    read: async () => {
+      const cookies = readCookies();
+      return Object.keys(cookies).length > 0 ? cookies : null;
+    },
+    erase: async () => eraseCookies(),
+  },
+  {
+    id: 'submissionHistory',
+    label: 'Recent form submissions',
+    location: StorageLocation.MEMORY,
+    key: 'formSubmission rate limit',
+    description: 'Email addresses and times of forms sent from this page, used to prevent spam. Cleared when the page is closed.',
+    read: async () => {
+      const history = getSubmissionHistory();
+      return Object.keys(history).length > 0 ? history : null;
+    },
+    erase: async () => clearSubmissionHistory(),
+  },
+];
+
+/**
+ * Read every store
+ * A store that fails to read is reported with its error instead of aborting the export.
+ *
+ * @returns {Promise<Object>} Export document
+ */
+export async function exportAllData() {
+  const stores = await Promise.all(DATA_STORES.map(async (store) => {
+    const entry = {
+      id: store.id,
+      label: store.label,
+      location: store.location,
+      key: store.key,
+      description: store.description,
+    };
+
+    try {
+      entry.data = await store.read();
+    } catch (error) {
+      console.error(`[DataInventory] Failed to read ${store.id}:`, error);
+      entry.error = error.message;
+    }
+
+    return entry;
+  }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    site: window.location.origin,
+    note: 'Data stored by this website in this browser only. Records held by Makoko Community Kids NGO itself can be requested with a data access request.',
+    stores,
+  };
+}
+
+/**
+ * Download the export as a JSON file
+ * @returns {Promise<Object>} Export document
+ */
+export async function downloadDataExport() {
+  const data = await exportAllData();
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+
+  downloadBlob(blob, `makoko-kids-my-data-${data.exportedAt.slice(0, 10)}.json`);
+  return data;
+}
+
+/**
+ * Erase every store
+ * @returns {Promise<{erased: string[], failed: string[]}>} Store IDs by outcome
+ */
+export async function eraseAllData() {
+  const results = await Promise.allSettled(DATA_STORES.map((store) => store.erase()));
+  const outcome = { erased: [], failed: [] };
+
+  results.forEach((result, index) => {
+    const { id } = DATA_STORES[index];
+
+    if (result.status === 'fulfilled') {
+      outcome.erased.push(id);
+    } else {
+      console.error(`[DataInventory] Failed to erase ${id}:`, result.reason);
+      outcome.failed.push(id);
+    }
+  });
+
+  window.dispatchEvent(new CustomEvent('privacy:data-erased', { detail: outcome }));
+  return outcome;
+}
+
+export default {
+  StorageLocation,
+  DATA_STORES,
+  exportAllData,
+  downloadDataExport,
+  eraseAllData,
+};
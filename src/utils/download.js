@@ -0,0 +1,36 @@
+/**
+ * File Downloads
+ *
+ * Saves generated files (receipts, calendars, data exports) to the user's
+ * device.
+ *
+ * @module utils/download
+ * @version 1.0.0
+ */
+
+/**
+ * Save a blob as a file download
+ * Uses a temporary link rather than a new window so pop-up blockers don't interfere.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+  downloadBlob,
+};
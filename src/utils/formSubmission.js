@@ -9,6 +9,8 @@
  * @version 1.0.0
  */
 
+import { enqueueSubmission, isOutboxSupported } from './submissionQueue.js';
+
 /**
  * Submission result type
  * @typedef {Object} SubmissionResult
@@ -17,6 +19,8 @@
  * @property {Object} [data] - Response data from server
  * @property {string} [error] - Error details if submission failed
  * @property {string} [code] - Error code for structured error handling
+ * @property {Object<string, string>} [fieldErrors] - Server-side errors keyed by field name
+ * @property {boolean} [queued] - True if the submission was saved to the offline outbox
  */
 
 /**
@@ -30,6 +34,9 @@
  * @property {Function} [onError] - Error callback function
  * @property {Object} [headers] - Additional headers to send
  * @property {boolean} [enableSpamProtection=true] - Enable honeypot spam protection
+ * @property {Object} [validationRules] - Rules for validateForm(); defaults to the volunteer form rules
+ * @property {string} [queueKind] - SubmissionKind to queue offline/timed-out submissions under; omit to disable queueing
+ * @property {Function} [onQueued] - Called when the submission is queued for later delivery
  */
 
 /**
@@ -62,6 +69,19 @@ const SubmissionErrorCodes = Object.freeze({
  */
 const DEFAULT_FORMSPREE_ENDPOINT = 'https://formspree.io/f/YOUR_FORM_ID';
 
+/**
+ * Volunteer application endpoint
+ * Set VITE_VOLUNTEER_APPLICATION_ENDPOINT to a Formspree form or your own API;
+ * with VITE_MOCK_API=true the dev server answers /api/volunteer-applications.
+ */
+const VOLUNTEER_APPLICATION_ENDPOINT =
+  import.meta.env.VITE_VOLUNTEER_APPLICATION_ENDPOINT || DEFAULT_FORMSPREE_ENDPOINT;
+
+/**
+ * Message shown when a submission is saved for later delivery
+ */
+const QUEUED_MESSAGE = "You appear to be offline. We've saved your submission and will send it automatically when you're back online.";
+
 /**
  * Rate limiting configuration
  */
@@ -70,6 +90,44 @@ const RATE_LIMIT_CONFIG = {
   windowMs: 60000, // 1 minute
 };
 
+/**
+ * Default validation rules (volunteer application form)
+ */
+const VOLUNTEER_VALIDATION_RULES = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+  },
+  email: {
+    required: true,
+    type: 'email',
+  },
+  phone: {
+    required: true,
+    type: 'phone',
+  },
+  role: {
+    required: true,
+  },
+  availability: {
+    required: true,
+  },
+  skills: {
+    required: false,
+    maxLength: 500,
+  },
+  experience: {
+    required: false,
+    maxLength: 1000,
+  },
+  motivation: {
+    required: true,
+    minLength: 50,
+    maxLength: 1000,
+  },
+};
+
 /**
  * Form state storage using WeakMap for memory efficiency
  */
@@ -148,6 +206,38 @@ function checkRateLimit(identifier) {
   };
 }
 
+/**
+ * Normalize server-side field errors
+ * Accepts Formspree's `{errors: [{field, message}]}` and the `{errors: {field: message}}`
+ * shape returned by most custom APIs.
+ * 
+ * @param {Object} responseData - Parsed response body
+ * @returns {Object<string, string>|null} Errors keyed by field name, or null if none
+ */
+function extractFieldErrors(responseData) {
+  const errors = responseData && (responseData.errors || responseData.fieldErrors);
+
+  if (!errors || typeof errors !== 'object') {
+    return null;
+  }
+
+  const fieldErrors = {};
+
+  if (Array.isArray(errors)) {
+    errors.forEach((entry) => {
+      if (entry && entry.field) {
+        fieldErrors[entry.field] = entry.message || 'This field is invalid';
+      }
+    });
+  } else {
+    Object.entries(errors).forEach(([field, message]) => {
+      fieldErrors[field] = Array.isArray(message) ? message.join(' ') : String(message);
+    });
+  }
+
+  return Object.keys(fieldErrors).length > 0 ? fieldErrors : null;
+}
+
 /**
  * Add honeypot field for spam protection
  * 
@@ -247,7 +337,7 @@ function setFormLoadingState(formElement, isLoading) {
     
     if (submitButton) {
       submitButton.disabled = true;
-      submitButton.dataset.originalText = submitButton.textContent;
+      submitButton.dataset.originalHtml = submitButton.innerHTML;
       submitButton.innerHTML = `
         <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline-block" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
           <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
@@ -266,8 +356,11 @@ function setFormLoadingState(formElement, isLoading) {
     
     if (submitButton) {
       submitButton.disabled = false;
-      submitButton.textContent = submitButton.dataset.originalText || 'Submit';
-      delete submitButton.dataset.originalText;
+      // Restore markup rather than text so buttons with icons or nested spans survive
+      if (submitButton.dataset.originalHtml) {
+        submitButton.innerHTML = submitButton.dataset.originalHtml;
+        delete submitButton.dataset.originalHtml;
+      }
     }
     
     inputs.forEach(input => {
@@ -281,7 +374,7 @@ function setFormLoadingState(formElement, isLoading) {
  * 
  * @param {HTMLFormElement} formElement - Form element
  * @param {string} message - Message to display
- * @param {string} type - Message type ('success' or 'error')
+ * @param {string} type - Message type ('success', 'queued' or 'error')
  */
 function displaySubmissionMessage(formElement, message, type = 'success') {
   // Remove existing message
@@ -292,11 +385,18 @@ function displaySubmissionMessage(formElement, message, type = 'success') {
   
   // Create message element
   const messageElement = document.createElement('div');
-  messageElement.className = `submission-message ${type === 'success' ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'} border rounded-lg p-4 mb-4`;
-  messageElement.setAttribute('role', type === 'success' ? 'status' : 'alert');
+  const typeClasses = {
+    success: 'bg-green-50 border-green-200 text-green-800',
+    queued: 'bg-blue-50 border-blue-200 text-blue-800',
+    error: 'bg-red-50 border-red-200 text-red-800',
+  };
+  messageElement.className = `submission-message ${typeClasses[type] || typeClasses.error} border rounded-lg p-4 mb-4`;
+  messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
   messageElement.setAttribute('aria-live', 'polite');
   
-  const icon = type === 'success' 
+  const icon = type === 'queued'
+    ? '<svg class="w-5 h-5 inline-block mr-2" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clip-rule="evenodd"/></svg>'
+    : type === 'success'
     ? '<svg class="w-5 h-5 inline-block mr-2" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"/></svg>'
     : '<svg class="w-5 h-5 inline-block mr-2" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd"/></svg>';
   
@@ -378,13 +478,23 @@ async function submitFormData(endpoint, formData, options = {}) {
     
     // Check response status
     if (!response.ok) {
+      const fieldErrors = extractFieldErrors(responseData);
+      let code = SubmissionErrorCodes.SERVER_ERROR;
+
+      if (response.status === 429) {
+        code = SubmissionErrorCodes.RATE_LIMIT_ERROR;
+      } else if (fieldErrors) {
+        code = SubmissionErrorCodes.VALIDATION_FAILED;
+      }
+
       return {
         success: false,
-        message: responseData.error || responseData.message || 'Submission failed',
-        error: responseData.error || 'Server returned error status',
-        code: response.status === 429 
-          ? SubmissionErrorCodes.RATE_LIMIT_ERROR 
-          : SubmissionErrorCodes.SERVER_ERROR,
+        message: fieldErrors
+          ? 'Please correct the highlighted fields and try again.'
+          : (typeof responseData.error === 'string' && responseData.error) || responseData.message || 'Submission failed',
+        error: typeof responseData.error === 'string' ? responseData.error : 'Server returned error status',
+        code,
+        fieldErrors,
         data: responseData,
       };
     }
@@ -408,7 +518,8 @@ async function submitFormData(endpoint, formData, options = {}) {
       };
     }
     
-    if (error instanceof TypeError && error.message.includes('fetch')) {
+    // fetch() rejects with a TypeError for every network failure; messages vary by browser
+    if (error instanceof TypeError) {
       return {
         success: false,
         message: 'Network error. Please check your connection and try again.',
@@ -440,7 +551,10 @@ export async function handleFormSubmission(formElement, options = {}) {
     onProgress,
     onSuccess,
     onError,
+    onQueued,
     enableSpamProtection = true,
+    validationRules = VOLUNTEER_VALIDATION_RULES,
+    queueKind,
   } = options;
   
   // Get form state
@@ -516,42 +630,6 @@ export async function handleFormSubmission(formElement, options = {}) {
       // Import validation utilities dynamically to avoid circular dependencies
       const { validateForm, displayFormErrors } = await import('./formValidation.js');
       
-      // Define validation rules for volunteer form
-      const validationRules = {
-        name: {
-          required: true,
-          minLength: 2,
-          maxLength: 100,
-        },
-        email: {
-          required: true,
-          type: 'email',
-        },
-        phone: {
-          required: true,
-          type: 'phone',
-        },
-        role: {
-          required: true,
-        },
-        availability: {
-          required: true,
-        },
-        skills: {
-          required: false,
-          maxLength: 500,
-        },
-        experience: {
-          required: false,
-          maxLength: 1000,
-        },
-        motivation: {
-          required: true,
-          minLength: 50,
-          maxLength: 1000,
-        },
-      };
-      
       // Convert FormData to object for validation
       const formDataObject = {};
       for (const [key, value] of formData.entries()) {
@@ -580,11 +658,57 @@ export async function handleFormSubmission(formElement, options = {}) {
       }
     }
     
-    // Submit form
-    const result = await submitFormData(endpoint, formData, {
-      ...options,
-      onProgress,
-    });
+    // Submit form; skip the doomed request when the browser already knows it's offline
+    const canQueue = Boolean(queueKind) && isOutboxSupported();
+    let result = canQueue && !navigator.onLine
+      ? { success: false, code: SubmissionErrorCodes.NETWORK_ERROR, error: 'Offline' }
+      : await submitFormData(endpoint, formData, {
+        ...options,
+        onProgress,
+      });
+    
+    // Save submissions that never reached the server to the offline outbox
+    const undelivered = result.code === SubmissionErrorCodes.NETWORK_ERROR
+      || result.code === SubmissionErrorCodes.TIMEOUT_ERROR;
+    
+    if (canQueue && undelivered) {
+      try {
+        await enqueueSubmission({
+          kind: queueKind,
+          endpoint,
+          body: formData,
+          headers: options.headers,
+        });
+        result = { ...result, queued: true, message: QUEUED_MESSAGE };
+      } catch (queueError) {
+        console.error('[Form Submission] Failed to queue submission:', queueError);
+      }
+    }
+    
+    if (result.queued) {
+      updateFormState(formElement, {
+        isSubmitting: false,
+        isSuccess: false,
+        isError: false,
+        message: result.message,
+        submitCount: state.submitCount + 1,
+        lastSubmitTime: new Date(),
+      });
+      
+      displaySubmissionMessage(formElement, result.message, 'queued');
+      
+      if (onQueued && typeof onQueued === 'function') {
+        onQueued(result);
+      }
+      
+      formElement.reset();
+      formElement.dispatchEvent(new CustomEvent('form:submission-queued', {
+        detail: { kind: queueKind, result },
+        bubbles: true,
+      }));
+      
+      return result;
+    }
     
     // Update state
     updateFormState(formElement, {
@@ -596,6 +720,14 @@ export async function handleFormSubmission(formElement, options = {}) {
       lastSubmitTime: new Date(),
     });
     
+    // Map server-side validation errors back onto the form fields
+    if (result.fieldErrors) {
+      const { displayFormErrors } = await import('./formValidation.js');
+      // Re-enable fields first so the first invalid field can take focus
+      setFormLoadingState(formElement, false);
+      displayFormErrors(formElement, result.fieldErrors);
+    }
+    
     // Display message
     displaySubmissionMessage(
       formElement,
@@ -665,11 +797,34 @@ export async function handleFormSubmission(formElement, options = {}) {
     return result;
     
   } finally {
-    // Always clear loading state
+    // Always clear loading state, including early returns for spam and rate limiting
+    updateFormState(formElement, { isSubmitting: false });
     setFormLoadingState(formElement, false);
   }
 }
 
+/**
+ * Prepare a form for spam-protected submission
+ * Records the load time used by the timing check and adds the honeypot field.
+ * Forms submitted through handleFormSubmission() without initializeFormSubmission()
+ * must call this when they are rendered.
+ * 
+ * @param {HTMLFormElement} formElement - Form element
+ */
+export function prepareFormForSubmission(formElement) {
+  formElement.dataset.loadTime = Date.now().toString();
+  addHoneypotField(formElement);
+}
+
+/**
+ * Get the configured volunteer application endpoint
+ * 
+ * @returns {string} Endpoint URL
+ */
+export function getVolunteerApplicationEndpoint() {
+  return VOLUNTEER_APPLICATION_ENDPOINT;
+}
+
 /**
  * Initialize form submission handler
  * 
@@ -687,12 +842,11 @@ export function initializeFormSubmission(formSelector, options = {}) {
     return () => {};
   }
   
-  // Store form load time for spam detection
-  formElement.dataset.loadTime = Date.now().toString();
-  
-  // Add honeypot if spam protection enabled
+  // Store form load time and add honeypot for spam detection
   if (options.enableSpamProtection !== false) {
-    addHoneypotField(formElement);
+    prepareFormForSubmission(formElement);
+  } else {
+    formElement.dataset.loadTime = Date.now().toString();
   }
   
   // Handle form submission
@@ -742,6 +896,18 @@ export function resetSubmissionState(formElement) {
   }
 }
 
+/**
+ * Get the rate-limit submission history held in memory for this page
+ * 
+ * @returns {Object.<string, string[]>} Submission times keyed by identifier (usually email)
+ */
+export function getSubmissionHistory() {
+  return Object.fromEntries([...submissionHistory].map(([identifier, timestamps]) => [
+    identifier,
+    timestamps.map(timestamp => new Date(timestamp).toISOString()),
+  ]));
+}
+
 /**
  * Clear submission history (for testing or admin purposes)
  */
@@ -760,8 +926,11 @@ export { SubmissionErrorCodes };
 export default {
   handleFormSubmission,
   initializeFormSubmission,
+  prepareFormForSubmission,
+  getVolunteerApplicationEndpoint,
   getSubmissionState,
   resetSubmissionState,
+  getSubmissionHistory,
   clearSubmissionHistory,
   SubmissionErrorCodes,
 };
\ No newline at end of file
@@ -9,6 +9,9 @@
  * @version 1.0.0
  */
 
+import { getAmountLimits } from '../data/donationContent.js';
+import { formatCurrency as formatLocaleCurrency } from './i18n.js';
+
 /**
  * Validation result type
  * @typedef {Object} ValidationResult
@@ -27,10 +30,10 @@
 /**
  * Amount validation options
  * @typedef {Object} AmountValidationOptions
- * @property {number} [min=1] - Minimum allowed amount
- * @property {number} [max=1000000] - Maximum allowed amount
+ * @property {number} [min] - Minimum allowed amount (defaults to the currency's limit)
+ * @property {number} [max] - Maximum allowed amount (defaults to the currency's limit)
  * @property {boolean} [allowZero=false] - Allow zero amount
- * @property {string} [currency='USD'] - Currency code for formatting
+ * @property {string} [currency='USD'] - Currency code for limits and formatting
  */
 
 /**
@@ -168,12 +171,9 @@ export function validateEmail(email, options = {}) {
  * @returns {ValidationResult} Validation result
  */
 export function validateAmount(amount, options = {}) {
-  const {
-    min = 1,
-    max = 1000000,
-    allowZero = false,
-    currency = 'USD',
-  } = options;
+  const { allowZero = false, currency = 'USD' } = options;
+  const limits = getAmountLimits(currency);
+  const { min = limits.min, max = limits.max } = options;
 
   // Check if amount is provided
   if (amount === null || amount === undefined || amount === '') {
@@ -803,12 +803,9 @@ export function clearFormErrors(formElement) {
  */
 function formatCurrency(amount, currency = 'USD') {
   try {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency,
-    }).format(amount);
+    return formatLocaleCurrency(amount, currency);
   } catch (_error) {
-    return `$${amount.toFixed(2)}`;
+    return `${currency} ${amount.toFixed(2)}`;
   }
 }
 
@@ -0,0 +1,329 @@
+/**
+ * Peer-to-Peer Fundraisers
+ *
+ * Client for personal fundraiser pages: a supporter picks a running campaign
+ * from campaignContent.js, sets a personal goal and story, and gets a page at
+ * /fundraisers/<id> to share. Gifts made from that page go through the normal
+ * donate flow with `?campaign=<campaign>&fundraiser=<id>`, so the backend can
+ * credit them to both the campaign and the supporter.
+ *
+ * Fundraisers live on the payment backend (totals come from reconciled
+ * payments); with VITE_MOCK_API=true the dev server stands in for it.
+ *
+ * @module utils/fundraisers
+ * @version 1.0.0
+ */
+
+import { getPaymentApiUrl, getPaymentApiTimeout } from './paymentConfig.js';
+import {
+  CAMPAIGN_STATUS,
+  FUNDRAISER_OCCASIONS,
+  FUNDRAISER_LIMITS,
+  getCampaignById,
+  getCampaignStatus,
+} from '../data/campaignContent.js';
+import { getAmountLimits, formatAmount } from '../data/donationContent.js';
+import { validateEmail } from './formValidation.js';
+
+/**
+ * URL query parameter attributing a gift to a fundraiser
+ * @constant {string}
+ */
+export const FUNDRAISER_QUERY_PARAM = 'fundraiser';
+
+/**
+ * Fundraiser error types
+ * @enum {string}
+ */
+export const FundraiserErrorType = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+});
+
+/**
+ * User-facing messages per error type
+ */
+const ERROR_MESSAGES = Object.freeze({
+  [FundraiserErrorType.VALIDATION_FAILED]: 'Please check the highlighted fields and try again.',
+  [FundraiserErrorType.NOT_FOUND]: 'We could not find that fundraiser. It may have been taken down.',
+  [FundraiserErrorType.REQUEST_FAILED]: 'We could not reach our fundraising service. Please try again.',
+  [FundraiserErrorType.TIMEOUT]: 'The request timed out. Please try again.',
+  [FundraiserErrorType.NETWORK_ERROR]: 'Network error occurred. Please check your connection and try again.',
+});
+
+/**
+ * Custom error class for fundraiser operations
+ */
+export class FundraiserError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from FundraiserErrorType
+   * @param {Object} [context] - Additional error context
+   * @param {Object<string, string>} [context.fieldErrors] - Errors keyed by field name
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'FundraiserError';
+    this.type = type;
+    this.context = context;
+    this.fieldErrors = context.fieldErrors || {};
+    this.userMessage = context.userMessage || ERROR_MESSAGES[type];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Personal fundraiser
+ * @typedef {Object} Fundraiser
+ * @property {string} id - Fundraiser ID, used in its page URL
+ * @property {string} campaignId - Campaign the fundraiser raises money for
+ * @property {string} name - Supporter's display name
+ * @property {string} title - Page title
+ * @property {string} occasion - Occasion ID from FUNDRAISER_OCCASIONS
+ * @property {string} story - Supporter's story
+ * @property {number} goal - Personal goal in the campaign currency
+ * @property {string} currency - ISO currency code
+ * @property {number} raised - Amount raised so far
+ * @property {number} donorCount - Number of donors so far
+ * @property {string|null} createdAt - ISO date the page was created
+ */
+
+/**
+ * Fundraisers already fetched this page load, keyed by ID
+ */
+const fundraiserCache = new Map();
+
+/**
+ * Normalize a backend fundraiser record
+ * @param {Object} record - Raw record
+ * @returns {Fundraiser} Fundraiser
+ */
+function normalizeFundraiser(record) {
+  return {
+    id: String(record.id),
+    campaignId: record.campaignId || record.campaign_id,
+    name: record.name,
+    title: record.title,
+    occasion: record.occasion || 'other',
+    story: record.story || '',
+    goal: Number(record.goal),
+    currency: (record.currency || 'NGN').toUpperCase(),
+    raised: Number(record.raised) || 0,
+    donorCount: Number(record.donorCount ?? record.donor_count) || 0,
+    createdAt: record.createdAt || record.created_at || null,
+  };
+}
+
+/**
+ * Validate the details for a new fundraiser
+ * @param {Object} details - Form values
+ * @param {string} details.campaignId - Campaign ID
+ * @param {string} details.name - Supporter's display name
+ * @param {string} details.email - Supporter's email, for updates about the page
+ * @param {string} details.title - Page title
+ * @param {string} details.occasion - Occasion ID
+ * @param {string} details.story - Supporter's story
+ * @param {number} details.goal - Personal goal in the campaign currency
+ * @returns {{valid: boolean, errors: Object<string, string>}} Errors keyed by field name
+ */
+export function validateFundraiser(details) {
+  const errors = {};
+  const campaign = getCampaignById(details.campaignId);
+  const name = String(details.name || '').trim();
+  const title = String(details.title || '').trim();
+  const story = String(details.story || '').trim();
+
+  if (!campaign || getCampaignStatus(campaign) !== CAMPAIGN_STATUS.ACTIVE) {
+    errors.campaignId = 'Please choose a campaign that is running';
+  }
+
+  if (!name) {
+    errors.name = 'Please tell supporters who is fundraising';
+  } else if (name.length > FUNDRAISER_LIMITS.nameMaxLength) {
+    errors.name = `Name must be ${FUNDRAISER_LIMITS.nameMaxLength} characters or fewer`;
+  }
+
+  const email = validateEmail(details.email);
+  if (!email.isValid) {
+    errors.email = email.error;
+  }
+
+  if (!title) {
+    errors.title = 'Please give your page a title';
+  } else if (title.length > FUNDRAISER_LIMITS.titleMaxLength) {
+    errors.title = `Title must be ${FUNDRAISER_LIMITS.titleMaxLength} characters or fewer`;
+  }
+
+  if (!FUNDRAISER_OCCASIONS.some((occasion) => occasion.id === details.occasion)) {
+    errors.occasion = 'Please choose an occasion';
+  }
+
+  if (story.length < FUNDRAISER_LIMITS.storyMinLength) {
+    errors.story = `Please write at least ${FUNDRAISER_LIMITS.storyMinLength} characters about why you're fundraising`;
+  } else if (story.length > FUNDRAISER_LIMITS.storyMaxLength) {
+    errors.story = `Story must be ${FUNDRAISER_LIMITS.storyMaxLength} characters or fewer`;
+  }
+
+  if (campaign) {
+    const goal = Number(details.goal);
+    const { min } = getAmountLimits(campaign.currency);
+
+    if (!Number.isFinite(goal) || goal < min) {
+      errors.goal = `Goal must be at least ${formatAmount(min, campaign.currency)}`;
+    } else if (goal > campaign.goal) {
+      errors.goal = `Goal can't be more than the campaign goal of ${formatAmount(campaign.goal, campaign.currency)}`;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Send a JSON request to the fundraiser backend
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint URL
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {FundraiserError} On HTTP, timeout or network failure
+ */
+async function request(method, url, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getPaymentApiTimeout());
+
+  const headers = { Accept: 'application/json' };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 404) {
+      throw new FundraiserError('Fundraiser not found', FundraiserErrorType.NOT_FOUND);
+    }
+
+    if (response.status === 422) {
+      throw new FundraiserError(data.error || 'Validation failed', FundraiserErrorType.VALIDATION_FAILED, {
+        status: response.status,
+        fieldErrors: data.errors,
+      });
+    }
+
+    if (!response.ok) {
+      throw new FundraiserError(data.error || `Request failed with status ${response.status}`, FundraiserErrorType.REQUEST_FAILED, {
+        status: response.status,
+        userMessage: data.userMessage,
+      });
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof FundraiserError) {
+      throw error;
+    }
+
+    if (error.name === 'AbortError') {
+      throw new FundraiserError('Fundraiser request timed out', FundraiserErrorType.TIMEOUT);
+    }
+
+    throw new FundraiserError(error.message, FundraiserErrorType.NETWORK_ERROR);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Create a fundraiser page
+ * @param {Object} details - Form values, see validateFundraiser()
+ * @returns {Promise<Fundraiser>} Created fundraiser
+ * @throws {FundraiserError} If the details are invalid or the request fails
+ */
+export async function createFundraiser(details) {
+  const { valid, errors } = validateFundraiser(details);
+
+  if (!valid) {
+    throw new FundraiserError('Fundraiser details are invalid', FundraiserErrorType.VALIDATION_FAILED, {
+      fieldErrors: errors,
+    });
+  }
+
+  const campaign = getCampaignById(details.campaignId);
+  const data = await request('POST', getPaymentApiUrl('fundraisers'), {
+    campaignId: campaign.id,
+    name: details.name.trim(),
+    email: details.email.trim(),
+    title: details.title.trim(),
+    occasion: details.occasion,
+    story: details.story.trim(),
+    goal: Number(details.goal),
+    currency: campaign.currency,
+  });
+
+  const fundraiser = normalizeFundraiser(data.fundraiser || data);
+  fundraiserCache.set(fundraiser.id, fundraiser);
+  return fundraiser;
+}
+
+/**
+ * Get a fundraiser by ID
+ * @param {string} id - Fundraiser ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Skip the page-load cache
+ * @returns {Promise<Fundraiser>} Fundraiser
+ * @throws {FundraiserError} If the fundraiser doesn't exist or the request fails
+ */
+export async function getFundraiser(id, { refresh = false } = {}) {
+  if (!id) {
+    throw new FundraiserError('Missing fundraiser ID', FundraiserErrorType.NOT_FOUND);
+  }
+
+  if (!refresh && fundraiserCache.has(id)) {
+    return fundraiserCache.get(id);
+  }
+
+  const data = await request('GET', `${getPaymentApiUrl('fundraisers')}/${encodeURIComponent(id)}`);
+  const fundraiser = normalizeFundraiser(data.fundraiser || data);
+  fundraiserCache.set(fundraiser.id, fundraiser);
+  return fundraiser;
+}
+
+/**
+ * Get a fundraiser's page path
+ * @param {Fundraiser|string} fundraiser - Fundraiser or its ID
+ * @returns {string} Path, e.g. /fundraisers/abc123
+ */
+export function getFundraiserPath(fundraiser) {
+  const id = typeof fundraiser === 'string' ? fundraiser : fundraiser.id;
+  return `/fundraisers/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Get the donate link that credits a gift to a fundraiser and its campaign
+ * @param {Fundraiser} fundraiser - Fundraiser
+ * @returns {string} Path with query string
+ */
+export function getFundraiserDonatePath(fundraiser) {
+  const params = new URLSearchParams({ campaign: fundraiser.campaignId, [FUNDRAISER_QUERY_PARAM]: fundraiser.id });
+  return `/donate?${params}`;
+}
+
+export default {
+  FUNDRAISER_QUERY_PARAM,
+  FundraiserErrorType,
+  FundraiserError,
+  validateFundraiser,
+  createFundraiser,
+  getFundraiser,
+  getFundraiserPath,
+  getFundraiserDonatePath,
+};
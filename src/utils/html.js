@@ -0,0 +1,38 @@
+/**
+ * HTML Helpers
+ *
+ * String helpers for building markup from template literals. They don't
+ * touch the DOM, so the build plugins can use them too.
+ *
+ * @module utils/html
+ * @version 1.0.0
+ */
+
+/**
+ * Characters replaced by escapeHtml() and their entities
+ * @constant {Object<string, string>}
+ */
+const HTML_ENTITIES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+/**
+ * Escape a value for HTML text or attribute content
+ * @param {*} value - Raw value; null and undefined become an empty string
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+export default {
+  escapeHtml,
+};
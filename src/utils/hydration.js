@@ -0,0 +1,77 @@
+/**
+ * Hydration Utilities
+ *
+ * The production build prerenders the landing page sections into index.html
+ * (plugins/prerender.js). Containers filled at build time are marked with
+ * `data-prerendered="<locale>"`. On load, components look up their existing
+ * markup here and only attach listeners to it instead of rendering again.
+ *
+ * Prerendered markup is in the build locale and holds the bundled content;
+ * when the visitor's locale differs, or content is read from JSON files or a
+ * CMS (utils/contentLoader.js), it is discarded once, before the first
+ * lookup, and components render normally.
+ *
+ * @module utils/hydration
+ * @version 1.0.0
+ */
+
+import { getLocale } from './i18n.js';
+import { ContentSource, getContentSource } from './contentLoader.js';
+
+/**
+ * Attribute marking a container filled at build time; its value is the locale
+ */
+export const PRERENDER_ATTRIBUTE = 'data-prerendered';
+
+/**
+ * Whether stale prerendered markup has been checked for
+ */
+let prepared = false;
+
+/**
+ * Discard prerendered markup that doesn't match the active locale or content
+ * Runs once per page load.
+ */
+function prepareHydration() {
+  if (prepared || typeof document === 'undefined') {
+    return;
+  }
+
+  prepared = true;
+  const locale = getLocale();
+  const source = getContentSource();
+
+  document.querySelectorAll(`[${PRERENDER_ATTRIBUTE}]`).forEach((root) => {
+    if (root.getAttribute(PRERENDER_ATTRIBUTE) !== locale || source !== ContentSource.BUNDLED) {
+      root.innerHTML = '';
+      root.removeAttribute(PRERENDER_ATTRIBUTE);
+      console.info(`[Hydration] Discarded prerendered markup for locale '${locale}' and ${source} content`);
+    }
+  });
+}
+
+/**
+ * Check whether an element is prerendered markup that can be hydrated
+ * @param {Element|null} element - Element to check
+ * @returns {boolean} True if the element sits in a usable prerendered container
+ */
+export function canHydrate(element) {
+  prepareHydration();
+  return Boolean(element && element.closest(`[${PRERENDER_ATTRIBUTE}]`));
+}
+
+/**
+ * Get prerendered markup by element ID
+ * @param {string} id - Element ID
+ * @returns {HTMLElement|null} Element to hydrate, or null if it must be rendered
+ */
+export function getHydratableElement(id) {
+  const element = typeof document === 'undefined' ? null : document.getElementById(id);
+  return canHydrate(element) ? element : null;
+}
+
+export default {
+  PRERENDER_ATTRIBUTE,
+  canHydrate,
+  getHydratableElement,
+};
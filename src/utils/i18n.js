@@ -0,0 +1,305 @@
+/**
+ * Internationalization Utility
+ *
+ * Site-wide locale handling:
+ * - Resolves the locale from the `?lang=` URL parameter, the visitor's saved
+ *   preference, then `navigator.languages`, defaulting to English
+ * - Saves the chosen locale as a privacy preference, only when the visitor
+ *   has allowed preference storage
+ * - Looks up interface strings with `t()` from data/locales, falling back to
+ *   English per key
+ * - Formats numbers, currency and dates for the active locale
+ *
+ * Components read the locale when they render, so switching language reloads
+ * the page with the new `?lang=` parameter rather than re-rendering in place.
+ *
+ * @module utils/i18n
+ * @version 1.0.0
+ */
+
+import { LOCALE_CONTENT } from '../data/locales/index.js';
+import {
+  ConsentType,
+  hasConsent,
+  getPreferences,
+  setPreferences,
+  initializePrivacy,
+  privacyManager,
+} from './privacy.js';
+
+/**
+ * Locale used when nothing else matches, and for missing translations
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * URL parameter that selects a locale
+ */
+export const LOCALE_QUERY_PARAM = 'lang';
+
+/**
+ * Privacy preference key holding the saved locale
+ */
+export const LOCALE_PREFERENCE_KEY = 'locale';
+
+/**
+ * Supported locales
+ * `intl` lists the Intl locales to try in order; browsers without Yoruba or
+ * Pidgin formatting data fall back to Nigerian English.
+ */
+export const SUPPORTED_LOCALES = Object.freeze([
+  Object.freeze({ code: 'en', label: 'English', intl: Object.freeze(['en-US']), ogLocale: 'en_US', dir: 'ltr' }),
+  Object.freeze({ code: 'yo', label: 'Yorùbá', intl: Object.freeze(['yo-NG', 'en-NG']), ogLocale: 'yo_NG', dir: 'ltr' }),
+  Object.freeze({ code: 'pcm', label: 'Naijá (Pidgin)', intl: Object.freeze(['pcm-NG', 'en-NG']), ogLocale: 'pcm_NG', dir: 'ltr' }),
+  Object.freeze({ code: 'fr', label: 'Français', intl: Object.freeze(['fr-FR']), ogLocale: 'fr_FR', dir: 'ltr' }),
+]);
+
+/**
+ * Active locale, resolved on first use
+ */
+let currentLocale = null;
+
+/**
+ * Get a supported locale's definition
+ * @param {string} code - Locale code
+ * @returns {Object|undefined} Locale definition
+ */
+export function getLocaleDefinition(code) {
+  return SUPPORTED_LOCALES.find((locale) => locale.code === code);
+}
+
+/**
+ * Match a language tag to a supported locale
+ * @param {string} tag - BCP 47 tag, e.g. 'fr-CA' or 'yo'
+ * @returns {string|null} Supported locale code
+ */
+export function matchLocale(tag) {
+  if (!tag || typeof tag !== 'string') {
+    return null;
+  }
+
+  const [language] = tag.toLowerCase().split(/[-_]/);
+  return getLocaleDefinition(language) ? language : null;
+}
+
+/**
+ * Read the saved locale preference
+ * Ignored once the visitor withdraws consent to preference storage.
+ *
+ * @returns {string|null} Saved locale code
+ */
+function getSavedLocale() {
+  // The locale is resolved while the page boots, possibly before privacy is initialized
+  if (!privacyManager.initialized) {
+    initializePrivacy();
+  }
+
+  if (!hasConsent(ConsentType.PREFERENCES)) {
+    return null;
+  }
+
+  return matchLocale(getPreferences(LOCALE_PREFERENCE_KEY));
+}
+
+/**
+ * Detect the visitor's locale
+ * @returns {string} Supported locale code
+ */
+export function detectLocale() {
+  if (typeof window === 'undefined') {
+    return DEFAULT_LOCALE;
+  }
+
+  const fromUrl = matchLocale(new URLSearchParams(window.location.search).get(LOCALE_QUERY_PARAM));
+  if (fromUrl) {
+    return fromUrl;
+  }
+
+  const saved = getSavedLocale();
+  if (saved) {
+    return saved;
+  }
+
+  const browserLanguages = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+
+  for (const language of browserLanguages) {
+    const match = matchLocale(language);
+    if (match) {
+      return match;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Get the active locale
+ * @returns {string} Locale code
+ */
+export function getLocale() {
+  if (!currentLocale) {
+    currentLocale = detectLocale();
+  }
+
+  return currentLocale;
+}
+
+/**
+ * Apply the active locale to the document
+ * Sets `<html lang dir>` and the Open Graph locale.
+ */
+function applyLocaleToDocument() {
+  const { code, dir, ogLocale } = getLocaleDefinition(getLocale());
+
+  document.documentElement.lang = code;
+  document.documentElement.dir = dir;
+
+  const ogLocaleMeta = document.querySelector('meta[property="og:locale"]');
+  if (ogLocaleMeta) {
+    ogLocaleMeta.setAttribute('content', ogLocale);
+  }
+}
+
+/**
+ * Initialize internationalization
+ * Resolves the locale and applies it to the document.
+ *
+ * @returns {string} Active locale code
+ */
+export function initializeI18n() {
+  const locale = getLocale();
+  applyLocaleToDocument();
+  return locale;
+}
+
+/**
+ * Switch locale
+ * The choice is saved only if the visitor allowed preference storage; the
+ * `?lang=` parameter carries it for the current visit either way.
+ *
+ * @param {string} code - Locale code
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.reload=true] - Reload the page in the new locale
+ * @returns {boolean} True if the locale is supported
+ */
+export function setLocale(code, { reload = true } = {}) {
+  const locale = matchLocale(code);
+  if (!locale) {
+    console.warn(`[i18n] Unsupported locale '${code}'`);
+    return false;
+  }
+
+  if (hasConsent(ConsentType.PREFERENCES)) {
+    setPreferences(LOCALE_PREFERENCE_KEY, locale);
+  }
+
+  currentLocale = locale;
+
+  if (reload) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(LOCALE_QUERY_PARAM, locale);
+    window.location.assign(url.toString());
+  } else {
+    applyLocaleToDocument();
+  }
+
+  return true;
+}
+
+/**
+ * Resolve a dotted key in a messages object
+ * @param {Object} messages - Messages
+ * @param {string} key - Dotted key, e.g. 'nav.home'
+ * @returns {string|undefined} Message
+ */
+function lookup(messages, key) {
+  const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), messages);
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translate an interface string
+ * Falls back to English, then to the key itself.
+ *
+ * @param {string} key - Dotted message key, e.g. 'nav.home'
+ * @param {Object} [params] - Values for `{name}` placeholders
+ * @returns {string} Translated string
+ */
+export function t(key, params = {}) {
+  const localeContent = LOCALE_CONTENT[getLocale()];
+  let message = localeContent ? lookup(localeContent.messages, key) : undefined;
+
+  if (message === undefined) {
+    message = lookup(LOCALE_CONTENT[DEFAULT_LOCALE].messages, key);
+  }
+
+  if (message === undefined) {
+    console.warn(`[i18n] Missing message '${key}'`);
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    name in params ? String(params[name]) : placeholder
+  ));
+}
+
+/**
+ * Get the Intl locales for a locale code
+ * @param {string} [code] - Locale code (default: active locale)
+ * @returns {string[]} Intl locale tags in preference order
+ */
+export function getIntlLocales(code = getLocale()) {
+  const definition = getLocaleDefinition(code) || getLocaleDefinition(DEFAULT_LOCALE);
+  return [...definition.intl];
+}
+
+/**
+ * Format a number
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options, plus `locale` to override the active locale
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, { locale, ...options } = {}) {
+  return new Intl.NumberFormat(getIntlLocales(locale), options).format(value);
+}
+
+/**
+ * Format a currency amount
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO currency code
+ * @param {Object} [options] - Intl.NumberFormat options, plus `locale` to override the active locale
+ * @returns {string} Formatted amount
+ */
+export function formatCurrency(amount, currency, { locale, ...options } = {}) {
+  return new Intl.NumberFormat(getIntlLocales(locale), {
+    style: 'currency',
+    currency,
+    ...options,
+  }).format(amount);
+}
+
+/**
+ * Format a date
+ * @param {Date|string|number} value - Date or date string
+ * @param {Object} [options] - Intl.DateTimeFormat options, plus `locale` to override the active locale
+ * @returns {string} Formatted date
+ */
+export function formatDate(value, { locale, ...options } = {}) {
+  return new Intl.DateTimeFormat(getIntlLocales(locale), options).format(new Date(value));
+}
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  initializeI18n,
+  getLocale,
+  setLocale,
+  detectLocale,
+  matchLocale,
+  t,
+  formatNumber,
+  formatCurrency,
+  formatDate,
+};
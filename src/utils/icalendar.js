@@ -0,0 +1,139 @@
+/**
+ * iCalendar
+ *
+ * Builds iCalendar (RFC 5545) files for downloads and subscribable feeds.
+ * Times are written in UTC so calendar apps show them in the user's own time
+ * zone without needing a VTIMEZONE definition.
+ *
+ * @module utils/icalendar
+ * @version 1.0.0
+ */
+
+import { DEFAULT_SEO } from '../data/seoContent.js';
+
+/**
+ * Product identifier written to every calendar
+ */
+const PRODUCT_ID = `-//${DEFAULT_SEO.siteName}//Volunteer Shifts//EN`;
+
+/**
+ * Longest line allowed before folding, in octets
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Calendar event
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Globally unique, stable event ID
+ * @property {string|Date} start - Start time
+ * @property {string|Date} end - End time
+ * @property {string} summary - Title
+ * @property {string} [location] - Location
+ * @property {string} [description] - Description
+ * @property {string} [status] - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED'
+ * @property {string} [url] - Related link
+ */
+
+/**
+ * Escape a text value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a time as a UTC date-time, e.g. 20240304T130000Z
+ * @param {string|Date} value - Time
+ * @returns {string} Date-time
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without splitting characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Render an event's lines
+ * @param {CalendarEvent} event - Event
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]} Content lines
+ */
+function renderEvent(event, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(event.uid)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.status && `STATUS:${event.status}`,
+    event.url && `URL:${event.url}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+/**
+ * Create an iCalendar file
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {CalendarEvent[]} [options.events] - Events
+ * @param {number} [options.refreshHours] - How often subscribers should refresh, for feeds
+ * @param {Date} [options.now] - Time the calendar was generated
+ * @returns {string} Calendar in text/calendar format
+ */
+export function createCalendar({ name, events = [], refreshHours, now = new Date() }) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    refreshHours && `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    refreshHours && `X-PUBLISHED-TTL:PT${refreshHours}H`,
+    ...events.flatMap((event) => renderEvent(event, stamp)),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+export default {
+  createCalendar,
+};
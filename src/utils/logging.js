@@ -0,0 +1,27 @@
+/**
+ * Logging Utilities
+ *
+ * Shared helpers for structured logging across payment and form components.
+ *
+ * @module utils/logging
+ * @version 1.0.0
+ */
+
+/**
+ * Generate a correlation ID used to tie log entries and backend requests
+ * for a single user flow together
+ *
+ * @param {string} [prefix='mck'] - Identifier prefix
+ * @returns {string} Correlation ID
+ */
+export function generateCorrelationId(prefix = 'mck') {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID().replace(/-/g, '').slice(0, 12)
+    : Math.random().toString(36).slice(2, 14);
+
+  return `${prefix}_${Date.now().toString(36)}_${random}`;
+}
+
+export default {
+  generateCorrelationId,
+};
@@ -0,0 +1,605 @@
+/**
+ * Newsletter Subscriptions
+ *
+ * Provider-agnostic newsletter signup with double opt-in. Signups go through an
+ * adapter selected by VITE_NEWSLETTER_PROVIDER:
+ * - rest: our own endpoint (VITE_NEWSLETTER_ENDPOINT). The backend emails a
+ *   confirmation link back to this site (`?newsletter_confirm=<token>`) and
+ *   includes an unsubscribe link (`?newsletter_unsubscribe=<token>`); both tokens
+ *   are verified through the endpoint. Offline signups are queued in the outbox.
+ * - mailchimp: the audience's embedded form (VITE_MAILCHIMP_FORM_URL) over JSONP.
+ *   Mailchimp sends and verifies the confirmation email itself.
+ * - buttondown: the public embed-subscribe endpoint (VITE_BUTTONDOWN_USERNAME).
+ *   Buttondown sends and verifies the confirmation email itself.
+ *
+ * Hosted providers can redirect back to `?newsletter=confirmed` or
+ * `?newsletter=unsubscribed` after their own confirmation and unsubscribe pages.
+ *
+ * Every signup records marketing consent with privacyManager, together with the
+ * consent wording shown, policy version, timestamp and source page, so the
+ * lawful basis for emailing a subscriber can be demonstrated later.
+ *
+ * @module utils/newsletter
+ * @version 1.0.0
+ */
+
+import { sendOrQueue, SubmissionKind } from './submissionQueue.js';
+import {
+  ConsentType,
+  CONSENT_VERSION,
+  setConsent,
+  getPreferences,
+  setPreferences,
+  initializePrivacy,
+  privacyManager,
+} from './privacy.js';
+
+/**
+ * Built-in newsletter providers
+ * @enum {string}
+ */
+export const NewsletterProvider = Object.freeze({
+  REST: 'rest',
+  MAILCHIMP: 'mailchimp',
+  BUTTONDOWN: 'buttondown',
+});
+
+/**
+ * Subscription states
+ * @enum {string}
+ */
+export const NewsletterStatus = Object.freeze({
+  PENDING: 'pending',
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed',
+  QUEUED: 'queued',
+});
+
+/**
+ * Newsletter error types
+ * @enum {string}
+ */
+export const NewsletterErrorType = Object.freeze({
+  CONFIGURATION: 'CONFIGURATION_ERROR',
+  VALIDATION: 'VALIDATION_ERROR',
+  CONSENT_REQUIRED: 'CONSENT_REQUIRED',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  UNSUPPORTED: 'UNSUPPORTED',
+  NETWORK: 'NETWORK_ERROR',
+  PROVIDER: 'PROVIDER_ERROR',
+});
+
+/**
+ * URL parameters used by confirmation and unsubscribe links
+ * @enum {string}
+ */
+export const NewsletterLinkParam = Object.freeze({
+  CONFIRM: 'newsletter_confirm',
+  UNSUBSCRIBE: 'newsletter_unsubscribe',
+  RESULT: 'newsletter',
+});
+
+/**
+ * Newsletter configuration
+ */
+export const NEWSLETTER_CONFIG = Object.freeze({
+  provider: import.meta.env.VITE_NEWSLETTER_PROVIDER || NewsletterProvider.REST,
+  endpoint: import.meta.env.VITE_NEWSLETTER_ENDPOINT || '/api/newsletter',
+  mailchimpFormUrl: import.meta.env.VITE_MAILCHIMP_FORM_URL || '',
+  mailchimpMarketingPermissionId: import.meta.env.VITE_MAILCHIMP_MARKETING_PERMISSION_ID || '',
+  buttondownUsername: import.meta.env.VITE_BUTTONDOWN_USERNAME || '',
+  timeout: 15000,
+});
+
+/**
+ * privacyManager preference key holding the subscription and consent record
+ */
+const RECORD_KEY = 'newsletter';
+
+/**
+ * User-facing error messages
+ */
+const ERROR_MESSAGES = {
+  [NewsletterErrorType.CONFIGURATION]: 'Newsletter signup is unavailable right now. Please try again later.',
+  [NewsletterErrorType.VALIDATION]: 'Please enter a valid email address.',
+  [NewsletterErrorType.CONSENT_REQUIRED]: 'Please agree to receive our emails to subscribe.',
+  [NewsletterErrorType.INVALID_TOKEN]: 'This link is invalid or has expired. Please subscribe again.',
+  [NewsletterErrorType.UNSUPPORTED]: 'Please use the link in your email to manage your subscription.',
+  [NewsletterErrorType.NETWORK]: 'We couldn\'t reach the newsletter service. Please check your connection and try again.',
+  [NewsletterErrorType.PROVIDER]: 'Subscription failed. Please try again.',
+};
+
+/**
+ * Newsletter Error
+ */
+export class NewsletterError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from NewsletterErrorType
+   * @param {Object} [context] - Additional error context
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'NewsletterError';
+    this.type = type;
+    this.context = context;
+    this.userMessage = context.userMessage || ERROR_MESSAGES[type];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * @typedef {Object} NewsletterAdapter
+ * @property {boolean} verifiesLinks - Whether confirm/unsubscribe tokens are verified through this adapter
+ * @property {function({email: string, consent: Object}): Promise<{status: string}>} subscribe - Start a subscription
+ * @property {function(string): Promise<{email?: string, status: string}>} confirm - Verify a confirmation token
+ * @property {function(string): Promise<{email?: string, status: string}>} unsubscribe - Verify an unsubscribe token
+ */
+
+/**
+ * Build a link back to this site carrying a token placeholder for the backend to fill in
+ * @param {string} param - Link parameter
+ * @returns {string} URL template containing `{token}`
+ */
+function buildLinkTemplate(param) {
+  return `${window.location.origin}/?${param}={token}`;
+}
+
+/**
+ * POST JSON to the newsletter endpoint
+ * @param {string} path - Path below the endpoint
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Response data
+ * @throws {NewsletterError} On network or HTTP errors
+ */
+async function postJson(path, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), NEWSLETTER_CONFIG.timeout);
+
+  let response;
+  try {
+    response = await fetch(`${NEWSLETTER_CONFIG.endpoint}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw new NewsletterError(`Newsletter request failed: ${error.message}`, NewsletterErrorType.NETWORK);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 400 || response.status === 404 || response.status === 410) {
+    throw new NewsletterError(data.error || 'Invalid or expired token', NewsletterErrorType.INVALID_TOKEN, { status: response.status });
+  }
+
+  if (!response.ok) {
+    throw new NewsletterError(data.error || `Newsletter request failed with status ${response.status}`, NewsletterErrorType.PROVIDER, { status: response.status });
+  }
+
+  return data;
+}
+
+/**
+ * Create the generic REST adapter
+ * @returns {NewsletterAdapter} REST adapter
+ */
+function createRestAdapter() {
+  return {
+    verifiesLinks: true,
+
+    async subscribe({ email, consent }) {
+      const result = await sendOrQueue({
+        kind: SubmissionKind.NEWSLETTER,
+        endpoint: NEWSLETTER_CONFIG.endpoint,
+        body: {
+          email,
+          consent,
+          confirmUrl: buildLinkTemplate(NewsletterLinkParam.CONFIRM),
+          unsubscribeUrl: buildLinkTemplate(NewsletterLinkParam.UNSUBSCRIBE),
+        },
+      }, NEWSLETTER_CONFIG.timeout);
+
+      if (result.queued) {
+        return { status: NewsletterStatus.QUEUED };
+      }
+
+      if (!result.success) {
+        const type = result.status === 422 ? NewsletterErrorType.VALIDATION : NewsletterErrorType.PROVIDER;
+        throw new NewsletterError(result.data.error || `Newsletter signup failed with status ${result.status}`, type, { status: result.status });
+      }
+
+      return { status: result.data.status || NewsletterStatus.PENDING };
+    },
+
+    async confirm(token) {
+      const data = await postJson('/confirm', { token });
+      return { email: data.email, status: data.status || NewsletterStatus.SUBSCRIBED };
+    },
+
+    async unsubscribe(token) {
+      const data = await postJson('/unsubscribe', { token });
+      return { email: data.email, status: data.status || NewsletterStatus.UNSUBSCRIBED };
+    },
+  };
+}
+
+/**
+ * Request a JSONP URL
+ * @param {string} url - URL without the callback parameter
+ * @param {string} callbackParam - Name of the callback parameter
+ * @returns {Promise<Object>} Callback payload
+ */
+function requestJsonp(url, callbackParam) {
+  return new Promise((resolve, reject) => {
+    const callbackName = `mckNewsletter${Date.now().toString(36)}`;
+    const script = document.createElement('script');
+
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      delete window[callbackName];
+      script.remove();
+    };
+
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new NewsletterError('Newsletter request timed out', NewsletterErrorType.NETWORK));
+    }, NEWSLETTER_CONFIG.timeout);
+
+    window[callbackName] = (payload) => {
+      cleanup();
+      resolve(payload);
+    };
+
+    script.onerror = () => {
+      cleanup();
+      reject(new NewsletterError('Newsletter request failed to load', NewsletterErrorType.NETWORK));
+    };
+
+    const separator = url.includes('?') ? '&' : '?';
+    script.src = `${url}${separator}${callbackParam}=${callbackName}`;
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Create the Mailchimp adapter
+ * Uses the audience's embedded form action URL
+ * (https://<dc>.list-manage.com/subscribe/post?u=...&id=...), which accepts
+ * JSONP without an API key. Enable double opt-in in the audience settings.
+ *
+ * @returns {NewsletterAdapter} Mailchimp adapter
+ */
+function createMailchimpAdapter() {
+  const formUrl = NEWSLETTER_CONFIG.mailchimpFormUrl;
+
+  if (!formUrl) {
+    throw new NewsletterError('VITE_MAILCHIMP_FORM_URL is not set', NewsletterErrorType.CONFIGURATION);
+  }
+
+  const unsupported = () => {
+    throw new NewsletterError('Mailchimp verifies its own links', NewsletterErrorType.UNSUPPORTED);
+  };
+
+  return {
+    verifiesLinks: false,
+
+    async subscribe({ email }) {
+      const url = new URL(formUrl.replace('/subscribe/post?', '/subscribe/post-json?'));
+      const userId = url.searchParams.get('u');
+      const listId = url.searchParams.get('id');
+
+      url.searchParams.set('EMAIL', email);
+      // Mailchimp's bot trap must be present and empty
+      url.searchParams.set(`b_${userId}_${listId}`, '');
+
+      if (NEWSLETTER_CONFIG.mailchimpMarketingPermissionId) {
+        url.searchParams.set(`gdpr[${NEWSLETTER_CONFIG.mailchimpMarketingPermissionId}]`, 'Y');
+      }
+
+      const payload = await requestJsonp(url.toString(), 'c');
+      const message = String(payload.msg || '');
+
+      if (payload.result === 'success') {
+        return { status: NewsletterStatus.PENDING };
+      }
+
+      if (/already subscribed/i.test(message)) {
+        return { status: NewsletterStatus.SUBSCRIBED };
+      }
+
+      throw new NewsletterError(`Mailchimp rejected the signup: ${message}`, NewsletterErrorType.PROVIDER);
+    },
+
+    confirm: unsupported,
+    unsubscribe: unsupported,
+  };
+}
+
+/**
+ * Create the Buttondown adapter
+ * Posts to the public embed-subscribe endpoint. The response is opaque, so a
+ * completed request is treated as a pending confirmation.
+ *
+ * @returns {NewsletterAdapter} Buttondown adapter
+ */
+function createButtondownAdapter() {
+  const username = NEWSLETTER_CONFIG.buttondownUsername;
+
+  if (!username) {
+    throw new NewsletterError('VITE_BUTTONDOWN_USERNAME is not set', NewsletterErrorType.CONFIGURATION);
+  }
+
+  const unsupported = () => {
+    throw new NewsletterError('Buttondown verifies its own links', NewsletterErrorType.UNSUPPORTED);
+  };
+
+  return {
+    verifiesLinks: false,
+
+    async subscribe({ email }) {
+      const body = new FormData();
+      body.append('email', email);
+      body.append('embed', '1');
+
+      try {
+        await fetch(`https://buttondown.com/api/emails/embed-subscribe/${encodeURIComponent(username)}`, {
+          method: 'POST',
+          mode: 'no-cors',
+          body,
+        });
+      } catch (error) {
+        throw new NewsletterError(`Buttondown request failed: ${error.message}`, NewsletterErrorType.NETWORK);
+      }
+
+      return { status: NewsletterStatus.PENDING };
+    },
+
+    confirm: unsupported,
+    unsubscribe: unsupported,
+  };
+}
+
+/**
+ * Registered adapter factories keyed by provider ID
+ */
+const adapterFactories = new Map([
+  [NewsletterProvider.REST, createRestAdapter],
+  [NewsletterProvider.MAILCHIMP, createMailchimpAdapter],
+  [NewsletterProvider.BUTTONDOWN, createButtondownAdapter],
+]);
+
+let adapter = null;
+
+/**
+ * Register a newsletter provider
+ * @param {string} id - Provider ID
+ * @param {function(): NewsletterAdapter} createAdapter - Adapter factory
+ */
+export function registerNewsletterProvider(id, createAdapter) {
+  if (typeof id !== 'string' || !id || typeof createAdapter !== 'function') {
+    throw new NewsletterError('Newsletter provider needs an ID and an adapter factory', NewsletterErrorType.CONFIGURATION, { id });
+  }
+
+  adapterFactories.set(id, createAdapter);
+  adapter = null;
+}
+
+/**
+ * Get the adapter for the configured provider
+ * @returns {NewsletterAdapter} Adapter
+ * @throws {NewsletterError} If the provider is unknown or misconfigured
+ */
+export function getNewsletterAdapter() {
+  if (!adapter) {
+    const createAdapter = adapterFactories.get(NEWSLETTER_CONFIG.provider);
+
+    if (!createAdapter) {
+      throw new NewsletterError(`Unknown newsletter provider: ${NEWSLETTER_CONFIG.provider}`, NewsletterErrorType.CONFIGURATION);
+    }
+
+    adapter = createAdapter();
+  }
+
+  return adapter;
+}
+
+/**
+ * Get the stored subscription and consent record for this browser
+ * @returns {Object|null} Record, or null if the visitor never subscribed here
+ */
+export function getNewsletterRecord() {
+  // Links are handled while the page boots, possibly before privacy is initialized
+  if (!privacyManager.initialized) {
+    initializePrivacy();
+  }
+
+  return getPreferences(RECORD_KEY) || null;
+}
+
+/**
+ * Merge changes into the stored subscription record
+ * @param {Object} changes - Fields to update
+ * @returns {Object} Updated record
+ */
+function updateRecord(changes) {
+  const record = {
+    ...getNewsletterRecord(),
+    ...changes,
+    provider: NEWSLETTER_CONFIG.provider,
+    updatedAt: new Date().toISOString(),
+  };
+
+  setPreferences(RECORD_KEY, record);
+  return record;
+}
+
+/**
+ * Subscribe an email address
+ * Records marketing consent before contacting the provider so the consent
+ * evidence exists for every signup that reaches the list.
+ *
+ * @param {string} email - Email address
+ * @param {Object} options - Signup options
+ * @param {boolean} options.consentGiven - Whether the consent checkbox was ticked
+ * @param {string} options.consentText - Consent wording shown to the visitor
+ * @param {string} [options.source='footer'] - Where the signup form was shown
+ * @returns {Promise<{status: string}>} Subscription status
+ * @throws {NewsletterError} If validation fails or the provider rejects the signup
+ */
+export async function subscribeToNewsletter(email, { consentGiven, consentText, source = 'footer' }) {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw new NewsletterError('Invalid email address', NewsletterErrorType.VALIDATION);
+  }
+
+  if (!consentGiven) {
+    throw new NewsletterError('Marketing consent not given', NewsletterErrorType.CONSENT_REQUIRED);
+  }
+
+  const newsletterAdapter = getNewsletterAdapter();
+
+  const consent = {
+    type: ConsentType.MARKETING,
+    purpose: 'newsletter',
+    text: consentText,
+    policyVersion: CONSENT_VERSION,
+    grantedAt: new Date().toISOString(),
+    source,
+    page: `${window.location.origin}${window.location.pathname}`,
+  };
+
+  setConsent(ConsentType.MARKETING, true);
+  updateRecord({ email: normalizedEmail, status: NewsletterStatus.PENDING, consent, confirmedAt: null, unsubscribedAt: null });
+
+  const result = await newsletterAdapter.subscribe({ email: normalizedEmail, consent });
+
+  if (result.status === NewsletterStatus.SUBSCRIBED) {
+    updateRecord({ status: NewsletterStatus.SUBSCRIBED });
+  }
+
+  return result;
+}
+
+/**
+ * Verify a confirmation token from a double opt-in email
+ * @param {string} token - Confirmation token
+ * @returns {Promise<Object>} Updated subscription record
+ * @throws {NewsletterError} If the token is invalid or the provider verifies its own links
+ */
+export async function confirmNewsletterSubscription(token) {
+  const result = await getNewsletterAdapter().confirm(token);
+  const current = getNewsletterRecord();
+
+  return updateRecord({
+    email: result.email || current?.email,
+    status: NewsletterStatus.SUBSCRIBED,
+    confirmedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Verify an unsubscribe token and withdraw marketing consent
+ * @param {string} token - Unsubscribe token
+ * @returns {Promise<Object>} Updated subscription record
+ * @throws {NewsletterError} If the token is invalid or the provider verifies its own links
+ */
+export async function unsubscribeFromNewsletter(token) {
+  const result = await getNewsletterAdapter().unsubscribe(token);
+  return recordUnsubscribe(result.email);
+}
+
+/**
+ * Mark the local record unsubscribed and withdraw marketing consent
+ * @param {string} [email] - Email address reported by the provider
+ * @returns {Object} Updated subscription record
+ */
+function recordUnsubscribe(email) {
+  const current = getNewsletterRecord();
+
+  setConsent(ConsentType.MARKETING, false);
+
+  return updateRecord({
+    email: email || current?.email,
+    status: NewsletterStatus.UNSUBSCRIBED,
+    unsubscribedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Remove newsletter parameters from the address bar
+ */
+function clearLinkParams() {
+  const url = new URL(window.location.href);
+  Object.values(NewsletterLinkParam).forEach((param) => url.searchParams.delete(param));
+  window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+}
+
+/**
+ * Handle a confirmation or unsubscribe link the visitor arrived through
+ * @returns {Promise<{action: string, success: boolean, message: string}|null>} Outcome, or null without a newsletter link
+ */
+export async function handleNewsletterLink() {
+  const params = new URLSearchParams(window.location.search);
+  const confirmToken = params.get(NewsletterLinkParam.CONFIRM);
+  const unsubscribeToken = params.get(NewsletterLinkParam.UNSUBSCRIBE);
+  const result = params.get(NewsletterLinkParam.RESULT);
+
+  if (!confirmToken && !unsubscribeToken && !result) {
+    return null;
+  }
+
+  clearLinkParams();
+
+  try {
+    if (confirmToken) {
+      await confirmNewsletterSubscription(confirmToken);
+      return { action: 'confirm', success: true, message: 'Your subscription is confirmed. Welcome aboard!' };
+    }
+
+    if (unsubscribeToken) {
+      await unsubscribeFromNewsletter(unsubscribeToken);
+      return { action: 'unsubscribe', success: true, message: 'You have been unsubscribed and won\'t receive further emails.' };
+    }
+
+    // Redirects from hosted provider pages, which have already verified the link
+    if (result === NewsletterStatus.UNSUBSCRIBED) {
+      recordUnsubscribe();
+      return { action: 'unsubscribe', success: true, message: 'You have been unsubscribed and won\'t receive further emails.' };
+    }
+
+    if (result === 'confirmed') {
+      updateRecord({ status: NewsletterStatus.SUBSCRIBED, confirmedAt: new Date().toISOString() });
+      return { action: 'confirm', success: true, message: 'Your subscription is confirmed. Welcome aboard!' };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('[Newsletter] Failed to handle newsletter link:', error);
+    return {
+      action: confirmToken ? 'confirm' : 'unsubscribe',
+      success: false,
+      message: error.userMessage || ERROR_MESSAGES[NewsletterErrorType.PROVIDER],
+    };
+  }
+}
+
+export default {
+  NewsletterProvider,
+  NewsletterStatus,
+  NewsletterErrorType,
+  NewsletterLinkParam,
+  NEWSLETTER_CONFIG,
+  NewsletterError,
+  registerNewsletterProvider,
+  getNewsletterAdapter,
+  getNewsletterRecord,
+  subscribeToNewsletter,
+  confirmNewsletterSubscription,
+  unsubscribeFromNewsletter,
+  handleNewsletterLink,
+};
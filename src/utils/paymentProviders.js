@@ -0,0 +1,306 @@
+/**
+ * Payment Provider Adapters
+ *
+ * Registers the built-in payment providers with the registry in paymentConfig.js.
+ * Each adapter wraps a provider component behind the shared
+ * initialize/createPayment/confirm/cancel contract so donation UIs never
+ * talk to a provider SDK directly.
+ *
+ * Import the registry API from this module to guarantee the built-in
+ * providers are registered before use.
+ *
+ * @module utils/paymentProviders
+ * @version 1.0.0
+ */
+
+import {
+  PaymentProvider,
+  DonationFrequency,
+  registerPaymentProvider,
+} from './paymentConfig.js';
+import { getPaymentMethod } from '../data/donationContent.js';
+import { createStripePayment, PaymentState as StripePaymentState } from '../components/StripePayment.js';
+import { createPayPalPayment } from '../components/PayPalPayment.js';
+import { createPaystackPayment, createFlutterwavePayment } from '../components/LocalPaymentGateway.js';
+
+/**
+ * Create the Stripe adapter
+ * Mounts the Payment Element on selection and confirms a backend PaymentIntent on submit.
+ * The frequency goes with the PaymentIntent request so the backend can start a
+ * subscription for recurring gifts.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.containerId - DOM container ID for the Payment Element
+ * @returns {import('./paymentConfig.js').PaymentAdapter} Stripe adapter
+ */
+function createStripeAdapter(options) {
+  let payment = null;
+  let mountedCurrency = null;
+
+  const ensurePayment = () => {
+    if (!payment) {
+      // Outcomes are reported through confirm() results; callbacks are no-ops
+      payment = createStripePayment({
+        containerId: options.containerId,
+        onSuccess: () => {},
+        onError: () => {},
+      });
+    }
+    return payment;
+  };
+
+  return {
+    async initialize(paymentData) {
+      if (mountedCurrency && mountedCurrency === paymentData.currency) {
+        ensurePayment().updateAmount(paymentData.amount);
+        ensurePayment().updateFrequency(paymentData.frequency);
+        return;
+      }
+
+      // Elements are created for a single currency; remount when it changes
+      this.destroy();
+
+      const stripePayment = ensurePayment();
+      await stripePayment.initialize(paymentData);
+
+      if (stripePayment.getState() === StripePaymentState.READY) {
+        mountedCurrency = paymentData.currency;
+      }
+    },
+
+    createPayment(_paymentData, details) {
+      return ensurePayment().createPayment(details);
+    },
+
+    confirm(details) {
+      return ensurePayment().confirmPayment(details);
+    },
+
+    cancel() {
+      if (payment) {
+        payment.cancel();
+      }
+    },
+
+    async resume(paymentData) {
+      if (!new URLSearchParams(window.location.search).has('payment_intent_client_secret')) {
+        return null;
+      }
+
+      await this.initialize(paymentData);
+      return ensurePayment().handleRedirectReturn();
+    },
+
+    destroy() {
+      if (payment) {
+        payment.destroy();
+        payment = null;
+      }
+      mountedCurrency = null;
+    },
+  };
+}
+
+/**
+ * Create the PayPal adapter
+ * PayPal orders are created and approved through PayPal's own buttons, so
+ * confirm() resolves once the donor finishes (or abandons) the PayPal flow.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.containerId - DOM container ID for PayPal buttons
+ * @returns {import('./paymentConfig.js').PaymentAdapter} PayPal adapter
+ */
+function createPayPalAdapter(options) {
+  let payment = null;
+  let renderedFor = null;
+  let pending = null;
+  let settledResult = null;
+
+  const settle = (result) => {
+    if (pending) {
+      pending(result);
+      pending = null;
+    } else {
+      settledResult = result;
+    }
+  };
+
+  const teardown = () => {
+    if (payment) {
+      payment.destroy();
+      payment = null;
+    }
+    renderedFor = null;
+  };
+
+  return {
+    async initialize(paymentData) {
+      const key = `${paymentData.amount}:${paymentData.currency}:${paymentData.frequency}`;
+
+      if (payment && renderedFor === key) {
+        return;
+      }
+
+      // Buttons capture the amount when rendered, so re-render on change
+      teardown();
+      settledResult = null;
+
+      payment = createPayPalPayment({
+        containerId: options.containerId,
+        enableRecurring: paymentData.frequency === DonationFrequency.MONTHLY,
+        currency: paymentData.currency,
+        onSuccess: (result) => settle({
+          success: true,
+          transactionId: result.orderId,
+          ...result,
+          amount: Number(result.amount),
+        }),
+        onError: (error) => settle({
+          success: false,
+          error: error.userMessage,
+          recoverable: error.recoverable,
+        }),
+        onCancel: (details) => settle({
+          success: false,
+          cancelled: true,
+          error: 'PayPal payment was cancelled.',
+          ...details,
+        }),
+      });
+
+      await payment.initialize(paymentData);
+      renderedFor = key;
+    },
+
+    async createPayment() {
+      return { status: 'awaiting_approval' };
+    },
+
+    confirm() {
+      if (settledResult) {
+        const result = settledResult;
+        settledResult = null;
+        return Promise.resolve(result);
+      }
+
+      return new Promise((resolve) => {
+        pending = resolve;
+      });
+    },
+
+    cancel() {
+      settle({ success: false, cancelled: true, error: 'Payment was cancelled.' });
+    },
+
+    destroy() {
+      if (pending) {
+        this.cancel();
+      }
+      teardown();
+    },
+  };
+}
+
+/**
+ * Create an adapter for an inline-checkout gateway (Paystack, Flutterwave)
+ * The provider's checkout opens on confirm() and the reference is verified
+ * by the backend before the payment is reported as successful.
+ *
+ * @param {Function} createGateway - Gateway factory from LocalPaymentGateway.js
+ * @returns {function(Object): import('./paymentConfig.js').PaymentAdapter} Adapter factory
+ */
+function createLocalGatewayAdapter(createGateway) {
+  return (options) => {
+    let payment = null;
+
+    const ensurePayment = () => {
+      if (!payment) {
+        // Outcomes are reported through confirm() results; callbacks are no-ops
+        payment = createGateway({
+          channels: options.channels,
+          onSuccess: () => {},
+          onError: () => {},
+        });
+      }
+      return payment;
+    };
+
+    return {
+      initialize(paymentData) {
+        return ensurePayment().initialize(paymentData);
+      },
+
+      async createPayment() {
+        return ensurePayment().createPayment();
+      },
+
+      confirm(details) {
+        return ensurePayment().confirmPayment(details);
+      },
+
+      cancel() {
+        if (payment) {
+          payment.cancel();
+        }
+      },
+
+      destroy() {
+        if (payment) {
+          payment.destroy();
+          payment = null;
+        }
+      },
+    };
+  };
+}
+
+/**
+ * Build a registration using display content from donationContent.js
+ * @param {string} id - Provider ID
+ * @param {Object} registration - Registration overrides
+ * @returns {Object} Provider registration
+ */
+function withContent(id, registration) {
+  const content = getPaymentMethod(id) || {};
+
+  return {
+    label: content.name,
+    icon: content.icon,
+    description: content.description,
+    currencies: content.currencies,
+    ...registration,
+  };
+}
+
+registerPaymentProvider(PaymentProvider.STRIPE, withContent(PaymentProvider.STRIPE, {
+  supportsRecurring: true,
+  mountOnSelect: true,
+  createAdapter: createStripeAdapter,
+}));
+
+registerPaymentProvider(PaymentProvider.PAYPAL, withContent(PaymentProvider.PAYPAL, {
+  supportsRecurring: true,
+  mountOnSelect: false,
+  createAdapter: createPayPalAdapter,
+}));
+
+registerPaymentProvider(PaymentProvider.PAYSTACK, withContent(PaymentProvider.PAYSTACK, {
+  supportsRecurring: false,
+  mountOnSelect: false,
+  createAdapter: createLocalGatewayAdapter(createPaystackPayment),
+}));
+
+registerPaymentProvider(PaymentProvider.FLUTTERWAVE, withContent(PaymentProvider.FLUTTERWAVE, {
+  supportsRecurring: false,
+  mountOnSelect: false,
+  createAdapter: createLocalGatewayAdapter(createFlutterwavePayment),
+}));
+
+export {
+  PaymentProvider,
+  PaymentChannel,
+  DonationFrequency,
+  getPaymentProvider,
+  getRegisteredProviders,
+  createPaymentSession,
+} from './paymentConfig.js';
@@ -0,0 +1,448 @@
+/**
+ * PDF Document Writer
+ *
+ * Minimal PDF 1.4 writer for generating documents in the browser without a
+ * third-party library or a print pop-up. Supports multiple A4 pages, text in
+ * the standard Helvetica fonts, lines and filled rectangles — enough for
+ * receipts and statements.
+ *
+ * Coordinates are in points with the origin at the top-left of the page.
+ * Text is encoded as WinAnsi. Accented letters outside that set lose the
+ * accents WinAnsi can't show (Ọlá becomes Olá); other characters render as '?'.
+ *
+ * @module utils/pdfDocument
+ * @version 1.0.0
+ */
+
+/**
+ * A4 page size in points
+ * @constant {{width: number, height: number}}
+ */
+export const PAGE_SIZE = Object.freeze({ width: 595.28, height: 841.89 });
+
+/**
+ * Available fonts
+ * @enum {string}
+ */
+export const PdfFont = Object.freeze({
+  REGULAR: 'regular',
+  BOLD: 'bold',
+});
+
+/**
+ * PDF resource names and base fonts
+ */
+const FONT_RESOURCES = Object.freeze({
+  [PdfFont.REGULAR]: { name: 'F1', baseFont: 'Helvetica' },
+  [PdfFont.BOLD]: { name: 'F2', baseFont: 'Helvetica-Bold' },
+});
+
+/**
+ * Glyph widths (1/1000 em) for printable ASCII 32-126, from the Adobe AFM metrics
+ */
+const GLYPH_WIDTHS = Object.freeze({
+  [PdfFont.REGULAR]: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  [PdfFont.BOLD]: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+});
+
+/**
+ * Width used for glyphs outside printable ASCII
+ */
+const DEFAULT_GLYPH_WIDTH = 556;
+
+/**
+ * WinAnsi code points for characters outside Latin-1
+ */
+const WIN_ANSI_EXTRAS = Object.freeze({
+  '€': 0x80,
+  '‚': 0x82,
+  'ƒ': 0x83,
+  '„': 0x84,
+  '…': 0x85,
+  '†': 0x86,
+  '‡': 0x87,
+  'ˆ': 0x88,
+  '‰': 0x89,
+  'Š': 0x8a,
+  '‹': 0x8b,
+  'Œ': 0x8c,
+  'Ž': 0x8e,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '˜': 0x98,
+  '™': 0x99,
+  'š': 0x9a,
+  '›': 0x9b,
+  'œ': 0x9c,
+  'ž': 0x9e,
+  'Ÿ': 0x9f,
+});
+
+/**
+ * Check whether a character has a WinAnsi code
+ * @param {string} char - Single character
+ * @returns {boolean} True if it can be encoded
+ */
+function isWinAnsi(char) {
+  const code = char.codePointAt(0);
+  return char.length === 1 && (
+    Boolean(WIN_ANSI_EXTRAS[char]) || (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)
+  );
+}
+
+/**
+ * Drop the accents WinAnsi can't show
+ * Each letter is decomposed and keeps only the combining marks that still
+ * compose into a WinAnsi character, so Yoruba names keep their tone marks
+ * where possible and lose the dots below: 'Ọlá' -> 'Olá', 'ọ́' -> 'ó'.
+ * @param {string} text - Text
+ * @returns {string} Text with unsupported accents removed
+ */
+function foldToWinAnsi(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/(\P{M})(\p{M}+)/gu, (match, base, marks) => {
+      const kept = [...marks].filter((mark) => isWinAnsi(`${base}${mark}`.normalize('NFC')));
+      return `${base}${kept.join('')}`;
+    })
+    .normalize('NFC');
+}
+
+/**
+ * Encode text as a WinAnsi byte string
+ * @param {string} text - Text to encode
+ * @returns {string} One character per byte
+ */
+function encodeWinAnsi(text) {
+  let result = '';
+
+  for (const char of foldToWinAnsi(text)) {
+    if (WIN_ANSI_EXTRAS[char]) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if (isWinAnsi(char)) {
+      result += char;
+    } else {
+      result += '?';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Escape an encoded string for use in a PDF literal string
+ * @param {string} encoded - WinAnsi byte string
+ * @returns {string} Escaped string
+ */
+function escapePdfString(encoded) {
+  return encoded.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Convert a hex colour to PDF RGB operands
+ * @param {string} hex - Colour such as '#0284c7'
+ * @returns {string} Space-separated RGB components in 0-1
+ */
+function toRgb(hex) {
+  const value = hex.replace('#', '');
+  const channels = [0, 2, 4].map((offset) => parseInt(value.slice(offset, offset + 2), 16) / 255);
+  return channels.map((channel) => channel.toFixed(3)).join(' ');
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} Number with at most two decimals
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Measure the width of a string
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {string} [font=PdfFont.REGULAR] - Font from PdfFont
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, font = PdfFont.REGULAR) {
+  const widths = GLYPH_WIDTHS[font] || GLYPH_WIDTHS[PdfFont.REGULAR];
+  let total = 0;
+
+  for (const char of encodeWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+  }
+
+  return (total * size) / 1000;
+}
+
+/**
+ * Break text into lines that fit a width
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in points
+ * @param {number} size - Font size in points
+ * @param {string} [font=PdfFont.REGULAR] - Font from PdfFont
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxWidth, size, font = PdfFont.REGULAR) {
+  const lines = [];
+  let current = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+
+    if (current && measureText(candidate, size, font) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines;
+}
+
+/**
+ * PDF document builder
+ */
+export class PdfDocument {
+  #pages = [];
+  #title;
+
+  /**
+   * @param {Object} [options] - Document options
+   * @param {string} [options.title] - Document title metadata
+   */
+  constructor(options = {}) {
+    this.#title = options.title || '';
+    this.addPage();
+  }
+
+  /**
+   * Page width in points
+   * @returns {number} Width
+   */
+  get width() {
+    return PAGE_SIZE.width;
+  }
+
+  /**
+   * Page height in points
+   * @returns {number} Height
+   */
+  get height() {
+    return PAGE_SIZE.height;
+  }
+
+  /**
+   * Start a new page; subsequent drawing goes to it
+   * @returns {PdfDocument} This document
+   */
+  addPage() {
+    this.#pages.push([]);
+    return this;
+  }
+
+  /**
+   * Draw a single line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - X position (left edge, or right edge when align is 'right')
+   * @param {number} y - Baseline Y position from the top of the page
+   * @param {Object} [options] - Text options
+   * @param {number} [options.size=10] - Font size in points
+   * @param {string} [options.font=PdfFont.REGULAR] - Font from PdfFont
+   * @param {string} [options.color='#111827'] - Hex colour
+   * @param {string} [options.align='left'] - 'left', 'center' or 'right'
+   * @returns {PdfDocument} This document
+   */
+  text(text, x, y, options = {}) {
+    const { size = 10, font = PdfFont.REGULAR, color = '#111827', align = 'left' } = options;
+    const width = measureText(text, size, font);
+    let left = x;
+
+    if (align === 'right') {
+      left = x - width;
+    } else if (align === 'center') {
+      left = x - width / 2;
+    }
+
+    const { name } = FONT_RESOURCES[font] || FONT_RESOURCES[PdfFont.REGULAR];
+    this.#currentPage().push(
+      `BT /${name} ${num(size)} Tf ${toRgb(color)} rg ${num(left)} ${num(this.height - y)} Td (${escapePdfString(encodeWinAnsi(text))}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw wrapped text and return the Y position after the last line
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline of the first line
+   * @param {number} maxWidth - Maximum line width
+   * @param {Object} [options] - Text options, plus `lineHeight` (default 1.4 × size)
+   * @returns {number} Baseline Y for the next line
+   */
+  paragraph(text, x, y, maxWidth, options = {}) {
+    const { size = 10, font = PdfFont.REGULAR } = options;
+    const lineHeight = options.lineHeight || size * 1.4;
+    let cursor = y;
+
+    wrapText(text, maxWidth, size, font).forEach((line) => {
+      this.text(line, x, cursor, options);
+      cursor += lineHeight;
+    });
+
+    return cursor;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start X
+   * @param {number} y1 - Start Y
+   * @param {number} x2 - End X
+   * @param {number} y2 - End Y
+   * @param {Object} [options] - Line options
+   * @param {string} [options.color='#e5e7eb'] - Hex colour
+   * @param {number} [options.width=1] - Stroke width in points
+   * @returns {PdfDocument} This document
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    const { color = '#e5e7eb', width = 1 } = options;
+    this.#currentPage().push(
+      `${toRgb(color)} RG ${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a filled rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} [options] - Fill options
+   * @param {string} [options.color='#f3f4f6'] - Hex fill colour
+   * @returns {PdfDocument} This document
+   */
+  rect(x, y, width, height, options = {}) {
+    const { color = '#f3f4f6' } = options;
+    this.#currentPage().push(
+      `${toRgb(color)} rg ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re f`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} PDF bytes
+   */
+  toBytes() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.values(FONT_RESOURCES).map(({ name, baseFont }) => ({
+      name,
+      id: addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`),
+    }));
+    const fontDictionary = fontIds.map(({ name, id }) => `/${name} ${id} 0 R`).join(' ');
+
+    const pageIds = this.#pages.map((operations) => {
+      const stream = operations.join('\n');
+      const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << ${fontDictionary} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(
+      `<< /Title (${escapePdfString(encodeWinAnsi(this.#title))}) /Producer (Makoko Community Kids) >>`
+    );
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF`;
+
+    // Every character is a single WinAnsi byte, so string offsets equal byte offsets
+    const bytes = new Uint8Array(output.length);
+    for (let index = 0; index < output.length; index += 1) {
+      bytes[index] = output.charCodeAt(index) & 0xff;
+    }
+    return bytes;
+  }
+
+  /**
+   * Serialize the document as a Blob
+   * @returns {Blob} PDF blob
+   */
+  toBlob() {
+    return new Blob([this.toBytes()], { type: 'application/pdf' });
+  }
+
+  /**
+   * Operations list for the page being drawn
+   * @private
+   * @returns {string[]} Operations
+   */
+  #currentPage() {
+    return this.#pages[this.#pages.length - 1];
+  }
+}
+
+/**
+ * Create a PDF document
+ * @param {Object} [options] - Document options
+ * @returns {PdfDocument} PDF document
+ */
+export function createPdfDocument(options) {
+  return new PdfDocument(options);
+}
+
+export default {
+  PAGE_SIZE,
+  PdfFont,
+  PdfDocument,
+  measureText,
+  wrapText,
+  createPdfDocument,
+};
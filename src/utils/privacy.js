@@ -55,6 +55,16 @@ const PrivacyEvent = Object.freeze({
   CONSENT_EXPIRED: 'privacy:consent-expired',
 });
 
+/**
+ * Reasons the visitor must be asked for consent
+ * @enum {string}
+ */
+const ConsentPromptReason = Object.freeze({
+  FIRST_VISIT: 'first-visit',
+  POLICY_UPDATED: 'policy-updated',
+  EXPIRED: 'expired',
+});
+
 /**
  * Default consent state
  */
@@ -86,6 +96,8 @@ class PrivacyManager {
     this.hasConsent = this.hasConsent.bind(this);
     this.withdrawConsent = this.withdrawConsent.bind(this);
     this.isConsentExpired = this.isConsentExpired.bind(this);
+    this.isConsentVersionMismatch = this.isConsentVersionMismatch.bind(this);
+    this.getConsentPromptReason = this.getConsentPromptReason.bind(this);
     this.getPreferences = this.getPreferences.bind(this);
     this.setPreferences = this.setPreferences.bind(this);
     this.isOptedOut = this.isOptedOut.bind(this);
@@ -119,18 +131,18 @@ class PrivacyManager {
       const storedConsent = this.loadConsent();
       if (storedConsent) {
         // Check if consent is expired or version mismatch
+        // Defaults apply until the visitor chooses again; nothing is saved so the
+        // expired or outdated choice can still be detected for the re-prompt
         if (this.isConsentExpired() || this.isConsentVersionMismatch()) {
           this.logInfo('Consent expired or version mismatch, resetting to defaults');
           this.consent = { ...DEFAULT_CONSENT };
-          this.saveConsent();
           this.dispatchEvent(PrivacyEvent.CONSENT_EXPIRED, { reason: 'expired_or_version_mismatch' });
         } else {
           this.consent = storedConsent;
         }
       } else {
-        // No stored consent, use defaults
+        // No stored consent, use defaults until the visitor makes a choice
         this.consent = { ...DEFAULT_CONSENT };
-        this.saveConsent();
       }
 
       // Load stored preferences
@@ -321,6 +333,32 @@ class PrivacyManager {
     }
   }
 
+  /**
+   * Get the reason the visitor needs to be asked for consent
+   * 
+   * @returns {string|null} ConsentPromptReason, or null if the stored choice is current
+   */
+  getConsentPromptReason() {
+    try {
+      if (!localStorage.getItem(StorageKey.CONSENT)) {
+        return ConsentPromptReason.FIRST_VISIT;
+      }
+    } catch (error) {
+      this.logError('Failed to read stored consent', error);
+      return ConsentPromptReason.FIRST_VISIT;
+    }
+
+    if (this.isConsentVersionMismatch()) {
+      return ConsentPromptReason.POLICY_UPDATED;
+    }
+
+    if (this.isConsentExpired()) {
+      return ConsentPromptReason.EXPIRED;
+    }
+
+    return null;
+  }
+
   /**
    * Get user preferences
    * 
@@ -746,6 +784,24 @@ export function withdrawConsent() {
   return privacyManager.withdrawConsent();
 }
 
+/**
+ * Get the reason the visitor needs to be asked for consent
+ * 
+ * @returns {string|null} ConsentPromptReason, or null if no prompt is needed
+ */
+export function getConsentPromptReason() {
+  return privacyManager.getConsentPromptReason();
+}
+
+/**
+ * Check if the stored consent was given under an older policy version
+ * 
+ * @returns {boolean} Version mismatch status
+ */
+export function isConsentVersionMismatch() {
+  return privacyManager.isConsentVersionMismatch();
+}
+
 /**
  * Get user preferences
  * 
@@ -816,9 +872,9 @@ export function onPrivacyEvent(event, callback) {
 }
 
 /**
- * Export consent types for external use
+ * Export consent types and policy version for external use
  */
-export { ConsentType, PrivacyEvent };
+export { ConsentType, ConsentPromptReason, PrivacyEvent, CONSENT_VERSION };
 
 /**
  * Export privacy manager instance for advanced use cases
@@ -0,0 +1,482 @@
+/**
+ * Donation Receipts
+ *
+ * Generates downloadable PDF receipts for single donations and annual
+ * consolidated statements for recurring donors. Receipts carry a sequential
+ * receipt number, the organization's registration/tax ID and tax wording for
+ * the donor's country from donationContent.js.
+ *
+ * Receipt numbers are issued by the backend so the sequence is shared by all
+ * donors. If the backend cannot be reached, a per-browser number is issued and
+ * the receipt is marked provisional; the emailed receipt remains authoritative.
+ *
+ * @module utils/receipts
+ * @version 1.0.0
+ */
+
+import { getPaymentApiUrl, getPaymentApiTimeout } from './paymentConfig.js';
+import { createPdfDocument, PdfFont } from './pdfDocument.js';
+import { RECEIPT_CONFIG, DESIGNATION_TYPES, getTaxDeductibility } from '../data/donationContent.js';
+import { formatCurrency, formatDate } from './i18n.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Receipt document types
+ * @enum {string}
+ */
+export const ReceiptType = Object.freeze({
+  SINGLE: 'single',
+  ANNUAL: 'annual',
+});
+
+/**
+ * Tax ID values set for this deployment, keyed by ISO country code
+ */
+const TAX_ID_VALUES = Object.freeze({
+  US: import.meta.env.VITE_TAX_ID_US,
+  NG: import.meta.env.VITE_TAX_ID_NG,
+});
+
+/**
+ * localStorage key for issued receipt numbers
+ */
+export const RECEIPT_STORAGE_KEY = 'mck_receipt_numbers';
+
+/**
+ * Locale for receipt text
+ * Receipts are official records issued in English, and the standard PDF fonts
+ * cannot render Yoruba diacritics.
+ */
+const RECEIPT_LOCALE = 'en';
+
+/**
+ * Page layout in points
+ */
+const LAYOUT = Object.freeze({
+  margin: 50,
+  brandColor: '#0284c7',
+  mutedColor: '#6b7280',
+  ruleColor: '#e5e7eb',
+});
+
+/**
+ * Receipt data for a single donation
+ * @typedef {Object} ReceiptDonation
+ * @property {string} transactionId - Provider transaction ID
+ * @property {number} amount - Amount in major units
+ * @property {string} currency - ISO currency code
+ * @property {string} date - ISO date of the donation
+ * @property {string} [donationType] - 'one-time' or 'recurring'
+ * @property {string} [recurringFrequency] - Frequency label for recurring donations
+ * @property {string} [paymentMethod] - Payment method label
+ * @property {string} [donorName] - Donor's name
+ * @property {string} [donorEmail] - Donor's email
+ * @property {string} [country] - Donor's ISO country code
+ * @property {Object} [designation] - Designated program or category ({type, id, label})
+ * @property {Object} [campaign] - Fundraising campaign the gift was made through ({id, title})
+ * @property {Object} [fundraiser] - Personal fundraiser the gift is credited to ({id, name})
+ */
+
+/**
+ * Issued receipt number
+ * @typedef {Object} ReceiptNumber
+ * @property {string} number - Receipt number, e.g. MCK-2026-000123
+ * @property {boolean} provisional - True when issued locally because the backend was unavailable
+ */
+
+/**
+ * Read the issued receipt numbers cache
+ * @returns {Object<string, ReceiptNumber>} Receipt numbers keyed by document key
+ */
+function readIssuedNumbers() {
+  try {
+    return JSON.parse(localStorage.getItem(RECEIPT_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist an issued receipt number
+ * @param {string} key - Document key
+ * @param {ReceiptNumber} receiptNumber - Issued number
+ */
+function storeIssuedNumber(key, receiptNumber) {
+  try {
+    const issued = readIssuedNumbers();
+    issued[key] = receiptNumber;
+    localStorage.setItem(RECEIPT_STORAGE_KEY, JSON.stringify(issued));
+  } catch {
+    // Storage unavailable; the number is still valid for this download
+  }
+}
+
+/**
+ * Issue the next per-browser receipt number for a year
+ * @param {number} year - Receipt year
+ * @returns {string} Receipt number
+ */
+function issueLocalNumber(year) {
+  const issued = Object.values(readIssuedNumbers()).filter((entry) => entry.provisional);
+  const prefix = `${RECEIPT_CONFIG.receiptPrefix}-${year}-P`;
+  const sequence = issued.filter((entry) => entry.number.startsWith(prefix)).length + 1;
+
+  return `${prefix}${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Get the receipt number for a document, issuing one if needed
+ * The same document always receives the same number.
+ *
+ * @param {Object} request - Number request
+ * @param {string} request.type - Document type from ReceiptType
+ * @param {string} request.reference - Transaction ID, or the donor email for annual statements
+ * @param {number} request.year - Receipt year
+ * @returns {Promise<ReceiptNumber>} Receipt number
+ */
+export async function getReceiptNumber({ type, reference, year }) {
+  const key = `${type}:${year}:${reference}`;
+  const cached = readIssuedNumbers()[key];
+
+  if (cached && !cached.provisional) {
+    return cached;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getPaymentApiTimeout());
+
+  try {
+    const response = await fetch(getPaymentApiUrl('receiptNumber'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ type, reference, year }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Receipt number request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.receiptNumber) {
+      throw new Error('Backend did not return a receipt number');
+    }
+
+    const issued = { number: data.receiptNumber, provisional: false };
+    storeIssuedNumber(key, issued);
+    return issued;
+  } catch (error) {
+    console.warn('[Receipts] Using provisional receipt number:', error.message);
+
+    if (cached) {
+      return cached;
+    }
+
+    const issued = { number: issueLocalNumber(year), provisional: true };
+    storeIssuedNumber(key, issued);
+    return issued;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Format an amount for a PDF
+ * ISO codes are used because the standard PDF fonts cannot render every currency symbol.
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount, e.g. "NGN 5,000.00"
+ */
+function formatReceiptAmount(amount, currency) {
+  try {
+    return formatCurrency(amount, currency, { locale: RECEIPT_LOCALE, currencyDisplay: 'code' });
+  } catch {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+}
+
+/**
+ * Format a date for a PDF
+ * @param {string|Date} value - Date
+ * @returns {string} Formatted date
+ */
+function formatReceiptDate(value) {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return String(value || '');
+  }
+
+  return formatDate(date, { locale: RECEIPT_LOCALE, year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Draw the organization header and return the Y position below it
+ * @param {import('./pdfDocument.js').PdfDocument} doc - Document
+ * @param {string} heading - Document heading
+ * @param {ReceiptNumber} receiptNumber - Receipt number
+ * @param {string} issuedOn - Formatted issue date
+ * @returns {number} Y position
+ */
+function drawHeader(doc, heading, receiptNumber, issuedOn) {
+  const { margin, brandColor, mutedColor } = LAYOUT;
+  const right = doc.width - margin;
+
+  doc.rect(0, 0, doc.width, 8, { color: brandColor });
+  doc.text(RECEIPT_CONFIG.organizationName, margin, 60, { size: 18, font: PdfFont.BOLD, color: brandColor });
+  doc.text(RECEIPT_CONFIG.address, margin, 78, { size: 9, color: mutedColor });
+  doc.text(`${RECEIPT_CONFIG.email}  |  ${RECEIPT_CONFIG.website}`, margin, 91, { size: 9, color: mutedColor });
+
+  doc.text(heading, right, 60, { size: 14, font: PdfFont.BOLD, align: 'right' });
+  doc.text(`Receipt No. ${receiptNumber.number}`, right, 78, { size: 9, align: 'right' });
+  doc.text(`Issued ${issuedOn}`, right, 91, { size: 9, color: mutedColor, align: 'right' });
+
+  doc.line(margin, 108, right, 108, { color: LAYOUT.ruleColor });
+  return 135;
+}
+
+/**
+ * Draw label/value rows and return the Y position below them
+ * @param {import('./pdfDocument.js').PdfDocument} doc - Document
+ * @param {Array<[string, string]>} rows - Label/value pairs
+ * @param {number} y - Starting Y position
+ * @returns {number} Y position
+ */
+function drawRows(doc, rows, y) {
+  const { margin, mutedColor, ruleColor } = LAYOUT;
+  const right = doc.width - margin;
+  let cursor = y;
+
+  rows.forEach(([label, value]) => {
+    doc.text(label, margin, cursor, { size: 10, color: mutedColor });
+    doc.text(value, right, cursor, { size: 10, align: 'right' });
+    doc.line(margin, cursor + 9, right, cursor + 9, { color: ruleColor, width: 0.5 });
+    cursor += 26;
+  });
+
+  return cursor;
+}
+
+/**
+ * Get the tax wording and tax ID for a receipt, with the tax ID value set for this deployment
+ * @param {string} [country] - Donor's ISO country code, if known
+ * @param {string} currency - Donation currency, used when the country is unknown
+ * @returns {{country: string, statement: string, taxId: {label: string, value: string}|null}} Tax details;
+ *   taxId is null when no value is configured
+ */
+export function getReceiptTax(country, currency) {
+  const tax = getTaxDeductibility(country, currency);
+  const value = String(TAX_ID_VALUES[tax.taxIdCountry] || tax.taxId?.value || '').trim();
+
+  return { ...tax, taxId: tax.taxId && value ? { label: tax.taxId.label, value } : null };
+}
+
+/**
+ * Draw the tax statement and footer
+ * @param {import('./pdfDocument.js').PdfDocument} doc - Document
+ * @param {Object} tax - Result of getReceiptTax()
+ * @param {ReceiptNumber} receiptNumber - Receipt number
+ * @param {number} y - Starting Y position
+ */
+function drawTaxFooter(doc, tax, receiptNumber, y) {
+  const { margin, mutedColor } = LAYOUT;
+  const width = doc.width - margin * 2;
+  let cursor = y + 10;
+
+  doc.text('Tax information', margin, cursor, { size: 11, font: PdfFont.BOLD });
+  cursor += 18;
+
+  if (tax.taxId) {
+    doc.text(`${tax.taxId.label}: ${tax.taxId.value}`, margin, cursor, { size: 10 });
+    cursor += 16;
+  }
+
+  cursor = doc.paragraph(tax.statement, margin, cursor, width, { size: 10 });
+
+  if (receiptNumber.provisional) {
+    cursor = doc.paragraph(
+      'This is a provisional receipt. Your official numbered receipt will be sent to you by email.',
+      margin,
+      cursor + 6,
+      width,
+      { size: 9, font: PdfFont.BOLD, color: '#b45309' }
+    );
+  }
+
+  doc.paragraph('Thank you for your generous support of the children of Makoko.', margin, cursor + 16, width, {
+    size: 10,
+    color: mutedColor,
+  });
+}
+
+/**
+ * Build a receipt PDF for a single donation
+ * @param {ReceiptDonation} donation - Donation details
+ * @param {ReceiptNumber} receiptNumber - Receipt number
+ * @returns {Blob} PDF blob
+ */
+export function buildDonationReceipt(donation, receiptNumber) {
+  const doc = createPdfDocument({ title: `Donation Receipt ${receiptNumber.number}` });
+  const tax = getReceiptTax(donation.country, donation.currency);
+  const isRecurring = donation.donationType === 'recurring';
+
+  let y = drawHeader(doc, 'Donation Receipt', receiptNumber, formatReceiptDate(new Date()));
+
+  y = drawRows(doc, [
+    ['Donor', donation.donorName || 'Anonymous'],
+    ['Email', donation.donorEmail || ''],
+    ['Date of donation', formatReceiptDate(donation.date)],
+    ['Donation type', isRecurring ? `${donation.recurringFrequency || 'Monthly'} recurring` : 'One-time'],
+    ...(donation.designation && donation.designation.type !== DESIGNATION_TYPES.GENERAL
+      ? [['Designated to', donation.designation.label]]
+      : []),
+    ...(donation.campaign ? [['Campaign', donation.campaign.title]] : []),
+    ...(donation.fundraiser ? [['In support of', `${donation.fundraiser.name}'s fundraiser`]] : []),
+    ['Payment method', donation.paymentMethod || ''],
+    ['Transaction ID', donation.transactionId],
+  ], y);
+
+  doc.rect(LAYOUT.margin, y, doc.width - LAYOUT.margin * 2, 44, { color: '#f0f9ff' });
+  doc.text('Amount received', LAYOUT.margin + 14, y + 27, { size: 11, font: PdfFont.BOLD });
+  doc.text(formatReceiptAmount(donation.amount, donation.currency), doc.width - LAYOUT.margin - 14, y + 28, {
+    size: 16,
+    font: PdfFont.BOLD,
+    color: LAYOUT.brandColor,
+    align: 'right',
+  });
+
+  drawTaxFooter(doc, tax, receiptNumber, y + 80);
+  return doc.toBlob();
+}
+
+/**
+ * Build an annual consolidated statement PDF
+ * @param {Object} statement - Statement details
+ * @param {number} statement.year - Calendar year
+ * @param {string} [statement.donorName] - Donor's name
+ * @param {string} statement.donorEmail - Donor's email
+ * @param {string} [statement.country] - Donor's ISO country code
+ * @param {ReceiptDonation[]} statement.donations - Donations made in the year
+ * @param {ReceiptNumber} receiptNumber - Statement number
+ * @returns {Blob} PDF blob
+ */
+export function buildAnnualStatement(statement, receiptNumber) {
+  const { margin, mutedColor, ruleColor } = LAYOUT;
+  const doc = createPdfDocument({ title: `Annual Giving Statement ${statement.year}` });
+  const right = doc.width - margin;
+  const donations = [...statement.donations].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const primaryCurrency = donations[0]?.currency;
+  const tax = getReceiptTax(statement.country, primaryCurrency);
+
+  let y = drawHeader(doc, `${statement.year} Giving Statement`, receiptNumber, formatReceiptDate(new Date()));
+
+  y = drawRows(doc, [
+    ['Donor', statement.donorName || 'Anonymous'],
+    ['Email', statement.donorEmail],
+    ['Period', `January 1 - December 31, ${statement.year}`],
+    ['Number of donations', String(donations.length)],
+  ], y);
+
+  const drawTableHeader = (top) => {
+    doc.rect(margin, top - 14, doc.width - margin * 2, 22, { color: '#f3f4f6' });
+    doc.text('Date', margin + 8, top, { size: 9, font: PdfFont.BOLD });
+    doc.text('Transaction ID', margin + 150, top, { size: 9, font: PdfFont.BOLD });
+    doc.text('Amount', right - 8, top, { size: 9, font: PdfFont.BOLD, align: 'right' });
+    return top + 24;
+  };
+
+  y = drawTableHeader(y + 10);
+
+  donations.forEach((donation) => {
+    if (y > doc.height - 90) {
+      doc.addPage();
+      y = drawTableHeader(70);
+    }
+
+    doc.text(formatReceiptDate(donation.date), margin + 8, y, { size: 9 });
+    doc.text(donation.transactionId, margin + 150, y, { size: 9, color: mutedColor });
+    doc.text(formatReceiptAmount(donation.amount, donation.currency), right - 8, y, { size: 9, align: 'right' });
+    doc.line(margin, y + 7, right, y + 7, { color: ruleColor, width: 0.5 });
+    y += 20;
+  });
+
+  // Totals are kept per currency; converting would misstate the deductible amount
+  const totals = donations.reduce((sum, donation) => {
+    sum[donation.currency] = (sum[donation.currency] || 0) + Number(donation.amount);
+    return sum;
+  }, {});
+
+  y += 10;
+  Object.entries(totals).forEach(([currency, total]) => {
+    doc.text(`Total (${currency})`, margin + 8, y, { size: 11, font: PdfFont.BOLD });
+    doc.text(formatReceiptAmount(total, currency), right - 8, y, {
+      size: 11,
+      font: PdfFont.BOLD,
+      color: LAYOUT.brandColor,
+      align: 'right',
+    });
+    y += 20;
+  });
+
+  if (y > doc.height - 200) {
+    doc.addPage();
+    y = 50;
+  }
+
+  drawTaxFooter(doc, tax, receiptNumber, y + 10);
+  return doc.toBlob();
+}
+
+/**
+ * Generate and download the receipt for a single donation
+ * @param {ReceiptDonation} donation - Donation details
+ * @returns {Promise<ReceiptNumber>} Receipt number used
+ */
+export async function downloadDonationReceipt(donation) {
+  const year = new Date(donation.date || Date.now()).getFullYear();
+  const receiptNumber = await getReceiptNumber({
+    type: ReceiptType.SINGLE,
+    reference: donation.transactionId,
+    year,
+  });
+
+  downloadBlob(buildDonationReceipt(donation, receiptNumber), `receipt-${receiptNumber.number}.pdf`);
+  console.log('[Receipts] Donation receipt generated:', receiptNumber.number);
+  return receiptNumber;
+}
+
+/**
+ * Generate and download an annual consolidated statement
+ * @param {Object} statement - Statement details, see buildAnnualStatement()
+ * @returns {Promise<ReceiptNumber>} Statement number used
+ * @throws {Error} If there are no donations for the year
+ */
+export async function downloadAnnualStatement(statement) {
+  if (!statement.donations || statement.donations.length === 0) {
+    throw new Error(`No donations found for ${statement.year}`);
+  }
+
+  const receiptNumber = await getReceiptNumber({
+    type: ReceiptType.ANNUAL,
+    reference: statement.donorEmail,
+    year: statement.year,
+  });
+
+  downloadBlob(
+    buildAnnualStatement(statement, receiptNumber),
+    `giving-statement-${statement.year}-${receiptNumber.number}.pdf`
+  );
+  console.log('[Receipts] Annual statement generated:', receiptNumber.number);
+  return receiptNumber;
+}
+
+export default {
+  ReceiptType,
+  getReceiptNumber,
+  getReceiptTax,
+  buildDonationReceipt,
+  buildAnnualStatement,
+  downloadDonationReceipt,
+  downloadAnnualStatement,
+};
@@ -0,0 +1,254 @@
+/**
+ * Client-Side Router
+ *
+ * Small History API router for deep-linkable views:
+ * - Matches paths against route patterns with `:param` segments
+ * - Intercepts same-origin link clicks for known routes and pushes history
+ *   entries instead of reloading the page
+ * - Re-resolves the route on back/forward navigation
+ * - Keeps the current query string (e.g. `?lang=`) when a link has none
+ *
+ * The router only resolves routes; what a route renders is up to the
+ * `onRouteChange` callback.
+ *
+ * @module utils/router
+ * @version 1.0.0
+ */
+
+/**
+ * Router events dispatched on window
+ */
+export const RouterEvent = Object.freeze({
+  CHANGE: 'router:change',
+});
+
+/**
+ * Normalize a pathname
+ * Collapses duplicate slashes and drops the trailing slash, except for '/'.
+ *
+ * @param {string} pathname - URL pathname
+ * @returns {string} Normalized pathname
+ */
+export function normalizePath(pathname) {
+  return `/${String(pathname || '').replace(/\/{2,}/g, '/').replace(/^\/|\/$/g, '')}`;
+}
+
+/**
+ * Compile a route pattern into a regular expression
+ * @param {string} pattern - Route pattern, e.g. '/programs/:id'
+ * @returns {{regex: RegExp, keys: string[]}} Compiled pattern
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const source = normalizePath(pattern)
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source || '/'}$`), keys };
+}
+
+/**
+ * Match a pathname against a route table
+ * @param {Array<Object>} routes - Routes, each with a `path` pattern
+ * @param {string} pathname - URL pathname
+ * @returns {{route: Object, params: Object, path: string}|null} Match, or null
+ */
+export function matchRoute(routes, pathname) {
+  const path = normalizePath(pathname);
+
+  for (const route of routes) {
+    const { regex, keys } = compilePattern(route.path);
+    const match = path.match(regex);
+
+    if (match) {
+      const params = {};
+      keys.forEach((key, index) => {
+        try {
+          params[key] = decodeURIComponent(match[index + 1]);
+        } catch {
+          params[key] = match[index + 1];
+        }
+      });
+      return { route, params, path };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a path from a route pattern
+ * @param {string} pattern - Route pattern, e.g. '/programs/:id'
+ * @param {Object} [params] - Values for `:param` segments
+ * @returns {string} Path
+ */
+export function buildPath(pattern, params = {}) {
+  return normalizePath(pattern.replace(/:(\w+)/g, (placeholder, key) => {
+    if (params[key] === undefined || params[key] === null) {
+      throw new Error(`Missing route parameter '${key}' for ${pattern}`);
+    }
+    return encodeURIComponent(params[key]);
+  }));
+}
+
+/**
+ * Check whether a click should be left to the browser
+ * @param {MouseEvent} event - Click event
+ * @param {HTMLAnchorElement} link - Clicked link
+ * @returns {boolean} True if the router should not handle the click
+ */
+function isBrowserHandledClick(event, link) {
+  return event.defaultPrevented
+    || event.button !== 0
+    || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey
+    || (link.target && link.target !== '_self')
+    || link.hasAttribute('download')
+    || link.getAttribute('rel') === 'external';
+}
+
+/**
+ * Create a router
+ *
+ * @param {Array<Object>} routes - Routes, each with a `path` pattern; other fields are passed through
+ * @param {Object} [options] - Router options
+ * @param {Function} [options.onRouteChange] - Called with `(match, {initial, action})` after each route change
+ * @param {Function} [options.onNotFound] - Called with the pathname when no route matches
+ * @returns {Object} Router API
+ */
+export function createRouter(routes, options = {}) {
+  const { onRouteChange = null, onNotFound = null } = options;
+  let currentMatch = null;
+  let started = false;
+
+  /**
+   * Resolve the current location and notify listeners
+   * @param {Object} context - Change context
+   */
+  function resolveLocation(context) {
+    const match = matchRoute(routes, window.location.pathname);
+
+    if (!match) {
+      console.warn(`[Router] No route for ${window.location.pathname}`);
+      if (typeof onNotFound === 'function') {
+        onNotFound(window.location.pathname);
+      }
+      return;
+    }
+
+    const previous = currentMatch;
+    currentMatch = match;
+
+    if (typeof onRouteChange === 'function') {
+      onRouteChange(match, { ...context, previous });
+    }
+
+    window.dispatchEvent(new CustomEvent(RouterEvent.CHANGE, {
+      detail: {
+        name: match.route.name,
+        path: match.path,
+        params: match.params,
+        ...context,
+      },
+    }));
+  }
+
+  /**
+   * Navigate to a path
+   * @param {string} target - Path or same-origin URL
+   * @param {Object} [navigateOptions] - Options
+   * @param {boolean} [navigateOptions.replace=false] - Replace the current history entry
+   * @returns {boolean} True if the router handled the navigation
+   */
+  function navigate(target, { replace = false } = {}) {
+    const url = new URL(target, window.location.href);
+
+    if (url.origin !== window.location.origin || !matchRoute(routes, url.pathname)) {
+      return false;
+    }
+
+    // Keep locale and campaign parameters across in-app navigation
+    if (!url.search) {
+      url.search = window.location.search;
+    }
+
+    url.pathname = normalizePath(url.pathname);
+    const method = replace ? 'replaceState' : 'pushState';
+    window.history[method]({ path: url.pathname }, '', `${url.pathname}${url.search}${url.hash}`);
+
+    resolveLocation({ initial: false, action: replace ? 'replace' : 'push' });
+    return true;
+  }
+
+  /**
+   * Handle back/forward navigation
+   */
+  function handlePopState() {
+    resolveLocation({ initial: false, action: 'pop' });
+  }
+
+  /**
+   * Handle clicks on links to known routes
+   * @param {MouseEvent} event - Click event
+   */
+  function handleDocumentClick(event) {
+    const link = event.target.closest('a[href]');
+    if (!link || isBrowserHandledClick(event, link)) {
+      return;
+    }
+
+    const href = link.getAttribute('href');
+    // In-page anchors are handled by the navigation utilities
+    if (!href || href.startsWith('#')) {
+      return;
+    }
+
+    if (navigate(href)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Start listening and resolve the initial route
+   * @returns {Object} Router API
+   */
+  function start() {
+    if (started) {
+      return api;
+    }
+
+    window.addEventListener('popstate', handlePopState);
+    document.addEventListener('click', handleDocumentClick);
+    started = true;
+
+    resolveLocation({ initial: true, action: 'load' });
+    return api;
+  }
+
+  /**
+   * Stop listening
+   */
+  function destroy() {
+    window.removeEventListener('popstate', handlePopState);
+    document.removeEventListener('click', handleDocumentClick);
+    started = false;
+    currentMatch = null;
+  }
+
+  const api = {
+    start,
+    navigate,
+    destroy,
+    getCurrentMatch: () => currentMatch,
+  };
+
+  return api;
+}
+
+export default createRouter;
@@ -0,0 +1,485 @@
+/**
+ * Schema Validator
+ *
+ * Small declarative schema language for the content in src/data, and a
+ * validator that walks a value against a schema and reports every problem
+ * with its path (e.g. `VOLUNTEER_ROLES[2].category`) instead of stopping at
+ * the first one.
+ *
+ * Schemas are plain objects built with the helpers below:
+ *
+ *   arrayOf(object({
+ *     id: string(),
+ *     category: string({ oneOf: ref('roleCategories') }),
+ *     lastUpdated: optional(string({ format: StringFormat.DATE })),
+ *   }), { unique: 'id' })
+ *
+ * Object properties are required unless wrapped in optional(). `ref(name)`
+ * points at a list of allowed values supplied when validating, so schemas
+ * can cross-reference other exports without importing them.
+ *
+ * @module utils/schemaValidator
+ * @version 1.0.0
+ */
+
+/**
+ * Schema node types
+ * @enum {string}
+ */
+export const SchemaType = Object.freeze({
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  ARRAY: 'array',
+  OBJECT: 'object',
+  RECORD: 'record',
+  ANY: 'any',
+});
+
+/**
+ * String formats
+ * @enum {string}
+ */
+export const StringFormat = Object.freeze({
+  DATE: 'date',
+  DATE_TIME: 'date-time',
+  URL: 'url',
+  PATH: 'path',
+  EMAIL: 'email',
+});
+
+/**
+ * Patterns for each string format
+ */
+const FORMAT_PATTERNS = Object.freeze({
+  [StringFormat.DATE]: /^\d{4}-\d{2}-\d{2}$/,
+  [StringFormat.DATE_TIME]: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+  [StringFormat.URL]: /^https?:\/\/[^\s]+$/,
+  [StringFormat.PATH]: /^\/[^\s]*$/,
+  [StringFormat.EMAIL]: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+});
+
+/**
+ * Human-readable descriptions of each string format, for error messages
+ */
+const FORMAT_LABELS = Object.freeze({
+  [StringFormat.DATE]: 'a YYYY-MM-DD date',
+  [StringFormat.DATE_TIME]: 'an ISO 8601 date-time with a time zone',
+  [StringFormat.URL]: 'an absolute http(s) URL',
+  [StringFormat.PATH]: 'a site path starting with /',
+  [StringFormat.EMAIL]: 'an email address',
+});
+
+/**
+ * Schema validation error
+ * @typedef {Object} SchemaError
+ * @property {string} path - Path to the offending value, e.g. TESTIMONIALS[0].id
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * String schema; strings must be non-empty unless `allowEmpty` is set
+ * @param {Object} [options] - minLength, maxLength, pattern, format, oneOf, allowEmpty
+ * @returns {Object} Schema
+ */
+export function string(options = {}) {
+  return { type: SchemaType.STRING, ...options };
+}
+
+/**
+ * Number schema
+ * @param {Object} [options] - min, max, integer, oneOf
+ * @returns {Object} Schema
+ */
+export function number(options = {}) {
+  return { type: SchemaType.NUMBER, ...options };
+}
+
+/**
+ * Boolean schema
+ * @returns {Object} Schema
+ */
+export function boolean() {
+  return { type: SchemaType.BOOLEAN };
+}
+
+/**
+ * Schema accepting any value that isn't undefined
+ * @returns {Object} Schema
+ */
+export function any() {
+  return { type: SchemaType.ANY };
+}
+
+/**
+ * Array schema
+ * @param {Object} items - Schema for each item
+ * @param {Object} [options] - minItems, unique (a field name, or true for primitive items),
+ *   sum ({ field, equals }) for totals such as percentages
+ * @returns {Object} Schema
+ */
+export function arrayOf(items, options = {}) {
+  return { type: SchemaType.ARRAY, items, ...options };
+}
+
+/**
+ * Object schema with known properties
+ * @param {Object<string, Object>} properties - Schema per property
+ * @param {Object} [options] - strict (flag unknown properties)
+ * @returns {Object} Schema
+ */
+export function object(properties, options = {}) {
+  return { type: SchemaType.OBJECT, properties, ...options };
+}
+
+/**
+ * Object schema keyed by arbitrary names, e.g. currency codes
+ * @param {Object} values - Schema for each value
+ * @param {Object} [options] - keys (string schema for the keys), minKeys
+ * @returns {Object} Schema
+ */
+export function recordOf(values, options = {}) {
+  return { type: SchemaType.RECORD, values, ...options };
+}
+
+/**
+ * Mark a schema as optional (may be undefined)
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema
+ */
+export function optional(schema) {
+  return { ...schema, optional: true };
+}
+
+/**
+ * Mark a schema as nullable
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema
+ */
+export function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+/**
+ * Reference to a named list of allowed values, resolved at validation time
+ * @param {string} name - Reference name
+ * @returns {{ref: string}} Reference
+ */
+export function ref(name) {
+  return { ref: name };
+}
+
+/**
+ * Join a path and a key
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Resolve an allowed-values list
+ * @param {Array|{ref: string}} oneOf - Values, or a reference to them
+ * @param {Object<string, Array>} references - Named value lists
+ * @returns {Array} Allowed values
+ * @throws {Error} If a reference is unknown
+ */
+function resolveAllowed(oneOf, references) {
+  if (Array.isArray(oneOf)) {
+    return oneOf;
+  }
+
+  const allowed = references[oneOf.ref];
+  if (!allowed) {
+    throw new Error(`Unknown schema reference: ${oneOf.ref}`);
+  }
+
+  return allowed;
+}
+
+/**
+ * Check a value against an allowed-values list
+ * @param {*} value - Value
+ * @param {Object} schema - Schema with oneOf
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function checkAllowed(value, schema, path, context, errors) {
+  if (!schema.oneOf) {
+    return;
+  }
+
+  const allowed = resolveAllowed(schema.oneOf, context.references);
+  if (!allowed.includes(value)) {
+    const source = schema.oneOf.ref ? ` from ${schema.oneOf.ref}` : '';
+    errors.push({ path, message: `${JSON.stringify(value)} is not one of the allowed values${source}: ${allowed.join(', ')}` });
+  }
+}
+
+/**
+ * Validate a string
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateString(value, schema, path, context, errors) {
+  if (!schema.allowEmpty && value.trim() === '') {
+    errors.push({ path, message: 'must not be empty' });
+    return;
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+
+  if (schema.format) {
+    const pattern = FORMAT_PATTERNS[schema.format];
+    const isDate = schema.format === StringFormat.DATE || schema.format === StringFormat.DATE_TIME;
+
+    if (!pattern.test(value) || (isDate && Number.isNaN(Date.parse(value)))) {
+      errors.push({ path, message: `${JSON.stringify(value)} is not ${FORMAT_LABELS[schema.format]}` });
+    } else if (schema.format === StringFormat.DATE && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value) {
+      errors.push({ path, message: `${JSON.stringify(value)} is not a real calendar date` });
+    }
+  }
+
+  checkAllowed(value, schema, path, context, errors);
+}
+
+/**
+ * Validate a number
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateNumber(value, schema, path, context, errors) {
+  if (!Number.isFinite(value)) {
+    errors.push({ path, message: 'must be a finite number' });
+    return;
+  }
+
+  if (schema.integer && !Number.isInteger(value)) {
+    errors.push({ path, message: 'must be a whole number' });
+  }
+
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push({ path, message: `must be at least ${schema.min}` });
+  }
+
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push({ path, message: `must be at most ${schema.max}` });
+  }
+
+  checkAllowed(value, schema, path, context, errors);
+}
+
+/**
+ * Validate an array, its items, uniqueness and totals
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateArray(value, schema, path, context, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+  }
+
+  value.forEach((item, index) => {
+    validateNode(item, schema.items, childPath(path, index), context, errors);
+  });
+
+  if (schema.unique) {
+    const seen = new Map();
+    value.forEach((item, index) => {
+      const key = schema.unique === true ? item : item?.[schema.unique];
+      if (key === undefined) {
+        return;
+      }
+
+      if (seen.has(key)) {
+        const field = schema.unique === true ? 'value' : schema.unique;
+        errors.push({
+          path: schema.unique === true ? childPath(path, index) : childPath(childPath(path, index), schema.unique),
+          message: `duplicate ${field} ${JSON.stringify(key)} (also at ${childPath(path, seen.get(key))})`,
+        });
+      } else {
+        seen.set(key, index);
+      }
+    });
+  }
+
+  if (schema.sum) {
+    const { field, equals } = schema.sum;
+    const total = value.reduce((sum, item) => sum + (Number(item?.[field]) || 0), 0);
+    if (total !== equals) {
+      errors.push({ path, message: `${field} values must add up to ${equals}, got ${total}` });
+    }
+  }
+}
+
+/**
+ * Validate an object with known properties
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateObject(value, schema, path, context, errors) {
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    validateNode(value[key], propertySchema, childPath(path, key), context, errors);
+  });
+
+  if (schema.strict) {
+    Object.keys(value)
+      .filter((key) => !(key in schema.properties))
+      .forEach((key) => errors.push({ path: childPath(path, key), message: 'is not a known property' }));
+  }
+}
+
+/**
+ * Validate an object keyed by arbitrary names
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateRecord(value, schema, path, context, errors) {
+  const entries = Object.entries(value);
+
+  if (schema.minKeys !== undefined && entries.length < schema.minKeys) {
+    errors.push({ path, message: `must have at least ${schema.minKeys} entr${schema.minKeys === 1 ? 'y' : 'ies'}` });
+  }
+
+  entries.forEach(([key, item]) => {
+    if (schema.keys) {
+      validateString(key, schema.keys, `${childPath(path, key)} (key)`, context, errors);
+    }
+    validateNode(item, schema.values, childPath(path, key), context, errors);
+  });
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Value path
+ * @param {Object} context - Validation context
+ * @param {SchemaError[]} errors - Errors collected so far
+ */
+function validateNode(value, schema, path, context, errors) {
+  if (value === undefined) {
+    if (!schema.optional) {
+      errors.push({ path, message: 'is required' });
+    }
+    return;
+  }
+
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push({ path, message: 'must not be null' });
+    }
+    return;
+  }
+
+  const actual = describeType(value);
+  const expected = {
+    [SchemaType.STRING]: 'string',
+    [SchemaType.NUMBER]: 'number',
+    [SchemaType.BOOLEAN]: 'boolean',
+    [SchemaType.ARRAY]: 'array',
+    [SchemaType.OBJECT]: 'object',
+    [SchemaType.RECORD]: 'object',
+  }[schema.type];
+
+  if (expected && actual !== expected) {
+    errors.push({ path, message: `must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, got ${actual}` });
+    return;
+  }
+
+  switch (schema.type) {
+    case SchemaType.STRING:
+      validateString(value, schema, path, context, errors);
+      break;
+    case SchemaType.NUMBER:
+      validateNumber(value, schema, path, context, errors);
+      break;
+    case SchemaType.ARRAY:
+      validateArray(value, schema, path, context, errors);
+      break;
+    case SchemaType.OBJECT:
+      validateObject(value, schema, path, context, errors);
+      break;
+    case SchemaType.RECORD:
+      validateRecord(value, schema, path, context, errors);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema built with the helpers in this module
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.path=''] - Path of the value, used as the prefix of error paths
+ * @param {Object<string, Array>} [options.references={}] - Allowed-value lists for ref()
+ * @returns {{valid: boolean, errors: SchemaError[]}} Result with every error found
+ */
+export function validateSchema(value, schema, { path = '', references = {} } = {}) {
+  const errors = [];
+  validateNode(value, schema, path, { references }, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  SchemaType,
+  StringFormat,
+  string,
+  number,
+  boolean,
+  any,
+  arrayOf,
+  object,
+  recordOf,
+  optional,
+  nullable,
+  ref,
+  validateSchema,
+};
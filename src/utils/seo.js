@@ -120,7 +120,7 @@ function setLinkTag(rel, href, attributes = {}) {
  * @param {Object} data - Structured data object
  * @param {string} id - Unique identifier for the script tag
  */
-function injectStructuredData(data, id) {
+export function injectStructuredData(data, id) {
   if (!data || typeof data !== 'object') {
     console.warn('[SEO] Invalid structured data provided');
     return;
@@ -143,6 +143,18 @@ function injectStructuredData(data, id) {
   }
 }
 
+/**
+ * Remove a structured data script added by injectStructuredData
+ * 
+ * @param {string} id - Unique identifier for the script tag
+ */
+export function removeStructuredData(id) {
+  const script = document.getElementById(`structured-data-${id}`);
+  if (script) {
+    script.remove();
+  }
+}
+
 /**
  * Set basic meta tags
  * 
@@ -152,6 +164,7 @@ function injectStructuredData(data, id) {
  * @param {string} options.keywords - Page keywords (comma-separated or array)
  * @param {string} options.author - Page author
  * @param {string} options.canonical - Canonical URL
+ * @param {string} [options.robots='index, follow'] - Robots directives, e.g. 'noindex, nofollow'
  */
 export function setBasicMetaTags(options = {}) {
   const {
@@ -160,6 +173,7 @@ export function setBasicMetaTags(options = {}) {
     keywords = DEFAULT_SEO_CONFIG.defaultKeywords,
     author = DEFAULT_SEO_CONFIG.siteName,
     canonical = window.location.href,
+    robots = 'index, follow',
   } = options;
 
   // Set document title
@@ -175,6 +189,9 @@ export function setBasicMetaTags(options = {}) {
   // Set author
   setMetaTag('author', author);
 
+  // Set robots, reset on every page so a noindex page doesn't leak into the next
+  setMetaTag('robots', robots);
+
   // Set canonical URL
   setLinkTag('canonical', canonical);
 
@@ -446,6 +463,7 @@ export function generateBreadcrumbSchema(breadcrumbs) {
  * @param {string} options.type - Page type
  * @param {Object} options.structuredData - Additional structured data
  * @param {Array<Object>} options.breadcrumbs - Breadcrumb items
+ * @param {string} [options.robots] - Robots directives, defaults to 'index, follow'
  */
 export function initializeSEO(options = {}) {
   try {
@@ -458,6 +476,7 @@ export function initializeSEO(options = {}) {
       type,
       structuredData = {},
       breadcrumbs,
+      robots,
     } = options;
 
     // Set basic meta tags
@@ -466,6 +485,7 @@ export function initializeSEO(options = {}) {
       description,
       keywords,
       canonical: url,
+      robots,
     });
 
     // Set Open Graph tags
@@ -562,12 +582,16 @@ export function generateSitemapData(pages = []) {
  * Generate robots.txt content
  * 
  * @param {Object} options - Robots.txt options
+ * @param {number|null} [options.crawlDelay] - Crawl-delay in seconds for all agents
+ * @param {string[]} [options.blockedAgents] - User agents denied the whole site
  * @returns {string} Robots.txt content
  */
 export function generateRobotsTxt(options = {}) {
   const {
     allowAll = true,
     disallowPaths = ['/admin', '/api'],
+    crawlDelay = null,
+    blockedAgents = [],
     sitemapUrl = `${DEFAULT_SEO_CONFIG.siteUrl}/sitemap.xml`,
   } = options;
 
@@ -581,6 +605,14 @@ export function generateRobotsTxt(options = {}) {
     lines.push(`Disallow: ${path}`);
   });
 
+  if (crawlDelay) {
+    lines.push(`Crawl-delay: ${crawlDelay}`);
+  }
+
+  blockedAgents.forEach((agent) => {
+    lines.push('', `User-agent: ${agent}`, 'Disallow: /');
+  });
+
   lines.push('');
   lines.push(`Sitemap: ${sitemapUrl}`);
 
@@ -603,6 +635,8 @@ export default {
   generateProgramSchema,
   generateEventSchema,
   generateBreadcrumbSchema,
+  injectStructuredData,
+  removeStructuredData,
   initializeSEO,
   updateSEO,
   generateSitemapData,
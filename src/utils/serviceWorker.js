@@ -0,0 +1,62 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers public/sw.js, which provides offline mode (precached app shell,
+ * cached Unsplash images and an offline contact page) and delivers queued form
+ * submissions through Background Sync. Registration is skipped during
+ * development so the dev server and HMR are never served through a worker,
+ * unless VITE_ENABLE_SW=true.
+ *
+ * @module utils/serviceWorker
+ * @version 1.0.0
+ */
+
+/**
+ * Service worker script URL
+ * @constant {string}
+ */
+export const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Prefix of every cache the service worker creates (CACHE_CONFIG.prefix in public/sw.js)
+ * @constant {string}
+ */
+export const SERVICE_WORKER_CACHE_PREFIX = 'mck-';
+
+/**
+ * Whether the service worker should be registered in this environment
+ * @returns {boolean} True if supported and enabled
+ */
+export function isServiceWorkerEnabled() {
+  if (!('serviceWorker' in navigator)) {
+    return false;
+  }
+
+  return import.meta.env.PROD || import.meta.env.VITE_ENABLE_SW === 'true';
+}
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if skipped or failed
+ */
+export async function registerServiceWorker() {
+  if (!isServiceWorkerEnabled()) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' });
+    console.log('[ServiceWorker] Registered with scope:', registration.scope);
+    return registration;
+  } catch (error) {
+    console.error('[ServiceWorker] Registration failed:', error);
+    return null;
+  }
+}
+
+export default {
+  SERVICE_WORKER_URL,
+  SERVICE_WORKER_CACHE_PREFIX,
+  isServiceWorkerEnabled,
+  registerServiceWorker,
+};
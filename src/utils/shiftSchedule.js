@@ -0,0 +1,185 @@
+/**
+ * Volunteer Shift Schedule
+ *
+ * Works out the concrete shifts volunteers can sign up for. Each role gets a
+ * shift in every one of its availability slots that has fixed times in
+ * SHIFT_SCHEDULE, repeating weekly or, for monthly roles, on the first
+ * matching day of each month. Roles that are project-based or only have a
+ * flexible schedule have no shifts; those are arranged with the coordinator.
+ *
+ * Shift IDs are derived from the role, date and start time, so the browser
+ * and the shifts backend agree on them without sharing a database. This
+ * module has no browser dependencies so the backend can use it as well.
+ *
+ * @module utils/shiftSchedule
+ * @version 1.0.0
+ */
+
+import {
+  SHIFT_SCHEDULE,
+  VOLUNTEER_ROLES,
+  getRoleById,
+} from '../data/volunteerContent.js';
+
+/**
+ * Milliseconds per minute
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * Milliseconds per day
+ */
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Shift length used when a role's hoursPerWeek can't be read
+ */
+const DEFAULT_SHIFT_HOURS = 2;
+
+/**
+ * Volunteer shift
+ * @typedef {Object} Shift
+ * @property {string} id - Shift ID, e.g. education-tutor-2024-03-04-1400
+ * @property {string} roleId - Role ID
+ * @property {string} title - Role title
+ * @property {string} slot - Availability slot, e.g. 'Weekday Afternoons'
+ * @property {string} date - Local date, YYYY-MM-DD
+ * @property {string} start - ISO start time
+ * @property {string} end - ISO end time
+ * @property {string} location - Where the shift takes place
+ * @property {number} capacity - Volunteers the shift takes before the waitlist
+ */
+
+/**
+ * Offset of schedule times from UTC
+ * @returns {number} Offset in minutes
+ */
+function getUtcOffsetMinutes() {
+  const [, sign, hours, minutes] = SHIFT_SCHEDULE.utcOffset.match(/^([+-])(\d{2}):(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+/**
+ * Shift length for a role, the lower end of its hoursPerWeek, e.g. 3 for '3-5 hours'
+ * @param {Object} role - Volunteer role
+ * @returns {number} Hours
+ */
+function getShiftHours(role) {
+  const hours = parseInt(role.hoursPerWeek, 10);
+  return hours > 0 ? hours : DEFAULT_SHIFT_HOURS;
+}
+
+/**
+ * Whether a role has scheduled shifts
+ * @param {Object} role - Volunteer role
+ * @returns {boolean} True if the role recurs and has a slot with fixed times
+ */
+export function hasShifts(role) {
+  return Boolean(role && SHIFT_SCHEDULE.recurrence[role.timeCommitment]
+    && role.availability.some((slot) => SHIFT_SCHEDULE.slots[slot]));
+}
+
+/**
+ * Get a role's upcoming shifts
+ * @param {string} roleId - Role ID
+ * @param {Object} [options] - Options
+ * @param {Date} [options.from] - Only shifts starting after this time
+ * @param {number} [options.weeks] - Weeks ahead to include, defaults to SHIFT_SCHEDULE.weeksAhead
+ * @returns {Shift[]} Shifts in start order; empty if the role has none
+ */
+export function getUpcomingShifts(roleId, { from = new Date(), weeks = SHIFT_SCHEDULE.weeksAhead } = {}) {
+  const role = getRoleById(roleId);
+  if (!hasShifts(role)) {
+    return [];
+  }
+
+  const recurrence = SHIFT_SCHEDULE.recurrence[role.timeCommitment];
+  const offset = getUtcOffsetMinutes();
+  const hours = getShiftHours(role);
+  const capacity = role.shiftCapacity || SHIFT_SCHEDULE.defaultCapacity;
+  // Midnight of today's local date, with the UTC fields holding local time
+  const today = new Date(from.getTime() + offset * MINUTE);
+  const firstDay = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const shifts = [];
+
+  for (let day = 0; day < weeks * 7; day++) {
+    const local = new Date(firstDay + day * DAY);
+    const date = local.toISOString().slice(0, 10);
+
+    if (recurrence === 'month' && local.getUTCDate() > 7) {
+      continue;
+    }
+
+    role.availability.forEach((slotName) => {
+      const slot = SHIFT_SCHEDULE.slots[slotName];
+      if (!slot || !slot.days.includes(local.getUTCDay())) {
+        return;
+      }
+
+      const [startHours, startMinutes] = slot.start.split(':').map(Number);
+      const start = local.getTime() + (startHours * 60 + startMinutes - offset) * MINUTE;
+      if (start <= from.getTime()) {
+        return;
+      }
+
+      shifts.push({
+        id: `${role.id}-${date}-${slot.start.replace(':', '')}`,
+        roleId: role.id,
+        title: role.title,
+        slot: slotName,
+        date,
+        start: new Date(start).toISOString(),
+        end: new Date(start + hours * 60 * MINUTE).toISOString(),
+        location: role.location,
+        capacity,
+      });
+    });
+  }
+
+  return shifts.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Find an upcoming shift by ID
+ * @param {string} shiftId - Shift ID
+ * @param {Object} [options] - Options passed to getUpcomingShifts()
+ * @returns {Shift|null} Shift, or null if there is no such upcoming shift
+ */
+export function findUpcomingShift(shiftId, options) {
+  const role = VOLUNTEER_ROLES.find(({ id }) => String(shiftId).startsWith(`${id}-`));
+  if (!role) {
+    return null;
+  }
+
+  return getUpcomingShifts(role.id, options).find(({ id }) => id === shiftId) || null;
+}
+
+/**
+ * Describe a shift as a calendar event for createCalendar()
+ * @param {Shift} shift - Shift
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.waitlisted=false] - Whether the volunteer is on the waitlist
+ * @param {string} [options.url] - Link back to the role's page
+ * @returns {Object} Calendar event
+ */
+export function toCalendarEvent(shift, { waitlisted = false, url } = {}) {
+  return {
+    uid: `${shift.id}@makoko-volunteers`,
+    start: shift.start,
+    end: shift.end,
+    summary: `${waitlisted ? 'Waitlist: ' : ''}${shift.title} volunteer shift`,
+    location: shift.location,
+    description: waitlisted
+      ? 'You are on the waitlist for this shift. We will email you if a place opens up.'
+      : `${shift.slot} shift. Please arrive 10 minutes early and let us know if you can no longer make it.`,
+    status: waitlisted ? 'TENTATIVE' : 'CONFIRMED',
+    url,
+  };
+}
+
+export default {
+  hasShifts,
+  getUpcomingShifts,
+  findUpcomingShift,
+  toCalendarEvent,
+};
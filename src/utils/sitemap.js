@@ -9,6 +9,9 @@
  * @version 1.0.0
  */
 
+import { allPrograms } from '../data/programsContent.js';
+import { VOLUNTEER_ROLES } from '../data/volunteerContent.js';
+
 /**
  * Sitemap URL entry configuration
  * @typedef {Object} SitemapUrl
@@ -62,43 +65,70 @@ const SITE_STRUCTURE = Object.freeze([
     title: 'Home'
   },
   {
-    path: '/#about',
+    path: '/about',
     priority: 0.9,
     changefreq: 'monthly',
     title: 'About Us'
   },
   {
-    path: '/#programs',
+    path: '/programs',
     priority: 0.9,
     changefreq: 'weekly',
     title: 'Programs'
   },
   {
-    path: '/#impact',
+    path: '/impact',
     priority: 0.8,
     changefreq: 'monthly',
     title: 'Impact'
   },
   {
-    path: '/#donate',
+    path: '/donate',
     priority: 0.95,
     changefreq: 'monthly',
     title: 'Donate'
   },
   {
-    path: '/#volunteer',
+    path: '/volunteer',
     priority: 0.85,
     changefreq: 'monthly',
     title: 'Volunteer'
   },
   {
-    path: '/#contact',
+    path: '/contact',
     priority: 0.8,
     changefreq: 'monthly',
     title: 'Contact'
   }
 ]);
 
+/**
+ * Detail pages generated from content, matching the router's
+ * /programs/:id and /volunteer/roles/:id routes
+ * Each page's lastmod is its content's `lastUpdated` date.
+ *
+ * @returns {Array<Object>} Page configurations
+ */
+export function getContentPages() {
+  const programPages = allPrograms.map((program) => ({
+    path: `/programs/${encodeURIComponent(program.id)}`,
+    priority: 0.7,
+    changefreq: 'monthly',
+    title: program.title,
+    lastmod: program.lastUpdated
+  }));
+
+  const rolePages = VOLUNTEER_ROLES.map((role) => ({
+    path: `/volunteer/roles/${encodeURIComponent(role.id)}`,
+    priority: 0.6,
+    changefreq: 'monthly',
+    title: role.title,
+    lastmod: role.lastUpdated
+  }));
+
+  return [...programPages, ...rolePages];
+}
+
 /**
  * Validates a URL string
  * 
@@ -144,6 +174,7 @@ function isValidChangefreq(changefreq) {
 
 /**
  * Validates ISO 8601 date string
+ * Accepts a full timestamp or a plain YYYY-MM-DD date, both valid W3C datetimes
  * 
  * @param {string} dateString - Date string to validate
  * @returns {boolean} True if valid ISO date
@@ -154,7 +185,11 @@ function isValidISODate(dateString) {
   }
 
   const date = new Date(dateString);
-  return !isNaN(date.getTime()) && dateString === date.toISOString();
+  if (isNaN(date.getTime())) {
+    return false;
+  }
+
+  return dateString === date.toISOString() || dateString === date.toISOString().split('T')[0];
 }
 
 /**
@@ -380,10 +415,10 @@ export function generateSitemap(baseUrl, customOptions = {}) {
     const currentDate = formatDate(new Date());
 
     // Build URL entries from site structure
-    const urlEntries = SITE_STRUCTURE.map((page) => {
+    const urlEntries = getSiteStructure().map((page) => {
       const entry = {
         loc: page.path,
-        lastmod: currentDate,
+        lastmod: page.lastmod || currentDate,
         changefreq: page.changefreq,
         priority: page.priority
       };
@@ -467,12 +502,12 @@ export function generateCustomSitemap(baseUrl, customUrls, customOptions = {}) {
 }
 
 /**
- * Gets the default site structure
+ * Gets the default site structure, including program and volunteer role pages
  * 
  * @returns {Array} Site structure configuration
  */
 export function getSiteStructure() {
-  return [...SITE_STRUCTURE];
+  return [...SITE_STRUCTURE, ...getContentPages()];
 }
 
 /**
@@ -507,6 +542,7 @@ export default {
   generateSitemap,
   generateCustomSitemap,
   getSiteStructure,
+  getContentPages,
   validateSitemapXml,
   VALID_CHANGEFREQ,
   DEFAULT_CONFIG
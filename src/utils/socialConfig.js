@@ -94,6 +94,11 @@ const SOCIAL_PLATFORMS = Object.freeze({
   },
 });
 
+/**
+ * localStorage key recording consent to load social media widgets
+ */
+const SOCIAL_CONSENT_STORAGE_KEY = 'social-media-consent';
+
 /**
  * Widget loading configuration
  * Controls how and when social media widgets are loaded
@@ -342,7 +347,7 @@ function hasUserConsent() {
   
   // Check for consent in localStorage
   try {
-    const consent = localStorage.getItem('social-media-consent');
+    const consent = localStorage.getItem(SOCIAL_CONSENT_STORAGE_KEY);
     return consent === 'granted';
   } catch (error) {
     console.warn('[SocialConfig] Unable to check consent:', error);
@@ -496,6 +501,7 @@ function getWidgetConfig(platform) {
  */
 export {
   PLATFORMS,
+  SOCIAL_CONSENT_STORAGE_KEY,
   WIDGET_STATE,
   SOCIAL_PLATFORMS,
   WIDGET_CONFIG,
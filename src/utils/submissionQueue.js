@@ -0,0 +1,548 @@
+/**
+ * Offline Submission Queue
+ *
+ * Persistent outbox for form submissions (contact, volunteer, newsletter) that
+ * could not be sent because the visitor was offline or the request timed out.
+ * Queued submissions are stored in IndexedDB and retried with exponential
+ * backoff when connectivity returns, and through Background Sync in the
+ * service worker (public/sw.js) where the browser supports it, so they are
+ * delivered even if the tab has been closed.
+ *
+ * The IndexedDB layout and claim/retry rules are shared with public/sw.js;
+ * keep the two in step.
+ *
+ * Window events:
+ * - outbox:queued  { id, kind }
+ * - outbox:sent    { id, kind, data }
+ * - outbox:failed  { id, kind, status, data } (rejected by the server; not retried)
+ * - outbox:changed { pending }
+ *
+ * @module utils/submissionQueue
+ * @version 1.0.0
+ */
+
+/**
+ * Kinds of queued submission
+ * @enum {string}
+ */
+export const SubmissionKind = Object.freeze({
+  CONTACT: 'contact',
+  VOLUNTEER: 'volunteer',
+  NEWSLETTER: 'newsletter',
+  DATA_REQUEST: 'data_request',
+});
+
+/**
+ * Outbox configuration shared with public/sw.js
+ */
+export const OUTBOX_CONFIG = Object.freeze({
+  dbName: 'mck-outbox',
+  dbVersion: 1,
+  storeName: 'submissions',
+  syncTag: 'mck-outbox-sync',
+  baseRetryDelay: 5000,
+  maxRetryDelay: 15 * 60 * 1000,
+  maxAttempts: 12,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+  claimDuration: 60000,
+  requestTimeout: 30000,
+});
+
+/**
+ * Queued submission record
+ * @typedef {Object} QueuedSubmission
+ * @property {string} id - Record ID
+ * @property {string} kind - Kind from SubmissionKind
+ * @property {string} endpoint - Endpoint URL
+ * @property {Object<string, string>} headers - Request headers
+ * @property {'form'|'json'} bodyType - How `body` is sent
+ * @property {Array<[string, string]>|Object} body - Form entries or JSON payload
+ * @property {number} createdAt - Epoch ms the submission was queued
+ * @property {number} attempts - Delivery attempts so far
+ * @property {number} nextAttemptAt - Epoch ms of the next attempt
+ * @property {number} claimedUntil - Epoch ms until which a sender owns the record
+ * @property {string|null} lastError - Last delivery error
+ */
+
+let dbPromise = null;
+let retryTimer = null;
+let initialized = false;
+let flushing = null;
+
+/**
+ * Open the outbox database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+          request.result.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside an outbox transaction
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest|void} callback - Store operation
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_CONFIG.storeName, mode);
+    const request = callback(transaction.objectStore(OUTBOX_CONFIG.storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Whether the outbox can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isOutboxSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds, with jitter
+ */
+export function getRetryDelay(attempts) {
+  const delay = Math.min(OUTBOX_CONFIG.baseRetryDelay * 2 ** attempts, OUTBOX_CONFIG.maxRetryDelay);
+  // Jitter spreads retries so many queued clients don't reconnect in lockstep
+  return Math.round(delay * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Serialize a request body for storage
+ * @param {FormData|Object} body - Request body
+ * @returns {{bodyType: 'form'|'json', body: Array<[string, string]>|Object}} Serialized body
+ */
+function serializeBody(body) {
+  if (body instanceof FormData) {
+    const entries = [];
+    body.forEach((value, key) => {
+      // Files cannot be replayed reliably from storage; forms queued here are text-only
+      if (typeof value === 'string') {
+        entries.push([key, value]);
+      }
+    });
+    return { bodyType: 'form', body: entries };
+  }
+
+  return { bodyType: 'json', body };
+}
+
+/**
+ * Rebuild the fetch body for a queued record
+ * @param {QueuedSubmission} record - Queued record
+ * @returns {FormData|string} Fetch body
+ */
+function buildBody(record) {
+  if (record.bodyType === 'form') {
+    const formData = new FormData();
+    record.body.forEach(([key, value]) => formData.append(key, value));
+    return formData;
+  }
+
+  return JSON.stringify(record.body);
+}
+
+/**
+ * Dispatch an outbox event on window
+ * @param {string} name - Event name without the `outbox:` prefix
+ * @param {Object} detail - Event detail
+ */
+function emit(name, detail) {
+  window.dispatchEvent(new CustomEvent(`outbox:${name}`, { detail }));
+}
+
+/**
+ * Notify listeners of the current queue size
+ */
+async function emitChanged() {
+  try {
+    emit('changed', { pending: await getPendingCount() });
+  } catch (error) {
+    console.warn('[Outbox] Failed to read queue size:', error);
+  }
+}
+
+/**
+ * Ask the service worker to deliver the outbox with Background Sync
+ * @returns {Promise<boolean>} True if a sync was registered
+ */
+async function registerBackgroundSync() {
+  if (!('serviceWorker' in navigator)) {
+    return false;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+
+    if (registration && registration.active && 'sync' in registration) {
+      await registration.sync.register(OUTBOX_CONFIG.syncTag);
+      return true;
+    }
+  } catch (error) {
+    console.warn('[Outbox] Background Sync registration failed:', error);
+  }
+
+  return false;
+}
+
+/**
+ * Send a request once, without queueing
+ * @param {Object} request - Request description
+ * @param {string} request.endpoint - Endpoint URL
+ * @param {Object<string, string>} [request.headers] - Request headers
+ * @param {FormData|string} request.body - Fetch body
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<{ok: boolean, status: number, data: Object, retryable: boolean}>} Outcome
+ */
+async function sendRequest({ endpoint, headers = {}, body }, timeout = OUTBOX_CONFIG.requestTimeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Accept: 'application/json', ...headers },
+      body,
+      signal: controller.signal,
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const data = contentType.includes('application/json')
+      ? await response.json().catch(() => ({}))
+      : { message: await response.text() };
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      data,
+      // Server-side and throttling failures may succeed later; other 4xx will not
+      retryable: response.status >= 500 || response.status === 408 || response.status === 429,
+    };
+  } catch (error) {
+    return { ok: false, status: 0, data: { error: error.message }, retryable: true };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Add a submission to the outbox
+ * @param {Object} submission - Submission to queue
+ * @param {string} submission.kind - Kind from SubmissionKind
+ * @param {string} submission.endpoint - Endpoint URL
+ * @param {FormData|Object} submission.body - Form data or JSON payload
+ * @param {Object<string, string>} [submission.headers] - Extra request headers
+ * @returns {Promise<QueuedSubmission>} Queued record
+ */
+export async function enqueueSubmission({ kind, endpoint, body, headers = {} }) {
+  const now = Date.now();
+  const serialized = serializeBody(body);
+  const record = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    kind,
+    endpoint,
+    headers: serialized.bodyType === 'json' ? { 'Content-Type': 'application/json', ...headers } : headers,
+    ...serialized,
+    createdAt: now,
+    attempts: 0,
+    nextAttemptAt: now + OUTBOX_CONFIG.baseRetryDelay,
+    claimedUntil: 0,
+    lastError: null,
+  };
+
+  await withStore('readwrite', (store) => store.put(record));
+  console.log('[Outbox] Submission queued:', kind, record.id);
+
+  emit('queued', { id: record.id, kind });
+  emitChanged();
+
+  if (!(await registerBackgroundSync())) {
+    scheduleRetry();
+  }
+
+  return record;
+}
+
+/**
+ * List queued submissions
+ * @returns {Promise<QueuedSubmission[]>} Queued records, oldest first
+ */
+export async function getQueuedSubmissions() {
+  if (!isOutboxSupported()) {
+    return [];
+  }
+
+  const records = await withStore('readonly', (store) => store.getAll());
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Count queued submissions
+ * @returns {Promise<number>} Number of queued records
+ */
+export async function getPendingCount() {
+  if (!isOutboxSupported()) {
+    return 0;
+  }
+
+  return withStore('readonly', (store) => store.count());
+}
+
+/**
+ * Remove a queued submission
+ * @param {string} id - Record ID
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedSubmission(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+  emitChanged();
+}
+
+/**
+ * Claim a record for delivery so the page and service worker don't both send it
+ * @param {string} id - Record ID
+ * @returns {Promise<QueuedSubmission|null>} Claimed record, or null if owned elsewhere
+ */
+function claimRecord(id) {
+  let claimed = null;
+
+  return withStore('readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const record = request.result;
+      const now = Date.now();
+
+      if (record && record.claimedUntil <= now) {
+        record.claimedUntil = now + OUTBOX_CONFIG.claimDuration;
+        store.put(record);
+        claimed = record;
+      }
+    };
+    return request;
+  }).then(() => claimed);
+}
+
+/**
+ * Attempt delivery of one record
+ * @param {QueuedSubmission} record - Claimed record
+ * @returns {Promise<void>}
+ */
+async function deliver(record) {
+  const outcome = await sendRequest({ endpoint: record.endpoint, headers: record.headers, body: buildBody(record) });
+  const now = Date.now();
+
+  if (outcome.ok) {
+    await withStore('readwrite', (store) => store.delete(record.id));
+    console.log('[Outbox] Queued submission delivered:', record.kind, record.id);
+    emit('sent', { id: record.id, kind: record.kind, data: outcome.data });
+    return;
+  }
+
+  const attempts = record.attempts + 1;
+  const expired = attempts >= OUTBOX_CONFIG.maxAttempts || now - record.createdAt > OUTBOX_CONFIG.maxAge;
+
+  if (!outcome.retryable || expired) {
+    await withStore('readwrite', (store) => store.delete(record.id));
+    console.error('[Outbox] Queued submission dropped:', record.kind, record.id, outcome.status);
+    emit('failed', { id: record.id, kind: record.kind, status: outcome.status, data: outcome.data });
+    return;
+  }
+
+  await withStore('readwrite', (store) => store.put({
+    ...record,
+    attempts,
+    nextAttemptAt: now + getRetryDelay(attempts),
+    claimedUntil: 0,
+    lastError: outcome.data.error || `HTTP ${outcome.status}`,
+  }));
+}
+
+/**
+ * Deliver queued submissions
+ * @param {Object} [options] - Flush options
+ * @param {boolean} [options.force=false] - Ignore backoff, e.g. when connectivity returns
+ * @returns {Promise<void>}
+ */
+export function flushOutbox({ force = false } = {}) {
+  if (!isOutboxSupported()) {
+    return Promise.resolve();
+  }
+
+  if (flushing) {
+    return flushing;
+  }
+
+  flushing = (async () => {
+    try {
+      const records = await getQueuedSubmissions();
+      const now = Date.now();
+
+      for (const record of records) {
+        if (!navigator.onLine) {
+          break;
+        }
+
+        if (!force && record.nextAttemptAt > now) {
+          continue;
+        }
+
+        const claimed = await claimRecord(record.id);
+        if (claimed) {
+          await deliver(claimed);
+        }
+      }
+    } catch (error) {
+      console.error('[Outbox] Flush failed:', error);
+    } finally {
+      flushing = null;
+      emitChanged();
+      scheduleRetry();
+    }
+  })();
+
+  return flushing;
+}
+
+/**
+ * Schedule the next in-page retry for the earliest due record
+ */
+async function scheduleRetry() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  try {
+    const records = await getQueuedSubmissions();
+    if (records.length === 0) {
+      return;
+    }
+
+    const nextAt = Math.min(...records.map((record) => Math.max(record.nextAttemptAt, record.claimedUntil)));
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flushOutbox();
+    }, Math.max(nextAt - Date.now(), 1000));
+  } catch (error) {
+    console.warn('[Outbox] Failed to schedule retry:', error);
+  }
+}
+
+/**
+ * Send a submission, queueing it if the visitor is offline or the request fails in transit
+ * @param {Object} submission - Submission, see enqueueSubmission()
+ * @param {number} [timeout] - Request timeout in milliseconds
+ * @returns {Promise<{success: boolean, queued: boolean, status: number, data: Object}>} Outcome
+ */
+export async function sendOrQueue(submission, timeout) {
+  const canQueue = isOutboxSupported();
+
+  if (canQueue && !navigator.onLine) {
+    await enqueueSubmission(submission);
+    return { success: false, queued: true, status: 0, data: {} };
+  }
+
+  const isForm = submission.body instanceof FormData;
+  const outcome = await sendRequest({
+    endpoint: submission.endpoint,
+    headers: isForm ? submission.headers : { 'Content-Type': 'application/json', ...submission.headers },
+    body: isForm ? submission.body : JSON.stringify(submission.body),
+  }, timeout);
+
+  // Status 0 means the request never completed (offline, dropped or timed out)
+  if (!outcome.ok && outcome.status === 0 && canQueue) {
+    await enqueueSubmission(submission);
+    return { success: false, queued: true, status: 0, data: outcome.data };
+  }
+
+  return { success: outcome.ok, queued: false, status: outcome.status, data: outcome.data };
+}
+
+/**
+ * Start delivering the outbox when connectivity returns
+ * Safe to call more than once.
+ *
+ * @returns {Function} Cleanup function
+ */
+export function initializeSubmissionQueue() {
+  if (!isOutboxSupported() || initialized) {
+    return () => {};
+  }
+
+  initialized = true;
+
+  const handleOnline = () => flushOutbox({ force: true });
+  const handleVisibility = () => {
+    if (document.visibilityState === 'visible') {
+      flushOutbox();
+    }
+  };
+  // The service worker reports deliveries made through Background Sync
+  const handleWorkerMessage = (event) => {
+    const message = event.data || {};
+    if (message.type === 'outbox') {
+      emit(message.event, message.detail);
+      emitChanged();
+    }
+  };
+
+  window.addEventListener('online', handleOnline);
+  document.addEventListener('visibilitychange', handleVisibility);
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+  }
+
+  flushOutbox();
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    document.removeEventListener('visibilitychange', handleVisibility);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    }
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    initialized = false;
+  };
+}
+
+export default {
+  SubmissionKind,
+  OUTBOX_CONFIG,
+  isOutboxSupported,
+  getRetryDelay,
+  enqueueSubmission,
+  getQueuedSubmissions,
+  getPendingCount,
+  removeQueuedSubmission,
+  flushOutbox,
+  sendOrQueue,
+  initializeSubmissionQueue,
+};
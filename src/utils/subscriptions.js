@@ -0,0 +1,486 @@
+/**
+ * Recurring Donation Subscriptions
+ *
+ * Provider-agnostic client for managing recurring donations. The backend maps
+ * each operation onto the provider that owns the subscription (Stripe
+ * subscriptions, PayPal billing agreements, ...), so donor-facing UIs only
+ * deal with the shared frequencies from paymentConfig.js's DonationFrequency.
+ *
+ * Donors authenticate with a signed magic link emailed by the backend. The
+ * link token is exchanged once for a short-lived session token kept in
+ * sessionStorage; the signature is only ever verified server-side.
+ *
+ * @module utils/subscriptions
+ * @version 1.0.0
+ */
+
+import {
+  DonationFrequency,
+  getPaymentApiUrl,
+  getPaymentApiTimeout,
+} from './paymentConfig.js';
+import { validateAmount } from '../data/donationContent.js';
+import { validateEmail } from './formValidation.js';
+
+/**
+ * URL query parameter carrying the magic link token
+ * @constant {string}
+ */
+export const MAGIC_LINK_PARAM = 'donor_token';
+
+/**
+ * sessionStorage key for the portal session token
+ * @constant {string}
+ */
+export const SESSION_STORAGE_KEY = 'mck_subscription_session';
+
+/**
+ * Frequencies a subscription can be billed at
+ * @constant {ReadonlyArray<string>}
+ */
+export const RECURRING_FREQUENCIES = Object.freeze([
+  DonationFrequency.MONTHLY,
+  DonationFrequency.QUARTERLY,
+  DonationFrequency.YEARLY,
+]);
+
+/**
+ * Subscription lifecycle states
+ * @enum {string}
+ */
+export const SubscriptionStatus = Object.freeze({
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  PAST_DUE: 'past_due',
+  CANCELLED: 'cancelled',
+});
+
+/**
+ * Subscription error types
+ * @enum {string}
+ */
+export const SubscriptionErrorType = Object.freeze({
+  INVALID_LINK: 'INVALID_LINK',
+  LINK_EXPIRED: 'LINK_EXPIRED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+});
+
+/**
+ * User-facing messages per error type
+ */
+const ERROR_MESSAGES = Object.freeze({
+  [SubscriptionErrorType.INVALID_LINK]: 'This link is not valid. Please request a new one.',
+  [SubscriptionErrorType.LINK_EXPIRED]: 'This link has expired. Please request a new one.',
+  [SubscriptionErrorType.UNAUTHORIZED]: 'Your session has ended. Please request a new link to continue.',
+  [SubscriptionErrorType.VALIDATION_FAILED]: 'Please check your changes and try again.',
+  [SubscriptionErrorType.NOT_FOUND]: 'We could not find that recurring donation.',
+  [SubscriptionErrorType.REQUEST_FAILED]: 'We could not update your donation. Please try again.',
+  [SubscriptionErrorType.TIMEOUT]: 'The request timed out. Please try again.',
+  [SubscriptionErrorType.NETWORK_ERROR]: 'Network error occurred. Please check your connection and try again.',
+});
+
+/**
+ * Custom error class for subscription operations
+ */
+export class SubscriptionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from SubscriptionErrorType
+   * @param {Object} [context] - Additional error context
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.type = type;
+    this.context = context;
+    this.userMessage = context.userMessage || ERROR_MESSAGES[type];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Recurring donation as returned by the backend
+ * @typedef {Object} Subscription
+ * @property {string} id - Subscription ID
+ * @property {string} provider - Provider ID that bills the subscription
+ * @property {number} amount - Amount per charge in major units
+ * @property {string} currency - ISO currency code
+ * @property {string} frequency - Frequency from DonationFrequency
+ * @property {string} status - Status from SubscriptionStatus
+ * @property {string|null} nextChargeDate - ISO date of the next charge
+ * @property {string|null} createdAt - ISO date the subscription started
+ */
+
+/**
+ * Decode the (unverified) payload of a magic link token
+ * Tokens are `<base64url payload>.<signature>`; the payload is read only to
+ * show the donor's email and reject obviously expired links early.
+ *
+ * @param {string} token - Magic link token
+ * @returns {{email?: string, exp?: number}|null} Payload, or null if malformed
+ */
+export function decodeMagicLinkToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  try {
+    const [payload] = token.split('.');
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the magic link token from the current URL
+ * @returns {string|null} Token, or null if absent
+ */
+export function getMagicLinkToken() {
+  return new URLSearchParams(window.location.search).get(MAGIC_LINK_PARAM);
+}
+
+/**
+ * Normalize a backend subscription record
+ * @param {Object} record - Raw record
+ * @returns {Subscription} Subscription
+ */
+function normalizeSubscription(record) {
+  return {
+    id: String(record.id),
+    provider: record.provider,
+    amount: Number(record.amount),
+    currency: (record.currency || 'USD').toUpperCase(),
+    frequency: record.frequency,
+    status: record.status || SubscriptionStatus.ACTIVE,
+    nextChargeDate: record.nextChargeDate || record.next_charge_date || null,
+    createdAt: record.createdAt || record.created_at || null,
+  };
+}
+
+/**
+ * Subscription client
+ * Wraps the backend subscription endpoints for one donor session.
+ */
+class SubscriptionClient {
+  #sessionToken = null;
+  #abortController = null;
+
+  constructor() {
+    try {
+      this.#sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    } catch {
+      this.#sessionToken = null;
+    }
+  }
+
+  /**
+   * Whether the donor has an active portal session
+   * @returns {boolean} True if a session token is held
+   */
+  hasSession() {
+    return Boolean(this.#sessionToken);
+  }
+
+  /**
+   * Ask the backend to email a signed magic link
+   * @param {string} email - Donor email address
+   * @returns {Promise<void>}
+   * @throws {SubscriptionError} If the email is invalid or the request fails
+   */
+  async requestMagicLink(email) {
+    const result = validateEmail(email);
+
+    if (!result.isValid) {
+      throw new SubscriptionError(result.error, SubscriptionErrorType.VALIDATION_FAILED, {
+        userMessage: result.error,
+      });
+    }
+
+    await this.#request('POST', getPaymentApiUrl('subscriptionLink'), {
+      email: email.trim(),
+      returnUrl: `${window.location.origin}${window.location.pathname}`,
+    }, { authenticated: false });
+  }
+
+  /**
+   * Exchange a magic link token for a portal session
+   * @param {string} token - Magic link token from the URL
+   * @returns {Promise<{email: string}>} Session details
+   * @throws {SubscriptionError} If the link is malformed, expired or rejected
+   */
+  async startSession(token) {
+    const payload = decodeMagicLinkToken(token);
+
+    if (!payload) {
+      throw new SubscriptionError('Malformed magic link token', SubscriptionErrorType.INVALID_LINK);
+    }
+
+    if (payload.exp && payload.exp * 1000 < Date.now()) {
+      throw new SubscriptionError('Magic link token has expired', SubscriptionErrorType.LINK_EXPIRED);
+    }
+
+    const data = await this.#request('POST', getPaymentApiUrl('subscriptionSession'), { token }, {
+      authenticated: false,
+    });
+
+    if (!data.sessionToken) {
+      throw new SubscriptionError('Backend did not return a session token', SubscriptionErrorType.INVALID_LINK);
+    }
+
+    this.#setSession(data.sessionToken);
+    return { email: data.email || payload.email };
+  }
+
+  /**
+   * List the donor's recurring donations
+   * @returns {Promise<Subscription[]>} Subscriptions
+   */
+  async listSubscriptions() {
+    const data = await this.#request('GET', getPaymentApiUrl('subscriptions'));
+    return (data.subscriptions || []).map(normalizeSubscription);
+  }
+
+  /**
+   * List the donor's completed donations for a calendar year
+   * Used for annual consolidated statements.
+   *
+   * @param {number} year - Calendar year
+   * @returns {Promise<{donorName: string|null, donorEmail: string|null, country: string|null, donations: Object[]}>} Donation history
+   */
+  async listDonations(year) {
+    const url = `${getPaymentApiUrl('donationHistory')}?year=${encodeURIComponent(year)}`;
+    const data = await this.#request('GET', url);
+
+    return {
+      donorName: data.donorName || null,
+      donorEmail: data.donorEmail || null,
+      country: data.country || null,
+      donations: (data.donations || []).map((donation) => ({
+        transactionId: String(donation.transactionId || donation.id),
+        amount: Number(donation.amount),
+        currency: (donation.currency || 'USD').toUpperCase(),
+        date: donation.date || donation.created_at,
+      })),
+    };
+  }
+
+  /**
+   * Change the amount and/or frequency of a subscription
+   * @param {Subscription} subscription - Subscription to update
+   * @param {Object} changes - Requested changes
+   * @param {number} [changes.amount] - New amount in the subscription's currency
+   * @param {string} [changes.frequency] - New frequency from RECURRING_FREQUENCIES
+   * @returns {Promise<Subscription>} Updated subscription
+   * @throws {SubscriptionError} If the changes are invalid or the request fails
+   */
+  async updateSubscription(subscription, changes) {
+    const update = {};
+
+    if (changes.amount !== undefined) {
+      const result = validateAmount(changes.amount, subscription.currency);
+
+      if (!result.valid) {
+        throw new SubscriptionError(result.error, SubscriptionErrorType.VALIDATION_FAILED, {
+          userMessage: result.error,
+        });
+      }
+
+      update.amount = changes.amount;
+    }
+
+    if (changes.frequency !== undefined) {
+      if (!RECURRING_FREQUENCIES.includes(changes.frequency)) {
+        throw new SubscriptionError(
+          `Unsupported frequency: ${changes.frequency}`,
+          SubscriptionErrorType.VALIDATION_FAILED
+        );
+      }
+
+      update.frequency = changes.frequency;
+    }
+
+    return this.#mutate(subscription, 'PATCH', '', update);
+  }
+
+  /**
+   * Pause a subscription; no charges are made until it is resumed
+   * @param {Subscription} subscription - Subscription to pause
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  pauseSubscription(subscription) {
+    return this.#mutate(subscription, 'POST', '/pause');
+  }
+
+  /**
+   * Resume a paused subscription
+   * @param {Subscription} subscription - Subscription to resume
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  resumeSubscription(subscription) {
+    return this.#mutate(subscription, 'POST', '/resume');
+  }
+
+  /**
+   * Cancel a subscription at the provider
+   * @param {Subscription} subscription - Subscription to cancel
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  cancelSubscription(subscription) {
+    return this.#mutate(subscription, 'POST', '/cancel');
+  }
+
+  /**
+   * End the portal session
+   */
+  endSession() {
+    this.#setSession(null);
+  }
+
+  /**
+   * Abort any in-flight request
+   */
+  abort() {
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+  }
+
+  /**
+   * Run a subscription mutation and normalize the response
+   * @private
+   * @param {Subscription} subscription - Target subscription
+   * @param {string} method - HTTP method
+   * @param {string} action - Path suffix after the subscription ID
+   * @param {Object} [body] - Request body
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  async #mutate(subscription, method, action, body = {}) {
+    const url = `${getPaymentApiUrl('subscriptions')}/${encodeURIComponent(subscription.id)}${action}`;
+    const data = await this.#request(method, url, { ...body, provider: subscription.provider });
+
+    return normalizeSubscription(data.subscription || { ...subscription, ...data });
+  }
+
+  /**
+   * Store or clear the session token
+   * @private
+   * @param {string|null} token - Session token
+   */
+  #setSession(token) {
+    this.#sessionToken = token;
+
+    try {
+      if (token) {
+        sessionStorage.setItem(SESSION_STORAGE_KEY, token);
+      } else {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+      }
+    } catch {
+      // Storage unavailable (private mode); the session lasts for this page only
+    }
+  }
+
+  /**
+   * Send a JSON request to the subscription backend
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} url - Endpoint URL
+   * @param {Object} [body] - JSON body
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.authenticated=true] - Send the session token
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {SubscriptionError} On HTTP, timeout or network failure
+   */
+  async #request(method, url, body, { authenticated = true } = {}) {
+    if (authenticated && !this.#sessionToken) {
+      throw new SubscriptionError('No portal session', SubscriptionErrorType.UNAUTHORIZED);
+    }
+
+    this.#abortController = new AbortController();
+    const timeoutId = setTimeout(() => this.#abortController?.abort(), getPaymentApiTimeout());
+
+    const headers = { Accept: 'application/json' };
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (authenticated) {
+      headers.Authorization = `Bearer ${this.#sessionToken}`;
+    }
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: body && method !== 'GET' ? JSON.stringify(body) : undefined,
+        signal: this.#abortController.signal,
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 401 || response.status === 403) {
+        this.#setSession(null);
+        throw new SubscriptionError('Session rejected by server', SubscriptionErrorType.UNAUTHORIZED);
+      }
+
+      if (response.status === 404) {
+        throw new SubscriptionError('Subscription not found', SubscriptionErrorType.NOT_FOUND);
+      }
+
+      if (response.status === 410) {
+        throw new SubscriptionError('Magic link has expired', SubscriptionErrorType.LINK_EXPIRED);
+      }
+
+      if (!response.ok) {
+        const type = response.status === 422
+          ? SubscriptionErrorType.VALIDATION_FAILED
+          : SubscriptionErrorType.REQUEST_FAILED;
+        throw new SubscriptionError(data.error || `Request failed with status ${response.status}`, type, {
+          status: response.status,
+          userMessage: data.userMessage,
+        });
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        throw error;
+      }
+
+      if (error.name === 'AbortError') {
+        throw new SubscriptionError('Subscription request timed out', SubscriptionErrorType.TIMEOUT);
+      }
+
+      throw new SubscriptionError(error.message, SubscriptionErrorType.NETWORK_ERROR);
+    } finally {
+      clearTimeout(timeoutId);
+      this.#abortController = null;
+    }
+  }
+}
+
+/**
+ * Create a subscription client
+ * @returns {SubscriptionClient} Subscription client
+ */
+export function createSubscriptionClient() {
+  return new SubscriptionClient();
+}
+
+export default {
+  MAGIC_LINK_PARAM,
+  RECURRING_FREQUENCIES,
+  SubscriptionStatus,
+  SubscriptionErrorType,
+  SubscriptionError,
+  decodeMagicLinkToken,
+  getMagicLinkToken,
+  createSubscriptionClient,
+};
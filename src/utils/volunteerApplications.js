@@ -0,0 +1,338 @@
+/**
+ * Volunteer Application Status
+ *
+ * Application IDs and status lookup for volunteer applications. The
+ * application form generates an ID on submit and sends it with the
+ * application, so applicants have a reference even if the form was delivered
+ * later from the offline outbox. With the ID and the email they applied with,
+ * they can look up where their application is at /volunteer/status.
+ *
+ * The stages shown come from getApplicationStages() in volunteerContent.js,
+ * based on the requirements of the roles applied for. Lookups go through a
+ * status API: by default an HTTP backend at VITE_VOLUNTEER_STATUS_ENDPOINT
+ * (the dev server's mock API with VITE_MOCK_API=true), replaceable with
+ * setApplicationStatusApi() for a CRM or volunteer management system.
+ *
+ * @module utils/volunteerApplications
+ * @version 1.0.0
+ */
+
+import {
+  APPLICATION_STAGES,
+  getApplicationStages,
+} from '../data/volunteerContent.js';
+import { validateEmail } from './formValidation.js';
+
+/**
+ * Prefix of application IDs
+ * @constant {string}
+ */
+export const APPLICATION_ID_PREFIX = 'VA-';
+
+/**
+ * Characters used in application IDs; no 0/O or 1/I so IDs can be read back over the phone
+ */
+const APPLICATION_ID_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Number of random characters after the prefix
+ */
+const APPLICATION_ID_LENGTH = 8;
+
+/**
+ * Application ID format
+ */
+const APPLICATION_ID_PATTERN = new RegExp(`^${APPLICATION_ID_PREFIX}[${APPLICATION_ID_ALPHABET}]{${APPLICATION_ID_LENGTH}}$`);
+
+/**
+ * Endpoint answering status lookups
+ */
+const STATUS_ENDPOINT = import.meta.env.VITE_VOLUNTEER_STATUS_ENDPOINT || '/api/volunteer-applications/status';
+
+/**
+ * Default lookup timeout in milliseconds
+ */
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Application status error types
+ * @enum {string}
+ */
+export const ApplicationStatusErrorType = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+});
+
+/**
+ * User-facing messages per error type
+ */
+const ERROR_MESSAGES = Object.freeze({
+  [ApplicationStatusErrorType.VALIDATION_FAILED]: 'Please check the highlighted fields and try again.',
+  [ApplicationStatusErrorType.NOT_FOUND]: 'We could not find an application with that ID and email address. Please check both and try again.',
+  [ApplicationStatusErrorType.REQUEST_FAILED]: 'We could not reach our volunteer team\'s system. Please try again later.',
+  [ApplicationStatusErrorType.TIMEOUT]: 'The request timed out. Please try again.',
+  [ApplicationStatusErrorType.NETWORK_ERROR]: 'Network error occurred. Please check your connection and try again.',
+});
+
+/**
+ * Custom error class for application status lookups
+ */
+export class ApplicationStatusError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from ApplicationStatusErrorType
+   * @param {Object} [context] - Additional error context
+   * @param {Object<string, string>} [context.fieldErrors] - Errors keyed by field name
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'ApplicationStatusError';
+    this.type = type;
+    this.context = context;
+    this.fieldErrors = context.fieldErrors || {};
+    this.userMessage = context.userMessage || ERROR_MESSAGES[type];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Status API used for lookups
+ * @typedef {Object} ApplicationStatusApi
+ * @property {Function} lookup - ({applicationId, email}) => Promise<Object>, resolving
+ *   to the raw application record and rejecting with an ApplicationStatusError
+ */
+
+/**
+ * Application stage with its progress
+ * @typedef {Object} ApplicationStageProgress
+ * @property {string} id - Stage ID from APPLICATION_STAGES
+ * @property {string} label - Stage label
+ * @property {string} description - What happens at this stage
+ * @property {string[]} requirements - Role requirements that added the stage
+ * @property {string} state - 'complete', 'current' or 'upcoming'
+ */
+
+/**
+ * Application status
+ * @typedef {Object} ApplicationStatus
+ * @property {string} applicationId - Application ID
+ * @property {string} status - Current stage ID
+ * @property {string[]} roles - IDs of the roles applied for
+ * @property {string|null} submittedAt - ISO date the application was received
+ * @property {string|null} updatedAt - ISO date the status last changed
+ * @property {string} note - Message from the volunteer coordinator, if any
+ * @property {ApplicationStageProgress[]} stages - Stages in order
+ */
+
+/**
+ * Generate an application ID, e.g. VA-7KQ2MX9D
+ * @returns {string} Application ID
+ */
+export function generateApplicationId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(APPLICATION_ID_LENGTH));
+  const characters = Array.from(bytes, (byte) => APPLICATION_ID_ALPHABET[byte % APPLICATION_ID_ALPHABET.length]);
+  return `${APPLICATION_ID_PREFIX}${characters.join('')}`;
+}
+
+/**
+ * Tidy an application ID as typed by the applicant
+ * @param {string} value - Entered ID
+ * @returns {string} ID in upper case without spaces, prefixed if the prefix was left off
+ */
+export function normalizeApplicationId(value) {
+  const id = String(value || '').replace(/\s+/g, '').toUpperCase();
+  return id && !id.startsWith(APPLICATION_ID_PREFIX) ? `${APPLICATION_ID_PREFIX}${id}` : id;
+}
+
+/**
+ * Validate a status lookup
+ * @param {Object} details - Form values
+ * @param {string} details.applicationId - Application ID
+ * @param {string} details.email - Email the application was made with
+ * @returns {{valid: boolean, errors: Object<string, string>}} Errors keyed by field name
+ */
+export function validateStatusLookup(details) {
+  const errors = {};
+  const applicationId = normalizeApplicationId(details.applicationId);
+
+  if (!applicationId) {
+    errors.applicationId = 'Please enter your application ID';
+  } else if (!APPLICATION_ID_PATTERN.test(applicationId)) {
+    errors.applicationId = `Application IDs look like ${APPLICATION_ID_PREFIX}7KQ2MX9D`;
+  }
+
+  const email = validateEmail(details.email);
+  if (!email.isValid) {
+    errors.email = email.error;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Create a status API backed by an HTTP endpoint. It is sent
+ * `POST {applicationId, email}` and answers 200 with the application record,
+ * or 404 if no application matches both.
+ * @param {Object} [options] - Options
+ * @param {string} [options.endpoint] - Endpoint URL
+ * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+ * @returns {ApplicationStatusApi} Status API
+ */
+export function createHttpStatusApi({ endpoint = STATUS_ENDPOINT, timeout = DEFAULT_TIMEOUT } = {}) {
+  return {
+    async lookup({ applicationId, email }) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+          body: JSON.stringify({ applicationId, email }),
+          signal: controller.signal,
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 404) {
+          throw new ApplicationStatusError('Application not found', ApplicationStatusErrorType.NOT_FOUND);
+        }
+
+        if (response.status === 422) {
+          throw new ApplicationStatusError(data.error || 'Validation failed', ApplicationStatusErrorType.VALIDATION_FAILED, {
+            status: response.status,
+            fieldErrors: data.errors,
+          });
+        }
+
+        if (!response.ok) {
+          throw new ApplicationStatusError(data.error || `Request failed with status ${response.status}`, ApplicationStatusErrorType.REQUEST_FAILED, {
+            status: response.status,
+          });
+        }
+
+        return data.application || data;
+      } catch (error) {
+        if (error instanceof ApplicationStatusError) {
+          throw error;
+        }
+
+        if (error.name === 'AbortError') {
+          throw new ApplicationStatusError('Status lookup timed out', ApplicationStatusErrorType.TIMEOUT);
+        }
+
+        throw new ApplicationStatusError(error.message, ApplicationStatusErrorType.NETWORK_ERROR);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
+
+/**
+ * Status API used by lookupApplicationStatus()
+ */
+let statusApi = createHttpStatusApi();
+
+/**
+ * Replace the status API, e.g. with one backed by a volunteer management system
+ * @param {ApplicationStatusApi} api - Status API
+ * @throws {TypeError} If the API has no lookup() method
+ */
+export function setApplicationStatusApi(api) {
+  if (!api || typeof api.lookup !== 'function') {
+    throw new TypeError('Application status API must have a lookup() method');
+  }
+
+  statusApi = api;
+}
+
+/**
+ * Normalize an application record from the status API
+ * @param {Object} record - Raw record
+ * @returns {ApplicationStatus} Application status
+ */
+function normalizeApplicationStatus(record) {
+  const roles = Array.isArray(record.roles) ? record.roles.map(String) : [];
+  let status = String(record.status || '').toLowerCase().replace(/[\s_]+/g, '-');
+
+  if (!APPLICATION_STAGES.some((stage) => stage.id === status)) {
+    console.warn('[VolunteerApplications] Unknown application status, showing it as received:', record.status);
+    status = APPLICATION_STAGES[0].id;
+  }
+
+  // A stage the backend reports is shown even if the roles applied for wouldn't add it
+  const roleStages = getApplicationStages(roles);
+  const stages = roleStages.some((stage) => stage.id === status)
+    ? roleStages
+    : APPLICATION_STAGES
+      .filter((stage) => stage.id === status || roleStages.some(({ id }) => id === stage.id))
+      .map((stage) => roleStages.find(({ id }) => id === stage.id) || { ...stage, requirements: [] });
+  const currentIndex = stages.findIndex((stage) => stage.id === status);
+
+  return {
+    applicationId: String(record.applicationId || record.application_id || record.id),
+    status,
+    roles,
+    submittedAt: record.submittedAt || record.submitted_at || null,
+    updatedAt: record.updatedAt || record.updated_at || null,
+    note: record.note || '',
+    stages: stages.map((stage, index) => {
+      let state = 'upcoming';
+      if (index < currentIndex) {
+        state = 'complete';
+      } else if (index === currentIndex) {
+        state = 'current';
+      }
+      return { ...stage, state };
+    }),
+  };
+}
+
+/**
+ * Look up an application's status
+ * @param {Object} details - Form values, see validateStatusLookup()
+ * @returns {Promise<ApplicationStatus>} Application status
+ * @throws {ApplicationStatusError} If the details are invalid, nothing matches or the request fails
+ */
+export async function lookupApplicationStatus(details) {
+  const { valid, errors } = validateStatusLookup(details);
+
+  if (!valid) {
+    throw new ApplicationStatusError('Status lookup details are invalid', ApplicationStatusErrorType.VALIDATION_FAILED, {
+      fieldErrors: errors,
+    });
+  }
+
+  const record = await statusApi.lookup({
+    applicationId: normalizeApplicationId(details.applicationId),
+    email: details.email.trim().toLowerCase(),
+  });
+
+  return normalizeApplicationStatus(record);
+}
+
+/**
+ * Get the status page path for an application
+ * @param {string} [applicationId] - Application ID to fill in
+ * @returns {string} Path, e.g. /volunteer/status?id=VA-7KQ2MX9D
+ */
+export function getApplicationStatusPath(applicationId) {
+  return applicationId ? `/volunteer/status?${new URLSearchParams({ id: applicationId })}` : '/volunteer/status';
+}
+
+export default {
+  APPLICATION_ID_PREFIX,
+  ApplicationStatusErrorType,
+  ApplicationStatusError,
+  generateApplicationId,
+  normalizeApplicationId,
+  validateStatusLookup,
+  createHttpStatusApi,
+  setApplicationStatusApi,
+  lookupApplicationStatus,
+  getApplicationStatusPath,
+};
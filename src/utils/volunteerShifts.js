@@ -0,0 +1,385 @@
+/**
+ * Volunteer Shift Sign-Ups
+ *
+ * Sign-up, cancellation and calendars for the shifts worked out by
+ * shiftSchedule.js. Each shift takes a limited number of volunteers; once it
+ * is full, further sign-ups join a short waitlist and move up when someone
+ * cancels.
+ *
+ * The first sign-up on a device remembers the volunteer's name and email with
+ * the feed token the shifts backend issues for them. The token identifies
+ * their sign-ups for cancelling and is the key to their personal calendar
+ * feed, which calendar apps can subscribe to so booked shifts stay up to date.
+ *
+ * Requests go through a shifts API: by default an HTTP backend at
+ * VITE_VOLUNTEER_SHIFTS_ENDPOINT (the dev server's mock API with
+ * VITE_MOCK_API=true), replaceable with setShiftApi() for a volunteer
+ * management system.
+ *
+ * @module utils/volunteerShifts
+ * @version 1.0.0
+ */
+
+import { validateEmail } from './formValidation.js';
+import { createCalendar } from './icalendar.js';
+import { findUpcomingShift, toCalendarEvent } from './shiftSchedule.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * localStorage key for the volunteer's name, email and feed token
+ * @constant {string}
+ */
+export const VOLUNTEER_PROFILE_STORAGE_KEY = 'mck_volunteer_profile';
+
+/**
+ * Base endpoint of the shifts backend
+ */
+const SHIFTS_ENDPOINT = import.meta.env.VITE_VOLUNTEER_SHIFTS_ENDPOINT || '/api/volunteer-shifts';
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Sign-up statuses
+ * @enum {string}
+ */
+export const SignupStatus = Object.freeze({
+  CONFIRMED: 'confirmed',
+  WAITLISTED: 'waitlisted',
+});
+
+/**
+ * Shift error types
+ * @enum {string}
+ */
+export const ShiftErrorType = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  SHIFT_FULL: 'SHIFT_FULL',
+  NOT_FOUND: 'NOT_FOUND',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+});
+
+/**
+ * User-facing messages per error type
+ */
+const ERROR_MESSAGES = Object.freeze({
+  [ShiftErrorType.VALIDATION_FAILED]: 'Please check the highlighted fields and try again.',
+  [ShiftErrorType.SHIFT_FULL]: 'This shift and its waitlist are full. Please choose another shift.',
+  [ShiftErrorType.NOT_FOUND]: 'We could not find that shift or sign-up. It may have already started or been cancelled.',
+  [ShiftErrorType.REQUEST_FAILED]: 'We could not reach our volunteer team\'s system. Please try again later.',
+  [ShiftErrorType.TIMEOUT]: 'The request timed out. Please try again.',
+  [ShiftErrorType.NETWORK_ERROR]: 'Network error occurred. Please check your connection and try again.',
+});
+
+/**
+ * Custom error class for shift requests
+ */
+export class ShiftError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - Error type from ShiftErrorType
+   * @param {Object} [context] - Additional error context
+   * @param {Object<string, string>} [context.fieldErrors] - Errors keyed by field name
+   */
+  constructor(message, type, context = {}) {
+    super(message);
+    this.name = 'ShiftError';
+    this.type = type;
+    this.context = context;
+    this.fieldErrors = context.fieldErrors || {};
+    this.userMessage = context.userMessage || ERROR_MESSAGES[type];
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Places taken on a shift
+ * @typedef {Object} ShiftAvailability
+ * @property {number} confirmed - Confirmed volunteers
+ * @property {number} waitlisted - Volunteers on the waitlist
+ * @property {{status: string, position: number}|null} signup - The volunteer's own sign-up, if any;
+ *   position is their place on the waitlist
+ */
+
+/**
+ * Shifts API
+ * @typedef {Object} ShiftApi
+ * @property {Function} getAvailability - ({roleId, feedToken}) => Promise<{shifts: Object<string, ShiftAvailability>}>
+ * @property {Function} signUp - ({shiftId, name, email, feedToken}) =>
+ *   Promise<{signup: Object, shift: ShiftAvailability, feedToken: string}>
+ * @property {Function} cancel - ({shiftId, feedToken}) => Promise<{shift: ShiftAvailability}>
+ */
+
+/**
+ * Create a shifts API backed by HTTP endpoints under one base URL:
+ * `POST /availability`, `POST /signups` and `POST /cancellations`, each taking
+ * and answering JSON. Sign-ups answer 409 when the shift and its waitlist are
+ * full; unknown shifts or sign-ups answer 404. Feeds are served from
+ * `GET /feeds/:token.ics`.
+ * @param {Object} [options] - Options
+ * @param {string} [options.endpoint] - Base endpoint URL
+ * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+ * @returns {ShiftApi} Shifts API
+ */
+export function createHttpShiftApi({ endpoint = SHIFTS_ENDPOINT, timeout = DEFAULT_TIMEOUT } = {}) {
+  /**
+   * POST to one of the backend's endpoints
+   * @param {string} path - Path under the base endpoint
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} Response data
+   */
+  async function post(path, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(`${endpoint}${path}`, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 404) {
+        throw new ShiftError(data.error || 'Shift not found', ShiftErrorType.NOT_FOUND);
+      }
+
+      if (response.status === 409) {
+        throw new ShiftError(data.error || 'Shift is full', ShiftErrorType.SHIFT_FULL);
+      }
+
+      if (response.status === 422) {
+        throw new ShiftError(data.error || 'Validation failed', ShiftErrorType.VALIDATION_FAILED, {
+          status: response.status,
+          fieldErrors: data.errors,
+        });
+      }
+
+      if (!response.ok) {
+        throw new ShiftError(data.error || `Request failed with status ${response.status}`, ShiftErrorType.REQUEST_FAILED, {
+          status: response.status,
+        });
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof ShiftError) {
+        throw error;
+      }
+
+      if (error.name === 'AbortError') {
+        throw new ShiftError('Shift request timed out', ShiftErrorType.TIMEOUT);
+      }
+
+      throw new ShiftError(error.message, ShiftErrorType.NETWORK_ERROR);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  return {
+    getAvailability: ({ roleId, feedToken }) => post('/availability', { roleId, feedToken }),
+    signUp: ({ shiftId, name, email, feedToken }) => post('/signups', { shiftId, name, email, feedToken }),
+    cancel: ({ shiftId, feedToken }) => post('/cancellations', { shiftId, feedToken }),
+  };
+}
+
+/**
+ * Shifts API used by this module
+ */
+let shiftApi = createHttpShiftApi();
+
+/**
+ * Replace the shifts API, e.g. with one backed by a volunteer management system
+ * @param {ShiftApi} api - Shifts API
+ * @throws {TypeError} If the API is missing a method
+ */
+export function setShiftApi(api) {
+  const missing = ['getAvailability', 'signUp', 'cancel'].filter((method) => typeof api?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new TypeError(`Shift API is missing: ${missing.join(', ')}`);
+  }
+
+  shiftApi = api;
+}
+
+/**
+ * Get the volunteer remembered on this device
+ * @returns {{name: string, email: string, feedToken: string}|null} Profile, or null if none
+ */
+export function getVolunteerProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(VOLUNTEER_PROFILE_STORAGE_KEY));
+    return profile && profile.email && profile.feedToken ? profile : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the volunteer on this device
+ * @param {{name: string, email: string, feedToken: string}} profile - Profile
+ */
+function saveVolunteerProfile(profile) {
+  try {
+    localStorage.setItem(VOLUNTEER_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.warn('[VolunteerShifts] Could not remember the volunteer on this device:', error);
+  }
+}
+
+/**
+ * Forget the volunteer remembered on this device. Their sign-ups stay booked.
+ */
+export function forgetVolunteerProfile() {
+  try {
+    localStorage.removeItem(VOLUNTEER_PROFILE_STORAGE_KEY);
+  } catch {
+    // Storage unavailable; nothing was remembered
+  }
+}
+
+/**
+ * Validate the volunteer's details for a first sign-up
+ * @param {Object} details - Form values
+ * @param {string} details.name - Full name
+ * @param {string} details.email - Email address
+ * @returns {{valid: boolean, errors: Object<string, string>}} Errors keyed by field name
+ */
+export function validateVolunteerDetails(details) {
+  const errors = {};
+
+  if (!String(details.name || '').trim()) {
+    errors.name = 'Please enter your name';
+  }
+
+  const email = validateEmail(details.email);
+  if (!email.isValid) {
+    errors.email = email.error;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Get places taken on a role's shifts, and the remembered volunteer's sign-ups
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object<string, ShiftAvailability>>} Availability keyed by shift ID
+ * @throws {ShiftError} If the request fails
+ */
+export async function getShiftAvailability(roleId) {
+  const { shifts } = await shiftApi.getAvailability({
+    roleId,
+    feedToken: getVolunteerProfile()?.feedToken,
+  });
+  return shifts || {};
+}
+
+/**
+ * Sign up for a shift, joining its waitlist if it is full
+ * @param {string} shiftId - Shift ID
+ * @param {Object} [details] - Name and email, required if no volunteer is remembered
+ * @returns {Promise<{signup: Object, shift: ShiftAvailability}>} The sign-up and the shift's updated places
+ * @throws {ShiftError} If the details are invalid, the shift and waitlist are full or the request fails
+ */
+export async function signUpForShift(shiftId, details) {
+  const profile = getVolunteerProfile();
+  const volunteer = details || profile || {};
+  const { valid, errors } = validateVolunteerDetails(volunteer);
+
+  if (!valid) {
+    throw new ShiftError('Volunteer details are invalid', ShiftErrorType.VALIDATION_FAILED, {
+      fieldErrors: errors,
+    });
+  }
+
+  const name = volunteer.name.trim();
+  const email = volunteer.email.trim().toLowerCase();
+  const result = await shiftApi.signUp({
+    shiftId,
+    name,
+    email,
+    // A token only identifies the volunteer it was issued to
+    feedToken: profile?.email === email ? profile.feedToken : undefined,
+  });
+
+  if (result.feedToken) {
+    saveVolunteerProfile({ name, email, feedToken: result.feedToken });
+  }
+
+  return { signup: result.signup, shift: result.shift };
+}
+
+/**
+ * Cancel the remembered volunteer's sign-up for a shift
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<{shift: ShiftAvailability}>} The shift's updated places
+ * @throws {ShiftError} If no volunteer is remembered, there is no such sign-up or the request fails
+ */
+export async function cancelShiftSignup(shiftId) {
+  const profile = getVolunteerProfile();
+  if (!profile) {
+    throw new ShiftError('No volunteer is signed up on this device', ShiftErrorType.NOT_FOUND);
+  }
+
+  const { shift } = await shiftApi.cancel({ shiftId, feedToken: profile.feedToken });
+  return { shift };
+}
+
+/**
+ * Get the URLs of a volunteer's calendar feed
+ * @param {string} feedToken - Volunteer's feed token
+ * @returns {{https: string, webcal: string}} Feed URL, and the same feed as a webcal:// link
+ *   that opens the subscribe dialog of the visitor's calendar app
+ */
+export function getShiftFeedUrls(feedToken) {
+  const url = new URL(`${SHIFTS_ENDPOINT}/feeds/${encodeURIComponent(feedToken)}.ics`, window.location.origin);
+  return {
+    https: url.href,
+    webcal: url.href.replace(/^https?:/, 'webcal:'),
+  };
+}
+
+/**
+ * Download shifts as an .ics file for importing into a calendar app
+ * @param {Array<{shiftId: string, status: string}>} signups - Sign-ups to include
+ * @returns {number} Number of shifts in the file
+ */
+export function downloadShiftsCalendar(signups) {
+  const events = signups
+    .map(({ shiftId, status }) => {
+      const shift = findUpcomingShift(shiftId);
+      return shift && toCalendarEvent(shift, {
+        waitlisted: status === SignupStatus.WAITLISTED,
+        url: new URL(`/volunteer/roles/${shift.roleId}`, window.location.origin).href,
+      });
+    })
+    .filter(Boolean);
+
+  const calendar = createCalendar({ name: 'My volunteer shifts', events });
+  downloadBlob(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }), 'volunteer-shifts.ics');
+  return events.length;
+}
+
+export default {
+  VOLUNTEER_PROFILE_STORAGE_KEY,
+  SignupStatus,
+  ShiftErrorType,
+  ShiftError,
+  createHttpShiftApi,
+  setShiftApi,
+  getVolunteerProfile,
+  forgetVolunteerProfile,
+  validateVolunteerDetails,
+  getShiftAvailability,
+  signUpForShift,
+  cancelShiftSignup,
+  getShiftFeedUrls,
+  downloadShiftsCalendar,
+};
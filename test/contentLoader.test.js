@@ -0,0 +1,86 @@
+/**
+ * Content published as JSON reaches the rendered sections
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserEnvironment, createFetchStub } from './helpers/browser.js';
+
+describe('content loader consumers', () => {
+  let browser;
+  let nodeFetch;
+
+  before(async () => {
+    browser = await createBrowserEnvironment({ env: { VITE_CONTENT_SOURCE: 'json' } });
+
+    const { heroContent } = await browser.load('/src/data/heroContent.js');
+    const { TEAM_MEMBERS } = await browser.load('/src/data/aboutContent.js');
+    const { allPrograms } = await browser.load('/src/data/programsContent.js');
+    const impact = await browser.load('/src/data/impactContent.js');
+
+    const hero = structuredClone(heroContent);
+    hero.content.headline = 'Published headline';
+
+    const team = structuredClone(TEAM_MEMBERS);
+    team[0].name = 'Published Member';
+
+    const programs = structuredClone(allPrograms);
+    programs[0].title = 'Published Program';
+
+    const photos = structuredClone(impact.PHOTO_GALLERY);
+    photos[0].alt = 'Published photo';
+
+    const envelope = (data) => ({ version: 1, updatedAt: '2024-06-01T00:00:00Z', data });
+
+    nodeFetch = globalThis.fetch;
+    globalThis.fetch = createFetchStub({
+      '/content/v1/hero.json': envelope(hero),
+      '/content/v1/team.json': envelope(team),
+      '/content/v1/programs.json': envelope(programs),
+      '/content/v1/impact.json': envelope({
+        statistics: impact.IMPACT_STATISTICS,
+        metrics: impact.IMPACT_METRICS,
+        testimonials: impact.TESTIMONIALS,
+        stories: impact.SUCCESS_STORIES,
+        photos,
+      }),
+    });
+
+    const { loadContent } = await browser.load('/src/utils/contentLoader.js');
+    const results = await loadContent(['hero', 'team', 'programs', 'impact']);
+    Object.values(results).forEach(({ collection, error }) => assert.equal(error, null, `${collection} fell back`));
+  });
+
+  after(async () => {
+    globalThis.fetch = nodeFetch;
+    await browser.close();
+  });
+
+  it('renders the published hero headline', async () => {
+    const { createHeroSection } = await browser.load('/src/components/HeroSection.js');
+    const section = createHeroSection(document.createElement('div'));
+
+    assert.equal(section.querySelector('h1').textContent, 'Published headline');
+  });
+
+  it('renders the published team members', async () => {
+    const { renderTeamSection } = await browser.load('/src/components/TeamSection.js');
+    const container = document.createElement('div');
+    await renderTeamSection(container);
+
+    assert.match(container.textContent, /Published Member/);
+  });
+
+  it('links program cards to the published programs', async () => {
+    const { renderProgramsSection } = await browser.load('/src/components/ProgramsSection.js');
+    renderProgramsSection('app');
+
+    assert.match(document.getElementById('app').textContent, /Published Program/);
+  });
+
+  it('shows the published gallery photos', async () => {
+    const { getGalleryPhotos } = await browser.load('/src/components/PhotoGallery.js');
+
+    assert.equal(getGalleryPhotos()[0].alt, 'Published photo');
+  });
+});
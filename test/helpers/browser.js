@@ -0,0 +1,99 @@
+/**
+ * Browser Test Environment
+ *
+ * Runs source modules the way the app does: a happy-dom window provides the
+ * DOM globals and a Vite SSR loader resolves imports and `import.meta.env`.
+ * Only globals Node lacks are installed (plus `window`, `self` and
+ * `navigator`), so Node's own built-ins stay in place.
+ *
+ * @module test/helpers/browser
+ */
+
+import { Window } from 'happy-dom';
+import { createServer } from 'vite';
+
+/**
+ * Window properties installed even though Node has a global of the same name
+ */
+const DOM_OVERRIDES = new Set(['window', 'self', 'navigator', 'Event', 'EventTarget', 'CustomEvent']);
+
+/**
+ * Create a browser environment for loading source modules
+ * @param {Object} [options] - Environment options
+ * @param {string} [options.url='http://localhost/'] - Page URL
+ * @param {Object<string, string>} [options.env] - VITE_* variables seen through import.meta.env
+ * @returns {Promise<{window: Window, load: function(string): Promise<Object>, close: function(): Promise<void>}>}
+ */
+export async function createBrowserEnvironment({ url = 'http://localhost/', env = {} } = {}) {
+  const window = new Window({ url });
+  window.document.write('<!DOCTYPE html><html><head></head><body><div id="app"></div></body></html>');
+
+  const previous = new Map();
+  Object.getOwnPropertyNames(window)
+    .filter((key) => !(key in globalThis) || DOM_OVERRIDES.has(key))
+    .forEach((key) => {
+      previous.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+      Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+    });
+  ['window', 'self'].forEach((key) => {
+    previous.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+    Object.defineProperty(globalThis, key, { value: window, configurable: true, writable: true });
+  });
+
+  const previousEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, env);
+
+  const server = await createServer({
+    configFile: false,
+    root: new URL('../..', import.meta.url).pathname,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, watch: null },
+  });
+
+  return {
+    window,
+    load: (path) => server.ssrLoadModule(path),
+    async close() {
+      await server.close();
+      await window.happyDOM.abort();
+      window.close();
+
+      previous.forEach((descriptor, key) => {
+        if (descriptor) {
+          Object.defineProperty(globalThis, key, descriptor);
+        } else {
+          delete globalThis[key];
+        }
+      });
+
+      Object.entries(previousEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Create a fetch that answers from in-memory JSON documents
+ * @param {Object<string, Object>} documents - Response bodies keyed by URL path
+ * @returns {function(string): Promise<Response>} fetch replacement; unknown paths get a 404
+ */
+export function createFetchStub(documents) {
+  return async (input) => {
+    const { pathname } = new URL(String(input), 'http://localhost/');
+
+    if (!(pathname in documents)) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    return new Response(JSON.stringify(documents[pathname]), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Receipt PDFs keep accented names readable in WinAnsi text
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserEnvironment } from './helpers/browser.js';
+
+/**
+ * Decode PDF bytes one WinAnsi byte per character
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {string} PDF source
+ */
+function decodePdf(bytes) {
+  return Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+}
+
+describe('pdfDocument text encoding', () => {
+  let browser;
+  let pdf;
+
+  before(async () => {
+    browser = await createBrowserEnvironment();
+    pdf = await browser.load('/src/utils/pdfDocument.js');
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('drops only the accents WinAnsi cannot show', () => {
+    const doc = pdf.createPdfDocument({ title: 'Adé Ọlá' });
+    doc.text('Adé Ọlá · Ṣadé Ọ̀ṣun', 50, 50);
+    const source = decodePdf(doc.toBytes());
+
+    assert.match(source, /\(Adé Olá · Sadé Òsun\) Tj/);
+    assert.match(source, /\/Title \(Adé Olá\)/);
+    assert.doesNotMatch(source, /\?/);
+  });
+
+  it('still marks characters with no WinAnsi equivalent', () => {
+    const doc = pdf.createPdfDocument();
+    doc.text('Ẹ kú 日', 50, 50);
+
+    assert.match(decodePdf(doc.toBytes()), /\(E kú \?\) Tj/);
+  });
+
+  it('measures folded text like the text that is drawn', () => {
+    assert.equal(pdf.measureText('Ọlá', 12), pdf.measureText('Olá', 12));
+  });
+});
+
+describe('donation receipts', () => {
+  let browser;
+
+  before(async () => {
+    browser = await createBrowserEnvironment();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('prints a Yoruba donor name without replacement characters', async () => {
+    const { buildDonationReceipt } = await browser.load('/src/utils/receipts.js');
+
+    const blob = buildDonationReceipt({
+      donorName: 'Adé Ọlá',
+      donorEmail: 'ade@example.org',
+      amount: 50,
+      currency: 'USD',
+      country: 'US',
+      date: '2024-06-01T00:00:00Z',
+      donationType: 'one-time',
+      paymentMethod: 'Card',
+      transactionId: 'pi_test',
+    }, { number: 'MCK-2024-000001', provisional: false });
+
+    const source = decodePdf(new Uint8Array(await blob.arrayBuffer()));
+    assert.match(source, /\(Adé Olá\) Tj/);
+    assert.doesNotMatch(source, /\(Ad\S* \S*\?/);
+  });
+});
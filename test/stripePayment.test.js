@@ -0,0 +1,108 @@
+/**
+ * StripePayment keeps the Elements mode in step with the donation frequency
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserEnvironment } from './helpers/browser.js';
+
+/**
+ * Fake Stripe.js recording what the component asks of it
+ * @returns {{calls: Object, Stripe: Function}} Recorded calls and the Stripe factory
+ */
+function createStripeStub() {
+  const calls = { elements: [], updates: [], confirmations: [] };
+
+  const Stripe = () => ({
+    elements(options) {
+      calls.elements.push(options);
+      return {
+        create: () => ({ mount() {}, destroy() {}, unmount() {} }),
+        update: (changes) => calls.updates.push(changes),
+        submit: async () => ({}),
+      };
+    },
+    async confirmPayment(options) {
+      calls.confirmations.push(options);
+      return { paymentIntent: { id: 'pi_test', status: 'succeeded', amount: 2500, currency: 'usd' } };
+    },
+  });
+
+  return { calls, Stripe };
+}
+
+describe('StripePayment recurring gifts', () => {
+  let browser;
+  let StripePayment;
+  let stripe;
+  let requests;
+  let nodeFetch;
+
+  before(async () => {
+    browser = await createBrowserEnvironment({ env: { VITE_STRIPE_PUBLISHABLE_KEY: 'pk_test_123' } });
+    ({ default: StripePayment } = await browser.load('/src/components/StripePayment.js'));
+
+    nodeFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      requests.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ clientSecret: 'pi_test_secret_abc' }), { status: 200 });
+    };
+  });
+
+  after(async () => {
+    globalThis.fetch = nodeFetch;
+    await browser.close();
+  });
+
+  beforeEach(() => {
+    stripe = createStripeStub();
+    window.Stripe = stripe.Stripe;
+    requests = [];
+    document.body.innerHTML = '<div id="stripe-element"></div>';
+  });
+
+  const createPayment = () => new StripePayment({
+    containerId: 'stripe-element',
+    intentEndpoint: '/api/payments/stripe/intent',
+    onSuccess: () => {},
+    onError: () => {},
+  });
+
+  it('creates Elements in subscription mode for a monthly gift', async () => {
+    const payment = createPayment();
+    await payment.initialize({ amount: 25, currency: 'USD', frequency: 'monthly' });
+
+    assert.equal(stripe.calls.elements[0].mode, 'subscription');
+    assert.equal(stripe.calls.elements[0].amount, 2500);
+  });
+
+  it('creates Elements in payment mode for a one-time gift', async () => {
+    const payment = createPayment();
+    await payment.initialize({ amount: 25, currency: 'USD' });
+
+    assert.equal(stripe.calls.elements[0].mode, 'payment');
+  });
+
+  it('switches the Elements mode when the frequency changes', async () => {
+    const payment = createPayment();
+    await payment.initialize({ amount: 25, currency: 'USD', frequency: 'one_time' });
+
+    payment.updateFrequency('monthly');
+    payment.updateFrequency('one_time');
+
+    assert.deepEqual(stripe.calls.updates, [{ mode: 'subscription' }, { mode: 'payment' }]);
+  });
+
+  it('confirms a recurring gift with the subscription client secret', async () => {
+    const payment = createPayment();
+    await payment.initialize({ amount: 25, currency: 'USD', frequency: 'one_time' });
+    payment.updateFrequency('monthly');
+
+    const result = await payment.confirmPayment({ billingDetails: { name: 'Ada Obi', email: 'ada@example.org' } });
+
+    assert.equal(result.success, true);
+    assert.equal(requests[0].frequency, 'monthly');
+    assert.equal(stripe.calls.confirmations[0].clientSecret, 'pi_test_secret_abc');
+    assert.deepEqual(stripe.calls.updates.at(-1), { mode: 'subscription' });
+  });
+});
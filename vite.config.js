@@ -1,5 +1,9 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { mockApiPlugin } from './plugins/mockApi.js';
+import { pwaPlugin } from './plugins/pwa.js';
+import { prerenderPlugin } from './plugins/prerender.js';
+import { sitemapPlugin } from './plugins/sitemap.js';
 
 export default defineConfig({
   // Root directory for the project
@@ -165,7 +169,19 @@ export default defineConfig({
   },
   
   // Plugin configuration
-  plugins: [],
+  plugins: [
+    // Local backend stand-ins for `npm run dev` when VITE_MOCK_API=true
+    mockApiPlugin(),
+    
+    // Web app manifest, offline page and service worker precache
+    pwaPlugin(),
+    
+    // Landing page sections and JSON-LD rendered into index.html
+    prerenderPlugin(),
+    
+    // sitemap.xml and robots.txt generated from the SEO and content modules
+    sitemapPlugin(),
+  ],
   
   // Log level
   logLevel: 'info',